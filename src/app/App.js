@@ -3,12 +3,23 @@ import { EventBus } from './EventBus.js';
 import { SceneManager } from '../core/SceneManager.js';
 import { Renderer } from '../core/Renderer.js';
 import { ModelLoader } from '../core/ModelLoader.js';
+import { PointCloudManager } from '../core/PointCloudManager.js';
+import { CoordinateSystem } from '../core/CoordinateSystem.js';
+import { UnitSystem } from '../core/UnitSystem.js';
+import { LayerManager } from '../core/LayerManager.js';
 import { UIManager } from '../ui/UIManager.js';
 import { ToolController } from '../ui/ToolController.js';
 import { InteractionController } from '../core/InteractionController.js';
+import { SnapManager } from '../core/SnapManager.js';
 import { AnimationLoop } from '../core/AnimationLoop.js';
 import { Measurements } from '../modules/measurements.js';
 import { Collaboration } from '../modules/collaboration.js';
+import { Project } from '../modules/project.js';
+import { Georeference } from '../modules/georeference.js';
+import { Calibration } from '../modules/calibration.js';
+import { Analysis } from '../modules/analysis.js';
+import { Report } from '../modules/report.js';
+import { Capture } from '../modules/capture.js';
 
 /**
  * @class App
@@ -23,7 +34,12 @@ export class App {
 
         // --- Instantiate Core Systems ---
         this.sceneManager = new SceneManager(this.logger, this.eventBus);
+        // Registered before the other modules, so every 'model:loaded' listener finds the model in its layer
+        this.layerManager = new LayerManager(this.sceneManager, this.logger, this.eventBus);
         this.modelLoader = new ModelLoader(this.logger, this.eventBus);
+        this.pointCloudManager = new PointCloudManager(this.logger, this.eventBus);
+        this.coordinateSystem = new CoordinateSystem(this.logger, this.eventBus);
+        this.unitSystem = new UnitSystem(this.logger, this.eventBus);
         this.uiManager = new UIManager(this.logger, this.eventBus);
         // this.toolController = new ToolController(this.logger, this.eventBus); // <-- Movido
         this.animationLoop = new AnimationLoop(this.eventBus);
@@ -41,12 +57,20 @@ export class App {
             this.modelLoader.initialize();
             this.uiManager.initialize();
 
-            this.interactionController = new InteractionController(
+            this.snapManager = new SnapManager(
+                scene,
                 rendererComponents.camera,
                 rendererComponents.domElement,
                 this.logger,
                 this.eventBus
             );
+            this.interactionController = new InteractionController(
+                rendererComponents.camera,
+                rendererComponents.domElement,
+                this.logger,
+                this.eventBus,
+                this.snapManager
+            );
             
             // --- ToolController (MODIFICADO) ---
             // Agora o ToolController precisa de uma referência ao InteractionController
@@ -58,8 +82,14 @@ export class App {
             );
 
             // --- Initialize Feature Modules ---
-            this.collaboration = new Collaboration(scene, this.logger, this.eventBus);
-            this.measurements = new Measurements(scene, this.logger, this.eventBus, this.collaboration);
+            this.collaboration = new Collaboration(scene, this.logger, this.eventBus, this.unitSystem);
+            this.measurements = new Measurements(scene, this.logger, this.eventBus, this.collaboration, this.coordinateSystem, this.unitSystem);
+            this.georeference = new Georeference(scene, this.logger, this.eventBus, this.coordinateSystem);
+            this.calibration = new Calibration(scene, this.logger, this.eventBus, this.coordinateSystem, this.unitSystem);
+            this.analysis = new Analysis(scene, this.logger, this.eventBus, this.coordinateSystem, this.unitSystem);
+            this.project = new Project(this.logger, this.eventBus, this.measurements, this.collaboration);
+            this.report = new Report(this.logger, this.eventBus, this.renderer, this.measurements, this.coordinateSystem, this.unitSystem);
+            this.capture = new Capture(this.logger, this.eventBus, this.renderer, this.coordinateSystem, this.unitSystem);
 
             // --- Wire up high-level integrations and start the app ---
             this._setupCrossModuleIntegration();
@@ -83,13 +113,23 @@ export class App {
         this.eventBus.on('model:loaded', (payload) => {
             if (payload.modelBlob && this.collaboration) {
                 this.logger.info(`App: Storing model data for P2P sharing.`);
-                this.collaboration.setModelData(payload.modelBlob, payload.model.name);
+                // Peers must orient the model exactly like us, or shared points would not match
+                this.collaboration.setModelData(payload.modelBlob, payload.model.name, {
+                    upAxis: payload.model.userData.transform?.upAxis,
+                    mode: payload.mode
+                });
             }
         });
+        // A removed layer is no longer shared with peers that join later.
+        this.eventBus.on('layer:removed', (payload) => {
+            this.collaboration?.removeModelData(payload.name);
+        });
 
         // Handle the deletion of a measurement.
+        // The annotation registry feeds the measurements panel, so it must forget
+        // the measurement even offline (the broadcast is a no-op without peers).
         this.eventBus.on('measurement:delete', (payload) => {
-            if (this.collaboration?.isConnected()) {
+            if (this.collaboration) {
                 this.collaboration.deleteAnnotation(payload.id);
             } else {
                 this.measurements.clearMeasurement(payload.id);
@@ -0,0 +1,273 @@
+// src/core/CoordinateSystem.js
+import * as THREE from 'three';
+
+/**
+ * @class CoordinateSystem
+ * @description Converte pontos entre o referencial da cena e os referenciais do usuário.
+ * A cena trabalha com o modelo centralizado e com Y para cima (referencial 'local');
+ * a transformação aplicada pelo ModelLoader (model.userData.transform) é guardada e
+ * invertida aqui para recuperar as coordenadas do arquivo original ('original').
+ * Com várias camadas, o referencial 'original' é o do modelo da camada de referência
+ * (a primeira), incluindo o ajuste de posição feito na camada.
+ * Quando o modelo é georreferenciado (módulo Georeference), dois referenciais são
+ * acrescentados: 'geo' (coordenadas projetadas no SRC, E/N/H) e 'geographic' (longitude
+ * e latitude WGS 84). As medições continuam armazenadas no referencial local; leituras e
+ * exportações convertem no momento da apresentação.
+ */
+export class CoordinateSystem {
+    constructor(logger, eventBus) {
+        this.logger = logger;
+        this.eventBus = eventBus;
+
+        this.transform = null;
+        this.layerMatrix = new THREE.Matrix4(); // Ajuste da camada de referência
+        this.originalToLocal = new THREE.Matrix4();
+        this.localToOriginal = new THREE.Matrix4();
+
+        // Georreferenciamento: original -> SRC (similaridade) e conversor para lon/lat
+        this.georeference = null;
+        this.originalToGeo = new THREE.Matrix4();
+        this.geoToOriginal = new THREE.Matrix4();
+
+        // Referencial usado na barra de status e nas exportações
+        this.frame = 'local';
+        this._pendingFrame = null; // Referencial de um projeto que ainda não existe (ex.: 'geo')
+
+        this._setupEventListeners();
+    }
+
+    _setupEventListeners() {
+        this.eventBus.on('layers:changed', (payload) => {
+            const reference = payload.layers.find(layer => layer.id === payload.referenceId);
+            this.setModelTransform(
+                reference?.model.userData.transform || null,
+                reference ? reference.object.matrix : null
+            );
+        });
+
+        this.eventBus.on('coordinates:frame:set', (payload) => this.setFrame(payload.frame));
+
+        // Leitura de coordenadas sob o cursor
+        this.eventBus.on('interaction:pointer:move', (payload) => {
+            if (!payload.point) return;
+            const p = this.toFrame(payload.point);
+            const { axes, decimals } = this.getFrameInfo();
+            this.eventBus.emit('ui:coordinates:update', { x: p.x, y: p.y, z: p.z, frame: this.frame, axes, decimals });
+        });
+
+        // Persistência de projeto
+        this.eventBus.on('project:state:collect', (state) => {
+            state.settings.coordinateFrame = this.frame;
+        });
+        this.eventBus.on('project:state:restore', (state) => {
+            const frame = state.settings?.coordinateFrame;
+            if (!frame) return;
+            if (this.getFrames().some(f => f.id === frame)) {
+                this.setFrame(frame);
+            } else {
+                this._pendingFrame = frame;
+            }
+        });
+    }
+
+    /**
+     * Guarda a transformação aplicada ao modelo e prepara as matrizes de conversão.
+     * @param {{upAxis: string, position: number[], rotation: number[], origin: number[]}|null} transform
+     * @param {THREE.Matrix4|null} [layerMatrix] - Ajuste da camada do modelo (LayerManager).
+     */
+    setModelTransform(transform, layerMatrix = null) {
+        const matrix = layerMatrix || new THREE.Matrix4();
+        // layers:changed também chega por mudanças de aparência, que não afetam os referenciais
+        if (JSON.stringify(transform) === JSON.stringify(this.transform) && matrix.equals(this.layerMatrix)) return;
+
+        this.transform = transform;
+        this.layerMatrix.copy(matrix);
+
+        if (!transform) {
+            this.originalToLocal.identity();
+            this.localToOriginal.identity();
+        } else {
+            // original -> (remove origem do loader) -> rotação -> translação = local
+            const rotation = new THREE.Quaternion().setFromEuler(new THREE.Euler(...transform.rotation));
+            const placement = new THREE.Matrix4().compose(
+                new THREE.Vector3(...transform.position),
+                rotation,
+                new THREE.Vector3(1, 1, 1)
+            );
+            const [ox, oy, oz] = transform.origin || [0, 0, 0];
+            this.originalToLocal.multiplyMatrices(placement, new THREE.Matrix4().makeTranslation(-ox, -oy, -oz));
+            this.originalToLocal.premultiply(this.layerMatrix);
+            this.localToOriginal.copy(this.originalToLocal).invert();
+        }
+
+        this.logger.info(`CoordinateSystem: Transformação do modelo registrada (eixo vertical: ${transform?.upAxis || 'n/d'}).`);
+        this._emitFramesChanged();
+    }
+
+    /**
+     * Define (ou remove, com null) o georreferenciamento do modelo.
+     * @param {{code: string, matrix: number[], converter: {toGeographic: Function, fromGeographic: Function}}|null} georeference
+     *   matrix: original -> SRC, em ordem de coluna (THREE.Matrix4.fromArray).
+     */
+    setGeoreference(georeference) {
+        this.georeference = georeference;
+
+        if (georeference) {
+            this.originalToGeo.fromArray(georeference.matrix);
+            this.geoToOriginal.copy(this.originalToGeo).invert();
+        } else {
+            this.originalToGeo.identity();
+            this.geoToOriginal.identity();
+        }
+
+        if (this._pendingFrame && this.getFrames().some(f => f.id === this._pendingFrame)) {
+            this.frame = this._pendingFrame;
+            this._pendingFrame = null;
+        } else if (!this.getFrames().some(f => f.id === this.frame)) {
+            this.frame = 'local';
+        }
+
+        this.logger.info(`CoordinateSystem: Georreferenciamento ${georeference ? `definido (${georeference.code})` : 'removido'}.`);
+        this._emitFramesChanged();
+    }
+
+    // --- PUBLIC API ---
+
+    /**
+     * Referenciais disponíveis para o modelo atual.
+     * @returns {Array<{id: string, label: string, axes: string[], decimals: number}>}
+     */
+    getFrames() {
+        const frames = [
+            { id: 'local', label: 'Cena', axes: ['X', 'Y', 'Z'], decimals: 2 },
+            { id: 'original', label: 'Original', axes: ['X', 'Y', 'Z'], decimals: 2 }
+        ];
+        if (this.georeference) {
+            frames.push(
+                { id: 'geo', label: this.georeference.code, axes: ['E', 'N', 'H'], decimals: 3 },
+                { id: 'geographic', label: 'Lon/Lat (WGS 84)', axes: ['Lon', 'Lat', 'H'], decimals: 8 }
+            );
+        }
+        return frames;
+    }
+
+    /**
+     * Descrição de um referencial (nomes dos eixos e casas decimais para exibição).
+     * @param {string} [frame] - Padrão: o ativo.
+     * @returns {{id: string, label: string, axes: string[], decimals: number}}
+     */
+    getFrameInfo(frame = this.frame) {
+        const frames = this.getFrames();
+        return frames.find(f => f.id === frame) || frames[0];
+    }
+
+    /**
+     * Indica se o modelo está georreferenciado.
+     * @returns {boolean}
+     */
+    isGeoreferenced() {
+        return !!this.georeference;
+    }
+
+    /**
+     * Define o referencial ativo.
+     * @param {string} frame - 'local' | 'original' | 'geo' | 'geographic'
+     */
+    setFrame(frame) {
+        if (!this.getFrames().some(f => f.id === frame)) {
+            this.logger.warn(`CoordinateSystem: Referencial "${frame}" indisponível.`);
+            return;
+        }
+        this.frame = frame;
+        this._pendingFrame = null;
+        this._emitFramesChanged();
+    }
+
+    /**
+     * Converte um ponto da cena para um referencial.
+     * @param {{x: number, y: number, z: number}} point - Ponto no referencial local (cena).
+     * @param {string} [frame] - Referencial de destino (padrão: o ativo).
+     * @returns {THREE.Vector3} Um novo vetor (em 'geographic': x = longitude, y = latitude, z = altura).
+     */
+    toFrame(point, frame = this.frame) {
+        const result = new THREE.Vector3(point.x, point.y, point.z);
+        if (frame === 'local') return result;
+
+        result.applyMatrix4(this.localToOriginal);
+        if (this.georeference && (frame === 'geo' || frame === 'geographic')) {
+            result.applyMatrix4(this.originalToGeo);
+            if (frame === 'geographic') {
+                result.fromArray(this.georeference.converter.toGeographic(result.toArray()));
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Converte um ponto de um referencial para a cena.
+     * @param {{x: number, y: number, z: number}} point
+     * @param {string} [frame] - Referencial de origem (padrão: o ativo).
+     * @returns {THREE.Vector3} Um novo vetor.
+     */
+    fromFrame(point, frame = this.frame) {
+        const result = new THREE.Vector3(point.x, point.y, point.z);
+        if (frame === 'local') return result;
+
+        if (this.georeference && (frame === 'geo' || frame === 'geographic')) {
+            if (frame === 'geographic') {
+                result.fromArray(this.georeference.converter.fromGeographic(result.toArray()));
+            }
+            result.applyMatrix4(this.geoToOriginal);
+        }
+        return result.applyMatrix4(this.originalToLocal);
+    }
+
+    /**
+     * Direção "para cima" do modelo, na cena.
+     * Para modelos 'y' e 'z' o eixo vertical do arquivo foi alinhado ao Y da cena;
+     * modelos 'none' (como estão) são exibidos como Y para cima.
+     * @returns {THREE.Vector3}
+     */
+    getUpVector() {
+        const axis = this.transform?.upAxis === 'z' ? new THREE.Vector3(0, 0, 1) : new THREE.Vector3(0, 1, 0);
+        return axis.transformDirection(this.originalToLocal);
+    }
+
+    /**
+     * Índice (0, 1, 2) do eixo do referencial para onde aponta o Y (para cima) da cena.
+     * @param {string} [frame] - Padrão: o ativo.
+     * @param {{x: number, y: number, z: number}} [at] - Ponto da cena onde avaliar (importa em 'geographic').
+     * @returns {number}
+     */
+    getVerticalAxis(frame = this.frame, at = new THREE.Vector3()) {
+        const origin = this.toFrame(at, frame);
+        const up = this.toFrame(new THREE.Vector3(at.x, at.y + 1, at.z), frame).sub(origin).toArray();
+        return up.reduce((best, value, i) => (Math.abs(value) > Math.abs(up[best]) ? i : best), 0);
+    }
+
+    /**
+     * Converte um ponto da cena para coordenadas de mapa (planta + cota) de um referencial,
+     * como esperam DXF e GeoJSON: os dois eixos horizontais seguidos do vertical, mantendo
+     * o sistema destro (ex.: no referencial 'local', Y para cima, resulta em [X, -Z, Y]).
+     * @param {{x: number, y: number, z: number}} point - Ponto no referencial local (cena).
+     * @param {string} [frame] - Padrão: o ativo.
+     * @param {number} [verticalAxis] - Resultado de getVerticalAxis(), para conversões em lote.
+     * @returns {number[]} [x, y, cota]
+     */
+    toMapCoordinates(point, frame = this.frame, verticalAxis = this.getVerticalAxis(frame, point)) {
+        const [x, y, z] = this.toFrame(point, frame).toArray();
+        if (verticalAxis === 0) return [y, z, x];
+        if (verticalAxis === 1) return [x, -z, y];
+        return [x, y, z];
+    }
+
+    /**
+     * @private
+     */
+    _emitFramesChanged() {
+        this.eventBus.emit('coordinates:frames:changed', {
+            frames: this.getFrames(),
+            active: this.frame
+        });
+    }
+}
@@ -7,16 +7,26 @@ import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
  * (REFATORADO para usar o Padrão State. Agora delega eventos para um objeto 'currentState').
  */
 export class InteractionController {
-    constructor(camera, domElement, logger, eventBus) {
+    constructor(camera, domElement, logger, eventBus, snapManager = null) {
         this.camera = camera;
         this.domElement = domElement;
         this.logger = logger;
         this.eventBus = eventBus;
+        this.snapManager = snapManager; // Atração para vértices, arestas e pontos de medições
         this.controls = null;
 
         this.raycaster = new THREE.Raycaster();
         this.mouse = new THREE.Vector2();
         this.intersectableObjects = [];
+        this.intersectableSphere = null; // Esfera envolvente dos objetos, usada no picking de pontos
+
+        // Configurações de seleção (picking)
+        this.pickConfig = {
+            pointTolerance: 6, // Distância máxima, em pixels de tela, para selecionar um ponto de nuvem
+            hoverInterval: 100 // Intervalo mínimo (ms) entre raycasts de leitura de coordenadas
+        };
+        this._lastHoverPick = 0;
+        this._snapPreviewPending = false; // Pré-visualização do snap, feita no máximo uma vez por quadro
         
         this.currentState = null; // <-- O estado de interação ativo
         this.currentTool = 'none'; // <-- Mantido APENAS para compatibilidade de eventos
@@ -55,21 +65,51 @@ export class InteractionController {
         this.eventBus.on('app:update', () => this.update());
         this.eventBus.on('camera:focus', (payload) => this.focusOnObject(payload.object));
         this.eventBus.on('model:loaded', (payload) => {
-            this.intersectableObjects = [payload.model];
-            this._adjustZoomLimitsForModel(payload.model);
-            this.logger.info('InteractionController: Novo objeto de interseção definido.');
+            // Os limites de zoom acompanham o primeiro modelo da cena; camadas acrescentadas não os mudam
+            if (payload.mode !== 'add') this._adjustZoomLimitsForModel(payload.model);
+        });
+        // Apenas camadas visíveis e selecionáveis recebem cliques das ferramentas
+        this.eventBus.on('layers:changed', (payload) => {
+            this.intersectableObjects = payload.layers
+                .filter(layer => layer.visible && layer.pickable)
+                .map(layer => layer.object);
+
+            const box = new THREE.Box3();
+            this.intersectableObjects.forEach(object => box.expandByObject(object));
+            this.intersectableSphere = box.isEmpty() ? null : box.getBoundingSphere(new THREE.Sphere());
+            this.logger.debug(`InteractionController: ${this.intersectableObjects.length} camada(s) de interseção.`);
         });
         
+        // Persistência de projeto: pose da câmera e configurações de zoom
+        this.eventBus.on('project:state:collect', (state) => {
+            state.camera = this.getCameraPose();
+            state.settings.zoom = {
+                zoomFactor: this.zoomConfig.zoomFactor,
+                autoAdjustLimits: this.zoomConfig.autoAdjustLimits
+            };
+        });
+        this.eventBus.on('project:state:restore', (state) => {
+            if (state.settings?.zoom) this.setZoomConfig(state.settings.zoom);
+            if (state.camera) this.setCameraPose(state.camera);
+        });
+
         // Ouve 'tool:changed' apenas para atualizar o cursor (compatibilidade)
         this.eventBus.on('tool:changed', (payload) => {
             this.currentTool = payload.activeTool;
+            this._snapPreviewPending = false;
             // A lógica de cursor real é tratada pelo Estado em onEnter()
         });
 
         // Eventos do mouse
         this.domElement.addEventListener('click', this._onClick.bind(this));
         this.domElement.addEventListener('dblclick', this._onDoubleClick.bind(this));
+        this.domElement.addEventListener('mousedown', this._onMouseDown.bind(this));
         this.domElement.addEventListener('mousemove', this._onMouseMove.bind(this));
+        document.addEventListener('mouseup', this._onMouseUp.bind(this)); // Arrastos podem terminar fora da cena
+        this.domElement.addEventListener('mouseleave', () => {
+            this._snapPreviewPending = false;
+            this.snapManager?.showMarker(null);
+        });
         this.domElement.addEventListener('wheel', this._handleSimpleZoom.bind(this), { passive: false });
 
         // Eventos de teclado
@@ -119,18 +159,80 @@ export class InteractionController {
 
         this._updateMousePosition(event);
 
-        if (!this.currentState || !this.intersectableObjects.length) return;
+        if (!this.currentState) return;
+
+        // Delega o clique para o estado ativo, já com o ponto atraído pelo snap
+        const intersection = this.pickSnappedIntersection();
+        if (intersection) {
+            this.currentState.onClick(intersection.point, intersection, this);
+        }
+    }
+
+    /**
+     * Faz o picking na posição atual do mouse e aplica o snap ao ponto da interseção.
+     * Usado no clique e pelos estados que acompanham o cursor (ex.: arraste de pontos).
+     * @returns {THREE.Intersection|null}
+     */
+    pickSnappedIntersection() {
+        if (!this.intersectableObjects.length) return null;
+
+        const intersection = this._pickIntersection();
+        if (!intersection) return null;
 
+        const target = this.snapManager?.snap(intersection, this.mouse);
+        if (target) intersection.point = target.point;
+        return intersection;
+    }
+
+    /**
+     * Faz o raycast na posição atual do mouse e retorna a interseção mais próxima.
+     * Malhas usam a interseção exata; nuvens de pontos usam uma tolerância em pixels
+     * de tela, e o ponto retornado é o próprio ponto da nuvem (não a projeção no raio).
+     * @returns {THREE.Intersection|null}
+     * @private
+     */
+    _pickIntersection() {
         this.raycaster.setFromCamera(this.mouse, this.camera);
+        this.raycaster.params.Points.threshold = this._getPointsThreshold();
+
         const intersects = this.raycaster.intersectObjects(this.intersectableObjects, true);
+        if (intersects.length === 0) return null;
 
-        if (intersects.length > 0) {
-            const point = intersects[0].point;
-            const intersection = intersects[0];
-            
-            // Delega o clique para o estado ativo
-            this.currentState.onClick(point, intersection, this);
+        const rect = this.domElement.getBoundingClientRect();
+        const vertex = new THREE.Vector3();
+        const screen = new THREE.Vector3();
+
+        for (const hit of intersects) {
+            if (!hit.object.isPoints) return hit;
+
+            // O three.js testa um cilindro no espaço do mundo; aqui filtramos pela distância em tela
+            vertex.fromBufferAttribute(hit.object.geometry.attributes.position, hit.index)
+                .applyMatrix4(hit.object.matrixWorld);
+            screen.copy(vertex).project(this.camera);
+
+            const dx = (screen.x - this.mouse.x) * rect.width / 2;
+            const dy = (screen.y - this.mouse.y) * rect.height / 2;
+            if (Math.hypot(dx, dy) <= this.pickConfig.pointTolerance) {
+                hit.point = vertex.clone();
+                return hit;
+            }
         }
+        return null;
+    }
+
+    /**
+     * Converte a tolerância em pixels para unidades do mundo, na maior profundidade
+     * possível dos objetos (o filtro em tela descarta os excessos mais próximos).
+     * @returns {number}
+     * @private
+     */
+    _getPointsThreshold() {
+        if (!this.intersectableSphere) return 1;
+
+        const rect = this.domElement.getBoundingClientRect();
+        const depth = this.camera.position.distanceTo(this.intersectableSphere.center) + this.intersectableSphere.radius;
+        const worldPerPixel = (2 * depth * Math.tan(THREE.MathUtils.degToRad(this.camera.fov) / 2)) / (rect.height || 1);
+        return worldPerPixel * this.pickConfig.pointTolerance;
     }
 
     _onDoubleClick(event) {
@@ -141,8 +243,26 @@ export class InteractionController {
         }
     }
 
+    _onMouseDown(event) {
+        if (!this.currentState || this.controls.enabled) return;
+        this._updateMousePosition(event);
+        this.currentState.onMouseDown(event, this);
+    }
+
+    _onMouseUp(event) {
+        if (!this.currentState || this.controls.enabled) return;
+        this._updateMousePosition(event);
+        this.currentState.onMouseUp(event, this);
+    }
+
     _onMouseMove(event) {
         this._updateMousePosition(event);
+        this._emitPointerCoordinates(event);
+
+        // Com uma ferramenta ativa, o marcador de snap acompanha o cursor (ver update())
+        if (this.snapManager && this.currentTool !== 'none' && event.buttons === 0) {
+            this._snapPreviewPending = true;
+        }
         
         if (this.currentState) {
             // (Opcional: podemos fazer o raycast aqui e passar o ponto)
@@ -150,6 +270,24 @@ export class InteractionController {
         }
     }
 
+    /**
+     * Publica o ponto sob o cursor para a leitura de coordenadas da barra de status.
+     * Limitado por tempo e ignorado durante arrastos, para não pesar na navegação.
+     * @private
+     */
+    _emitPointerCoordinates(event) {
+        if (event.buttons !== 0 || !this.intersectableObjects.length) return;
+
+        const now = performance.now();
+        if (now - this._lastHoverPick < this.pickConfig.hoverInterval) return;
+        this._lastHoverPick = now;
+
+        const intersection = this._pickIntersection();
+        if (intersection) {
+            this.eventBus.emit('interaction:pointer:move', { point: intersection.point });
+        }
+    }
+
     _updateMousePosition(event) {
         const rect = this.domElement.getBoundingClientRect();
         this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
@@ -184,9 +322,9 @@ export class InteractionController {
         let zoomTarget = this.controls.target.clone();
 
         if (this.intersectableObjects.length > 0) {
-            const intersects = this.raycaster.intersectObjects(this.intersectableObjects, true);
-            if (intersects.length > 0) {
-                zoomTarget = intersects[0].point;
+            const intersection = this._pickIntersection();
+            if (intersection) {
+                zoomTarget = intersection.point;
             } else {
                 const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(
                     this.camera.getWorldDirection(new THREE.Vector3()),
@@ -245,6 +383,41 @@ export class InteractionController {
 
     update() {
         this.controls.update();
+        if (this._snapPreviewPending) this._updateSnapPreview();
+    }
+
+    /**
+     * Posiciona o marcador de snap sob o cursor. Chamado a cada quadro com movimento
+     * pendente, para não fazer mais de um raycast por quadro.
+     * @private
+     */
+    _updateSnapPreview() {
+        this._snapPreviewPending = false;
+        const intersection = this.intersectableObjects.length ? this._pickIntersection() : null;
+        this.snapManager.showMarker(intersection ? this.snapManager.snap(intersection, this.mouse) : null);
+    }
+
+    /**
+     * Retorna a pose atual da câmera em um formato serializável.
+     * @returns {{position: number[], target: number[]}}
+     */
+    getCameraPose() {
+        return {
+            position: this.camera.position.toArray(),
+            target: this.controls.target.toArray()
+        };
+    }
+
+    /**
+     * Restaura uma pose de câmera salva por getCameraPose().
+     * @param {{position: number[], target: number[]}} pose
+     */
+    setCameraPose(pose) {
+        if (!pose?.position || !pose?.target) return;
+        this.camera.position.fromArray(pose.position);
+        this.controls.target.fromArray(pose.target);
+        this.controls.update();
+        this.logger.info('InteractionController: Pose da câmera restaurada.');
     }
 
     setZoomConfig(config) {
@@ -0,0 +1,262 @@
+// src/core/LayerManager.js
+import * as THREE from 'three';
+
+/**
+ * @class LayerManager
+ * @description Gerencia os modelos da cena como camadas.
+ * Cada modelo carregado é envolvido por um THREE.Group (a camada), que recebe a
+ * transformação de ajuste do usuário (deslocamento, rotação em torno do eixo vertical e
+ * escala) sem alterar a transformação aplicada pelo ModelLoader. Cada camada tem
+ * visibilidade, opacidade, cor de substituição e a opção de participar (ou não) da seleção
+ * de pontos das ferramentas.
+ * A primeira camada é a de referência: é ela que define o referencial 'original' do
+ * CoordinateSystem e o georreferenciamento.
+ */
+export class LayerManager {
+    constructor(sceneManager, logger, eventBus) {
+        this.sceneManager = sceneManager;
+        this.logger = logger;
+        this.eventBus = eventBus;
+
+        this.layers = [];
+
+        this._setupEventListeners();
+    }
+
+    _setupEventListeners() {
+        this.eventBus.on('model:loaded', (payload) => this._onModelLoaded(payload.model, payload.mode));
+
+        this.eventBus.on('layer:update', (payload) => this.updateLayer(payload.id, payload));
+        this.eventBus.on('layer:remove', (payload) => this.removeLayer(payload.id));
+        this.eventBus.on('layer:focus', (payload) => {
+            const layer = this.getLayer(payload.id);
+            if (layer) this.eventBus.emit('camera:focus', { object: layer.group });
+        });
+
+        // Persistência de projeto: estado de cada camada, na ordem dos modelos do projeto
+        this.eventBus.on('project:state:collect', (state) => {
+            state.settings.layers = this.layers.map(layer => ({
+                name: layer.name,
+                visible: layer.visible,
+                opacity: layer.opacity,
+                color: layer.color,
+                pickable: layer.pickable,
+                offset: { ...layer.offset, position: [...layer.offset.position] }
+            }));
+        });
+        this.eventBus.on('project:state:restore', (state) => {
+            const saved = state.settings?.layers;
+            if (!Array.isArray(saved)) return;
+            saved.forEach((settings, index) => {
+                const layer = this.layers[index];
+                if (layer && layer.name === settings.name) this.updateLayer(layer.id, settings);
+            });
+        });
+    }
+
+    /**
+     * Um modelo em modo 'replace' substitui todas as camadas; em modo 'add' é acrescentado.
+     * @private
+     */
+    _onModelLoaded(model, mode = 'replace') {
+        if (!model) return;
+
+        if (mode !== 'add') {
+            [...this.layers].forEach(layer => this._disposeLayer(layer));
+            this.layers = [];
+        }
+
+        const group = new THREE.Group();
+        group.name = `layer:${model.name}`;
+        group.matrixAutoUpdate = false;
+        group.add(model);
+
+        const id = `layer_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        group.userData = { isLayer: true, layerId: id, pickable: true };
+        model.userData.layerId = id;
+
+        const layer = {
+            id,
+            name: model.name,
+            group,
+            model,
+            visible: true,
+            opacity: 1,
+            color: null, // Cor de substituição ('#rrggbb') ou null para as cores do modelo
+            pickable: true,
+            offset: { position: [0, 0, 0], rotation: 0, scale: 1 },
+            // Centro do modelo na cena: a rotação e a escala da camada são feitas em torno dele
+            pivot: new THREE.Box3().setFromObject(model).getCenter(new THREE.Vector3())
+        };
+        this.layers.push(layer);
+        this.sceneManager.addObject(group);
+
+        this.logger.info(`LayerManager: Camada "${layer.name}" criada (${this.layers.length} na cena).`);
+        this._emitChanged();
+    }
+
+    // --- PUBLIC API ---
+
+    /**
+     * @param {string} id
+     * @returns {Object|undefined}
+     */
+    getLayer(id) {
+        return this.layers.find(layer => layer.id === id);
+    }
+
+    /**
+     * A camada de referência (a primeira carregada), ou null com a cena vazia.
+     * @returns {Object|null}
+     */
+    getReferenceLayer() {
+        return this.layers[0] || null;
+    }
+
+    /**
+     * Atualiza as propriedades de uma camada. Propriedades ausentes não são alteradas.
+     * @param {string} id
+     * @param {{visible?: boolean, opacity?: number, color?: string|null, pickable?: boolean,
+     *   offset?: {position?: number[], rotation?: number, scale?: number}}} changes
+     *   rotation em graus, em torno do eixo vertical da cena.
+     */
+    updateLayer(id, changes = {}) {
+        const layer = this.getLayer(id);
+        if (!layer) return;
+
+        if (typeof changes.visible === 'boolean') {
+            layer.visible = changes.visible;
+            layer.group.visible = changes.visible;
+        }
+        if (typeof changes.pickable === 'boolean') {
+            layer.pickable = changes.pickable;
+            layer.group.userData.pickable = changes.pickable;
+        }
+        if (Number.isFinite(changes.opacity)) {
+            layer.opacity = THREE.MathUtils.clamp(changes.opacity, 0, 1);
+        }
+        if (changes.color !== undefined) {
+            layer.color = /^#[0-9a-f]{6}$/i.test(changes.color || '') ? changes.color : null;
+        }
+        if (changes.offset) {
+            const { position, rotation, scale } = changes.offset;
+            if (Array.isArray(position) && position.length === 3 && position.every(Number.isFinite)) {
+                layer.offset.position = [...position];
+            }
+            if (Number.isFinite(rotation)) layer.offset.rotation = rotation;
+            if (Number.isFinite(scale) && scale > 0) layer.offset.scale = scale;
+            this._applyOffset(layer);
+        }
+
+        this._applyAppearance(layer);
+        this._emitChanged();
+    }
+
+    /**
+     * Remove uma camada e libera a memória do modelo.
+     * @param {string} id
+     */
+    removeLayer(id) {
+        const layer = this.getLayer(id);
+        if (!layer) return;
+
+        this._disposeLayer(layer);
+        this.layers = this.layers.filter(l => l !== layer);
+
+        this.logger.info(`LayerManager: Camada "${layer.name}" removida.`);
+        this.eventBus.emit('layer:removed', { id: layer.id, name: layer.name });
+        this._emitChanged();
+    }
+
+    // --- PRIVATE HELPERS ---
+
+    /**
+     * Matriz da camada: T(pivô + deslocamento) · Ry(rotação) · S(escala) · T(-pivô).
+     * @private
+     */
+    _applyOffset(layer) {
+        const { position, rotation, scale } = layer.offset;
+        const pivot = layer.pivot;
+
+        const matrix = new THREE.Matrix4().makeTranslation(
+            pivot.x + position[0],
+            pivot.y + position[1],
+            pivot.z + position[2]
+        );
+        matrix.multiply(new THREE.Matrix4().makeRotationY(THREE.MathUtils.degToRad(rotation)));
+        matrix.multiply(new THREE.Matrix4().makeScale(scale, scale, scale));
+        matrix.multiply(new THREE.Matrix4().makeTranslation(-pivot.x, -pivot.y, -pivot.z));
+
+        layer.group.matrix.copy(matrix);
+        layer.group.matrixWorldNeedsUpdate = true;
+        layer.group.updateMatrixWorld(true);
+    }
+
+    /**
+     * Aplica opacidade e cor de substituição aos materiais do modelo.
+     * Os valores originais de cada material são guardados na primeira alteração.
+     * @private
+     */
+    _applyAppearance(layer) {
+        layer.model.traverse((child) => {
+            if (!child.material) return;
+            const materials = Array.isArray(child.material) ? child.material : [child.material];
+
+            materials.forEach(material => {
+                if (!material.userData.layerOriginal) {
+                    material.userData.layerOriginal = {
+                        color: material.color ? material.color.clone() : null,
+                        vertexColors: material.vertexColors,
+                        map: material.map || null,
+                        opacity: material.opacity,
+                        transparent: material.transparent,
+                        depthWrite: material.depthWrite
+                    };
+                }
+                const original = material.userData.layerOriginal;
+
+                if (layer.color && material.color) {
+                    material.color.set(layer.color);
+                    material.vertexColors = false;
+                    material.map = null;
+                } else {
+                    if (original.color) material.color.copy(original.color);
+                    material.vertexColors = original.vertexColors;
+                    material.map = original.map;
+                }
+
+                material.opacity = original.opacity * layer.opacity;
+                material.transparent = original.transparent || layer.opacity < 1;
+                material.depthWrite = layer.opacity < 1 ? false : original.depthWrite;
+                material.needsUpdate = true;
+            });
+        });
+    }
+
+    /**
+     * @private
+     */
+    _disposeLayer(layer) {
+        this.sceneManager.removeObject(layer.group);
+    }
+
+    /**
+     * @private
+     */
+    _emitChanged() {
+        this.eventBus.emit('layers:changed', {
+            layers: this.layers.map(layer => ({
+                id: layer.id,
+                name: layer.name,
+                object: layer.group,
+                model: layer.model,
+                visible: layer.visible,
+                opacity: layer.opacity,
+                color: layer.color,
+                pickable: layer.pickable,
+                offset: { ...layer.offset, position: [...layer.offset.position] }
+            })),
+            referenceId: this.layers[0]?.id || null
+        });
+    }
+}
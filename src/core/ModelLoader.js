@@ -5,6 +5,23 @@
 import * as THREE from 'three';
 import { PLYLoader } from 'three/examples/jsm/loaders/PLYLoader.js';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { OBJLoader } from 'three/examples/jsm/loaders/OBJLoader.js';
+import { MTLLoader } from 'three/examples/jsm/loaders/MTLLoader.js';
+import { STLLoader } from 'three/examples/jsm/loaders/STLLoader.js';
+import { LASLoader } from './loaders/LASLoader.js';
+
+// Default up-axis of each format ('y' = Y-up, 'z' = Z-up).
+// glTF is Y-up by specification and OBJ is Y-up by convention; scans, CAD and LiDAR are Z-up.
+const DEFAULT_UP_AXIS = {
+    'gltf': 'y',
+    'glb': 'y',
+    'obj': 'y',
+    'ply': 'z',
+    'stl': 'z',
+    'las': 'z',
+    'laz': 'z',
+};
+const UP_AXES = ['y', 'z', 'none'];
 
 /**
  * @class ModelLoader
@@ -19,23 +36,51 @@ export class ModelLoader {
             'gltf': new GLTFLoader(),
             'glb': new GLTFLoader(),
             'ply': new PLYLoader(),
+            'obj': new OBJLoader(),
+            'stl': new STLLoader(),
+            'las': new LASLoader(),
+            'laz': new LASLoader(),
         };
+
+        // Object URLs of the sibling files (MTL, textures) of the last model.
+        // Textures keep loading after 'model:loaded', so they are only revoked on the next load.
+        this.siblingUrls = [];
+
+        // File-coordinate point placed at the scene origin, shared by every model of the scene
+        // so that models added as layers line up with the first one (e.g., two survey epochs).
+        this.sceneOrigin = null;
+
+        // Loads run one at a time, so 'model:loaded' follows the request order
+        // (a quick 'add' must never land before the slower 'replace' that precedes it).
+        this.loadQueue = Promise.resolve();
     }
 
     initialize() {
         this.eventBus.on('model:load', (payload) => {
-            if (payload.fileData) {
-                this.loadModelFromData(payload.fileData, payload.fileName);
-            } else if (payload.url) {
-                this.fetchAndLoadModel(payload.url, payload.fileName);
-            }
+            const options = {
+                files: payload.files || [],
+                upAxis: payload.upAxis || null,
+                mode: payload.mode === 'add' ? 'add' : 'replace'
+            };
+            this.loadQueue = this.loadQueue.then(() => {
+                if (payload.fileData) {
+                    return this.loadModelFromData(payload.fileData, payload.fileName, options);
+                } else if (payload.url) {
+                    return this.fetchAndLoadModel(payload.url, payload.fileName, options);
+                }
+            });
+        });
+
+        // An empty scene starts over with the next model's own center
+        this.eventBus.on('layers:changed', (payload) => {
+            if (payload.layers.length === 0) this.sceneOrigin = null;
         });
     }
 
     /**
      * ✅ FIX #4: Added try-catch wrapper for network errors
      */
-    async fetchAndLoadModel(url, fileName) {
+    async fetchAndLoadModel(url, fileName, options = {}) {
         try {
             this.logger.info(`ModelLoader: Fetching model from ${url}`);
             const response = await fetch(url);
@@ -45,7 +90,7 @@ export class ModelLoader {
             }
             
             const blob = await response.blob();
-            this.loadModelFromData(blob, fileName, url);
+            await this.loadModelFromData(blob, fileName, { ...options, originalUrl: url });
         } catch (error) {
             this.logger.error(`ModelLoader: Failed to fetch model from ${url}`, error);
             this.eventBus.emit('model:load:error', { 
@@ -59,10 +104,22 @@ export class ModelLoader {
     
     /**
      * ✅ FIX #4: Wrapped entire method in try-catch for robust error handling
+     * @param {Blob} fileData - The main model file.
+     * @param {string} fileName - The main model file name.
+     * @param {Object} [options]
+     * @param {string|null} [options.originalUrl] - The URL the model was fetched from, if any.
+     * @param {Array<File>} [options.files] - Companion files (e.g., .mtl and textures of an .obj).
+     * @param {string|null} [options.upAxis] - 'y', 'z' or 'none' (as-is); defaults by format.
+     * @param {string} [options.mode] - 'replace' (new scene) or 'add' (new layer aligned to the scene).
+     * @returns {Promise<void>} Settles once 'model:loaded' or 'model:load:error' has been emitted.
      */
-    loadModelFromData(fileData, fileName, originalUrl = null) {
+    loadModelFromData(fileData, fileName, options = {}) {
+        const { originalUrl = null, files: siblingFiles = [], mode = 'replace' } = options;
         let localUrl = null;
 
+        let settle;
+        const finished = new Promise(resolve => { settle = resolve; });
+
         try {
             // Validate inputs
             if (!fileData) {
@@ -115,6 +172,7 @@ export class ModelLoader {
                     error: error.message || 'Failed to parse model file',
                     type: 'parsing'
                 });
+                settle();
             };
 
             // Success callback
@@ -126,8 +184,20 @@ export class ModelLoader {
                     if (loadedData.scene) {
                         // GLTF/GLB format
                         model = loadedData.scene;
+                    } else if (loadedData.isObject3D) {
+                        // OBJ format (returns a Group)
+                        model = loadedData;
+                    } else if (loadedData.isBufferGeometry && this._isPointCloud(loadedData, extension)) {
+                        // LAS/LAZ and face-less PLY files (return BufferGeometry without faces)
+                        const material = new THREE.PointsMaterial({
+                            color: loadedData.hasAttribute('color') ? 0xffffff : 0xcccccc,
+                            size: 2,
+                            sizeAttenuation: false,
+                            vertexColors: loadedData.hasAttribute('color')
+                        });
+                        model = new THREE.Points(loadedData, material);
                     } else if (loadedData.isBufferGeometry) {
-                        // PLY format (returns BufferGeometry)
+                        // PLY/STL formats (return BufferGeometry)
                         const material = new THREE.MeshStandardMaterial({ 
                             color: 0xcccccc, 
                             vertexColors: loadedData.hasAttribute('color') 
@@ -137,13 +207,19 @@ export class ModelLoader {
                         throw new Error('Unknown model format returned by loader');
                     }
 
-                    // Center the model
-                    const box = new THREE.Box3().setFromObject(model);
-                    const center = box.getCenter(new THREE.Vector3());
-                    model.position.sub(center);
-                    
-                    // Rotate model (common convention: Y-up to Z-up)
-                    model.rotation.x = -Math.PI / 2;
+                    // Orient and center the model, keeping the applied transform reversible
+                    const upAxis = this._resolveUpAxis(options.upAxis, extension);
+                    // Offset already removed by the loader itself (e.g., LAS coordinates)
+                    const origin = loadedData.isBufferGeometry && loadedData.userData.origin
+                        ? [...loadedData.userData.origin]
+                        : [0, 0, 0];
+                    this._placeModel(model, upAxis, origin, mode);
+                    model.userData.transform = {
+                        upAxis,
+                        position: model.position.toArray(),
+                        rotation: [model.rotation.x, model.rotation.y, model.rotation.z],
+                        origin
+                    };
                     
                     // Set model metadata
                     model.name = fileName;
@@ -158,11 +234,14 @@ export class ModelLoader {
                         model, 
                         modelBlob: fileData,
                         fileName,
-                        fileSize: fileData.size
+                        fileSize: fileData.size,
+                        files: siblingFiles,
+                        mode
                     });
 
                     // Cleanup object URL
                     URL.revokeObjectURL(localUrl);
+                    settle();
 
                 } catch (processingError) {
                     this.logger.error(`ModelLoader: Error processing loaded model ${fileName}`, processingError);
@@ -178,11 +257,22 @@ export class ModelLoader {
                         error: processingError.message || 'Failed to process model',
                         type: 'processing'
                     });
+                    settle();
                 }
             };
 
             // Start loading
-            loader.load(localUrl, onLoad, onProgress, onError);
+            if (extension === 'obj') {
+                // Materials must be ready before the geometry is parsed
+                this._loadObjMaterials(fileData, originalUrl, siblingFiles)
+                    .then((materials) => {
+                        loader.setMaterials(materials);
+                        loader.load(localUrl, onLoad, onProgress, onError);
+                    })
+                    .catch(onError);
+            } else {
+                loader.load(localUrl, onLoad, onProgress, onError);
+            }
 
         } catch (error) {
             // Catch any synchronous errors (validation, URL creation, etc.)
@@ -203,6 +293,171 @@ export class ModelLoader {
                 error: error.message || 'Failed to load model',
                 type: 'initialization'
             });
+            settle();
+        }
+
+        return finished;
+    }
+
+    /**
+     * Picks the up-axis for a model: the requested one, or the default of its format.
+     * @param {string|null} requested - 'y', 'z', 'none' or null.
+     * @param {string} extension - The file extension.
+     * @returns {string}
+     * @private
+     */
+    _resolveUpAxis(requested, extension) {
+        if (UP_AXES.includes(requested)) {
+            return requested;
+        }
+        return DEFAULT_UP_AXIS[extension] || 'z';
+    }
+
+    /**
+     * Rotates a Z-up model to the viewer's Y-up and positions it in the scene.
+     * The first model of a scene is centered, and the file point that lands on the scene origin
+     * is remembered; models added later are placed against that same point, so files sharing a
+     * coordinate system stay aligned. 'none' keeps the file coordinates untouched.
+     * @param {THREE.Object3D} model
+     * @param {string} upAxis
+     * @param {number[]} origin - Offset already removed by the loader.
+     * @param {string} mode - 'replace' | 'add'.
+     * @private
+     */
+    _placeModel(model, upAxis, origin, mode) {
+        if (upAxis === 'z') {
+            model.rotation.x = -Math.PI / 2;
+        }
+        const rotation = new THREE.Quaternion().setFromEuler(model.rotation);
+        const fileOrigin = new THREE.Vector3(...origin);
+
+        if (upAxis !== 'none') {
+            if (mode === 'add' && this.sceneOrigin) {
+                // position = R * (origin - sceneOrigin)
+                model.position.copy(fileOrigin).sub(this.sceneOrigin).applyQuaternion(rotation);
+            } else {
+                // The center is measured after the rotation, so the model ends up centered in the scene
+                model.updateMatrixWorld(true);
+                const box = new THREE.Box3().setFromObject(model);
+                const center = box.getCenter(new THREE.Vector3());
+                model.position.sub(center);
+            }
+        }
+        model.updateMatrixWorld(true);
+
+        if (mode !== 'add' || !this.sceneOrigin) {
+            // sceneOrigin = origin - R^-1 * position
+            const offset = model.position.clone().applyQuaternion(rotation.clone().invert());
+            this.sceneOrigin = fileOrigin.sub(offset);
+        }
+    }
+
+    /**
+     * Whether a loaded geometry must be rendered as points.
+     * PLYLoader only sets an index when the file has faces.
+     * @param {THREE.BufferGeometry} geometry
+     * @param {string} extension
+     * @returns {boolean}
+     * @private
+     */
+    _isPointCloud(geometry, extension) {
+        return !!geometry.userData.isPointCloud || (extension === 'ply' && !geometry.index);
+    }
+
+    /**
+     * Loads the MTL library of an OBJ, resolving the .mtl and its textures from the
+     * sibling files (local drops) or relative to the OBJ URL (remote models).
+     * A missing or broken library is not fatal: the OBJ still loads with default materials.
+     * @param {Blob} objData - The OBJ file.
+     * @param {string|null} originalUrl - The OBJ URL, if it was fetched.
+     * @param {Array<File>} siblingFiles - Companion files.
+     * @returns {Promise<MTLLoader.MaterialCreator|null>}
+     * @private
+     */
+    async _loadObjMaterials(objData, originalUrl, siblingFiles) {
+        this._revokeSiblingUrls();
+
+        // 'mtllib' lives in the OBJ header, no need to read the whole file
+        const header = await objData.slice(0, 64 * 1024).text();
+        const libraries = [...header.matchAll(/^mtllib\s+(.+?)\s*$/gm)].map(match => match[1]);
+
+        const siblings = new Map();
+        siblingFiles.forEach(file => siblings.set(file.name.toLowerCase(), file));
+
+        // No 'mtllib' line: fall back to any .mtl that came with the OBJ
+        if (libraries.length === 0) {
+            libraries.push(...siblingFiles.filter(file => this._getFileExtension(file.name) === 'mtl').map(file => file.name));
+        }
+        if (libraries.length === 0) {
+            return null;
+        }
+
+        const manager = this._createSiblingManager(siblings);
+        const mtlLoader = new MTLLoader(manager);
+        const libraryName = libraries[0];
+
+        try {
+            let materials;
+            const localFile = siblings.get(this._getBaseName(libraryName));
+            if (localFile) {
+                materials = mtlLoader.parse(await localFile.text(), '');
+            } else if (originalUrl) {
+                materials = await mtlLoader.loadAsync(new URL(libraryName, originalUrl).href);
+            } else {
+                this.logger.warn(`ModelLoader: Material library "${libraryName}" not provided, using default materials`);
+                return null;
+            }
+
+            materials.preload();
+            this.logger.info(`ModelLoader: Loaded material library "${libraryName}"`);
+            return materials;
+        } catch (error) {
+            this.logger.warn(`ModelLoader: Failed to load material library "${libraryName}", using default materials`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Creates a LoadingManager that redirects file references (MTL, textures)
+     * to the object URLs of the matching sibling files.
+     * @param {Map<string, File>} siblings - Sibling files by lowercase name.
+     * @returns {THREE.LoadingManager}
+     * @private
+     */
+    _createSiblingManager(siblings) {
+        const urls = new Map();
+        siblings.forEach((file, name) => {
+            const url = URL.createObjectURL(file);
+            urls.set(name, url);
+            this.siblingUrls.push(url);
+        });
+
+        const manager = new THREE.LoadingManager();
+        manager.setURLModifier((url) => urls.get(this._getBaseName(url)) || url);
+        manager.onError = (url) => this.logger.warn(`ModelLoader: Could not load referenced file ${url}`);
+        return manager;
+    }
+
+    /**
+     * @private
+     */
+    _revokeSiblingUrls() {
+        this.siblingUrls.forEach(url => URL.revokeObjectURL(url));
+        this.siblingUrls = [];
+    }
+
+    /**
+     * Extracts the lowercase file name from a path or URL (handles Windows paths in MTL files).
+     * @param {string} path
+     * @returns {string}
+     * @private
+     */
+    _getBaseName(path) {
+        const name = path.split(/[\\/]/).pop() || '';
+        try {
+            return decodeURIComponent(name).toLowerCase();
+        } catch (e) {
+            return name.toLowerCase();
         }
     }
 
@@ -0,0 +1,256 @@
+// src/core/PointCloudManager.js
+import * as THREE from 'three';
+
+// Paleta ASPRS (LAS 1.4) para o modo de cor por classificação
+const CLASSIFICATION_COLORS = {
+    0: [0.6, 0.6, 0.6],   // Nunca classificado
+    1: [0.75, 0.75, 0.75], // Não classificado
+    2: [0.6, 0.4, 0.2],   // Solo
+    3: [0.6, 0.9, 0.4],   // Vegetação baixa
+    4: [0.3, 0.75, 0.2],  // Vegetação média
+    5: [0.1, 0.5, 0.1],   // Vegetação alta
+    6: [0.9, 0.35, 0.2],  // Edificação
+    7: [1.0, 0.0, 1.0],   // Ruído baixo
+    9: [0.2, 0.5, 1.0],   // Água
+    10: [0.6, 0.3, 0.6],  // Ferrovia
+    11: [0.35, 0.35, 0.35], // Superfície de via
+    13: [1.0, 0.9, 0.2],  // Fio (guarda)
+    14: [1.0, 0.8, 0.0],  // Fio (condutor)
+    15: [0.8, 0.5, 0.1],  // Torre de transmissão
+    17: [0.5, 0.5, 0.7],  // Tabuleiro de ponte
+    18: [1.0, 0.0, 0.5]   // Ruído alto
+};
+const DEFAULT_CLASS_COLOR = [0.9, 0.9, 0.9];
+
+/**
+ * @class PointCloudManager
+ * @description Gerencia a aparência das nuvens de pontos (THREE.Points) carregadas:
+ * tamanho do ponto e modo de cor (RGB, intensidade, classificação ou elevação).
+ * As configurações valem para as nuvens de todas as camadas da cena.
+ * Os atributos originais da nuvem (rgb, intensity, classification) são preservados;
+ * apenas o atributo 'color' usado na renderização é recalculado.
+ */
+export class PointCloudManager {
+    constructor(logger, eventBus) {
+        this.logger = logger;
+        this.eventBus = eventBus;
+
+        this.pointClouds = [];
+        this.pointSize = 2;
+        this.colorMode = null; // Escolhido pelos atributos disponíveis na nuvem
+
+        this._setupEventListeners();
+    }
+
+    _setupEventListeners() {
+        this.eventBus.on('layers:changed', (payload) => this._onLayersChanged(payload.layers));
+        this.eventBus.on('pointcloud:pointsize:set', (payload) => this.setPointSize(payload.size));
+        this.eventBus.on('pointcloud:colormode:set', (payload) => this.setColorMode(payload.mode));
+
+        // Persistência de projeto
+        this.eventBus.on('project:state:collect', (state) => {
+            state.settings.pointCloud = { pointSize: this.pointSize, colorMode: this.colorMode };
+        });
+        this.eventBus.on('project:state:restore', (state) => {
+            const settings = state.settings?.pointCloud;
+            if (!settings) return;
+            if (settings.pointSize) this.setPointSize(settings.pointSize);
+            if (settings.colorMode) this.setColorMode(settings.colorMode);
+        });
+    }
+
+    _onLayersChanged(layers) {
+        const pointClouds = [];
+        layers.forEach(layer => layer.model.traverse((child) => {
+            if (child.isPoints && child.geometry?.attributes.position) {
+                pointClouds.push(child);
+            }
+        }));
+
+        // Mudanças de visibilidade ou aparência das camadas não alteram as nuvens
+        const unchanged = pointClouds.length === this.pointClouds.length
+            && pointClouds.every((points, i) => points === this.pointClouds[i]);
+        if (unchanged) return;
+        this.pointClouds = pointClouds;
+
+        if (this.pointClouds.length === 0) {
+            this.eventBus.emit('pointcloud:changed', { active: false });
+            return;
+        }
+
+        this.pointClouds.filter(points => !points.userData.colorPrepared).forEach(points => this._prepare(points));
+
+        const availableModes = this.getAvailableColorModes();
+        if (!availableModes.includes(this.colorMode)) {
+            this.colorMode = availableModes[0];
+        }
+
+        this.setPointSize(this.pointSize);
+        this._applyColorMode();
+
+        const pointCount = this.pointClouds.reduce((sum, points) => sum + points.geometry.attributes.position.count, 0);
+        this.logger.info(`PointCloudManager: Nuvem de pontos com ${pointCount.toLocaleString()} pontos (modos: ${availableModes.join(', ')}).`);
+
+        this.eventBus.emit('pointcloud:changed', {
+            active: true,
+            pointCount,
+            pointSize: this.pointSize,
+            colorMode: this.colorMode,
+            availableModes
+        });
+    }
+
+    /**
+     * Guarda as cores originais em 'rgb' e garante um atributo 'color' editável.
+     * @private
+     */
+    _prepare(points) {
+        const geometry = points.geometry;
+        const count = geometry.attributes.position.count;
+
+        if (geometry.hasAttribute('color') && !geometry.hasAttribute('rgb')) {
+            geometry.setAttribute('rgb', geometry.attributes.color.clone());
+        }
+        if (!geometry.hasAttribute('color') || geometry.attributes.color.count !== count) {
+            geometry.setAttribute('color', new THREE.BufferAttribute(new Uint8Array(count * 3), 3, true));
+        }
+
+        points.material.vertexColors = true;
+        points.material.color.set(0xffffff);
+        points.material.needsUpdate = true;
+        points.userData.colorPrepared = true;
+    }
+
+    // --- PUBLIC API ---
+
+    /**
+     * Modos de cor suportados pelas nuvens atuais, do mais ao menos informativo.
+     * @returns {string[]}
+     */
+    getAvailableColorModes() {
+        const has = (name) => this.pointClouds.some(points => points.geometry.hasAttribute(name));
+        const modes = [];
+        if (has('rgb')) modes.push('rgb');
+        if (has('intensity')) modes.push('intensity');
+        if (has('classification')) modes.push('classification');
+        modes.push('elevation');
+        return modes;
+    }
+
+    /**
+     * Define o tamanho dos pontos, em pixels de tela.
+     * @param {number} size
+     */
+    setPointSize(size) {
+        const value = Number(size);
+        if (!Number.isFinite(value) || value <= 0) return;
+
+        this.pointSize = value;
+        this.pointClouds.forEach(points => {
+            points.material.size = value;
+        });
+    }
+
+    /**
+     * Define o modo de cor: 'rgb' | 'intensity' | 'classification' | 'elevation'.
+     * @param {string} mode
+     */
+    setColorMode(mode) {
+        if (this.pointClouds.length > 0 && !this.getAvailableColorModes().includes(mode)) {
+            this.logger.warn(`PointCloudManager: Modo de cor "${mode}" indisponível para esta nuvem.`);
+            return;
+        }
+        this.colorMode = mode;
+        this._applyColorMode();
+    }
+
+    /**
+     * @private
+     */
+    _applyColorMode() {
+        this.pointClouds.forEach((points) => {
+            const geometry = points.geometry;
+            const target = geometry.attributes.color;
+
+            if (this.colorMode === 'rgb' && geometry.hasAttribute('rgb')) {
+                this._copyColors(geometry.attributes.rgb, target);
+            } else if (this.colorMode === 'intensity' && geometry.hasAttribute('intensity')) {
+                this._colorByIntensity(geometry, target);
+            } else if (this.colorMode === 'classification' && geometry.hasAttribute('classification')) {
+                this._colorByClassification(geometry.attributes.classification, target);
+            } else {
+                this._colorByElevation(points, target);
+            }
+
+            target.needsUpdate = true;
+        });
+    }
+
+    /**
+     * @private
+     */
+    _copyColors(source, target) {
+        for (let i = 0; i < target.count; i++) {
+            target.setXYZ(i, source.getX(i), source.getY(i), source.getZ(i));
+        }
+    }
+
+    /**
+     * @private
+     */
+    _colorByIntensity(geometry, target) {
+        const intensity = geometry.attributes.intensity;
+        let [min, max] = geometry.userData.intensityRange || [Infinity, -Infinity];
+        if (!Number.isFinite(min) || !Number.isFinite(max)) {
+            for (let i = 0; i < intensity.count; i++) {
+                const value = intensity.getX(i);
+                if (value < min) min = value;
+                if (value > max) max = value;
+            }
+        }
+        const range = max - min || 1;
+
+        for (let i = 0; i < target.count; i++) {
+            const value = (intensity.getX(i) - min) / range;
+            target.setXYZ(i, value, value, value);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _colorByClassification(classification, target) {
+        for (let i = 0; i < target.count; i++) {
+            const color = CLASSIFICATION_COLORS[classification.getX(i)] || DEFAULT_CLASS_COLOR;
+            target.setXYZ(i, color[0], color[1], color[2]);
+        }
+    }
+
+    /**
+     * Rampa azul → verde → vermelho pela altura na cena (eixo Y do mundo).
+     * @private
+     */
+    _colorByElevation(points, target) {
+        const position = points.geometry.attributes.position;
+        points.updateWorldMatrix(true, false);
+        const e = points.matrixWorld.elements;
+
+        const heights = new Float32Array(position.count);
+        let min = Infinity;
+        let max = -Infinity;
+        for (let i = 0; i < position.count; i++) {
+            const height = e[1] * position.getX(i) + e[5] * position.getY(i) + e[9] * position.getZ(i) + e[13];
+            heights[i] = height;
+            if (height < min) min = height;
+            if (height > max) max = height;
+        }
+        const range = max - min || 1;
+
+        const color = new THREE.Color();
+        for (let i = 0; i < target.count; i++) {
+            const t = (heights[i] - min) / range;
+            color.setHSL((1 - t) * 0.66, 1, 0.5);
+            target.setXYZ(i, color.r, color.g, color.b);
+        }
+    }
+}
@@ -1,6 +1,11 @@
 // src/core/Renderer.js
 import * as THREE from 'three';
 
+// Capturas maiores que um bloco são renderizadas em blocos e montadas em um canvas 2D,
+// que os navegadores limitam a cerca de 16k pixels de lado
+const MAX_TILE_SIZE = 4096;
+const MAX_CAPTURE_SIZE = 16384;
+
 /**
  * @class Renderer
  * @description Gerencia a câmera e o loop de renderização com THREE.js.
@@ -25,7 +30,8 @@ export class Renderer {
         this.camera = new THREE.PerspectiveCamera(fov, aspect, near, far);
         this.camera.position.set(0, 5, 10);
 
-        this.webglRenderer = new THREE.WebGLRenderer({ antialias: true });
+        // Com alpha, uma captura sem fundo sai transparente
+        this.webglRenderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
         this.webglRenderer.setSize(this.container.clientWidth, this.container.clientHeight);
         this.webglRenderer.setPixelRatio(window.devicePixelRatio);
         this.container.appendChild(this.webglRenderer.domElement);
@@ -44,7 +50,8 @@ export class Renderer {
 
     _setupEventListeners() {
         this.eventBus.on('model:loaded', (payload) => {
-            this.focusOnObject(payload.model);
+            // Uma nova camada mantém a vista atual; só uma nova cena é enquadrada
+            if (payload.mode !== 'add') this.focusOnObject(payload.model);
         });
 
         this.eventBus.on('app:update', () => this.render());
@@ -69,6 +76,97 @@ export class Renderer {
     render() {
         this.webglRenderer.render(this.scene, this.camera);
     }
+
+    /**
+     * Renderiza um quadro em qualquer resolução, inclusive maior que a tela (em blocos, com
+     * setViewOffset), com outra câmera e sem as medições, a grade ou o fundo. A tela, a câmera
+     * e a cena são restauradas em seguida e o próximo quadro do loop volta à vista normal.
+     * @param {Object} [options]
+     * @param {number} [options.width] - Em pixels (padrão: o tamanho atual da tela), até MAX_CAPTURE_SIZE.
+     * @param {number} [options.height]
+     * @param {THREE.PerspectiveCamera|THREE.OrthographicCamera} [options.camera] - Padrão: a câmera da vista.
+     * @param {boolean} [options.overlays=true] - Medições locais e dos peers (objetos com userData.isOverlay).
+     * @param {boolean} [options.grid=true]
+     * @param {boolean} [options.background=true] - Sem o fundo, os pixels vazios ficam transparentes.
+     * @returns {HTMLCanvasElement}
+     */
+    captureCanvas({ width, height, camera = this.camera, overlays = true, grid = true, background = true } = {}) {
+        const size = this.webglRenderer.getSize(new THREE.Vector2());
+        const pixelRatio = this.webglRenderer.getPixelRatio();
+        width = Math.round(width || size.x * pixelRatio);
+        height = Math.round(height || size.y * pixelRatio);
+        if (width > MAX_CAPTURE_SIZE || height > MAX_CAPTURE_SIZE) {
+            throw new Error(`A imagem pode ter no máximo ${MAX_CAPTURE_SIZE} pixels de lado`);
+        }
+
+        const hidden = this.scene.children.filter(child => child.visible
+            && ((!overlays && child.userData.isOverlay) || (!grid && child.name === 'grid')));
+        const sceneBackground = this.scene.background;
+        const clearAlpha = this.webglRenderer.getClearAlpha();
+        const aspect = camera.aspect;
+
+        // Pontos com tamanho fixo em pixels crescem com a resolução, para a nuvem não ficar rala
+        const pointScale = Math.max(1, width / (size.x * pixelRatio));
+        const pointMaterials = [];
+        this.scene.traverseVisible(object => {
+            const material = object.material;
+            if (object.isPoints && material?.isPointsMaterial && !material.sizeAttenuation && !pointMaterials.some(([m]) => m === material)) {
+                pointMaterials.push([material, material.size]);
+            }
+        });
+
+        const output = document.createElement('canvas');
+        output.width = width;
+        output.height = height;
+        const context = output.getContext('2d');
+        const tile = Math.min(MAX_TILE_SIZE, this.webglRenderer.capabilities.maxTextureSize);
+
+        try {
+            hidden.forEach(object => { object.visible = false; });
+            if (!background) {
+                this.scene.background = null;
+                this.webglRenderer.setClearAlpha(0);
+            }
+            pointMaterials.forEach(([material, pointSize]) => { material.size = pointSize * pointScale; });
+            this.webglRenderer.setPixelRatio(1);
+
+            for (let y = 0; y < height; y += tile) {
+                for (let x = 0; x < width; x += tile) {
+                    const w = Math.min(tile, width - x);
+                    const h = Math.min(tile, height - y);
+                    this.webglRenderer.setSize(w, h, false);
+                    camera.setViewOffset(width, height, x, y, w, h);
+                    this.webglRenderer.render(this.scene, camera);
+                    // Copiado logo após o render: o buffer ainda não foi limpo (preserveDrawingBuffer é falso)
+                    context.drawImage(this.webglRenderer.domElement, 0, 0, w, h, x, y, w, h);
+                }
+            }
+            return output;
+        } finally {
+            camera.clearViewOffset();
+            if (camera.isPerspectiveCamera) {
+                camera.aspect = aspect;
+                camera.updateProjectionMatrix();
+            }
+            hidden.forEach(object => { object.visible = true; });
+            this.scene.background = sceneBackground;
+            this.webglRenderer.setClearAlpha(clearAlpha);
+            pointMaterials.forEach(([material, pointSize]) => { material.size = pointSize; });
+            this.webglRenderer.setPixelRatio(pixelRatio);
+            this.webglRenderer.setSize(size.x, size.y, false);
+        }
+    }
+
+    /**
+     * Como captureCanvas, mas devolve a imagem.
+     * @param {Object} [options] - As de captureCanvas, mais:
+     * @param {string} [options.type='image/png'] - Formato da imagem (ex.: 'image/jpeg').
+     * @param {number} [options.quality] - Qualidade de 0 a 1, para JPEG.
+     * @returns {string} A imagem como data URL.
+     */
+    capture({ type = 'image/png', quality, ...options } = {}) {
+        return this.captureCanvas(options).toDataURL(type, quality);
+    }
     
     _onWindowResize() {
         this.camera.aspect = this.container.clientWidth / this.container.clientHeight;
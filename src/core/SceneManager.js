@@ -10,8 +10,6 @@ export class SceneManager {
         this.logger = logger;
         this.eventBus = eventBus;
         this.scene = null;
-
-        this._setupEventListeners();
     }
 
     initialize() {
@@ -29,12 +27,6 @@ export class SceneManager {
         };
     }
 
-    _setupEventListeners() {
-        this.eventBus.on('model:loaded', (payload) => {
-            this.addObject(payload.model);
-        });
-    }
-
     _setupLights() {
         const ambientLight = new THREE.AmbientLight(0xffffff, 0.8);
         this.scene.add(ambientLight);
@@ -45,22 +37,44 @@ export class SceneManager {
 
     _setupHelpers() {
         const gridHelper = new THREE.GridHelper(100, 100, 0xcccccc, 0x777777);
+        gridHelper.name = 'grid'; // Pode ser omitida nas capturas (Renderer.captureCanvas)
         this.scene.add(gridHelper);
     }
 
+    /**
+     * Adiciona um objeto à cena. Os modelos chegam aqui pelo LayerManager, já envolvidos
+     * em suas camadas; a cena pode ter vários modelos ao mesmo tempo.
+     * @param {THREE.Object3D} object
+     */
     addObject(object) {
         if (object) {
-            // Limpa a cena antes de adicionar um novo objeto para evitar sobreposição
-            for (let i = this.scene.children.length - 1; i >= 0; i--) {
-                const child = this.scene.children[i];
-                if (child.isMesh) {
-                    this.scene.remove(child);
-                }
-            }
             this.scene.add(object);
             this.logger.info(`SceneManager: Objeto "${object.name}" adicionado à cena.`);
         } else {
             this.logger.warn('SceneManager: Tentativa de adicionar um objeto inválido à cena.');
         }
     }
+
+    /**
+     * Remove um objeto da cena e libera geometrias, materiais e texturas.
+     * @param {THREE.Object3D} object
+     */
+    removeObject(object) {
+        if (!object) return;
+
+        this.scene.remove(object);
+        object.traverse((child) => {
+            child.geometry?.dispose();
+            if (child.material) {
+                const materials = Array.isArray(child.material) ? child.material : [child.material];
+                materials.forEach(material => {
+                    Object.values(material).forEach(value => {
+                        if (value?.isTexture) value.dispose();
+                    });
+                    material.dispose();
+                });
+            }
+        });
+        this.logger.info(`SceneManager: Objeto "${object.name}" removido da cena.`);
+    }
 }
\ No newline at end of file
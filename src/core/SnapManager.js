@@ -0,0 +1,219 @@
+// src/core/SnapManager.js
+import * as THREE from 'three';
+
+// Modos de snap, em ordem de prioridade (o primeiro dentro do raio vence)
+const SNAP_MODES = ['measurement', 'vertex', 'midpoint', 'edge'];
+
+const MARKER_STYLES = {
+    measurement: { color: '#ff44ff', shape: 'circle' },
+    vertex: { color: '#33ff66', shape: 'square' },
+    midpoint: { color: '#33ddff', shape: 'triangle' },
+    edge: { color: '#ffdd33', shape: 'cross' }
+};
+
+/**
+ * @class SnapManager
+ * @description Atração do ponto selecionado (snap) para elementos próximos do cursor:
+ * pontos de medições existentes, vértices da malha, pontos médios de arestas e o ponto mais
+ * próximo sobre uma aresta. A busca é feita no triângulo atingido pelo raio (sem raycasts
+ * extras), e um candidato só vale se estiver a até 'pixelRadius' pixels do cursor na tela.
+ * O InteractionController consulta snap() no clique e na pré-visualização; o ponto atraído
+ * segue para as ferramentas pelo mesmo 'measurement:point:selected'.
+ * Os pontos de medições são pedidos com 'snap:targets:collect' ({points: []}, preenchido
+ * de forma síncrona por quem os tem).
+ */
+export class SnapManager {
+    constructor(scene, camera, domElement, logger, eventBus) {
+        this.scene = scene;
+        this.camera = camera;
+        this.domElement = domElement;
+        this.logger = logger;
+        this.eventBus = eventBus;
+
+        this.pixelRadius = 12;
+        this.modes = { measurement: true, vertex: true, midpoint: true, edge: false };
+
+        this.marker = this._createMarker();
+        this.scene.add(this.marker);
+
+        this._setupEventListeners();
+    }
+
+    _setupEventListeners() {
+        this.eventBus.on('snap:mode:toggle', ({ mode }) => this.setMode(mode, !this.modes[mode]));
+        this.eventBus.on('tool:changed', () => this.showMarker(null));
+
+        // Persistência de projeto
+        this.eventBus.on('project:state:collect', (state) => {
+            state.settings.snap = { ...this.modes };
+        });
+        this.eventBus.on('project:state:restore', (state) => {
+            const modes = state.settings?.snap;
+            if (!modes) return;
+            SNAP_MODES.forEach(mode => {
+                if (typeof modes[mode] === 'boolean') this.modes[mode] = modes[mode];
+            });
+            this._emitModesChanged();
+        });
+
+        // Estado inicial dos botões
+        this._emitModesChanged();
+    }
+
+    // --- PUBLIC API ---
+
+    /**
+     * Liga ou desliga um modo de snap.
+     * @param {'measurement'|'vertex'|'midpoint'|'edge'} mode
+     * @param {boolean} enabled
+     */
+    setMode(mode, enabled) {
+        if (!SNAP_MODES.includes(mode)) {
+            this.logger.warn(`SnapManager: Modo de snap desconhecido "${mode}".`);
+            return;
+        }
+        this.modes[mode] = !!enabled;
+        this.logger.info(`SnapManager: Snap "${mode}" ${enabled ? 'ligado' : 'desligado'}.`);
+        this._emitModesChanged();
+    }
+
+    /**
+     * Procura o alvo de snap mais adequado para uma interseção.
+     * @param {THREE.Intersection} intersection - Resultado do raycast sob o cursor.
+     * @param {THREE.Vector2} mouse - Posição do cursor em coordenadas normalizadas (-1 a 1).
+     * @returns {{point: THREE.Vector3, type: string}|null} null quando nada está dentro do raio.
+     */
+    snap(intersection, mouse) {
+        if (!SNAP_MODES.some(mode => this.modes[mode])) return null;
+
+        const rect = this.domElement.getBoundingClientRect();
+        const screen = new THREE.Vector3();
+        const pixelDistance = (point) => {
+            screen.copy(point).project(this.camera);
+            return Math.hypot((screen.x - mouse.x) * rect.width / 2, (screen.y - mouse.y) * rect.height / 2);
+        };
+
+        const candidates = this._getCandidates(intersection);
+        for (const mode of SNAP_MODES) {
+            if (!this.modes[mode]) continue;
+
+            let best = null, bestDistance = this.pixelRadius;
+            candidates[mode].forEach(point => {
+                const distance = pixelDistance(point);
+                if (distance <= bestDistance) {
+                    best = point;
+                    bestDistance = distance;
+                }
+            });
+            if (best) return { point: best.clone(), type: mode };
+        }
+        return null;
+    }
+
+    /**
+     * Mostra o marcador de pré-visualização sobre um alvo de snap, ou o esconde.
+     * @param {{point: THREE.Vector3, type: string}|null} target
+     */
+    showMarker(target) {
+        this.marker.visible = !!target;
+        if (!target) return;
+        this.marker.position.copy(target.point);
+        this.marker.material = this.markerMaterials[target.type];
+    }
+
+    // --- PRIVATE HELPERS ---
+
+    /**
+     * Pontos candidatos de cada modo, no referencial do mundo.
+     * @private
+     */
+    _getCandidates(intersection) {
+        const candidates = { measurement: [], vertex: [], midpoint: [], edge: [] };
+
+        if (this.modes.measurement) {
+            const targets = { points: [] };
+            this.eventBus.emit('snap:targets:collect', targets);
+            candidates.measurement = targets.points;
+        }
+
+        const { object, face } = intersection;
+        if (!object?.isMesh || !face) return candidates;
+
+        const position = object.geometry.attributes.position;
+        object.updateWorldMatrix(true, false);
+        const corners = [face.a, face.b, face.c].map(index =>
+            new THREE.Vector3().fromBufferAttribute(position, index).applyMatrix4(object.matrixWorld));
+
+        candidates.vertex = corners;
+        const edge = new THREE.Line3();
+        corners.forEach((start, i) => {
+            edge.set(start, corners[(i + 1) % 3]);
+            candidates.midpoint.push(edge.getCenter(new THREE.Vector3()));
+            candidates.edge.push(edge.closestPointToPoint(intersection.point, true, new THREE.Vector3()));
+        });
+        return candidates;
+    }
+
+    /**
+     * Marcador de tamanho constante na tela (sprite sem atenuação), com um material por modo.
+     * @private
+     */
+    _createMarker() {
+        this.markerMaterials = {};
+        Object.entries(MARKER_STYLES).forEach(([mode, style]) => {
+            this.markerMaterials[mode] = new THREE.SpriteMaterial({
+                map: this._drawMarkerTexture(style),
+                sizeAttenuation: false,
+                depthTest: false,
+                depthWrite: false
+            });
+        });
+
+        const marker = new THREE.Sprite(this.markerMaterials.vertex);
+        marker.name = 'snap-marker';
+        marker.scale.set(0.035, 0.035, 1);
+        marker.renderOrder = 1001;
+        marker.visible = false;
+        return marker;
+    }
+
+    /**
+     * @private
+     */
+    _drawMarkerTexture({ color, shape }) {
+        const size = 64;
+        const canvas = document.createElement('canvas');
+        canvas.width = canvas.height = size;
+        const ctx = canvas.getContext('2d');
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 6;
+
+        const m = 10; // Margem
+        ctx.beginPath();
+        if (shape === 'circle') {
+            ctx.arc(size / 2, size / 2, size / 2 - m, 0, Math.PI * 2);
+        } else if (shape === 'square') {
+            ctx.rect(m, m, size - 2 * m, size - 2 * m);
+        } else if (shape === 'triangle') {
+            ctx.moveTo(size / 2, m);
+            ctx.lineTo(size - m, size - m);
+            ctx.lineTo(m, size - m);
+            ctx.closePath();
+        } else {
+            ctx.moveTo(m, m);
+            ctx.lineTo(size - m, size - m);
+            ctx.moveTo(size - m, m);
+            ctx.lineTo(m, size - m);
+        }
+        ctx.stroke();
+
+        return new THREE.CanvasTexture(canvas);
+    }
+
+    /**
+     * @private
+     */
+    _emitModesChanged() {
+        this.eventBus.emit('snap:modes:changed', { modes: { ...this.modes } });
+    }
+}
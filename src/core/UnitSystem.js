@@ -0,0 +1,136 @@
+// src/core/UnitSystem.js
+import {
+    DEFAULT_UNIT_SETTINGS,
+    UNIT_PRESETS,
+    normalizeUnitSettings,
+    formatLength,
+    formatArea,
+    formatVolume,
+    formatAngle,
+    unitLabel,
+    lengthUnitFactor
+} from '../utils/Units.js';
+
+/**
+ * @class UnitSystem
+ * @description Unidades e precisão usadas para apresentar as medições.
+ * As medições continuam calculadas e armazenadas em metros (referencial da cena); só os
+ * rótulos, o painel e as exportações convertem, com as funções de utils/Units.js.
+ * Mudanças chegam por 'units:settings:set' (parciais, ou um 'preset' do sistema de unidades)
+ * e são avisadas com 'units:changed', que faz os rótulos locais e remotos serem redesenhados.
+ * A escala (metros por unidade da cena) vem da calibração de modelos sem escala (módulo
+ * Calibration) e não é salva aqui: ela acompanha o modelo.
+ */
+export class UnitSystem {
+    constructor(logger, eventBus) {
+        this.logger = logger;
+        this.eventBus = eventBus;
+
+        this.settings = normalizeUnitSettings(DEFAULT_UNIT_SETTINGS);
+        this.scale = 1; // Metros por unidade da cena
+
+        this._setupEventListeners();
+    }
+
+    _setupEventListeners() {
+        this.eventBus.on('units:settings:set', (payload) => this.setSettings(payload));
+
+        // Persistência de projeto
+        this.eventBus.on('project:state:collect', (state) => {
+            state.settings.units = structuredClone(this.settings);
+        });
+        this.eventBus.on('project:state:restore', (state) => {
+            if (state.settings?.units) this.setSettings(state.settings.units);
+        });
+    }
+
+    /**
+     * Aplica uma mudança parcial. Com 'preset', as unidades de comprimento, área e volume
+     * seguem o sistema escolhido (as demais opções podem vir junto).
+     * @param {Object} changes - Ex.: { preset: 'imperial' }, { decimals: 3 }, { custom: { label, factor } }.
+     */
+    setSettings(changes = {}) {
+        const { preset, ...rest } = changes;
+        const presetUnits = UNIT_PRESETS[preset] || {};
+        const next = normalizeUnitSettings({
+            ...this.settings,
+            ...presetUnits,
+            ...rest,
+            custom: { ...this.settings.custom, ...rest.custom }
+        });
+
+        if (JSON.stringify(next) === JSON.stringify(this.settings)) return;
+
+        this.settings = next;
+        this.logger.info(`UnitSystem: Units set to ${next.length}/${next.area}/${next.volume}, ${next.decimals} decimals, angles in ${next.angle}.`);
+        this._notify();
+    }
+
+    /**
+     * Define quantos metros vale uma unidade da cena (1 para modelos já em escala).
+     * @param {number} scale
+     */
+    setScale(scale) {
+        const next = Number.isFinite(scale) && scale > 0 ? scale : 1;
+        if (next === this.scale) return;
+
+        this.scale = next;
+        this.logger.info(`UnitSystem: Scene scale set to ${next} m per unit.`);
+        this._notify();
+    }
+
+    /**
+     * Configurações com a escala, no formato esperado pelas funções de utils/Units.js.
+     * @returns {Object}
+     */
+    getSettings() {
+        return { ...structuredClone(this.settings), scale: this.scale };
+    }
+
+    /**
+     * Sistema de unidades que corresponde às configurações atuais, ou null se foram misturadas.
+     * @returns {string|null}
+     */
+    getPreset() {
+        const { length, area, volume } = this.settings;
+        const match = Object.entries(UNIT_PRESETS)
+            .find(([, p]) => p.length === length && p.area === area && p.volume === volume);
+        return match ? match[0] : null;
+    }
+
+    // Comprimentos, áreas e volumes em unidades da cena
+
+    formatLength(length, options) {
+        return formatLength(length, this.getSettings(), options);
+    }
+
+    formatArea(area, options) {
+        return formatArea(area, this.getSettings(), options);
+    }
+
+    formatVolume(volume, options) {
+        return formatVolume(volume, this.getSettings(), options);
+    }
+
+    formatAngle(degrees) {
+        return formatAngle(degrees, this.settings);
+    }
+
+    unitLabel(quantity) {
+        return unitLabel(quantity, this.settings);
+    }
+
+    /**
+     * @returns {number} Metros por unidade de comprimento exibida (para ler valores digitados).
+     */
+    lengthUnitFactor() {
+        return lengthUnitFactor(this.settings);
+    }
+
+    /**
+     * @private
+     */
+    _notify() {
+        this.eventBus.emit('units:changed', { settings: this.getSettings() });
+    }
+}
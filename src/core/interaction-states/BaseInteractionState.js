@@ -26,6 +26,16 @@ export class BaseInteractionState {
         // Implementado por classes filhas
     }
 
+    /** Lida com o pressionamento de um botão do mouse na cena. */
+    onMouseDown(event, interactionController) {
+        // Implementado por classes filhas
+    }
+
+    /** Lida com a liberação de um botão do mouse (mesmo fora da cena). */
+    onMouseUp(event, interactionController) {
+        // Implementado por classes filhas
+    }
+
     /** Lida com o movimento do mouse. */
     onMouseMove(point, interactionController) {
         // Implementado por classes filhas
@@ -0,0 +1,70 @@
+import { BaseInteractionState } from './BaseInteractionState.js';
+
+/**
+ * @class EditMeasurementState
+ * @description Estado para corrigir medições finalizadas: pressionar o botão sobre um ponto
+ * de uma medição o agarra, e arrastar o move sobre a superfície dos modelos (com snap).
+ * A busca do ponto é pedida com 'measurement:edit:pick' (preenchido de forma síncrona por
+ * quem tem as medições); o arraste segue com 'measurement:edit:move' e termina com
+ * 'measurement:edit:end', ou com 'measurement:edit:cancel' (ESC), que devolve o ponto.
+ */
+export class EditMeasurementState extends BaseInteractionState {
+    constructor(eventBus) {
+        super('edit', eventBus);
+        this.pickTolerance = 10; // Distância máxima, em pixels de tela, para agarrar um ponto
+        this.dragging = false;
+    }
+
+    onExit(interactionController) {
+        if (this.dragging) this._endDrag('measurement:edit:end', interactionController);
+        super.onExit(interactionController);
+    }
+
+    onMouseDown(event, interactionController) {
+        if (event.button !== 0) return;
+
+        const pick = {
+            camera: interactionController.camera,
+            mouse: interactionController.mouse.clone(),
+            rect: interactionController.domElement.getBoundingClientRect(),
+            tolerance: this.pickTolerance,
+            target: null
+        };
+        this.eventBus.emit('measurement:edit:pick', pick);
+        if (!pick.target) return;
+
+        this.dragging = true;
+        interactionController.setCursor('grabbing');
+    }
+
+    onMouseMove(point, interactionController) {
+        if (!this.dragging) return;
+
+        // Fora dos modelos o ponto fica onde estava
+        const intersection = interactionController.pickSnappedIntersection();
+        if (intersection) {
+            this.eventBus.emit('measurement:edit:move', { point: intersection.point.clone() });
+        }
+    }
+
+    onMouseUp(event, interactionController) {
+        if (this.dragging) this._endDrag('measurement:edit:end', interactionController);
+    }
+
+    onKeyDown(event, interactionController) {
+        if (event.key === 'Escape' && this.dragging) {
+            this._endDrag('measurement:edit:cancel', interactionController);
+        }
+    }
+
+    getCursor() {
+        return 'pointer';
+    }
+
+    /** @private */
+    _endDrag(eventName, interactionController) {
+        this.dragging = false;
+        interactionController.setCursor(this.getCursor());
+        this.eventBus.emit(eventName);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,96 @@
+// src/core/loaders/LASLoader.js
+import * as THREE from 'three';
+
+// Importamos a URL do worker, e não o worker em si ('worker&url' empacota o laz-perf junto no build).
+import LASWorkerUrl from './workers/las.worker.js?worker&url';
+
+/**
+ * @class LASLoader
+ * @description Three.js loader for LAS/LAZ point clouds.
+ * Parsing (and LAZ decompression) runs in a Web Worker; the result is a BufferGeometry with:
+ *   - position       (Float32, relative to geometry.userData.origin)
+ *   - color          (Uint8 normalized, only when the point format has RGB)
+ *   - intensity      (Uint16, raw LAS values; range in geometry.userData.intensityRange)
+ *   - classification (Uint8, ASPRS classes)
+ * geometry.userData.isPointCloud is set so the ModelLoader renders it as THREE.Points.
+ */
+export class LASLoader extends THREE.Loader {
+    constructor(manager) {
+        super(manager);
+
+        // Larger clouds are uniformly subsampled to keep the viewer responsive
+        this.maxPoints = 10000000;
+    }
+
+    load(url, onLoad, onProgress, onError) {
+        const loader = new THREE.FileLoader(this.manager);
+        loader.setPath(this.path);
+        loader.setResponseType('arraybuffer');
+        loader.setRequestHeader(this.requestHeader);
+        loader.setWithCredentials(this.withCredentials);
+
+        loader.load(url, (buffer) => {
+            this.parse(buffer)
+                .then(onLoad)
+                .catch((error) => {
+                    if (onError) {
+                        onError(error);
+                    } else {
+                        console.error(error);
+                    }
+                    this.manager.itemError(url);
+                });
+        }, onProgress, onError);
+    }
+
+    /**
+     * Parses a LAS/LAZ file.
+     * @param {ArrayBuffer} buffer - The file contents (transferred to the worker).
+     * @returns {Promise<THREE.BufferGeometry>}
+     */
+    parse(buffer) {
+        return new Promise((resolve, reject) => {
+            const worker = new Worker(LASWorkerUrl, { type: 'module' });
+
+            worker.onmessage = (e) => {
+                worker.terminate();
+
+                if (e.data.status === 'error') {
+                    reject(new Error(e.data.error));
+                    return;
+                }
+
+                resolve(this._createGeometry(e.data));
+            };
+
+            worker.onerror = (err) => {
+                worker.terminate();
+                reject(new Error(err.message || 'LAS worker failed'));
+            };
+
+            worker.postMessage({ buffer, maxPoints: this.maxPoints }, [buffer]);
+        });
+    }
+
+    /**
+     * @private
+     */
+    _createGeometry(data) {
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(data.positions, 3));
+        geometry.setAttribute('intensity', new THREE.BufferAttribute(data.intensity, 1));
+        geometry.setAttribute('classification', new THREE.BufferAttribute(data.classification, 1));
+        if (data.colors) {
+            geometry.setAttribute('color', new THREE.BufferAttribute(data.colors, 3, true));
+        }
+        geometry.computeBoundingBox();
+        geometry.computeBoundingSphere();
+
+        geometry.userData.isPointCloud = true;
+        geometry.userData.origin = data.origin;
+        geometry.userData.intensityRange = data.intensityRange;
+        geometry.userData.lasHeader = data.header;
+
+        return geometry;
+    }
+}
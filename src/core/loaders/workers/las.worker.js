@@ -0,0 +1,182 @@
+import { createLazPerf } from 'laz-perf/lib/worker/index.js';
+import lazPerfWasmUrl from 'laz-perf/lib/worker/laz-perf.wasm?url';
+import { WorkerLogger } from '../../../utils/WorkerLogger.js';
+
+// Deslocamento do RGB dentro do registro de ponto, por formato (LAS 1.0 - 1.4)
+const RGB_OFFSETS = { 2: 20, 3: 28, 5: 28, 7: 30, 8: 30, 10: 30 };
+
+/**
+ * @class LASParser
+ * @description Lê arquivos LAS (e LAZ, via laz-perf) e devolve arrays prontos para uma BufferGeometry.
+ * As coordenadas são devolvidas relativas ao centro da nuvem (origin) para não perder precisão em Float32.
+ */
+class LASParser {
+    constructor(logger) {
+        this.logger = logger;
+    }
+
+    parseHeader(buffer) {
+        const view = new DataView(buffer);
+        const signature = String.fromCharCode(...new Uint8Array(buffer, 0, 4));
+        if (signature !== 'LASF') {
+            throw new Error('Arquivo LAS inválido (assinatura LASF ausente)');
+        }
+
+        const versionMajor = view.getUint8(24);
+        const versionMinor = view.getUint8(25);
+        const rawFormat = view.getUint8(104);
+
+        let pointCount = view.getUint32(107, true);
+        if (versionMajor === 1 && versionMinor >= 4 && pointCount === 0) {
+            pointCount = Number(view.getBigUint64(247, true));
+        }
+
+        return {
+            version: `${versionMajor}.${versionMinor}`,
+            pointDataOffset: view.getUint32(96, true),
+            pointFormat: rawFormat & 0x3f,
+            compressed: (rawFormat & 0x80) !== 0,
+            pointRecordLength: view.getUint16(105, true),
+            pointCount,
+            scale: [view.getFloat64(131, true), view.getFloat64(139, true), view.getFloat64(147, true)],
+            offset: [view.getFloat64(155, true), view.getFloat64(163, true), view.getFloat64(171, true)],
+            max: [view.getFloat64(179, true), view.getFloat64(195, true), view.getFloat64(211, true)],
+            min: [view.getFloat64(187, true), view.getFloat64(203, true), view.getFloat64(219, true)]
+        };
+    }
+
+    async parse(buffer, maxPoints) {
+        const header = this.parseHeader(buffer);
+        const stride = Math.max(1, Math.ceil(header.pointCount / maxPoints));
+        const count = Math.ceil(header.pointCount / stride);
+
+        this.logger.info(`LASParser: LAS ${header.version}, formato ${header.pointFormat}, ${header.pointCount} pontos` +
+            (header.compressed ? ' (LAZ)' : '') + (stride > 1 ? `, amostrando 1 a cada ${stride}` : ''));
+
+        const origin = [0, 1, 2].map(i => (header.min[i] + header.max[i]) / 2);
+        const rgbOffset = RGB_OFFSETS[header.pointFormat];
+        const classificationOffset = header.pointFormat >= 6 ? 16 : 15;
+
+        const positions = new Float32Array(count * 3);
+        const intensity = new Uint16Array(count);
+        const classification = new Uint8Array(count);
+        const rgb16 = rgbOffset !== undefined ? new Uint16Array(count * 3) : null;
+
+        let loaded = 0;
+        let maxChannel = 0;
+        let intensityMin = Infinity;
+        let intensityMax = -Infinity;
+
+        const readPoint = (view, base, index) => {
+            if (index % stride !== 0 || loaded >= count) return;
+
+            for (let axis = 0; axis < 3; axis++) {
+                const value = view.getInt32(base + axis * 4, true) * header.scale[axis] + header.offset[axis];
+                positions[loaded * 3 + axis] = value - origin[axis];
+            }
+
+            const pointIntensity = view.getUint16(base + 12, true);
+            intensity[loaded] = pointIntensity;
+            if (pointIntensity < intensityMin) intensityMin = pointIntensity;
+            if (pointIntensity > intensityMax) intensityMax = pointIntensity;
+
+            const pointClass = view.getUint8(base + classificationOffset);
+            classification[loaded] = header.pointFormat >= 6 ? pointClass : pointClass & 0x1f;
+
+            if (rgb16) {
+                for (let channel = 0; channel < 3; channel++) {
+                    const value = view.getUint16(base + rgbOffset + channel * 2, true);
+                    rgb16[loaded * 3 + channel] = value;
+                    if (value > maxChannel) maxChannel = value;
+                }
+            }
+            loaded++;
+        };
+
+        if (header.compressed) {
+            await this._readCompressedPoints(buffer, header, readPoint);
+        } else {
+            const view = new DataView(buffer);
+            for (let i = 0; i < header.pointCount; i++) {
+                readPoint(view, header.pointDataOffset + i * header.pointRecordLength, i);
+            }
+        }
+
+        // RGB pode vir em 8 ou 16 bits por canal, dependendo de quem gerou o arquivo
+        let colors = null;
+        if (rgb16) {
+            const shift = maxChannel > 255 ? 8 : 0;
+            colors = new Uint8Array(loaded * 3);
+            for (let i = 0; i < loaded * 3; i++) {
+                colors[i] = rgb16[i] >> shift;
+            }
+        }
+
+        return {
+            positions: loaded === count ? positions : positions.slice(0, loaded * 3),
+            colors,
+            intensity: loaded === count ? intensity : intensity.slice(0, loaded),
+            classification: loaded === count ? classification : classification.slice(0, loaded),
+            intensityRange: loaded > 0 ? [intensityMin, intensityMax] : [0, 0],
+            origin,
+            header: {
+                version: header.version,
+                pointFormat: header.pointFormat,
+                compressed: header.compressed,
+                pointCount: header.pointCount,
+                loadedCount: loaded
+            }
+        };
+    }
+
+    async _readCompressedPoints(buffer, header, readPoint) {
+        const LazPerf = await createLazPerf({ locateFile: () => lazPerfWasmUrl });
+        const bytes = new Uint8Array(buffer);
+
+        const filePointer = LazPerf._malloc(bytes.byteLength);
+        const laszip = new LazPerf.LASZip();
+        let dataPointer = 0;
+
+        try {
+            LazPerf.HEAPU8.set(bytes, filePointer);
+            laszip.open(filePointer, bytes.byteLength);
+
+            const pointLength = laszip.getPointLength();
+            dataPointer = LazPerf._malloc(pointLength);
+            const record = new Uint8Array(pointLength);
+            const view = new DataView(record.buffer);
+
+            for (let i = 0; i < header.pointCount; i++) {
+                laszip.getPoint(dataPointer);
+                // O HEAP pode ser realocado pelo WASM, então é lido a cada ponto
+                record.set(LazPerf.HEAPU8.subarray(dataPointer, dataPointer + pointLength));
+                readPoint(view, 0, i);
+            }
+        } finally {
+            laszip.delete();
+            if (dataPointer) LazPerf._free(dataPointer);
+            LazPerf._free(filePointer);
+        }
+    }
+}
+// --- FIM DA CLASSE ---
+
+
+// --- PONTO DE ENTRADA DO WORKER ---
+self.onmessage = async (e) => {
+    const { buffer, maxPoints } = e.data;
+    const logger = new WorkerLogger();
+
+    try {
+        const parser = new LASParser(logger);
+        const result = await parser.parse(buffer, maxPoints);
+
+        const transferable = [result.positions.buffer, result.intensity.buffer, result.classification.buffer];
+        if (result.colors) transferable.push(result.colors.buffer);
+
+        self.postMessage({ status: 'success', ...result }, transferable);
+    } catch (error) {
+        logger.error('Erro no LAS Worker', error);
+        self.postMessage({ status: 'error', error: error.message });
+    }
+};
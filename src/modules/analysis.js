@@ -0,0 +1,95 @@
+// src/modules/analysis.js (Coordinator File)
+
+import * as THREE from 'three';
+import { ChangeDetection } from './analysis/ChangeDetection.js';
+import { MeshStatistics } from './analysis/MeshStatistics.js';
+import { TerrainProfile } from './analysis/TerrainProfile.js';
+import { ContourLines } from './analysis/ContourLines.js';
+
+/**
+ * @class Analysis
+ * @description
+ * Orchestrator for the analyses that compare or derive data from whole layers
+ * (as opposed to the measurements, which work on picked points).
+ * Keeps the current layer list from 'layers:changed' and routes the UI requests
+ * to the specialized modules.
+ */
+export class Analysis {
+    constructor(scene, logger, eventBus, coordinateSystem, units) {
+        this.scene = scene;
+        this.logger = logger;
+        this.eventBus = eventBus;
+        this.coordinateSystem = coordinateSystem;
+        this.units = units;
+
+        this.layers = [];
+        this.currentModel = null; // Last loaded model, the one shown in the model info section
+
+        // A group to hold all analysis visuals in the scene
+        this.analysisGroup = new THREE.Group();
+        this.analysisGroup.name = 'analysis';
+        this.scene.add(this.analysisGroup);
+
+        this.changeDetection = new ChangeDetection(this.analysisGroup, logger, eventBus, coordinateSystem);
+        this.meshStatistics = new MeshStatistics(logger, eventBus);
+        this.terrainProfile = new TerrainProfile(this.analysisGroup, logger, eventBus, coordinateSystem, units);
+        this.contourLines = new ContourLines(this.analysisGroup, logger, eventBus, coordinateSystem);
+
+        this._setupEventListeners();
+
+        this.logger.info('Analysis Module: Initialized (Coordinator Pattern)');
+    }
+
+    /**
+     * @private
+     */
+    _setupEventListeners() {
+        this.eventBus.on('layers:changed', ({ layers }) => {
+            this.layers = layers;
+            this.changeDetection.syncLayers(layers);
+            this.meshStatistics.syncLayers(layers);
+            this.terrainProfile.syncLayers(layers);
+            this.contourLines.syncLayers(layers);
+        });
+        this.eventBus.on('model:loaded', ({ model }) => {
+            this.currentModel = model;
+            this.meshStatistics.clear();
+        });
+
+        // --- Change detection (distance heatmap between two layers) ---
+        this.eventBus.on('analysis:change:run', ({ sourceId, targetId, maxDistance }) => {
+            this.changeDetection.run(this._getLayer(sourceId), this._getLayer(targetId), maxDistance);
+        });
+        this.eventBus.on('analysis:change:limit', ({ limit }) => this.changeDetection.setLimit(limit));
+        this.eventBus.on('analysis:change:visibility', ({ visible }) => this.changeDetection.setVisible(visible));
+        this.eventBus.on('analysis:change:export', () => this.changeDetection.exportPly());
+        this.eventBus.on('analysis:change:clear', () => this.changeDetection.clear());
+
+        // --- Terrain profile (the path is picked with the 'profile' tool) ---
+        this.eventBus.on('analysis:profile:spacing', ({ spacing }) => this.terrainProfile.setSpacing(spacing));
+        this.eventBus.on('analysis:profile:hover', ({ index }) => this.terrainProfile.showSample(index));
+        this.eventBus.on('analysis:profile:export', () => this.terrainProfile.exportCsv());
+        this.eventBus.on('analysis:profile:clear', () => this.terrainProfile.clear());
+
+        // --- Contour lines (whole model, or inside a polygon drawn with the 'contours' tool) ---
+        this.eventBus.on('analysis:contours:settings', (settings) => this.contourLines.setSettings(settings));
+        this.eventBus.on('analysis:contours:run', () => this.contourLines.run());
+        this.eventBus.on('analysis:contours:visibility', ({ visible }) => this.contourLines.setVisible(visible));
+        this.eventBus.on('analysis:contours:export', ({ format }) => {
+            if (format === 'geojson') this.contourLines.exportGeoJson(); else this.contourLines.exportDxf();
+        });
+        this.eventBus.on('analysis:contours:clear', () => this.contourLines.clear());
+
+        // --- Whole-model statistics (closed volume, total area, watertightness) ---
+        this.eventBus.on('analysis:mesh:run', () => {
+            this.meshStatistics.run(this.layers.find(layer => layer.model === this.currentModel) || null);
+        });
+    }
+
+    /**
+     * @private
+     */
+    _getLayer(id) {
+        return this.layers.find(layer => layer.id === id) || null;
+    }
+}
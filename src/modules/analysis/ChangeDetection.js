@@ -0,0 +1,433 @@
+// src/modules/analysis/ChangeDetection.js
+
+import * as THREE from 'three';
+import { extractMeshesData, toWorkerData } from '../../utils/MeshDataExtractor.js';
+import { createPlyBlob } from '../../utils/exporters/PlyExporter.js';
+import { downloadBlob } from '../../utils/Utils.js';
+
+// Importamos a URL do worker, e não o worker em si ('worker&url' empacota os imports dele no build).
+import DistanceWorkerUrl from './workers/distance.worker.js?worker&url';
+
+const HISTOGRAM_BINS = 40;
+const OUT_OF_RANGE_COLOR = [128, 128, 128]; // Vertices with nothing within the maximum distance
+
+/**
+ * Maps t in [0, 1] to the ramp blue (negative) → green (zero) → red (positive),
+ * the same hue ramp used by the point cloud elevation mode.
+ * @param {number} t
+ * @param {THREE.Color} target
+ * @returns {THREE.Color}
+ */
+function rampColor(t, target) {
+    return target.setHSL((1 - THREE.MathUtils.clamp(t, 0, 1)) * 0.66, 1, 0.5);
+}
+
+/**
+ * @class ChangeDetection
+ * @description Mesh-to-mesh (or cloud-to-mesh) change detection between two layers.
+ * Computes, in a Web Worker, the signed distance from every vertex of the compared
+ * model (A) to the surface of the reference model (B), and shows it as a heatmap
+ * overlaid on A, with a symmetric color scale, a histogram and summary statistics.
+ * The result can be exported as a colored PLY with the distance as a scalar field.
+ */
+export class ChangeDetection {
+    constructor(analysisGroup, logger, eventBus, coordinateSystem) {
+        this.group = analysisGroup;
+        this.logger = logger;
+        this.eventBus = eventBus;
+        this.coordinateSystem = coordinateSystem;
+
+        this.worker = null;
+        this.result = null;  // { sourceId, targetId, sourceName, targetName, distances, parts, signed, stats, maxDistance }
+        this.limit = 1;      // Half-width of the color scale (m)
+        this.visible = true;
+        this.sourceVisible = true; // The heatmap hides with the compared layer
+
+        this.overlay = new THREE.Group();
+        this.overlay.name = 'change-detection';
+        this.group.add(this.overlay);
+    }
+
+    // --- PUBLIC API ---
+
+    /**
+     * Starts a comparison. Any running or previous comparison is discarded.
+     * @param {Object} source - Layer (from 'layers:changed') whose vertices are measured (A).
+     * @param {Object} target - Layer whose surface is the reference (B).
+     * @param {number|null} [maxDistance] - Ignore vertices farther than this (m).
+     */
+    run(source, target, maxDistance = null) {
+        if (!source || !target) {
+            this._notifyError('Selecione os dois modelos a comparar');
+            return;
+        }
+        if (source.id === target.id) {
+            this._notifyError('Escolha modelos diferentes para a comparação');
+            return;
+        }
+
+        const sourceMeshes = extractMeshesData(source.object, { includePoints: true });
+        const targetMeshes = extractMeshesData(target.object, { includePoints: true });
+        if (sourceMeshes.length === 0 || targetMeshes.length === 0) {
+            this._notifyError('Os modelos não têm geometria para comparar');
+            return;
+        }
+
+        this.clear();
+
+        // Where each source object's vertices start in the distance array
+        let start = 0;
+        const parts = sourceMeshes.map(data => {
+            const part = { object: data.object, start, count: data.positions.length / 3 };
+            start += part.count;
+            return part;
+        });
+
+        const { data: sourceData, transfer: sourceTransfer } = toWorkerData(sourceMeshes);
+        const { data: targetData, transfer: targetTransfer } = toWorkerData(targetMeshes);
+
+        this.logger.info(`ChangeDetection: Comparing "${source.name}" (${start.toLocaleString()} vertices) with "${target.name}".`);
+        this.eventBus.emit('ui:progress:start', { message: 'Calculando distâncias...' });
+        this.eventBus.emit('analysis:change:started', { sourceId: source.id, targetId: target.id });
+
+        const worker = new Worker(DistanceWorkerUrl, { type: 'module' });
+        this.worker = worker;
+
+        worker.onmessage = (e) => {
+            if (e.data.status === 'progress') {
+                this.eventBus.emit('ui:progress:update', { progress: e.data.progress });
+                return;
+            }
+
+            worker.terminate();
+            if (this.worker !== worker) return; // Superseded or cleared
+            this.worker = null;
+            this.eventBus.emit('ui:progress:end');
+
+            if (e.data.status === 'error') {
+                this._notifyError(`Falha na comparação: ${e.data.error}`);
+                this._emitResult();
+                return;
+            }
+
+            const { distances, signed, stats } = e.data;
+            this.result = {
+                sourceId: source.id,
+                targetId: target.id,
+                sourceName: source.name,
+                targetName: target.name,
+                distances,
+                parts,
+                signed,
+                stats,
+                maxDistance
+            };
+            this.limit = this._suggestLimit(distances, stats);
+            this.visible = true;
+            this.sourceVisible = source.visible;
+            this._buildOverlay();
+
+            this.logger.info(`ChangeDetection: Done (mean ${stats.mean.toFixed(3)} m, RMS ${stats.rms.toFixed(3)} m, ${stats.outOfRange} out of range).`);
+            this._emitResult();
+        };
+
+        worker.onerror = (err) => {
+            worker.terminate();
+            if (this.worker !== worker) return;
+            this.worker = null;
+            this.eventBus.emit('ui:progress:end');
+            this._notifyError(`Falha na comparação: ${err.message || 'erro no worker'}`);
+            this._emitResult();
+        };
+
+        worker.postMessage(
+            { source: sourceData, target: targetData, maxDistance: maxDistance > 0 ? maxDistance : null },
+            [...sourceTransfer, ...targetTransfer]
+        );
+    }
+
+    /**
+     * Sets the half-width of the color scale: distances beyond ±limit get the end colors.
+     * @param {number} limit - Meters.
+     */
+    setLimit(limit) {
+        if (!this.result || !(limit > 0)) return;
+        this.limit = limit;
+        this._applyColors();
+        this._emitResult();
+    }
+
+    /**
+     * @param {boolean} visible
+     */
+    setVisible(visible) {
+        this.visible = !!visible;
+        this.overlay.visible = this.visible && this.sourceVisible;
+        this._emitResult();
+    }
+
+    /**
+     * Keeps the overlay on its layer when layers move, hide or go away.
+     * @param {Array} layers - From 'layers:changed'.
+     */
+    syncLayers(layers) {
+        if (!this.result) return;
+
+        const source = layers.find(layer => layer.id === this.result.sourceId);
+        const target = layers.find(layer => layer.id === this.result.targetId);
+        if (!source || !target) {
+            this.logger.info('ChangeDetection: A compared layer was removed; clearing the result.');
+            this.clear();
+            return;
+        }
+
+        this.overlay.children.forEach((child, i) => {
+            const part = this.result.parts[i];
+            part.object.updateWorldMatrix(true, false);
+            child.matrix.copy(part.object.matrixWorld);
+            child.matrixWorldNeedsUpdate = true;
+        });
+        this.sourceVisible = source.visible;
+        this.overlay.visible = this.visible && this.sourceVisible;
+    }
+
+    /**
+     * Downloads the compared model as a binary PLY: vertex colors from the heatmap and the
+     * signed distance as the 'distance' scalar. Coordinates are in the active frame
+     * (projected coordinates instead of longitude/latitude).
+     */
+    exportPly() {
+        if (!this.result) {
+            this._notifyError('Calcule uma comparação antes de exportar');
+            return;
+        }
+
+        const frame = this.coordinateSystem.frame === 'geographic' ? 'geo' : this.coordinateSystem.frame;
+        const { distances, parts } = this.result;
+        const total = distances.length;
+        const positions = new Float64Array(total * 3);
+        const colors = this._computeColors();
+        const faceIndices = [];
+        const vertex = new THREE.Vector3();
+
+        parts.forEach(part => {
+            const position = part.object.geometry.attributes.position;
+            part.object.updateWorldMatrix(true, false);
+            for (let i = 0; i < part.count; i++) {
+                vertex.fromBufferAttribute(position, i).applyMatrix4(part.object.matrixWorld);
+                const p = this.coordinateSystem.toFrame(vertex, frame);
+                positions.set([p.x, p.y, p.z], (part.start + i) * 3);
+            }
+            if (part.object.isPoints) return;
+            const indices = part.object.geometry.index?.array;
+            const faceCount = Math.floor((indices ? indices.length : part.count) / 3) * 3;
+            for (let f = 0; f < faceCount; f++) {
+                faceIndices.push(part.start + (indices ? indices[f] : f));
+            }
+        });
+
+        const frameInfo = this.coordinateSystem.getFrameInfo(frame);
+        const blob = createPlyBlob({
+            positions,
+            colors,
+            scalars: { distance: distances },
+            faces: faceIndices.length ? Uint32Array.from(faceIndices) : null,
+            comments: [
+                `VISIO360 change detection: ${this.result.sourceName} -> ${this.result.targetName}`,
+                `frame ${frameInfo.label}`,
+                `color scale +-${this.limit} m`
+            ]
+        });
+
+        const baseName = this.result.sourceName.replace(/\.[^.]+$/, '');
+        downloadBlob(blob, `${baseName}_distancias.ply`);
+        this.eventBus.emit('ui:notification:show', { message: 'PLY exportado com sucesso!', type: 'success' });
+    }
+
+    /**
+     * Cancels a running comparison and removes the heatmap.
+     */
+    clear() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+            this.eventBus.emit('ui:progress:end');
+        }
+
+        [...this.overlay.children].forEach(child => {
+            this.overlay.remove(child);
+            child.geometry.dispose();
+            child.material.dispose();
+        });
+
+        const hadResult = !!this.result;
+        this.result = null;
+        if (hadResult) this._emitResult();
+    }
+
+    // --- PRIVATE HELPERS ---
+
+    /**
+     * Default color scale: the 98th percentile of |distance|, so a few outliers do not
+     * wash out the map.
+     * @private
+     */
+    _suggestLimit(distances, stats) {
+        const step = Math.max(1, Math.floor(distances.length / 100000));
+        const sample = [];
+        for (let i = 0; i < distances.length; i += step) {
+            if (Number.isFinite(distances[i])) sample.push(Math.abs(distances[i]));
+        }
+        if (sample.length === 0) return 1;
+
+        sample.sort((a, b) => a - b);
+        const percentile = sample[Math.min(sample.length - 1, Math.floor(sample.length * 0.98))];
+        const limit = percentile || Math.max(Math.abs(stats.min), Math.abs(stats.max));
+        return limit > 0 ? Number(limit.toPrecision(2)) : 1;
+    }
+
+    /**
+     * One overlay object per source mesh or cloud, sharing its geometry buffers and drawn
+     * just in front of it.
+     * @private
+     */
+    _buildOverlay() {
+        const colors = this._computeColors();
+
+        this.result.parts.forEach(part => {
+            const source = part.object;
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', source.geometry.attributes.position);
+            if (source.geometry.index) geometry.setIndex(source.geometry.index);
+            geometry.setAttribute('color', new THREE.BufferAttribute(colors.slice(part.start * 3, (part.start + part.count) * 3), 3, true));
+
+            let overlay;
+            if (source.isPoints) {
+                overlay = new THREE.Points(geometry, new THREE.PointsMaterial({
+                    size: source.material.size + 1,
+                    sizeAttenuation: false,
+                    vertexColors: true
+                }));
+            } else {
+                overlay = new THREE.Mesh(geometry, new THREE.MeshBasicMaterial({
+                    vertexColors: true,
+                    side: THREE.DoubleSide,
+                    polygonOffset: true,
+                    polygonOffsetFactor: -1,
+                    polygonOffsetUnits: -1
+                }));
+            }
+            overlay.matrixAutoUpdate = false;
+            source.updateWorldMatrix(true, false);
+            overlay.matrix.copy(source.matrixWorld);
+            overlay.raycast = () => {}; // Never picked by tools
+            this.overlay.add(overlay);
+        });
+
+        this.overlay.visible = this.visible && this.sourceVisible;
+    }
+
+    /**
+     * @private
+     */
+    _applyColors() {
+        const colors = this._computeColors();
+        this.overlay.children.forEach((child, i) => {
+            const part = this.result.parts[i];
+            const attribute = child.geometry.attributes.color;
+            attribute.array.set(colors.subarray(part.start * 3, (part.start + part.count) * 3));
+            attribute.needsUpdate = true;
+        });
+    }
+
+    /**
+     * @returns {Uint8Array} RGB per vertex for the current color scale.
+     * @private
+     */
+    _computeColors() {
+        const { distances } = this.result;
+        const colors = new Uint8Array(distances.length * 3);
+        const color = new THREE.Color();
+
+        for (let i = 0; i < distances.length; i++) {
+            const d = distances[i];
+            if (!Number.isFinite(d)) {
+                colors.set(OUT_OF_RANGE_COLOR, i * 3);
+                continue;
+            }
+            rampColor((d / this.limit + 1) / 2, color);
+            colors[i * 3] = Math.round(color.r * 255);
+            colors[i * 3 + 1] = Math.round(color.g * 255);
+            colors[i * 3 + 2] = Math.round(color.b * 255);
+        }
+        return colors;
+    }
+
+    /**
+     * Histogram of the distances over the color scale; values beyond it are counted apart.
+     * @private
+     */
+    _computeHistogram() {
+        const { distances } = this.result;
+        const bins = new Array(HISTOGRAM_BINS).fill(0);
+        let below = 0;
+        let above = 0;
+        const width = (2 * this.limit) / HISTOGRAM_BINS;
+
+        for (let i = 0; i < distances.length; i++) {
+            const d = distances[i];
+            if (!Number.isFinite(d)) continue;
+            if (d < -this.limit) below++;
+            else if (d > this.limit) above++;
+            else bins[Math.min(HISTOGRAM_BINS - 1, Math.floor((d + this.limit) / width))]++;
+        }
+        return { min: -this.limit, max: this.limit, bins, below, above };
+    }
+
+    /**
+     * Color stops of the legend, from -limit to +limit.
+     * @private
+     */
+    _getLegend() {
+        const color = new THREE.Color();
+        return [0, 0.25, 0.5, 0.75, 1].map(t => ({
+            value: (t * 2 - 1) * this.limit,
+            color: `#${rampColor(t, color).getHexString()}`
+        }));
+    }
+
+    /**
+     * @private
+     */
+    _emitResult() {
+        if (!this.result) {
+            this.eventBus.emit('analysis:change:result', { result: null });
+            return;
+        }
+
+        const { sourceId, targetId, sourceName, targetName, signed, stats, maxDistance } = this.result;
+        this.eventBus.emit('analysis:change:result', {
+            result: {
+                sourceId,
+                targetId,
+                sourceName,
+                targetName,
+                signed,
+                stats,
+                maxDistance,
+                limit: this.limit,
+                visible: this.visible,
+                legend: this._getLegend(),
+                histogram: this._computeHistogram()
+            }
+        });
+    }
+
+    /**
+     * @private
+     */
+    _notifyError(message) {
+        this.logger.warn(`ChangeDetection: ${message}`);
+        this.eventBus.emit('ui:notification:show', { message, type: 'error' });
+    }
+}
@@ -0,0 +1,489 @@
+// src/modules/analysis/ContourLines.js
+
+import * as THREE from 'three';
+import { extractMeshesData, toWorkerData } from '../../utils/MeshDataExtractor.js';
+import { createTextSprite } from '../../utils/DrawingUtils.js';
+import { downloadBlob } from '../../utils/Utils.js';
+import { createDxfBlob } from '../../utils/exporters/DxfExporter.js';
+import { createGeoJsonBlob } from '../../utils/exporters/GeoJsonExporter.js';
+
+// Importamos a URL do worker, e não o worker em si ('worker&url' empacota os imports dele no build).
+import ContoursWorkerUrl from './workers/contours.worker.js?worker&url';
+
+const CONTOUR_COLOR = 0xc89b5a;
+const INDEX_COLOR = 0xff8c3a;
+const LABEL_COLOR = '#ffb070';
+const BOUNDARY_COLOR = 0x3ad6ff;
+const MAX_LABELS = 200;
+
+/**
+ * @class ContourLines
+ * @description Iso-elevation contour lines of the visible layers, over the whole model or
+ * inside a polygon drawn with the 'contours' tool (polygon interaction: double-click or Esc
+ * finishes). Levels are multiples of the interval in the elevation of the active coordinate
+ * frame; every Nth level is an index contour, drawn brighter and labeled with its elevation.
+ * The slicing runs in a Web Worker on the same mesh data the volume tools send to theirs.
+ * The lines are a toggleable overlay and can be exported as DXF or GeoJSON.
+ */
+export class ContourLines {
+    constructor(analysisGroup, logger, eventBus, coordinateSystem) {
+        this.group = analysisGroup;
+        this.logger = logger;
+        this.eventBus = eventBus;
+        this.coordinateSystem = coordinateSystem;
+
+        this.layers = [];
+        this.settings = { interval: 1, indexEvery: 5 };
+        this.toolActive = false;
+        this.points = [];   // Polygon being drawn
+        this.worker = null;
+        this.result = null; // See _buildResult()
+        this.visible = true;
+
+        this.overlay = new THREE.Group();
+        this.overlay.name = 'contour-lines';
+        this.group.add(this.overlay);
+
+        this.boundary = new THREE.Group();
+        this.boundary.name = 'contour-boundary';
+        this.group.add(this.boundary);
+
+        this.materials = {
+            contour: new THREE.LineBasicMaterial({ color: CONTOUR_COLOR }),
+            index: new THREE.LineBasicMaterial({ color: INDEX_COLOR }),
+            point: new THREE.MeshBasicMaterial({ color: BOUNDARY_COLOR, depthTest: false, depthWrite: false }),
+            boundary: new THREE.LineBasicMaterial({ color: BOUNDARY_COLOR, depthTest: false, depthWrite: false })
+        };
+
+        this._setupEventListeners();
+    }
+
+    /**
+     * The polygon is picked here, as in TerrainProfile: contours are an analysis of the
+     * layers, not an annotation shared with peers.
+     * @private
+     */
+    _setupEventListeners() {
+        this.eventBus.on('tool:changed', ({ activeTool }) => {
+            this.toolActive = activeTool === 'contours';
+            // An unfinished polygon is dropped when the tool is left
+            if (!this.toolActive && this.points.length > 0) this._clearBoundary();
+        });
+        this.eventBus.on('measurement:point:selected', ({ tool, point }) => {
+            if (tool === 'contours') this._addPoint(point);
+        });
+        this.eventBus.on('measurement:area:finish', () => {
+            if (this.toolActive) this._runPolygon();
+        });
+    }
+
+    // --- PUBLIC API ---
+
+    /**
+     * Generates the contours over the whole of the visible layers.
+     */
+    run() {
+        this._clearBoundary();
+        this._compute(null);
+    }
+
+    /**
+     * @param {{interval?: number, indexEvery?: number}} settings - Used by the next computation.
+     */
+    setSettings({ interval, indexEvery }) {
+        if (interval > 0) this.settings.interval = interval;
+        if (indexEvery >= 1) this.settings.indexEvery = Math.round(indexEvery);
+    }
+
+    /**
+     * Shows or hides the overlay (lines and labels).
+     * @param {boolean} visible
+     */
+    setVisible(visible) {
+        this.visible = !!visible;
+        this.overlay.visible = this.visible;
+        if (this.result) this._emitResult();
+    }
+
+    /**
+     * @param {Array} layers - From 'layers:changed'.
+     */
+    syncLayers(layers) {
+        this.layers = layers;
+        if (layers.length === 0 && (this.result || this.worker)) this.clear();
+    }
+
+    /**
+     * Downloads the contours as DXF: layers CURVAS, CURVAS_MESTRAS and COTAS, coordinates in
+     * the active frame (projected coordinates when it is longitude/latitude).
+     */
+    exportDxf() {
+        if (!this.result) {
+            this._notifyError('Gere as curvas de nível antes de exportar');
+            return;
+        }
+
+        const frameId = this.coordinateSystem.frame === 'geographic' ? 'geo' : this.coordinateSystem.frame;
+        const frame = this.coordinateSystem.getFrameInfo(frameId);
+        const axis = this.coordinateSystem.getVerticalAxis(frameId, this.result.center);
+        const toMap = (point) => this.coordinateSystem.toMapCoordinates(point, frameId, axis);
+        const textHeight = Math.max(this.result.interval / 2, 0.1);
+
+        const polylines = [];
+        const texts = [];
+        this.result.levels.forEach(level => {
+            const layer = level.index ? 'CURVAS_MESTRAS' : 'CURVAS';
+            level.lines.forEach(line => {
+                polylines.push({ layer, closed: line.closed, points: this._linePoints(line).map(toMap) });
+            });
+        });
+        this.result.labels.forEach(label => {
+            const [a, b] = [toMap(label.position), toMap(label.position.clone().add(label.direction))];
+            let rotation = THREE.MathUtils.radToDeg(Math.atan2(b[1] - a[1], b[0] - a[0]));
+            if (rotation > 90 || rotation < -90) rotation += 180; // Keeps the text upright
+            texts.push({ layer: 'COTAS', position: a, text: label.text, height: textHeight, rotation });
+        });
+
+        const blob = createDxfBlob({
+            layers: [{ name: 'CURVAS', color: 33 }, { name: 'CURVAS_MESTRAS', color: 30 }, { name: 'COTAS', color: 7 }],
+            polylines,
+            texts,
+            decimals: Math.max(3, frame.decimals)
+        });
+        downloadBlob(blob, 'curvas_de_nivel.dxf');
+        this.eventBus.emit('ui:notification:show', { message: 'DXF exportado com sucesso!', type: 'success' });
+    }
+
+    /**
+     * Downloads the contours as GeoJSON LineStrings with 'elevation' and 'index' properties:
+     * in longitude/latitude (WGS 84) when the model is georeferenced, otherwise in the
+     * active frame.
+     */
+    exportGeoJson() {
+        if (!this.result) {
+            this._notifyError('Gere as curvas de nível antes de exportar');
+            return;
+        }
+
+        const georeferenced = this.coordinateSystem.isGeoreferenced();
+        const frameId = georeferenced ? 'geographic' : this.coordinateSystem.frame;
+        const frame = this.coordinateSystem.getFrameInfo(frameId);
+        const axis = this.coordinateSystem.getVerticalAxis(frameId, this.result.center);
+
+        const features = this.result.levels.flatMap(level => level.lines.map(line => {
+            const coordinates = this._linePoints(line).map(point => this.coordinateSystem.toMapCoordinates(point, frameId, axis));
+            if (line.closed) coordinates.push(coordinates[0]);
+            return {
+                geometry: { type: 'LineString', coordinates },
+                properties: { elevation: Number(level.elevation.toFixed(this.result.decimals)), index: level.index }
+            };
+        }));
+
+        const blob = createGeoJsonBlob(features, {
+            name: georeferenced ? 'curvas_de_nivel' : `curvas_de_nivel (referencial ${frame.label})`,
+            decimals: Math.max(3, frame.decimals)
+        });
+        downloadBlob(blob, 'curvas_de_nivel.geojson');
+        this.eventBus.emit('ui:notification:show', { message: 'GeoJSON exportado com sucesso!', type: 'success' });
+    }
+
+    /**
+     * Cancels a running computation and removes the contours and the polygon.
+     */
+    clear() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+            this.eventBus.emit('ui:progress:end');
+        }
+        this._clearBoundary();
+        const hadResult = !!this.result;
+        this._clearOverlay();
+        if (hadResult) this._emitResult();
+    }
+
+    // --- PRIVATE HELPERS ---
+
+    /**
+     * @private
+     */
+    _addPoint(point) {
+        if (this.worker) return;
+
+        // The clicks of the finishing double-click repeat the last point
+        const last = this.points[this.points.length - 1];
+        if (last && last.distanceToSquared(point) < 1e-12) return;
+
+        if (this.points.length === 0) this._clearBoundary(); // Boundary of the previous contours
+        this.points.push(point.clone());
+
+        const sphere = new THREE.Mesh(new THREE.SphereGeometry(0.08, 16, 12), this.materials.point);
+        sphere.position.copy(point);
+        sphere.renderOrder = 999;
+        this.boundary.add(sphere);
+
+        if (this.points.length > 1) {
+            const line = new THREE.Line(new THREE.BufferGeometry().setFromPoints(this.points.slice(-2)), this.materials.boundary);
+            line.renderOrder = 998;
+            this.boundary.add(line);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _runPolygon() {
+        if (this.worker || this.points.length === 0) return;
+        if (this.points.length < 3) {
+            this._notifyError('Marque ao menos três pontos para o polígono');
+            this._clearBoundary();
+            return;
+        }
+
+        const closing = [this.points[this.points.length - 1], this.points[0]];
+        const line = new THREE.Line(new THREE.BufferGeometry().setFromPoints(closing), this.materials.boundary);
+        line.renderOrder = 998;
+        this.boundary.add(line);
+
+        const polygon = this.points;
+        this.points = []; // The next click starts a new polygon; the drawn one stays as the boundary
+        this._compute(polygon);
+    }
+
+    /**
+     * @param {THREE.Vector3[]|null} polygon - Boundary in plan view, or null for the whole model.
+     * @private
+     */
+    _compute(polygon) {
+        if (this.worker) return;
+
+        const objects = this.layers.filter(layer => layer.visible).map(layer => layer.object);
+        const meshesData = extractMeshesData(objects);
+        if (meshesData.length === 0) {
+            this._notifyError('Nenhuma malha visível para gerar curvas de nível');
+            this._clearBoundary();
+            return;
+        }
+
+        // Elevation = scene Y + offset (the frame's vertical axis follows the scene's up)
+        const frameId = this.coordinateSystem.frame;
+        const center = polygon
+            ? polygon.reduce((sum, p) => sum.add(p), new THREE.Vector3()).divideScalar(polygon.length)
+            : objects.reduce((box, object) => box.expandByObject(object), new THREE.Box3()).getCenter(new THREE.Vector3());
+        const axis = this.coordinateSystem.getVerticalAxis(frameId, center);
+        const offset = this.coordinateSystem.toMapCoordinates(center, frameId, axis)[2] - center.y;
+        const { interval, indexEvery } = this.settings;
+
+        const { data, transfer } = toWorkerData(meshesData);
+        this.logger.info(`ContourLines: Slicing ${objects.length} layer(s) every ${interval} m${polygon ? ' inside a polygon' : ''}.`);
+        this.eventBus.emit('ui:progress:start', { message: 'Gerando curvas de nível...' });
+        this.eventBus.emit('analysis:contours:started');
+
+        const worker = new Worker(ContoursWorkerUrl, { type: 'module' });
+        this.worker = worker;
+
+        worker.onmessage = (e) => {
+            if (e.data.status === 'progress') {
+                this.eventBus.emit('ui:progress:update', { progress: e.data.progress });
+                return;
+            }
+
+            worker.terminate();
+            if (this.worker !== worker) return; // Superseded or cleared
+            this.worker = null;
+            this.eventBus.emit('ui:progress:end');
+
+            if (e.data.status === 'error') {
+                this._notifyError(`Falha nas curvas de nível: ${e.data.error}`);
+                this._clearBoundary();
+                this._clearOverlay();
+                this._emitResult();
+                return;
+            }
+
+            this._clearOverlay();
+            this._buildResult(e.data, { interval, indexEvery, polygon: !!polygon, center, frameId, axis });
+            this._buildOverlay();
+            this.logger.info(`ContourLines: Done (${this.result.levels.length} levels, ${this.result.labels.length} labels).`);
+            this._emitResult();
+        };
+
+        worker.onerror = (err) => {
+            worker.terminate();
+            if (this.worker !== worker) return;
+            this.worker = null;
+            this.eventBus.emit('ui:progress:end');
+            this._notifyError(`Falha nas curvas de nível: ${err.message || 'erro no worker'}`);
+            this._clearBoundary();
+            this._clearOverlay();
+            this._emitResult();
+        };
+
+        worker.postMessage({
+            meshesData: data,
+            interval,
+            offset,
+            indexEvery,
+            polygon: polygon ? polygon.map(p => p.toArray()) : null
+        }, transfer);
+    }
+
+    /**
+     * Keeps the worker levels and picks the label positions: the middle of the longest
+     * lines of the index contours.
+     * @private
+     */
+    _buildResult({ levels, range }, { interval, indexEvery, polygon, center, frameId, axis }) {
+        const frame = this.coordinateSystem.getFrameInfo(frameId);
+        const decimals = this._decimalsOf(interval);
+
+        const candidates = [];
+        levels.filter(level => level.index).forEach(level => {
+            level.lines.forEach(line => {
+                const points = this._linePoints(line);
+                const lengths = [0];
+                for (let i = 1; i < points.length; i++) lengths.push(lengths[i - 1] + points[i].distanceTo(points[i - 1]));
+                const length = lengths[lengths.length - 1];
+                if (length < interval) return; // Too small to label
+
+                const middle = lengths.findIndex(value => value >= length / 2);
+                const from = points[Math.max(0, middle - 1)];
+                const to = points[Math.max(1, middle)];
+                candidates.push({
+                    length,
+                    text: level.elevation.toFixed(decimals),
+                    position: from.clone().lerp(to, 0.5),
+                    direction: to.clone().sub(from).normalize()
+                });
+            });
+        });
+        const labels = candidates.sort((a, b) => b.length - a.length).slice(0, MAX_LABELS);
+
+        this.result = {
+            levels,
+            labels,
+            interval,
+            indexEvery,
+            decimals,
+            polygon,
+            center,
+            range,
+            frame: { id: frameId, label: frame.label, elevationAxis: frame.axes[axis] },
+            lineCount: levels.reduce((sum, level) => sum + level.lines.length, 0)
+        };
+    }
+
+    /**
+     * One LineSegments for the regular contours and one for the index contours, lifted a
+     * little so they are not hidden by the surface they lie on.
+     * @private
+     */
+    _buildOverlay() {
+        const { levels, labels, interval } = this.result;
+        [false, true].forEach(index => {
+            const positions = [];
+            levels.filter(level => level.index === index).forEach(level => {
+                level.lines.forEach(({ positions: p, closed }) => {
+                    const count = p.length / 3;
+                    const segments = closed ? count : count - 1;
+                    for (let i = 0; i < segments; i++) {
+                        const j = (i + 1) % count;
+                        positions.push(p[i * 3], p[i * 3 + 1], p[i * 3 + 2], p[j * 3], p[j * 3 + 1], p[j * 3 + 2]);
+                    }
+                });
+            });
+            if (positions.length === 0) return;
+
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+            this.overlay.add(new THREE.LineSegments(geometry, index ? this.materials.index : this.materials.contour));
+        });
+
+        labels.forEach(label => {
+            const sprite = createTextSprite(label.text, LABEL_COLOR);
+            sprite.position.copy(label.position);
+            this.overlay.add(sprite);
+        });
+
+        this.overlay.position.y = Math.min(interval * 0.02, 0.05);
+        this.overlay.visible = this.visible;
+    }
+
+    /**
+     * @param {{positions: Float32Array}} line - A worker line, in scene coordinates.
+     * @returns {THREE.Vector3[]}
+     * @private
+     */
+    _linePoints({ positions }) {
+        const points = [];
+        for (let i = 0; i < positions.length; i += 3) {
+            points.push(new THREE.Vector3(positions[i], positions[i + 1], positions[i + 2]));
+        }
+        return points;
+    }
+
+    /**
+     * Decimal places needed to print multiples of the interval (1 -> 0, 0.5 -> 1, 0.25 -> 2).
+     * @private
+     */
+    _decimalsOf(interval) {
+        const [, fraction = ''] = String(Number(interval.toFixed(6))).split('.');
+        return fraction.length;
+    }
+
+    /**
+     * @private
+     */
+    _clearOverlay() {
+        [...this.overlay.children].forEach(child => {
+            this.overlay.remove(child);
+            child.geometry?.dispose();
+            if (child.isSprite) {
+                child.material.map?.dispose();
+                child.material.dispose();
+            }
+        });
+        this.result = null;
+    }
+
+    /**
+     * @private
+     */
+    _clearBoundary() {
+        [...this.boundary.children].forEach(child => {
+            this.boundary.remove(child);
+            child.geometry.dispose();
+        });
+        this.points = [];
+    }
+
+    /**
+     * Emits a summary for the panel (no THREE objects or line data).
+     * @private
+     */
+    _emitResult() {
+        const result = this.result && {
+            interval: this.result.interval,
+            indexEvery: this.result.indexEvery,
+            decimals: this.result.decimals,
+            polygon: this.result.polygon,
+            levelCount: this.result.levels.length,
+            indexCount: this.result.levels.filter(level => level.index).length,
+            lineCount: this.result.lineCount,
+            min: this.result.levels.length ? this.result.levels[0].elevation : NaN,
+            max: this.result.levels.length ? this.result.levels[this.result.levels.length - 1].elevation : NaN,
+            range: this.result.range,
+            frame: this.result.frame,
+            visible: this.visible
+        };
+        this.eventBus.emit('analysis:contours:result', { result });
+    }
+
+    /**
+     * @private
+     */
+    _notifyError(message) {
+        this.logger.warn(`ContourLines: ${message}`);
+        this.eventBus.emit('ui:notification:show', { message, type: 'error' });
+    }
+}
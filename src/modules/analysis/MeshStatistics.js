@@ -0,0 +1,127 @@
+// src/modules/analysis/MeshStatistics.js
+
+import { extractMeshesData, toWorkerData } from '../../utils/MeshDataExtractor.js';
+
+// Importamos a URL do worker, e não o worker em si ('worker&url' empacota os imports dele no build).
+import MeshStatsWorkerUrl from './workers/meshStats.worker.js?worker&url';
+
+/**
+ * @class MeshStatistics
+ * @description Whole-model statistics for scanned objects (tanks, boulders, machine parts):
+ * total surface area and enclosed volume (divergence theorem), computed on demand in a
+ * Web Worker, with a watertightness check that reports open boundary and non-manifold edges.
+ * The volume is only meaningful for a watertight, consistently oriented mesh; the result
+ * says so instead of hiding the number.
+ */
+export class MeshStatistics {
+    constructor(logger, eventBus) {
+        this.logger = logger;
+        this.eventBus = eventBus;
+
+        this.worker = null;
+        this.result = null; // { layerId, name, scale, stats }
+    }
+
+    // --- PUBLIC API ---
+
+    /**
+     * Computes the statistics of a layer's model. Any running computation is discarded.
+     * @param {Object} layer - Layer from 'layers:changed'.
+     */
+    run(layer) {
+        if (!layer) {
+            this._notifyError('Carregue um modelo antes de calcular');
+            return;
+        }
+
+        const meshesData = extractMeshesData(layer.object).filter(data => !data.isPoints);
+        if (meshesData.length === 0) {
+            this._notifyError('O modelo não tem malha (nuvens de pontos não têm área nem volume)');
+            return;
+        }
+
+        this.clear();
+        const { data, transfer } = toWorkerData(meshesData);
+
+        this.logger.info(`MeshStatistics: Analyzing "${layer.name}" (${meshesData.length} mesh(es)).`);
+        this.eventBus.emit('ui:progress:start', { message: 'Calculando volume e área...' });
+        this.eventBus.emit('analysis:mesh:started', { layerId: layer.id });
+
+        const worker = new Worker(MeshStatsWorkerUrl, { type: 'module' });
+        this.worker = worker;
+
+        worker.onmessage = (e) => {
+            worker.terminate();
+            if (this.worker !== worker) return; // Superseded or cleared
+            this.worker = null;
+            this.eventBus.emit('ui:progress:end');
+
+            if (e.data.status === 'error') {
+                this._notifyError(`Falha no cálculo: ${e.data.error}`);
+                this._emitResult();
+                return;
+            }
+
+            const { stats } = e.data;
+            this.result = { layerId: layer.id, name: layer.name, scale: layer.offset?.scale ?? 1, stats };
+            this.logger.info(`MeshStatistics: Area ${stats.area.toFixed(3)} m², volume ${stats.volume.toFixed(3)} m³, ` +
+                `${stats.boundaryEdges} open / ${stats.nonManifoldEdges} non-manifold edges.`);
+            this._emitResult();
+        };
+
+        worker.onerror = (err) => {
+            worker.terminate();
+            if (this.worker !== worker) return;
+            this.worker = null;
+            this.eventBus.emit('ui:progress:end');
+            this._notifyError(`Falha no cálculo: ${err.message || 'erro no worker'}`);
+            this._emitResult();
+        };
+
+        worker.postMessage({ meshesData: data }, transfer);
+    }
+
+    /**
+     * Drops the result when its layer goes away or is rescaled. Moving or rotating a layer
+     * does not change its area or volume, but the scale of its offset does.
+     * @param {Array} layers - From 'layers:changed'.
+     */
+    syncLayers(layers) {
+        if (!this.result) return;
+        const layer = layers.find(l => l.id === this.result.layerId);
+        if (!layer || (layer.offset?.scale ?? 1) !== this.result.scale) {
+            this.clear();
+        }
+    }
+
+    /**
+     * Cancels a running computation and forgets the last result.
+     */
+    clear() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+            this.eventBus.emit('ui:progress:end');
+        }
+        const hadResult = !!this.result;
+        this.result = null;
+        if (hadResult) this._emitResult();
+    }
+
+    // --- PRIVATE HELPERS ---
+
+    /**
+     * @private
+     */
+    _emitResult() {
+        this.eventBus.emit('analysis:mesh:result', { result: this.result });
+    }
+
+    /**
+     * @private
+     */
+    _notifyError(message) {
+        this.logger.warn(`MeshStatistics: ${message}`);
+        this.eventBus.emit('ui:notification:show', { message, type: 'error' });
+    }
+}
@@ -0,0 +1,327 @@
+// src/modules/analysis/TerrainProfile.js
+
+import * as THREE from 'three';
+import { extractMeshesData, toWorkerData } from '../../utils/MeshDataExtractor.js';
+import { downloadBlob } from '../../utils/Utils.js';
+
+// Importamos a URL do worker, e não o worker em si ('worker&url' empacota os imports dele no build).
+import ProfileWorkerUrl from './workers/profile.worker.js?worker&url';
+
+const PROFILE_COLOR = 0xff4488;
+
+/**
+ * @class TerrainProfile
+ * @description Terrain profile / cross-section along a line or polyline drawn on the model.
+ * The path is picked with the 'profile' tool (polygon interaction: double-click or Esc
+ * finishes). A Web Worker samples the top surface of the visible layers under the path in
+ * plan view; the result is converted to elevations of the active coordinate frame and
+ * emitted for the chart. The chart's hover moves a marker along the path in the 3D view.
+ * Exports the samples as CSV.
+ */
+export class TerrainProfile {
+    constructor(analysisGroup, logger, eventBus, coordinateSystem, units) {
+        this.group = analysisGroup;
+        this.logger = logger;
+        this.eventBus = eventBus;
+        this.coordinateSystem = coordinateSystem;
+        this.units = units; // The scale calibration turns the distances into meters
+
+        this.layers = [];
+        this.toolActive = false;
+        this.points = [];   // Path being drawn or already profiled
+        this.worker = null;
+        this.result = null; // See _emitResult()
+        this.spacing = null; // Sample spacing (m); null = automatic
+
+        this.visuals = new THREE.Group();
+        this.visuals.name = 'terrain-profile';
+        this.group.add(this.visuals);
+
+        this.materials = {
+            point: new THREE.MeshBasicMaterial({ color: PROFILE_COLOR, depthTest: false, depthWrite: false }),
+            line: new THREE.LineBasicMaterial({ color: PROFILE_COLOR, linewidth: 3, depthTest: false, depthWrite: false }),
+            marker: new THREE.MeshBasicMaterial({ color: 0xffffff, depthTest: false, depthWrite: false })
+        };
+
+        this.marker = new THREE.Mesh(new THREE.SphereGeometry(0.12, 16, 12), this.materials.marker);
+        this.marker.renderOrder = 1000;
+        this.marker.visible = false;
+        this.group.add(this.marker);
+
+        this._setupEventListeners();
+    }
+
+    /**
+     * The path is picked here rather than in a measurement module: a profile is an analysis
+     * of the layers, not an annotation shared with peers.
+     * @private
+     */
+    _setupEventListeners() {
+        this.eventBus.on('tool:changed', ({ activeTool }) => {
+            this.toolActive = activeTool === 'profile';
+            // An unfinished path is dropped when the tool is left
+            if (!this.toolActive && !this.result && !this.worker) this._clearPath();
+        });
+        this.eventBus.on('measurement:point:selected', ({ tool, point }) => {
+            if (tool === 'profile') this._addPoint(point);
+        });
+        this.eventBus.on('measurement:area:finish', () => {
+            if (this.toolActive) this.run();
+        });
+    }
+
+    // --- PUBLIC API ---
+
+    /**
+     * Computes the profile of the drawn path. Does nothing while a profile is being computed
+     * or once the path has been profiled (the next click starts a new path).
+     */
+    run() {
+        if (this.result || this.worker || this.points.length === 0) return; // Already profiled, or nothing drawn
+        if (this.points.length < 2) {
+            this._notifyError('Marque ao menos dois pontos para o perfil');
+            this._clearPath();
+            return;
+        }
+
+        const objects = this.layers.filter(layer => layer.visible).map(layer => layer.object);
+        const meshesData = extractMeshesData(objects);
+        if (meshesData.length === 0) {
+            this._notifyError('Nenhuma malha visível para traçar o perfil');
+            return;
+        }
+
+        const { data, transfer } = toWorkerData(meshesData);
+        const vertices = this.points.map(p => p.toArray());
+
+        this.logger.info(`TerrainProfile: Sampling a ${this.points.length}-vertex path over ${objects.length} layer(s).`);
+        this.eventBus.emit('ui:progress:start', { message: 'Calculando perfil...' });
+        this.eventBus.emit('analysis:profile:started');
+
+        const worker = new Worker(ProfileWorkerUrl, { type: 'module' });
+        this.worker = worker;
+
+        worker.onmessage = (e) => {
+            if (e.data.status === 'progress') {
+                this.eventBus.emit('ui:progress:update', { progress: e.data.progress });
+                return;
+            }
+
+            worker.terminate();
+            if (this.worker !== worker) return; // Superseded or cleared
+            this.worker = null;
+            this.eventBus.emit('ui:progress:end');
+
+            if (e.data.status === 'error') {
+                this._notifyError(`Falha no perfil: ${e.data.error}`);
+                this._clearPath();
+                this._emitResult();
+                return;
+            }
+
+            this._buildResult(e.data);
+            this.logger.info(`TerrainProfile: Done (${this.result.samples.length} samples, ${this.result.stats.length.toFixed(2)} m).`);
+            this._emitResult();
+        };
+
+        worker.onerror = (err) => {
+            worker.terminate();
+            if (this.worker !== worker) return;
+            this.worker = null;
+            this.eventBus.emit('ui:progress:end');
+            this._notifyError(`Falha no perfil: ${err.message || 'erro no worker'}`);
+            this._clearPath();
+            this._emitResult();
+        };
+
+        worker.postMessage({ meshesData: data, vertices, spacing: this.spacing }, transfer);
+    }
+
+    /**
+     * @param {number|null} spacing - Sample spacing in meters for the next profiles (null = automatic).
+     */
+    setSpacing(spacing) {
+        this.spacing = spacing > 0 ? spacing : null;
+    }
+
+    /**
+     * @param {Array} layers - From 'layers:changed'.
+     */
+    syncLayers(layers) {
+        this.layers = layers;
+    }
+
+    /**
+     * Places the 3D marker on a sample (chart hover), or hides it.
+     * @param {number|null} index
+     */
+    showSample(index) {
+        const sample = this.result?.samples[index];
+        this.marker.visible = !!sample && Number.isFinite(sample.elevation);
+        if (this.marker.visible) this.marker.position.copy(sample.point);
+    }
+
+    /**
+     * Downloads the samples as CSV: station, coordinates and elevation in the active frame.
+     * Stations where the path leaves the model have empty coordinates.
+     */
+    exportCsv() {
+        if (!this.result) {
+            this._notifyError('Trace um perfil antes de exportar');
+            return;
+        }
+
+        const { frame, samples } = this.result;
+        const decimals = Math.max(3, frame.decimals);
+        const scale = this.units?.getSettings().scale ?? 1;
+        const header = ['distancia_m', ...frame.axes, 'cota'];
+        const rows = samples.map(sample => {
+            const values = Number.isFinite(sample.elevation)
+                ? [...sample.coordinates.map(value => value.toFixed(decimals)), sample.elevation.toFixed(3)]
+                : ['', '', '', ''];
+            return [(sample.distance * scale).toFixed(3), ...values].join(',');
+        });
+
+        const csv = [`# Perfil - referencial: ${frame.label}`, header.join(','), ...rows].join('\n');
+        downloadBlob(new Blob([csv], { type: 'text/csv' }), 'perfil.csv');
+        this.eventBus.emit('ui:notification:show', { message: 'CSV exportado com sucesso!', type: 'success' });
+    }
+
+    /**
+     * Cancels a running computation and removes the path, marker and result.
+     */
+    clear() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+            this.eventBus.emit('ui:progress:end');
+        }
+        const hadResult = !!this.result;
+        this._clearPath();
+        if (hadResult) this._emitResult();
+    }
+
+    // --- PRIVATE HELPERS ---
+
+    /**
+     * @private
+     */
+    _addPoint(point) {
+        if (this.worker) return;
+        if (this.result) this.clear(); // A click after a finished profile starts a new path
+
+        // The clicks of the finishing double-click repeat the last point
+        const last = this.points[this.points.length - 1];
+        if (last && last.distanceToSquared(point) < 1e-12) return;
+
+        this.points.push(point.clone());
+
+        const sphere = new THREE.Mesh(new THREE.SphereGeometry(0.08, 16, 12), this.materials.point);
+        sphere.position.copy(point);
+        sphere.renderOrder = 999;
+        this.visuals.add(sphere);
+
+        if (this.points.length > 1) {
+            const geometry = new THREE.BufferGeometry().setFromPoints(this.points.slice(-2));
+            const line = new THREE.Line(geometry, this.materials.line);
+            line.renderOrder = 998;
+            this.visuals.add(line);
+        }
+    }
+
+    /**
+     * Converts the worker output into samples with scene points, frame coordinates and
+     * elevations in the active frame, plus summary statistics.
+     * @private
+     */
+    _buildResult({ distances, xs, zs, heights, vertexStations }) {
+        const frameId = this.coordinateSystem.frame;
+        const frame = this.coordinateSystem.getFrameInfo(frameId);
+        const axis = this._getVerticalAxis(frameId);
+
+        const samples = Array.from(distances, (distance, i) => {
+            const point = new THREE.Vector3(xs[i], heights[i], zs[i]);
+            if (!Number.isFinite(heights[i])) return { distance, point, coordinates: null, elevation: NaN };
+            const coordinates = this.coordinateSystem.toFrame(point, frameId).toArray();
+            return { distance, point, coordinates, elevation: coordinates[axis] };
+        });
+
+        this.result = {
+            samples,
+            vertexStations,
+            frame: { id: frameId, label: frame.label, axes: frame.axes, decimals: frame.decimals, elevationAxis: frame.axes[axis] },
+            stats: this._computeStats(samples)
+        };
+        this.marker.visible = false;
+    }
+
+    /**
+     * Index (0, 1, 2) of the frame axis the scene's up direction maps onto.
+     * @private
+     */
+    _getVerticalAxis(frameId) {
+        const center = new THREE.Vector3();
+        this.points.forEach(p => center.add(p));
+        center.divideScalar(this.points.length);
+        return this.coordinateSystem.getVerticalAxis(frameId, center);
+    }
+
+    /**
+     * @private
+     */
+    _computeStats(samples) {
+        const valid = samples.filter(sample => Number.isFinite(sample.elevation));
+        let ascent = 0, descent = 0, surfaceLength = 0;
+        for (let i = 1; i < valid.length; i++) {
+            const dh = valid[i].elevation - valid[i - 1].elevation;
+            if (dh > 0) ascent += dh; else descent -= dh;
+            surfaceLength += Math.hypot(valid[i].distance - valid[i - 1].distance, dh);
+        }
+        const elevations = valid.map(sample => sample.elevation);
+        return {
+            length: samples[samples.length - 1].distance,
+            surfaceLength,
+            min: valid.length ? elevations.reduce((a, b) => Math.min(a, b)) : NaN,
+            max: valid.length ? elevations.reduce((a, b) => Math.max(a, b)) : NaN,
+            ascent,
+            descent,
+            missing: samples.length - valid.length
+        };
+    }
+
+    /**
+     * @private
+     */
+    _clearPath() {
+        [...this.visuals.children].forEach(child => {
+            this.visuals.remove(child);
+            child.geometry.dispose();
+        });
+        this.points = [];
+        this.result = null;
+        this.marker.visible = false;
+    }
+
+    /**
+     * Emits the profile for the chart: samples as plain numbers (no THREE objects).
+     * @private
+     */
+    _emitResult() {
+        const result = this.result && {
+            distances: this.result.samples.map(sample => sample.distance),
+            elevations: this.result.samples.map(sample => sample.elevation),
+            vertexStations: this.result.vertexStations,
+            frame: this.result.frame,
+            stats: this.result.stats
+        };
+        this.eventBus.emit('analysis:profile:result', { result });
+    }
+
+    /**
+     * @private
+     */
+    _notifyError(message) {
+        this.logger.warn(`TerrainProfile: ${message}`);
+        this.eventBus.emit('ui:notification:show', { message, type: 'error' });
+    }
+}
@@ -0,0 +1,299 @@
+// src/modules/analysis/TriangleBVH.js
+
+const LEAF_SIZE = 8;
+
+/**
+ * @class TriangleBVH
+ * @description Bounding volume hierarchy over a triangle soup, answering closest-point
+ * queries. Built for the analysis workers, so it works on plain typed arrays only (no
+ * THREE objects per triangle) to keep multi-million-triangle meshes within memory.
+ * Degenerate triangles (a = b = c) are valid and act as points, which lets the same
+ * structure answer nearest-neighbor queries against point clouds.
+ */
+export class TriangleBVH {
+    /**
+     * @param {Float32Array|Float64Array} triangles - 9 values per triangle (ax, ay, az, bx, ..., cz), world space.
+     */
+    constructor(triangles) {
+        this.triangles = triangles;
+        this.count = triangles.length / 9;
+
+        // Node storage: bounds (6 per node), and for each node either its first child
+        // (internal nodes) or the start of its triangles in 'order' (leaves)
+        this.nodeCount = 0;
+        this.bounds = new Float32Array(Math.max(6, Math.ceil(this.count / 2) * 6));
+        this.offsets = new Uint32Array(Math.max(1, Math.ceil(this.count / 2)));
+        this.counts = new Uint32Array(Math.max(1, Math.ceil(this.count / 2))); // 0 = internal node
+
+        this.order = new Uint32Array(this.count);
+        for (let i = 0; i < this.count; i++) this.order[i] = i;
+
+        this.centroids = new Float32Array(this.count * 3);
+        for (let i = 0; i < this.count; i++) {
+            const t = i * 9;
+            this.centroids[i * 3] = (triangles[t] + triangles[t + 3] + triangles[t + 6]) / 3;
+            this.centroids[i * 3 + 1] = (triangles[t + 1] + triangles[t + 4] + triangles[t + 7]) / 3;
+            this.centroids[i * 3 + 2] = (triangles[t + 2] + triangles[t + 5] + triangles[t + 8]) / 3;
+        }
+
+        if (this.count > 0) this._build();
+        this.centroids = null; // Only needed while building
+    }
+
+    /**
+     * Finds the point of the surface closest to p.
+     * @param {number} px
+     * @param {number} py
+     * @param {number} pz
+     * @param {number} [maxDistance=Infinity] - Ignore anything farther than this.
+     * @param {Float64Array} [target] - Receives [qx, qy, qz] of the closest point.
+     * @returns {number} Index of the closest triangle, or -1 if none within maxDistance.
+     */
+    closestPoint(px, py, pz, maxDistance = Infinity, target = new Float64Array(3)) {
+        if (this.count === 0) return -1;
+
+        let bestDistSq = maxDistance * maxDistance;
+        let bestTriangle = -1;
+        const candidate = this._candidate || (this._candidate = new Float64Array(3));
+        const stack = this._stack || (this._stack = []);
+        stack.length = 0;
+        stack.push(0);
+
+        while (stack.length > 0) {
+            const node = stack.pop();
+            if (this._boxDistanceSq(node, px, py, pz) >= bestDistSq) continue;
+
+            const count = this.counts[node];
+            if (count > 0) {
+                const start = this.offsets[node];
+                for (let i = start; i < start + count; i++) {
+                    const triangle = this.order[i];
+                    const distSq = this._closestPointOnTriangle(triangle, px, py, pz, candidate);
+                    if (distSq < bestDistSq) {
+                        bestDistSq = distSq;
+                        bestTriangle = triangle;
+                        target[0] = candidate[0];
+                        target[1] = candidate[1];
+                        target[2] = candidate[2];
+                    }
+                }
+            } else {
+                // Visit the nearer child first (pushed last)
+                const left = this.offsets[node];
+                const right = left + 1;
+                const dLeft = this._boxDistanceSq(left, px, py, pz);
+                const dRight = this._boxDistanceSq(right, px, py, pz);
+                if (dLeft < dRight) {
+                    stack.push(right, left);
+                } else {
+                    stack.push(left, right);
+                }
+            }
+        }
+
+        return bestTriangle;
+    }
+
+    /**
+     * Unnormalized normal of a triangle (zero for degenerate ones).
+     * @param {number} triangle
+     * @param {Float64Array} [target]
+     * @returns {Float64Array}
+     */
+    getNormal(triangle, target = new Float64Array(3)) {
+        const t = this.triangles;
+        const i = triangle * 9;
+        const abx = t[i + 3] - t[i], aby = t[i + 4] - t[i + 1], abz = t[i + 5] - t[i + 2];
+        const acx = t[i + 6] - t[i], acy = t[i + 7] - t[i + 1], acz = t[i + 8] - t[i + 2];
+        target[0] = aby * acz - abz * acy;
+        target[1] = abz * acx - abx * acz;
+        target[2] = abx * acy - aby * acx;
+        return target;
+    }
+
+    // --- PRIVATE HELPERS ---
+
+    /**
+     * Top-down build splitting at the midpoint of the longest centroid axis.
+     * @private
+     */
+    _build() {
+        const root = this._allocateNodes(1);
+        const tasks = [[root, 0, this.count]];
+
+        while (tasks.length > 0) {
+            const [node, start, end] = tasks.pop();
+            const centroidBounds = this._computeBounds(node, start, end);
+
+            if (end - start <= LEAF_SIZE) {
+                this.offsets[node] = start;
+                this.counts[node] = end - start;
+                continue;
+            }
+
+            // Longest axis of the centroid bounds
+            const extents = [0, 1, 2].map(axis => centroidBounds[axis + 3] - centroidBounds[axis]);
+            const axis = extents.indexOf(Math.max(...extents));
+            let mid = this._partition(start, end, axis, (centroidBounds[axis] + centroidBounds[axis + 3]) / 2);
+
+            // All centroids on one side (e.g., coincident points): split by count
+            if (mid === start || mid === end) mid = (start + end) >> 1;
+
+            const left = this._allocateNodes(2);
+            this.offsets[node] = left;
+            this.counts[node] = 0;
+            tasks.push([left, start, mid], [left + 1, mid, end]);
+        }
+    }
+
+    /**
+     * Sets the node bounds from its triangles and returns the bounds of their centroids.
+     * @private
+     */
+    _computeBounds(node, start, end) {
+        const t = this.triangles;
+        const c = this.centroids;
+        const bounds = [Infinity, Infinity, Infinity, -Infinity, -Infinity, -Infinity];
+        const centroidBounds = [Infinity, Infinity, Infinity, -Infinity, -Infinity, -Infinity];
+
+        for (let i = start; i < end; i++) {
+            const triangle = this.order[i];
+            for (let v = 0; v < 3; v++) {
+                for (let axis = 0; axis < 3; axis++) {
+                    const value = t[triangle * 9 + v * 3 + axis];
+                    if (value < bounds[axis]) bounds[axis] = value;
+                    if (value > bounds[axis + 3]) bounds[axis + 3] = value;
+                }
+            }
+            for (let axis = 0; axis < 3; axis++) {
+                const value = c[triangle * 3 + axis];
+                if (value < centroidBounds[axis]) centroidBounds[axis] = value;
+                if (value > centroidBounds[axis + 3]) centroidBounds[axis + 3] = value;
+            }
+        }
+
+        this.bounds.set(bounds, node * 6);
+        return centroidBounds;
+    }
+
+    /**
+     * Moves the triangles whose centroid is below 'split' to the front of the range.
+     * @returns {number} Index of the first triangle of the upper part.
+     * @private
+     */
+    _partition(start, end, axis, split) {
+        const order = this.order;
+        let i = start;
+        let j = end - 1;
+        while (i <= j) {
+            if (this.centroids[order[i] * 3 + axis] < split) {
+                i++;
+            } else {
+                const swap = order[i];
+                order[i] = order[j];
+                order[j] = swap;
+                j--;
+            }
+        }
+        return i;
+    }
+
+    /**
+     * Reserves consecutive nodes, growing the storage when needed.
+     * @private
+     */
+    _allocateNodes(amount) {
+        const first = this.nodeCount;
+        this.nodeCount += amount;
+
+        if (this.nodeCount > this.counts.length) {
+            const capacity = Math.max(this.nodeCount, this.counts.length * 2);
+            const bounds = new Float32Array(capacity * 6);
+            bounds.set(this.bounds);
+            const offsets = new Uint32Array(capacity);
+            offsets.set(this.offsets);
+            const counts = new Uint32Array(capacity);
+            counts.set(this.counts);
+            this.bounds = bounds;
+            this.offsets = offsets;
+            this.counts = counts;
+        }
+        return first;
+    }
+
+    /**
+     * @private
+     */
+    _boxDistanceSq(node, px, py, pz) {
+        const b = this.bounds;
+        const i = node * 6;
+        const dx = px < b[i] ? b[i] - px : (px > b[i + 3] ? px - b[i + 3] : 0);
+        const dy = py < b[i + 1] ? b[i + 1] - py : (py > b[i + 4] ? py - b[i + 4] : 0);
+        const dz = pz < b[i + 2] ? b[i + 2] - pz : (pz > b[i + 5] ? pz - b[i + 5] : 0);
+        return dx * dx + dy * dy + dz * dz;
+    }
+
+    /**
+     * Closest point on a triangle (Ericson, Real-Time Collision Detection, 5.1.5).
+     * @returns {number} Squared distance from p to the closest point, written to 'out'.
+     * @private
+     */
+    _closestPointOnTriangle(triangle, px, py, pz, out) {
+        const t = this.triangles;
+        const i = triangle * 9;
+        const ax = t[i], ay = t[i + 1], az = t[i + 2];
+        const abx = t[i + 3] - ax, aby = t[i + 4] - ay, abz = t[i + 5] - az;
+        const acx = t[i + 6] - ax, acy = t[i + 7] - ay, acz = t[i + 8] - az;
+        const apx = px - ax, apy = py - ay, apz = pz - az;
+
+        const d1 = abx * apx + aby * apy + abz * apz;
+        const d2 = acx * apx + acy * apy + acz * apz;
+        if (d1 <= 0 && d2 <= 0) return this._writePoint(out, px, py, pz, ax, ay, az);
+
+        const bpx = px - t[i + 3], bpy = py - t[i + 4], bpz = pz - t[i + 5];
+        const d3 = abx * bpx + aby * bpy + abz * bpz;
+        const d4 = acx * bpx + acy * bpy + acz * bpz;
+        if (d3 >= 0 && d4 <= d3) return this._writePoint(out, px, py, pz, t[i + 3], t[i + 4], t[i + 5]);
+
+        const vc = d1 * d4 - d3 * d2;
+        if (vc <= 0 && d1 >= 0 && d3 <= 0) {
+            const v = d1 / (d1 - d3);
+            return this._writePoint(out, px, py, pz, ax + v * abx, ay + v * aby, az + v * abz);
+        }
+
+        const cpx = px - t[i + 6], cpy = py - t[i + 7], cpz = pz - t[i + 8];
+        const d5 = abx * cpx + aby * cpy + abz * cpz;
+        const d6 = acx * cpx + acy * cpy + acz * cpz;
+        if (d6 >= 0 && d5 <= d6) return this._writePoint(out, px, py, pz, t[i + 6], t[i + 7], t[i + 8]);
+
+        const vb = d5 * d2 - d1 * d6;
+        if (vb <= 0 && d2 >= 0 && d6 <= 0) {
+            const w = d2 / (d2 - d6);
+            return this._writePoint(out, px, py, pz, ax + w * acx, ay + w * acy, az + w * acz);
+        }
+
+        const va = d3 * d6 - d5 * d4;
+        if (va <= 0 && (d4 - d3) >= 0 && (d5 - d6) >= 0) {
+            const w = (d4 - d3) / ((d4 - d3) + (d5 - d6));
+            const bx = t[i + 3], by = t[i + 4], bz = t[i + 5];
+            return this._writePoint(out, px, py, pz, bx + w * (t[i + 6] - bx), by + w * (t[i + 7] - by), bz + w * (t[i + 8] - bz));
+        }
+
+        const sum = va + vb + vc;
+        if (sum === 0) return this._writePoint(out, px, py, pz, ax, ay, az); // Degenerate triangle (a point)
+        const v = vb / sum;
+        const w = vc / sum;
+        return this._writePoint(out, px, py, pz, ax + abx * v + acx * w, ay + aby * v + acy * w, az + abz * v + acz * w);
+    }
+
+    /**
+     * @private
+     */
+    _writePoint(out, px, py, pz, x, y, z) {
+        out[0] = x;
+        out[1] = y;
+        out[2] = z;
+        const dx = px - x, dy = py - y, dz = pz - z;
+        return dx * dx + dy * dy + dz * dz;
+    }
+}
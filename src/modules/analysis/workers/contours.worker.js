@@ -0,0 +1,176 @@
+import { WorkerLogger } from '../../../utils/WorkerLogger.js';
+
+const MAX_LEVELS = 2000;
+
+/**
+ * Aplica uma matriz 4x4 (column-major) ao vértice i de um array de posições.
+ */
+function transformVertex(positions, i, m, out, offset = 0) {
+    const x = positions[i * 3], y = positions[i * 3 + 1], z = positions[i * 3 + 2];
+    out[offset] = m[0] * x + m[4] * y + m[8] * z + m[12];
+    out[offset + 1] = m[1] * x + m[5] * y + m[9] * z + m[13];
+    out[offset + 2] = m[2] * x + m[6] * y + m[10] * z + m[14];
+}
+
+/**
+ * Teste de ponto no polígono em planta (X, Z) por ray casting.
+ * @param {number[][]} polygon - Vértices [x, y, z].
+ */
+function isInsidePolygon(x, z, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const [xi, , zi] = polygon[i];
+        const [xj, , zj] = polygon[j];
+        if ((zi > z) !== (zj > z) && x < ((xj - xi) * (z - zi)) / (zj - zi) + xi) inside = !inside;
+    }
+    return inside;
+}
+
+/**
+ * Ponto onde a aresta (a, b) cruza a altura 'level' (Y). A interpolação parte sempre do
+ * vértice mais baixo, para que os dois triângulos de uma aresta obtenham o mesmo ponto
+ * (bit a bit) e as polilinhas se encadeiem.
+ */
+function crossing(v, a, b, level) {
+    if (v[a + 1] > v[b + 1]) [a, b] = [b, a];
+    const ya = v[a + 1], yb = v[b + 1];
+    const t = (level - ya) / (yb - ya);
+    return [v[a] + (v[b] - v[a]) * t, level, v[a + 2] + (v[b + 2] - v[a + 2]) * t];
+}
+
+/**
+ * Corta os triângulos nas alturas das curvas. Um vértice exatamente na altura conta como
+ * "acima", o que evita segmentos duplicados ou degenerados.
+ * @returns {Map<number, number[][][]>} nível -> segmentos [[x, y, z], [x, y, z]]
+ */
+function sliceTriangles(meshesData, { interval, offset, polygon }) {
+    const segmentsByLevel = new Map();
+    const v = new Float64Array(9);
+    let minY = Infinity, maxY = -Infinity;
+
+    meshesData.forEach(data => {
+        const vertexCount = data.positions.length / 3;
+        const count = Math.floor((data.indices ? data.indices.length : vertexCount) / 3);
+        for (let f = 0; f < count; f++) {
+            for (let k = 0; k < 3; k++) {
+                const index = data.indices ? data.indices[f * 3 + k] : f * 3 + k;
+                transformVertex(data.positions, index, data.matrix, v, k * 3);
+            }
+            if (polygon && !isInsidePolygon((v[0] + v[3] + v[6]) / 3, (v[2] + v[5] + v[8]) / 3, polygon)) continue;
+
+            const tMin = Math.min(v[1], v[4], v[7]);
+            const tMax = Math.max(v[1], v[4], v[7]);
+            minY = Math.min(minY, tMin);
+            maxY = Math.max(maxY, tMax);
+
+            // Cotas = Y + offset; níveis em múltiplos do intervalo
+            const first = Math.ceil((tMin + offset) / interval);
+            const last = Math.floor((tMax + offset) / interval);
+            for (let n = first; n <= last; n++) {
+                const level = n * interval - offset;
+                const above = [v[1] >= level, v[4] >= level, v[7] >= level];
+                const aboveCount = above.filter(Boolean).length;
+                if (aboveCount === 0 || aboveCount === 3) continue;
+
+                // O vértice sozinho do seu lado; as duas arestas que saem dele cruzam o nível
+                const lone = above.findIndex(value => (aboveCount === 1 ? value : !value));
+                const a = lone * 3, b = ((lone + 1) % 3) * 3, c = ((lone + 2) % 3) * 3;
+                const segment = [crossing(v, a, b, level), crossing(v, a, c, level)];
+                if (segment[0][0] === segment[1][0] && segment[0][2] === segment[1][2]) continue;
+
+                if (!segmentsByLevel.has(n)) segmentsByLevel.set(n, []);
+                segmentsByLevel.get(n).push(segment);
+            }
+        }
+        if (segmentsByLevel.size > MAX_LEVELS) {
+            throw new Error('Intervalo muito pequeno para a amplitude do modelo');
+        }
+    });
+
+    return { segmentsByLevel, minY, maxY };
+}
+
+/**
+ * Encadeia os segmentos de um nível em polilinhas, juntando extremidades coincidentes.
+ * @param {number[][][]} segments
+ * @param {number} tolerance - Distância abaixo da qual duas extremidades são o mesmo ponto.
+ * @returns {Array<{points: number[][], closed: boolean}>}
+ */
+function chainSegments(segments, tolerance) {
+    const key = ([x, , z]) => `${Math.round(x / tolerance)},${Math.round(z / tolerance)}`;
+    const ends = new Map(); // chave -> índices dos segmentos que terminam ali
+    segments.forEach((segment, i) => {
+        segment.forEach(point => {
+            const k = key(point);
+            if (!ends.has(k)) ends.set(k, []);
+            ends.get(k).push(i);
+        });
+    });
+
+    const used = new Uint8Array(segments.length);
+    const nextFrom = (point) => {
+        const candidates = ends.get(key(point)) || [];
+        const i = candidates.find(index => !used[index]);
+        if (i === undefined) return null;
+        used[i] = 1;
+        const [p, q] = segments[i];
+        return key(p) === key(point) ? q : p;
+    };
+
+    const lines = [];
+    segments.forEach((segment, i) => {
+        if (used[i]) return;
+        used[i] = 1;
+        const points = [segment[0], segment[1]];
+
+        // Cresce para frente e depois para trás
+        for (let next = nextFrom(points[points.length - 1]); next; next = nextFrom(points[points.length - 1])) points.push(next);
+        for (let prev = nextFrom(points[0]); prev; prev = nextFrom(points[0])) points.unshift(prev);
+
+        const closed = points.length > 3 && key(points[0]) === key(points[points.length - 1]);
+        if (closed) points.pop();
+        lines.push({ points, closed });
+    });
+    return lines;
+}
+
+
+// --- PONTO DE ENTRADA DO WORKER ---
+self.onmessage = (e) => {
+    const { meshesData, interval, offset = 0, indexEvery = 5, polygon = null } = e.data;
+    const logger = new WorkerLogger();
+
+    try {
+        const meshes = meshesData.filter(data => !data.isPoints);
+        if (meshes.length === 0) {
+            throw new Error('Nenhuma malha visível para gerar curvas de nível');
+        }
+        if (!(interval > 0)) {
+            throw new Error('Informe um intervalo positivo');
+        }
+
+        const started = performance.now();
+        const { segmentsByLevel, minY, maxY } = sliceTriangles(meshes, { interval, offset, polygon });
+        if (minY === Infinity) {
+            throw new Error('Nenhuma superfície dentro do polígono');
+        }
+        const tolerance = Math.max(Math.abs(maxY - minY), interval) * 1e-7;
+
+        const levels = Array.from(segmentsByLevel.keys()).sort((a, b) => a - b).map(n => {
+            const lines = chainSegments(segmentsByLevel.get(n), tolerance).map(line => ({
+                closed: line.closed,
+                positions: Float32Array.from(line.points.flat())
+            }));
+            return { elevation: n * interval, index: n % indexEvery === 0, lines };
+        });
+
+        const lineCount = levels.reduce((sum, level) => sum + level.lines.length, 0);
+        logger.info(`ContoursWorker: ${levels.length} levels, ${lineCount} lines in ${(performance.now() - started).toFixed(0)} ms`);
+
+        const transfer = levels.flatMap(level => level.lines.map(line => line.positions.buffer));
+        self.postMessage({ status: 'success', levels, range: [minY + offset, maxY + offset] }, transfer);
+    } catch (error) {
+        logger.error('Erro no Contours Worker', error);
+        self.postMessage({ status: 'error', error: error.message });
+    }
+};
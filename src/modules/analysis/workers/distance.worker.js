@@ -0,0 +1,148 @@
+import { TriangleBVH } from '../TriangleBVH.js';
+import { WorkerLogger } from '../../../utils/WorkerLogger.js';
+
+/**
+ * Applies a column-major 4x4 matrix to the vertex i of a position array.
+ */
+function transformVertex(positions, i, m, out, offset = 0) {
+    const x = positions[i * 3], y = positions[i * 3 + 1], z = positions[i * 3 + 2];
+    out[offset] = m[0] * x + m[4] * y + m[8] * z + m[12];
+    out[offset + 1] = m[1] * x + m[5] * y + m[9] * z + m[13];
+    out[offset + 2] = m[2] * x + m[6] * y + m[10] * z + m[14];
+}
+
+/**
+ * Builds the world-space triangle soup of the reference surface.
+ * Point clouds become degenerate triangles, so distances to them are point-to-point.
+ * @returns {{triangles: Float64Array, signed: boolean}}
+ */
+function buildTriangles(meshesData) {
+    let total = 0;
+    meshesData.forEach(data => {
+        const vertexCount = data.positions.length / 3;
+        if (data.isPoints) total += vertexCount;
+        else total += Math.floor((data.indices ? data.indices.length : vertexCount) / 3);
+    });
+
+    // Double precision: models left "as is" may sit at large (e.g., UTM) coordinates
+    const triangles = new Float64Array(total * 9);
+    let signed = total > 0;
+    let t = 0;
+    meshesData.forEach(data => {
+        const m = data.matrix;
+        const vertexCount = data.positions.length / 3;
+        if (data.isPoints) {
+            signed = false;
+            for (let i = 0; i < vertexCount; i++, t++) {
+                transformVertex(data.positions, i, m, triangles, t * 9);
+                triangles.copyWithin(t * 9 + 3, t * 9, t * 9 + 3);
+                triangles.copyWithin(t * 9 + 6, t * 9, t * 9 + 3);
+            }
+            return;
+        }
+        const triangleCount = Math.floor((data.indices ? data.indices.length : vertexCount) / 3);
+        for (let f = 0; f < triangleCount; f++, t++) {
+            for (let v = 0; v < 3; v++) {
+                const index = data.indices ? data.indices[f * 3 + v] : f * 3 + v;
+                transformVertex(data.positions, index, m, triangles, t * 9 + v * 3);
+            }
+        }
+    });
+
+    return { triangles, signed };
+}
+
+/**
+ * Signed distance from every vertex of the compared model to the reference surface.
+ * The sign follows the normal of the closest reference triangle: positive means the
+ * compared surface lies on the side the reference normals point to (e.g., material
+ * added on top of a terrain), negative means the opposite side.
+ */
+function computeDistances(source, target, maxDistance, logger) {
+    const { triangles, signed } = buildTriangles(target);
+    if (triangles.length === 0) {
+        throw new Error('O modelo de referência não tem geometria');
+    }
+
+    const started = performance.now();
+    const bvh = new TriangleBVH(triangles);
+    logger.info(`DistanceWorker: BVH with ${bvh.count} triangles built in ${(performance.now() - started).toFixed(0)} ms`);
+
+    const total = source.reduce((sum, data) => sum + data.positions.length / 3, 0);
+    const distances = new Float32Array(total);
+    const point = new Float64Array(3);
+    const closest = new Float64Array(3);
+    const normal = new Float64Array(3);
+    const limit = maxDistance > 0 ? maxDistance : Infinity;
+    const progressStep = Math.max(1, Math.floor(total / 100));
+
+    let k = 0;
+    source.forEach(data => {
+        const vertexCount = data.positions.length / 3;
+        for (let i = 0; i < vertexCount; i++, k++) {
+            transformVertex(data.positions, i, data.matrix, point);
+            const triangle = bvh.closestPoint(point[0], point[1], point[2], limit, closest);
+
+            if (triangle === -1) {
+                distances[k] = NaN; // Nothing within the maximum distance
+            } else {
+                const dx = point[0] - closest[0], dy = point[1] - closest[1], dz = point[2] - closest[2];
+                let distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+                if (signed) {
+                    bvh.getNormal(triangle, normal);
+                    if (dx * normal[0] + dy * normal[1] + dz * normal[2] < 0) distance = -distance;
+                }
+                distances[k] = distance;
+            }
+
+            if (k % progressStep === 0) {
+                self.postMessage({ status: 'progress', progress: (k / total) * 100 });
+            }
+        }
+    });
+
+    return { distances, signed };
+}
+
+/**
+ * Summary statistics of the valid (finite) distances.
+ */
+function computeStats(distances) {
+    let count = 0, min = Infinity, max = -Infinity, sum = 0, sumSq = 0;
+    for (let i = 0; i < distances.length; i++) {
+        const d = distances[i];
+        if (!Number.isFinite(d)) continue;
+        count++;
+        if (d < min) min = d;
+        if (d > max) max = d;
+        sum += d;
+        sumSq += d * d;
+    }
+    const mean = count ? sum / count : 0;
+    return {
+        count,
+        outOfRange: distances.length - count,
+        min: count ? min : 0,
+        max: count ? max : 0,
+        mean,
+        stdDev: count ? Math.sqrt(Math.max(0, sumSq / count - mean * mean)) : 0,
+        rms: count ? Math.sqrt(sumSq / count) : 0
+    };
+}
+
+
+// --- PONTO DE ENTRADA DO WORKER ---
+self.onmessage = (e) => {
+    const { source, target, maxDistance } = e.data;
+    const logger = new WorkerLogger();
+
+    try {
+        const { distances, signed } = computeDistances(source, target, maxDistance, logger);
+        const stats = computeStats(distances);
+
+        self.postMessage({ status: 'success', distances, signed, stats }, [distances.buffer]);
+    } catch (error) {
+        logger.error('Erro no Distance Worker', error);
+        self.postMessage({ status: 'error', error: error.message });
+    }
+};
@@ -0,0 +1,167 @@
+import { WorkerLogger } from '../../../utils/WorkerLogger.js';
+
+// Vértices mais próximos que isto (relativo à diagonal do modelo) são soldados num só:
+// STL e muitos exportadores repetem os vértices em cada triângulo.
+const WELD_TOLERANCE = 1e-7;
+
+/**
+ * Aplica uma matriz 4x4 (column-major) ao vértice i de um array de posições.
+ */
+function transformVertex(positions, i, m, out, offset = 0) {
+    const x = positions[i * 3], y = positions[i * 3 + 1], z = positions[i * 3 + 2];
+    out[offset] = m[0] * x + m[4] * y + m[8] * z + m[12];
+    out[offset + 1] = m[1] * x + m[5] * y + m[9] * z + m[13];
+    out[offset + 2] = m[2] * x + m[6] * y + m[10] * z + m[14];
+}
+
+/**
+ * Junta as malhas em coordenadas de mundo e solda os vértices coincidentes.
+ * @returns {{vertices: Float64Array, triangles: Uint32Array}} triangles indexa os vértices soldados.
+ */
+function buildWeldedMesh(meshesData) {
+    let vertexTotal = 0, triangleTotal = 0;
+    meshesData.forEach(data => {
+        const vertexCount = data.positions.length / 3;
+        vertexTotal += vertexCount;
+        triangleTotal += Math.floor((data.indices ? data.indices.length : vertexCount) / 3);
+    });
+
+    // Precisão dupla: modelos mantidos "como estão" podem estar em coordenadas grandes (UTM)
+    const world = new Float64Array(vertexTotal * 3);
+    let k = 0;
+    meshesData.forEach(data => {
+        const vertexCount = data.positions.length / 3;
+        for (let i = 0; i < vertexCount; i++, k++) transformVertex(data.positions, i, data.matrix, world, k * 3);
+    });
+
+    let min = [Infinity, Infinity, Infinity], max = [-Infinity, -Infinity, -Infinity];
+    for (let i = 0; i < world.length; i += 3) {
+        for (let a = 0; a < 3; a++) {
+            if (world[i + a] < min[a]) min[a] = world[i + a];
+            if (world[i + a] > max[a]) max[a] = world[i + a];
+        }
+    }
+    const diagonal = Math.hypot(max[0] - min[0], max[1] - min[1], max[2] - min[2]);
+    const cell = Math.max(diagonal * WELD_TOLERANCE, Number.EPSILON);
+
+    // Centraliza no meio da caixa envolvente para não perder precisão no teorema da divergência
+    const center = min.map((value, a) => (value + max[a]) / 2);
+    const remap = new Uint32Array(vertexTotal);
+    const keys = new Map();
+    const vertices = [];
+    for (let i = 0; i < vertexTotal; i++) {
+        const x = world[i * 3] - center[0], y = world[i * 3 + 1] - center[1], z = world[i * 3 + 2] - center[2];
+        const key = `${Math.round(x / cell)},${Math.round(y / cell)},${Math.round(z / cell)}`;
+        let id = keys.get(key);
+        if (id === undefined) {
+            id = vertices.length / 3;
+            keys.set(key, id);
+            vertices.push(x, y, z);
+        }
+        remap[i] = id;
+    }
+
+    const triangles = new Uint32Array(triangleTotal * 3);
+    let t = 0, start = 0;
+    meshesData.forEach(data => {
+        const vertexCount = data.positions.length / 3;
+        const count = Math.floor((data.indices ? data.indices.length : vertexCount) / 3) * 3;
+        for (let f = 0; f < count; f++, t++) {
+            triangles[t] = remap[start + (data.indices ? data.indices[f] : f)];
+        }
+        start += vertexCount;
+    });
+
+    return { vertices: Float64Array.from(vertices), triangles };
+}
+
+/**
+ * Área total, volume fechado (teorema da divergência) e verificação de estanqueidade.
+ * O volume é a soma dos tetraedros (origem, a, b, c); só é o volume interno quando a malha é
+ * fechada, variedade (manifold) e com os triângulos orientados de forma consistente.
+ */
+function computeStats({ vertices, triangles }) {
+    const v = vertices;
+    let area = 0, signedVolume = 0, degenerate = 0;
+    const edges = new Map(); // aresta (menor, maior) -> { count, balance }
+    const vertexCount = v.length / 3;
+
+    const addEdge = (a, b) => {
+        const key = a < b ? a * vertexCount + b : b * vertexCount + a;
+        const edge = edges.get(key);
+        // balance: +1 quando percorrida de menor para maior, -1 ao contrário
+        const direction = a < b ? 1 : -1;
+        if (edge) {
+            edge.count++;
+            edge.balance += direction;
+        } else {
+            edges.set(key, { count: 1, balance: direction });
+        }
+    };
+
+    for (let t = 0; t < triangles.length; t += 3) {
+        const a = triangles[t], b = triangles[t + 1], c = triangles[t + 2];
+        if (a === b || b === c || a === c) {
+            degenerate++;
+            continue;
+        }
+        const ax = v[a * 3], ay = v[a * 3 + 1], az = v[a * 3 + 2];
+        const bx = v[b * 3], by = v[b * 3 + 1], bz = v[b * 3 + 2];
+        const cx = v[c * 3], cy = v[c * 3 + 1], cz = v[c * 3 + 2];
+
+        // (b - a) x (c - a)
+        const ux = bx - ax, uy = by - ay, uz = bz - az;
+        const wx = cx - ax, wy = cy - ay, wz = cz - az;
+        area += Math.hypot(uy * wz - uz * wy, uz * wx - ux * wz, ux * wy - uy * wx) / 2;
+
+        // a · (b x c) / 6
+        signedVolume += (ax * (by * cz - bz * cy) + ay * (bz * cx - bx * cz) + az * (bx * cy - by * cx)) / 6;
+
+        addEdge(a, b);
+        addEdge(b, c);
+        addEdge(c, a);
+    }
+
+    let boundaryEdges = 0, nonManifoldEdges = 0, flippedEdges = 0;
+    edges.forEach(edge => {
+        if (edge.count === 1) boundaryEdges++;
+        else if (edge.count > 2) nonManifoldEdges++;
+        else if (edge.balance !== 0) flippedEdges++; // Os dois triângulos percorrem a aresta no mesmo sentido
+    });
+
+    return {
+        area,
+        volume: Math.abs(signedVolume),
+        watertight: boundaryEdges === 0 && nonManifoldEdges === 0,
+        consistentOrientation: flippedEdges === 0,
+        boundaryEdges,
+        nonManifoldEdges,
+        flippedEdges,
+        triangleCount: triangles.length / 3 - degenerate,
+        degenerateTriangles: degenerate,
+        vertexCount
+    };
+}
+
+
+// --- PONTO DE ENTRADA DO WORKER ---
+self.onmessage = (e) => {
+    const { meshesData } = e.data;
+    const logger = new WorkerLogger();
+
+    try {
+        const meshes = meshesData.filter(data => !data.isPoints);
+        if (meshes.length === 0) {
+            throw new Error('O modelo não tem malha (nuvens de pontos não têm área nem volume)');
+        }
+
+        const started = performance.now();
+        const stats = computeStats(buildWeldedMesh(meshes));
+        logger.info(`MeshStatsWorker: ${stats.triangleCount} triangles analyzed in ${(performance.now() - started).toFixed(0)} ms`);
+
+        self.postMessage({ status: 'success', stats });
+    } catch (error) {
+        logger.error('Erro no Mesh Stats Worker', error);
+        self.postMessage({ status: 'error', error: error.message });
+    }
+};
@@ -0,0 +1,196 @@
+import { WorkerLogger } from '../../../utils/WorkerLogger.js';
+
+const MAX_SAMPLES = 5000;
+const MAX_GRID_CELLS = 512; // Por eixo
+const EPSILON = 1e-9;
+
+/**
+ * Aplica uma matriz 4x4 (column-major) ao vértice i de um array de posições.
+ */
+function transformVertex(positions, i, m, out, offset = 0) {
+    const x = positions[i * 3], y = positions[i * 3 + 1], z = positions[i * 3 + 2];
+    out[offset] = m[0] * x + m[4] * y + m[8] * z + m[12];
+    out[offset + 1] = m[1] * x + m[5] * y + m[9] * z + m[13];
+    out[offset + 2] = m[2] * x + m[6] * y + m[10] * z + m[14];
+}
+
+/**
+ * Estações ao longo da linha, em planta (X, Z): a cada 'spacing' metros e em todos os vértices.
+ * @returns {{distances: Float64Array, xs: Float64Array, zs: Float64Array, vertexStations: number[]}}
+ */
+function buildStations(vertices, spacing) {
+    const vertexStations = [0];
+    for (let i = 1; i < vertices.length; i++) {
+        const [ax, , az] = vertices[i - 1];
+        const [bx, , bz] = vertices[i];
+        vertexStations.push(vertexStations[i - 1] + Math.hypot(bx - ax, bz - az));
+    }
+    const length = vertexStations[vertexStations.length - 1];
+    if (length < EPSILON) {
+        throw new Error('A linha do perfil não tem extensão horizontal');
+    }
+
+    const step = Math.max(spacing > 0 ? spacing : length / 500, length / MAX_SAMPLES);
+    const stations = new Set(vertexStations);
+    for (let d = step; d < length; d += step) stations.add(d);
+    const distances = Float64Array.from(stations).sort();
+
+    const xs = new Float64Array(distances.length);
+    const zs = new Float64Array(distances.length);
+    let segment = 1;
+    distances.forEach((d, i) => {
+        while (segment < vertices.length - 1 && d > vertexStations[segment]) segment++;
+        const [ax, , az] = vertices[segment - 1];
+        const [bx, , bz] = vertices[segment];
+        const span = vertexStations[segment] - vertexStations[segment - 1];
+        const t = span > EPSILON ? (d - vertexStations[segment - 1]) / span : 0;
+        xs[i] = ax + (bx - ax) * t;
+        zs[i] = az + (bz - az) * t;
+    });
+
+    return { distances, xs, zs, vertexStations };
+}
+
+/**
+ * Grade 2D sobre as estações. Só as células que contêm estações recebem triângulos,
+ * então a memória depende da faixa em volta da linha, e não do modelo inteiro.
+ */
+function buildGrid(xs, zs) {
+    let minX = Infinity, maxX = -Infinity, minZ = Infinity, maxZ = -Infinity;
+    for (let i = 0; i < xs.length; i++) {
+        minX = Math.min(minX, xs[i]); maxX = Math.max(maxX, xs[i]);
+        minZ = Math.min(minZ, zs[i]); maxZ = Math.max(maxZ, zs[i]);
+    }
+    const size = Math.max(maxX - minX, maxZ - minZ, EPSILON);
+    const cellSize = size / MAX_GRID_CELLS;
+    const columns = Math.floor((maxX - minX) / cellSize) + 1;
+    const rows = Math.floor((maxZ - minZ) / cellSize) + 1;
+
+    const grid = { minX, minZ, cellSize, columns, rows, cells: new Map() };
+    for (let i = 0; i < xs.length; i++) {
+        grid.cells.set(cellKey(grid, xs[i], zs[i]), []);
+    }
+    return grid;
+}
+
+function cellKey(grid, x, z) {
+    const column = Math.min(grid.columns - 1, Math.max(0, Math.floor((x - grid.minX) / grid.cellSize)));
+    const row = Math.min(grid.rows - 1, Math.max(0, Math.floor((z - grid.minZ) / grid.cellSize)));
+    return row * grid.columns + column;
+}
+
+/**
+ * Distribui os triângulos (em coordenadas de mundo) pelas células ativas da grade.
+ * @returns {Float64Array} triangles - 9 valores por triângulo, indexados pelas células.
+ */
+function fillGrid(grid, meshesData) {
+    const triangles = [];
+    const v = new Float64Array(9);
+    const maxX = grid.minX + grid.columns * grid.cellSize;
+    const maxZ = grid.minZ + grid.rows * grid.cellSize;
+
+    meshesData.forEach(data => {
+        const vertexCount = data.positions.length / 3;
+        const count = Math.floor((data.indices ? data.indices.length : vertexCount) / 3);
+        for (let f = 0; f < count; f++) {
+            for (let k = 0; k < 3; k++) {
+                const index = data.indices ? data.indices[f * 3 + k] : f * 3 + k;
+                transformVertex(data.positions, index, data.matrix, v, k * 3);
+            }
+            const tMinX = Math.min(v[0], v[3], v[6]), tMaxX = Math.max(v[0], v[3], v[6]);
+            const tMinZ = Math.min(v[2], v[5], v[8]), tMaxZ = Math.max(v[2], v[5], v[8]);
+            if (tMaxX < grid.minX || tMinX > maxX || tMaxZ < grid.minZ || tMinZ > maxZ) continue;
+
+            const c0 = Math.max(0, Math.floor((tMinX - grid.minX) / grid.cellSize));
+            const c1 = Math.min(grid.columns - 1, Math.floor((tMaxX - grid.minX) / grid.cellSize));
+            const r0 = Math.max(0, Math.floor((tMinZ - grid.minZ) / grid.cellSize));
+            const r1 = Math.min(grid.rows - 1, Math.floor((tMaxZ - grid.minZ) / grid.cellSize));
+
+            let id = -1;
+            for (let r = r0; r <= r1; r++) {
+                for (let c = c0; c <= c1; c++) {
+                    const cell = grid.cells.get(r * grid.columns + c);
+                    if (!cell) continue;
+                    if (id === -1) {
+                        id = triangles.length / 9;
+                        triangles.push(...v);
+                    }
+                    cell.push(id);
+                }
+            }
+        }
+    });
+
+    return Float64Array.from(triangles);
+}
+
+/**
+ * Altura (Y) do triângulo t no ponto (x, z) da planta, ou null se o ponto estiver fora dele.
+ */
+function heightAt(triangles, t, x, z) {
+    const o = t * 9;
+    const ax = triangles[o], ay = triangles[o + 1], az = triangles[o + 2];
+    const bx = triangles[o + 3], by = triangles[o + 4], bz = triangles[o + 5];
+    const cx = triangles[o + 6], cy = triangles[o + 7], cz = triangles[o + 8];
+
+    const det = (bz - cz) * (ax - cx) + (cx - bx) * (az - cz);
+    if (Math.abs(det) < EPSILON) return null; // Triângulo vertical (parede): sem altura única
+
+    const l1 = ((bz - cz) * (x - cx) + (cx - bx) * (z - cz)) / det;
+    const l2 = ((cz - az) * (x - cx) + (ax - cx) * (z - cz)) / det;
+    const l3 = 1 - l1 - l2;
+    const tolerance = -1e-7;
+    if (l1 < tolerance || l2 < tolerance || l3 < tolerance) return null;
+
+    return l1 * ay + l2 * by + l3 * cy;
+}
+
+/**
+ * Perfil: em cada estação, a superfície mais alta sob ela (o que um raio vindo de cima encontraria).
+ */
+function computeProfile(meshesData, vertices, spacing, logger) {
+    const { distances, xs, zs, vertexStations } = buildStations(vertices, spacing);
+    const grid = buildGrid(xs, zs);
+    const triangles = fillGrid(grid, meshesData);
+    logger.info(`ProfileWorker: ${distances.length} stations, ${triangles.length / 9} triangles near the line`);
+
+    const heights = new Float64Array(distances.length);
+    const progressStep = Math.max(1, Math.floor(distances.length / 50));
+    for (let i = 0; i < distances.length; i++) {
+        let best = -Infinity;
+        const cell = grid.cells.get(cellKey(grid, xs[i], zs[i]));
+        cell.forEach(t => {
+            const h = heightAt(triangles, t, xs[i], zs[i]);
+            if (h !== null && h > best) best = h;
+        });
+        heights[i] = best === -Infinity ? NaN : best; // NaN: a linha passa fora do modelo
+        if (i % progressStep === 0) {
+            self.postMessage({ status: 'progress', progress: (i / distances.length) * 100 });
+        }
+    }
+
+    return { distances, xs, zs, heights, vertexStations };
+}
+
+
+// --- PONTO DE ENTRADA DO WORKER ---
+self.onmessage = (e) => {
+    const { meshesData, vertices, spacing } = e.data;
+    const logger = new WorkerLogger();
+
+    try {
+        const meshes = meshesData.filter(data => !data.isPoints);
+        if (meshes.length === 0) {
+            throw new Error('Nenhuma malha visível para traçar o perfil');
+        }
+
+        const { distances, xs, zs, heights, vertexStations } = computeProfile(meshes, vertices, spacing, logger);
+        self.postMessage(
+            { status: 'success', distances, xs, zs, heights, vertexStations },
+            [distances.buffer, xs.buffer, zs.buffer, heights.buffer]
+        );
+    } catch (error) {
+        logger.error('Erro no Profile Worker', error);
+        self.postMessage({ status: 'error', error: error.message });
+    }
+};
@@ -0,0 +1,284 @@
+// src/modules/calibration.js (Coordinator File)
+
+import * as THREE from 'three';
+import { ScaleEstimator } from './calibration/ScaleEstimator.js';
+import { createTextSprite } from '../utils/DrawingUtils.js';
+
+/**
+ * @class Calibration
+ * @description
+ * Scale calibration of unscaled models (e.g., photogrammetry without control): reference pairs
+ * are picked on the model with the 'calibrate' tool (two clicks per pair, through the regular
+ * 'measurement:point:selected' flow) and their real distance is typed in. The scale factor
+ * (meters per scene unit) is the least-squares fit over every pair with a distance, and each
+ * pair reports its residual. The factor is handed to UnitSystem, so every label, the
+ * measurements panel and the model statistics are shown in calibrated units from then on;
+ * the geometry itself is not changed.
+ * Like the georeference, the calibration belongs to the reference layer's model: the pair points
+ * are stored in the model file frame ('original' in CoordinateSystem), saved in the project and
+ * shared with peers (CalibrationSync).
+ */
+export class Calibration {
+    constructor(scene, logger, eventBus, coordinateSystem, units) {
+        this.scene = scene;
+        this.logger = logger;
+        this.eventBus = eventBus;
+        this.coordinateSystem = coordinateSystem;
+        this.units = units;
+
+        this.markerGroup = new THREE.Group();
+        this.markerGroup.name = 'scale-calibration';
+        this.scene.add(this.markerGroup);
+        this.markerMaterial = new THREE.MeshBasicMaterial({ color: 0xffc107, depthTest: false, depthWrite: false });
+        this.lineMaterial = new THREE.LineBasicMaterial({ color: 0xffc107, depthTest: false });
+
+        this.modelName = null;
+        this.pairs = [];      // { id, label, a: [x, y, z] (file frame), b: [x, y, z] | null, distance: meters | null, measured, residual }
+        this.solution = null; // { scale, rmse }
+
+        this._setupEventListeners();
+
+        this.logger.info('Calibration Module: Initialized');
+    }
+
+    /**
+     * @private
+     */
+    _setupEventListeners() {
+        this.eventBus.on('layers:changed', (payload) => {
+            const reference = payload.layers.find(layer => layer.id === payload.referenceId);
+            if (reference) this._onReferenceModel(reference.name);
+        });
+
+        this.eventBus.on('measurement:point:selected', (payload) => {
+            if (payload.tool === 'calibrate') this.addPoint(payload.point);
+        });
+
+        // UI requests
+        this.eventBus.on('calibration:pair:update', (payload) => this.updatePair(payload.id, payload.distance));
+        this.eventBus.on('calibration:pair:delete', (payload) => this.deletePair(payload.id));
+        this.eventBus.on('calibration:clear', () => this.clear());
+
+        // Peers share one calibration (see CalibrationSync)
+        this.eventBus.on('calibration:apply:remote', (payload) => this._restore(payload.calibration, 'remote'));
+
+        // Project persistence
+        this.eventBus.on('project:state:collect', (state) => {
+            state.settings.calibration = this.getCalibration();
+        });
+        this.eventBus.on('project:state:restore', (state) => {
+            if (state.settings?.calibration) this._restore(state.settings.calibration, 'project');
+        });
+    }
+
+    /**
+     * A different reference model drops the calibration; the same one keeps it and measures the
+     * pairs again, since a layer adjustment (e.g., its scale) changes their length in the scene.
+     * @private
+     */
+    _onReferenceModel(fileName) {
+        if (fileName !== this.modelName) {
+            this.modelName = fileName;
+            this.pairs = [];
+            this.solution = null;
+            this._solve();
+            this._notify('model');
+        } else {
+            this._solve();
+            this._notify('layers');
+        }
+    }
+
+    // --- PUBLIC API ---
+
+    /**
+     * Returns the current calibration as plain data (for projects, peers and the UI).
+     * @returns {{modelName: string, pairs: Array, solution: {scale: number, rmse: number}|null}}
+     */
+    getCalibration() {
+        return {
+            modelName: this.modelName,
+            pairs: this.pairs.map(pair => ({ ...pair, a: [...pair.a], b: pair.b ? [...pair.b] : null })),
+            solution: this.solution ? { ...this.solution } : null
+        };
+    }
+
+    /**
+     * Adds a point picked on the model: it ends the open pair, or starts a new one.
+     * @param {THREE.Vector3} point - Scene point.
+     */
+    addPoint(point) {
+        if (!this._canEdit()) return;
+
+        const source = this.coordinateSystem.toFrame(point, 'original').toArray();
+        const open = this.pairs.find(pair => !pair.b);
+        if (open) {
+            open.b = source;
+            this.logger.info(`Calibration: Reference pair ${open.label} picked.`);
+            this._solve();
+        } else {
+            const number = this.pairs.reduce((max, pair) => Math.max(max, parseInt(pair.label.slice(1), 10) || 0), 0) + 1;
+            this.pairs.push({
+                id: `ref_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+                label: `R${number}`,
+                a: source,
+                b: null,
+                distance: null,
+                measured: null,
+                residual: null
+            });
+        }
+        this._notify('local');
+    }
+
+    /**
+     * Sets the real distance of a reference pair.
+     * @param {string} id
+     * @param {number|null} distance - Meters, or null to clear.
+     */
+    updatePair(id, distance) {
+        const pair = this.pairs.find(p => p.id === id);
+        if (!pair) return;
+
+        pair.distance = Number.isFinite(distance) && distance > 0 ? distance : null;
+        this._solve();
+        this._notify('local');
+    }
+
+    /**
+     * @param {string} id
+     */
+    deletePair(id) {
+        const index = this.pairs.findIndex(p => p.id === id);
+        if (index === -1) return;
+
+        this.pairs.splice(index, 1);
+        this._solve();
+        this._notify('local');
+    }
+
+    /**
+     * Removes every reference pair; the model goes back to its own units.
+     */
+    clear() {
+        this.pairs = [];
+        this.solution = null;
+        this._solve();
+        this._notify('local');
+    }
+
+    // --- PRIVATE HELPERS ---
+
+    /**
+     * @private
+     */
+    _canEdit() {
+        if (!this.modelName) {
+            this._notifyError('Carregue um modelo antes de calibrar a escala');
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Measures every pair in the scene, fits the scale over the pairs with a real distance and
+     * hands it to UnitSystem (1 when there is nothing to fit).
+     * @private
+     */
+    _solve() {
+        this.pairs.forEach(pair => {
+            pair.measured = pair.b ? this._toScene(pair.a).distanceTo(this._toScene(pair.b)) : null;
+            pair.residual = null;
+        });
+
+        const complete = this.pairs.filter(pair => pair.b && pair.distance);
+        this.solution = null;
+        if (complete.length) {
+            try {
+                const result = ScaleEstimator.solve(complete.map(pair => pair.measured), complete.map(pair => pair.distance));
+                complete.forEach((pair, i) => { pair.residual = result.residuals[i]; });
+                this.solution = { scale: result.scale, rmse: result.rmse };
+                this.logger.info(`Calibration: Scale ${result.scale.toFixed(6)} m/unit from ${complete.length} pair(s) (RMSE ${result.rmse.toFixed(4)} m).`);
+            } catch (error) {
+                this._notifyError(error.message);
+            }
+        }
+
+        this.units.setScale(this.solution?.scale ?? 1);
+    }
+
+    /**
+     * Loads a calibration saved in a project or received from a peer.
+     * @private
+     */
+    _restore(data, source) {
+        if (!data) return;
+
+        this.modelName = data.modelName || this.modelName;
+        this.pairs = (data.pairs || []).map(pair => ({ ...pair, measured: null, residual: null }));
+
+        this.logger.info(`Calibration: Restored from ${source} (${this.pairs.length} reference pairs).`);
+        this._solve();
+        this._notify(source);
+    }
+
+    /**
+     * @param {string} source - 'local' for user edits (shared with peers), otherwise where it came from.
+     * @private
+     */
+    _notify(source) {
+        this._updateMarkers();
+        this.eventBus.emit('calibration:changed', { calibration: this.getCalibration(), source });
+    }
+
+    /**
+     * @private
+     */
+    _notifyError(message) {
+        this.logger.warn(`Calibration: ${message}`);
+        this.eventBus.emit('ui:notification:show', { message, type: 'error' });
+    }
+
+    /**
+     * @private
+     */
+    _toScene([x, y, z]) {
+        return this.coordinateSystem.fromFrame({ x, y, z }, 'original');
+    }
+
+    /**
+     * Redraws the points, the line and the label of every reference pair.
+     * @private
+     */
+    _updateMarkers() {
+        [...this.markerGroup.children].forEach(child => {
+            this.markerGroup.remove(child);
+            child.geometry?.dispose();
+            if (child.isSprite) {
+                child.material.map?.dispose();
+                child.material.dispose();
+            }
+        });
+
+        this.pairs.forEach(pair => {
+            const ends = [pair.a, pair.b].filter(Boolean).map(p => this._toScene(p));
+            ends.forEach(position => {
+                const marker = new THREE.Mesh(new THREE.SphereGeometry(0.08, 16, 12), this.markerMaterial);
+                marker.position.copy(position);
+                marker.renderOrder = 999;
+                this.markerGroup.add(marker);
+            });
+
+            if (ends.length === 2) {
+                const line = new THREE.Line(new THREE.BufferGeometry().setFromPoints(ends), this.lineMaterial);
+                line.renderOrder = 998;
+                this.markerGroup.add(line);
+            }
+
+            const anchor = ends.length === 2 ? ends[0].clone().add(ends[1]).multiplyScalar(0.5) : ends[0];
+            const label = createTextSprite(pair.label, '#ffc107');
+            label.position.copy(anchor).add(new THREE.Vector3(0, 0.2, 0));
+            this.markerGroup.add(label);
+        });
+    }
+}
@@ -0,0 +1,38 @@
+// src/modules/calibration/ScaleEstimator.js
+
+/**
+ * @class ScaleEstimator
+ * @description Solves the single scale factor that best turns measured lengths into known
+ * real lengths, in the least-squares sense: minimizing sum((s * d_i - D_i)^2) gives
+ * s = sum(d_i * D_i) / sum(d_i^2). With one pair this is simply D / d.
+ */
+export class ScaleEstimator {
+    /**
+     * @param {number[]} measured - Lengths measured on the model (scene units).
+     * @param {number[]} known - The real lengths of the same references (meters).
+     * @returns {{scale: number, residuals: number[], rmse: number}}
+     *   residuals are s * d_i - D_i, in meters (positive when the scaled model is too long).
+     */
+    static solve(measured, known) {
+        const count = measured.length;
+        if (count < 1 || known.length !== count) {
+            throw new Error('Informe a distância real de pelo menos um par de referência');
+        }
+
+        let products = 0;
+        let squares = 0;
+        for (let i = 0; i < count; i++) {
+            products += measured[i] * known[i];
+            squares += measured[i] * measured[i];
+        }
+        if (squares < 1e-18 || products <= 0) {
+            throw new Error('Os pares de referência precisam de dois pontos distintos e distâncias positivas');
+        }
+
+        const scale = products / squares;
+        const residuals = measured.map((d, i) => scale * d - known[i]);
+        const rmse = Math.sqrt(residuals.reduce((sum, r) => sum + r * r, 0) / count);
+
+        return { scale, residuals, rmse };
+    }
+}
@@ -0,0 +1,230 @@
+// src/modules/capture.js (Coordinator File)
+
+import * as THREE from 'three';
+import { downloadBlob } from '../utils/Utils.js';
+import { toDisplayUnit } from '../utils/Units.js';
+
+/**
+ * Orthographic views of the model: the direction the camera looks, the scene axes that run to
+ * the right and up in the image, and the file name.
+ * The scene is Y up with -Z towards the north of the map frames (see CoordinateSystem.toMapCoordinates),
+ * so the top view is a map: east to the right, north up.
+ */
+const ORTHO_VIEWS = {
+    top: { label: 'topo', direction: [0, -1, 0], right: [1, 0, 0], up: [0, 0, -1] },
+    front: { label: 'frente', direction: [0, 0, -1], right: [1, 0, 0], up: [0, 1, 0] },
+    side: { label: 'lateral', direction: [-1, 0, 0], right: [0, 0, -1], up: [0, 1, 0] }
+};
+
+const MARGIN = 0.05; // Of the model extent, around orthographic views
+
+/**
+ * @class Capture
+ * @description
+ * Exports images for deliverables, as PNG: the current view at any resolution (larger than the
+ * window), or a true orthographic top, front or side view of the visible layers with a scale
+ * bar. The top view of a georeferenced model also gets a world file (.pgw) in the projected
+ * CRS, so GIS software places it on the map. Measurements, the grid and the background can be
+ * left out (see Renderer.captureCanvas).
+ * Listens to 'capture:request' ({view, width, height, overlays, grid, background, scaleBar}).
+ */
+export class Capture {
+    constructor(logger, eventBus, renderer, coordinateSystem, units) {
+        this.logger = logger;
+        this.eventBus = eventBus;
+        this.renderer = renderer;
+        this.coordinateSystem = coordinateSystem;
+        this.units = units;
+
+        this.layers = [];
+
+        this._setupEventListeners();
+
+        this.logger.info('Capture Module: Initialized');
+    }
+
+    /**
+     * @private
+     */
+    _setupEventListeners() {
+        this.eventBus.on('layers:changed', (payload) => {
+            this.layers = payload.layers;
+        });
+        this.eventBus.on('capture:request', (payload) => this.capture(payload));
+    }
+
+    // --- PUBLIC API ---
+
+    /**
+     * Renders and downloads an image.
+     * @param {Object} [options]
+     * @param {'current'|'top'|'front'|'side'} [options.view='current']
+     * @param {number} [options.width] - In pixels.
+     * @param {number} [options.height] - In pixels; orthographic views take it from the model extent.
+     * @param {boolean} [options.overlays=true]
+     * @param {boolean} [options.grid=true]
+     * @param {boolean} [options.background=true]
+     * @param {boolean} [options.scaleBar=true] - Orthographic views only.
+     */
+    capture({ view = 'current', width, height, overlays = true, grid = true, background = true, scaleBar = true } = {}) {
+        try {
+            if (view === 'current') {
+                const canvas = this.renderer.captureCanvas({ width, height, overlays, grid, background });
+                this._download(canvas, 'captura');
+                return;
+            }
+
+            const ortho = this._orthoCamera(ORTHO_VIEWS[view], width);
+            if (!ortho) {
+                this._notifyError('Nenhuma camada visível para a vista ortogonal');
+                return;
+            }
+
+            const canvas = this.renderer.captureCanvas({ width: ortho.width, height: ortho.height, camera: ortho.camera, overlays, grid, background });
+            if (scaleBar) this._drawScaleBar(canvas, ortho.pixelSize);
+
+            const fileName = `ortogonal_${ORTHO_VIEWS[view].label}`;
+            this._download(canvas, fileName);
+            if (view === 'top' && this.coordinateSystem.isGeoreferenced()) {
+                downloadBlob(new Blob([this._worldFile(ortho)], { type: 'text/plain' }), `${fileName}.pgw`);
+            }
+        } catch (error) {
+            this.logger.error('Capture: Failed to capture the image', error);
+            this._notifyError(`Erro ao capturar a imagem: ${error.message}`);
+        }
+    }
+
+    // --- Internals ---
+
+    /**
+     * An orthographic camera framing the visible layers from one side, with square pixels.
+     * @param {{direction: number[], right: number[], up: number[]}} view - See ORTHO_VIEWS.
+     * @param {number} [width] - Image width in pixels (default: the window's).
+     * @returns {{camera: THREE.OrthographicCamera, width: number, height: number, pixelSize: number,
+     *   corner: THREE.Vector3, right: THREE.Vector3, up: THREE.Vector3}|null}
+     *   corner is the center of the upper-left pixel, in the scene.
+     * @private
+     */
+    _orthoCamera(view, width) {
+        const box = this.layers
+            .filter(layer => layer.visible)
+            .reduce((union, layer) => union.union(new THREE.Box3().setFromObject(layer.object)), new THREE.Box3());
+        if (box.isEmpty()) return null;
+
+        const [direction, right, up] = [view.direction, view.right, view.up].map(axis => new THREE.Vector3(...axis));
+        const size = box.getSize(new THREE.Vector3());
+        const center = box.getCenter(new THREE.Vector3());
+        const radius = size.length() / 2 || 1;
+
+        // Extent along the image axes, plus the margin
+        const extentX = Math.abs(size.dot(right)) * (1 + 2 * MARGIN) || 1;
+        const extentY = Math.abs(size.dot(up)) * (1 + 2 * MARGIN) || 1;
+        width = Math.round(width || this.renderer.webglRenderer.domElement.width);
+        const pixelSize = extentX / width;
+        const height = Math.max(1, Math.round(extentY / pixelSize));
+
+        const halfWidth = (width * pixelSize) / 2;
+        const halfHeight = (height * pixelSize) / 2;
+        const camera = new THREE.OrthographicCamera(-halfWidth, halfWidth, halfHeight, -halfHeight, 0, radius * 4);
+        camera.up.copy(up);
+        camera.position.copy(center).addScaledVector(direction, -radius * 2);
+        camera.lookAt(center);
+        camera.updateMatrixWorld();
+
+        const corner = center.clone()
+            .addScaledVector(right, -halfWidth + pixelSize / 2)
+            .addScaledVector(up, halfHeight - pixelSize / 2);
+        return { camera, width, height, pixelSize, corner, right, up };
+    }
+
+    /**
+     * A world file for the top view, in the projected CRS: pixel size and rotation terms, then the
+     * map coordinates of the center of the upper-left pixel. Rotation terms are non-zero when the
+     * georeference turns the model relative to the grid north.
+     * @returns {string}
+     * @private
+     */
+    _worldFile({ corner, right, up, width, height, pixelSize }) {
+        const frameId = 'geo';
+        const axis = this.coordinateSystem.getVerticalAxis(frameId, corner);
+        const toMap = (point) => this.coordinateSystem.toMapCoordinates(point, frameId, axis);
+
+        // Steps of a whole row and column, for precision
+        const origin = toMap(corner);
+        const alongRow = toMap(corner.clone().addScaledVector(right, width * pixelSize));
+        const alongColumn = toMap(corner.clone().addScaledVector(up, -height * pixelSize));
+
+        return [
+            (alongRow[0] - origin[0]) / width,
+            (alongRow[1] - origin[1]) / width,
+            (alongColumn[0] - origin[0]) / height,
+            (alongColumn[1] - origin[1]) / height,
+            origin[0],
+            origin[1]
+        ].map(value => value.toFixed(10)).join('\n') + '\n';
+    }
+
+    /**
+     * Draws a scale bar in the lower-left corner: a round length in the active units, about a
+     * fifth of the image wide, in four alternating segments.
+     * @param {HTMLCanvasElement} canvas
+     * @param {number} pixelSize - Scene units per pixel.
+     * @private
+     */
+    _drawScaleBar(canvas, pixelSize) {
+        const settings = this.units.getSettings();
+        const perSceneUnit = toDisplayUnit(1, 'length', settings);
+        const target = canvas.width * 0.2 * pixelSize * perSceneUnit;
+        const magnitude = 10 ** Math.floor(Math.log10(target));
+        const length = [5, 2, 1].map(step => step * magnitude).find(value => value <= target) || magnitude;
+        const barWidth = length / perSceneUnit / pixelSize;
+
+        const context = canvas.getContext('2d');
+        const unit = Math.max(1, canvas.width / 1000); // Scales the bar with the image
+        const barHeight = 8 * unit;
+        const left = 20 * unit;
+        const bottom = canvas.height - 20 * unit;
+        const label = this.units.formatLength(length / perSceneUnit);
+
+        context.save();
+        context.font = `${14 * unit}px sans-serif`;
+        const labelWidth = context.measureText(label).width;
+        context.fillStyle = 'rgba(255, 255, 255, 0.8)';
+        context.fillRect(left - 8 * unit, bottom - barHeight - 30 * unit, Math.max(barWidth, labelWidth) + 16 * unit, barHeight + 38 * unit);
+
+        for (let i = 0; i < 4; i++) {
+            context.fillStyle = i % 2 ? '#ffffff' : '#000000';
+            context.fillRect(left + (barWidth / 4) * i, bottom - barHeight, barWidth / 4, barHeight);
+        }
+        context.strokeStyle = '#000000';
+        context.lineWidth = unit;
+        context.strokeRect(left, bottom - barHeight, barWidth, barHeight);
+
+        context.fillStyle = '#000000';
+        context.textBaseline = 'bottom';
+        context.fillText(label, left, bottom - barHeight - 6 * unit);
+        context.restore();
+    }
+
+    /**
+     * @private
+     */
+    _download(canvas, fileName) {
+        canvas.toBlob((blob) => {
+            if (!blob) {
+                this._notifyError('Erro ao gerar a imagem');
+                return;
+            }
+            downloadBlob(blob, `${fileName}.png`);
+            this.logger.info(`Capture: Exported ${fileName}.png (${canvas.width} x ${canvas.height}).`);
+            this.eventBus.emit('ui:notification:show', { message: 'Imagem exportada com sucesso!', type: 'success' });
+        }, 'image/png');
+    }
+
+    /**
+     * @private
+     */
+    _notifyError(message) {
+        this.eventBus.emit('ui:notification:show', { message, type: 'error' });
+    }
+}
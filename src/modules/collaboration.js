@@ -7,6 +7,8 @@ import { FileTransferReceiver } from './collaboration/file-transfer/FileTransfer
 import { PeerProfileManager } from './collaboration/PeerProfileManager.js';
 import { AnnotationSync } from './collaboration/AnnotationSync.js';
 import { ModelSyncManager } from './collaboration/ModelSyncManager.js';
+import { GeoreferenceSync } from './collaboration/GeoreferenceSync.js';
+import { CalibrationSync } from './collaboration/CalibrationSync.js';
 
 /**
  * @class Collaboration
@@ -14,7 +16,7 @@ import { ModelSyncManager } from './collaboration/ModelSyncManager.js';
  * Pure orchestrator for all collaboration-related functionalities.
  */
 export class Collaboration {
-    constructor(scene, logger, eventBus) {
+    constructor(scene, logger, eventBus, units) {
         this.logger = logger;
         this.eventBus = eventBus;
         this.scene = scene;
@@ -25,8 +27,10 @@ export class Collaboration {
         this.profileManager = new PeerProfileManager(this.connectionManager, logger, eventBus);
         this.fileSender = new FileTransferSender(this.connectionManager, logger, eventBus);
         this.fileReceiver = new FileTransferReceiver(this.connectionManager, logger, eventBus);
-        this.annotationSync = new AnnotationSync(scene, this.connectionManager, logger, eventBus);
+        this.annotationSync = new AnnotationSync(scene, this.connectionManager, logger, eventBus, units);
         this.modelSync = new ModelSyncManager(this.connectionManager, this.fileSender, logger, eventBus);
+        this.georeferenceSync = new GeoreferenceSync(this.connectionManager, logger, eventBus);
+        this.calibrationSync = new CalibrationSync(this.connectionManager, logger, eventBus);
 
         // --- 2. Wire Up Inter-Module Communication ---
         this._setupModuleIntegration();
@@ -43,6 +47,7 @@ export class Collaboration {
         this.eventBus.on('file-transfer:receive:complete', (payload) => {
             this.logger.info(`Collaboration Coordinator: Received file "${payload.fileName}", emitting model:load event.`);
             this.eventBus.emit('model:load', {
+                ...payload.metadata,
                 fileData: payload.blob,
                 fileName: payload.fileName
             });
@@ -81,7 +86,8 @@ export class Collaboration {
 
         // --- Annotation Sync ---
         this.eventBus.on('collaboration:clear-all-annotations', () => {
-            if (this.roomManager.isHost) {
+            // Offline, the local registry is ours alone and can always be cleared
+            if (this.roomManager.isHost || !this.isConnected()) {
                 this.annotationSync.clearAllAnnotations();
             }
         });
@@ -103,8 +109,12 @@ export class Collaboration {
         this.roomManager.leaveRoom();
     }
 
-    setModelData(blob, fileName) {
-        this.modelSync.setModelData(blob, fileName);
+    setModelData(blob, fileName, metadata = {}) {
+        this.modelSync.setModelData(blob, fileName, metadata);
+    }
+
+    removeModelData(fileName) {
+        this.modelSync.removeModelData(fileName);
     }
     
     deleteAnnotation(annotationId) {
@@ -3,6 +3,8 @@
 // ============================================================================
 
 import * as THREE from 'three';
+import { createTextSprite, refreshTextSprite, setTextSpriteColor } from '../../utils/DrawingUtils.js';
+import { normalizeMetadata, metadataLabelText } from '../../utils/MeasurementMetadata.js';
 
 /**
  * @class AnnotationSync
@@ -10,14 +12,16 @@ import * as THREE from 'three';
  * Single Responsibility: Sync measurement data across connected peers.
  */
 export class AnnotationSync {
-    constructor(scene, connectionManager, logger, eventBus) {
+    constructor(scene, connectionManager, logger, eventBus, units) {
         this.scene = scene;
         this.connectionManager = connectionManager;
         this.logger = logger;
         this.eventBus = eventBus;
+        this.units = units; // Remote labels follow the local unit settings
 
         this.remoteAnnotationGroup = new THREE.Group();
         this.remoteAnnotationGroup.name = 'remote-annotations';
+        this.remoteAnnotationGroup.userData.isOverlay = true; // Captures can leave it out (see Renderer.captureCanvas)
         this.scene.add(this.remoteAnnotationGroup);
 
         this.annotationRegistry = new Map();
@@ -27,10 +31,16 @@ export class AnnotationSync {
     }
 
     _setupEventListeners() {
+        this.eventBus.on('units:changed', () => this.remoteAnnotationGroup.traverse(refreshTextSprite));
+
         this.eventBus.on('measurement:distance:completed', (payload) => {
             this._broadcastMeasurement('distance', payload.measurement);
         });
 
+        this.eventBus.on('measurement:polyline:completed', (payload) => {
+            this._broadcastMeasurement('polyline', payload.measurement);
+        });
+
         this.eventBus.on('measurement:area:completed', (payload) => {
             this._broadcastMeasurement('area', payload.measurement);
         });
@@ -45,12 +55,28 @@ export class AnnotationSync {
         });
         // --- FIM DA ADIÇÃO ---
 
+        this.eventBus.on('measurement:height:completed', (payload) => {
+            this._broadcastMeasurement('height', payload.measurement);
+        });
+
         this.eventBus.on('measurement:volume:completed', (payload) => { // <-- ADICIONADO
             this._broadcastMeasurement('volume', payload.measurement);
         });
 
+        this.eventBus.on('measurement:volumeBox:completed', (payload) => {
+            this._broadcastMeasurement('volumeBox', payload.measurement);
+        });
+
+        // Edited measurements: only the recompute that ends the edit is shared
+        this.eventBus.on('measurement:updated', (payload) => {
+            if (payload.final) {
+                this._broadcastMeasurement(payload.type, payload.measurement, 'annotation-update');
+            }
+        });
+
         this.eventBus.on('connection:data', (payload) => {
-            if (payload.data.type === 'annotation-create') {
+            if (payload.data.type === 'annotation-create' || payload.data.type === 'annotation-update') {
+                // An update replaces the visual of the annotation with the same id
                 this._handleRemoteAnnotation(payload.data.annotation);
             } else if (payload.data.type === 'annotation-delete') {
                 this._handleRemoteAnnotationDelete(payload.data.annotationId);
@@ -62,17 +88,40 @@ export class AnnotationSync {
         });
     }
 
-    _broadcastMeasurement(type, measurement) {
+    /**
+     * Stores a local measurement as annotation data and sends it to the peers.
+     * @param {string} type - Annotation type (e.g., 'distance').
+     * @param {Object} measurement - The measurement from its tool module.
+     * @param {'annotation-create'|'annotation-update'} [messageType='annotation-create']
+     * @private
+     */
+    _broadcastMeasurement(type, measurement, messageType = 'annotation-create') {
+        const previous = this.annotationDataRegistry.get(measurement.id); // Set when it is an edit
         const annotation = {
             id: measurement.id, // Use the ID from the measurement module
             type: type,
-            timestamp: Date.now(),
+            timestamp: previous?.timestamp ?? Date.now(),
             peerId: this.connectionManager.myPeerId // Track who created it
         };
+        if (previous) {
+            annotation.updatedAt = Date.now();
+        }
+
+        // Measurements restored from a project keep their original author
+        if (measurement.authorName) {
+            annotation.authorName = measurement.authorName;
+        }
+        // Name, note, tags and color
+        Object.assign(annotation, normalizeMetadata(measurement));
 
         if (type === 'distance') {
             annotation.distance = measurement.value; // FIX: Use 'value' property
             annotation.points = measurement.points.map(p => ({ x: p.x, y: p.y, z: p.z }));
+        } else if (type === 'polyline') {
+            annotation.length = measurement.value;
+            annotation.horizontalLength = measurement.horizontalLength;
+            annotation.segments = measurement.segments;
+            annotation.points = measurement.points.map(p => ({ x: p.x, y: p.y, z: p.z }));
         } else if (type === 'area') {
             annotation.area = measurement.value; // FIX: Use 'value' property
             annotation.points = measurement.points.map(p => ({ x: p.x, y: p.y, z: p.z }));
@@ -82,19 +131,34 @@ export class AnnotationSync {
         } else if (type === 'angle') { // --- ADICIONADO: Bloco para ângulo ---
             annotation.value = measurement.value; // 'value' armazena o grau
             annotation.points = measurement.points.map(p => ({ x: p.x, y: p.y, z: p.z }));
+        } else if (type === 'height') {
+            annotation.vertical = measurement.value;
+            annotation.horizontal = measurement.horizontal;
+            annotation.slopePercent = measurement.slopePercent;
+            annotation.slopeDegrees = measurement.slopeDegrees;
+            annotation.up = measurement.up;
+            annotation.points = measurement.points.map(p => ({ x: p.x, y: p.y, z: p.z }));
         } else if (type === 'volume') { // <-- ADICIONADO
             annotation.volume = measurement.value;
             annotation.points = measurement.points.map(p => ({ x: p.x, y: p.y, z: p.z }));
+            annotation.base = measurement.base || { type: 'plane' };
+            if (measurement.cut !== undefined) {
+                annotation.cut = measurement.cut;
+                annotation.fill = measurement.fill;
+            }
+        } else if (type === 'volumeBox') {
+            annotation.volume = measurement.value;
+            annotation.points = measurement.points.map(p => ({ x: p.x, y: p.y, z: p.z }));
         }
 
         // Store it locally immediately
         this.annotationDataRegistry.set(annotation.id, annotation);
         this.eventBus.emit('annotation:changed');
 
-        this.logger.debug(`AnnotationSync: Broadcasting ${type} measurement`);
+        this.logger.debug(`AnnotationSync: Broadcasting ${type} measurement (${messageType})`);
 
         this.connectionManager.broadcast({
-            type: 'annotation-create',
+            type: messageType,
             annotation: annotation
         });
     }
@@ -114,17 +178,24 @@ export class AnnotationSync {
 
         if (annotation.type === 'distance') {
             visual = this._createDistanceVisual(annotation);
+        } else if (annotation.type === 'polyline') {
+            visual = this._createPolylineVisual(annotation);
         } else if (annotation.type === 'area') {
             visual = this._createAreaVisual(annotation);
         } else if (annotation.type === 'surfaceArea') {
             visual = this._createSurfaceAreaVisual(annotation);
         } else if (annotation.type === 'angle') { // --- ADICIONADO: Handler para ângulo ---
              visual = this._createAngleVisual(annotation);
+        } else if (annotation.type === 'height') {
+            visual = this._createHeightVisual(annotation);
         } else if (annotation.type === 'volume') { // <-- ADICIONADO
             visual = this._createVolumeVisual(annotation);
+        } else if (annotation.type === 'volumeBox') {
+            visual = this._createVolumeBoxVisual(annotation);
         }
 
         if (visual) {
+            this._applyMetadataStyle(visual, annotation);
             visual.userData.annotationId = annotation.id;
             this.remoteAnnotationGroup.add(visual);
             this.annotationRegistry.set(annotation.id, visual);
@@ -135,14 +206,42 @@ export class AnnotationSync {
         }
     }
 
+    /**
+     * Shows the annotation's metadata on its remote visual, as BaseMeasurement.applyMetadataStyle
+     * does for local measurements: the custom color and a tag label with the name and tags.
+     * @private
+     */
+    _applyMetadataStyle(group, annotation) {
+        const metadata = normalizeMetadata(annotation);
+        const labels = group.children.filter(child => child.isSprite);
+
+        if (metadata.color) {
+            labels.forEach(label => setTextSpriteColor(label, metadata.color));
+            group.children
+                .filter(child => child.isLine)
+                .forEach(line => line.material.color.set(metadata.color));
+        }
+
+        const text = metadataLabelText(metadata);
+        if (text && labels.length) {
+            const tag = createTextSprite(text, metadata.color || '#ffffff');
+            tag.position.copy(labels[0].position).add(new THREE.Vector3(0, 0.35, 0));
+            group.add(tag);
+        }
+    }
+
     _handleRemoteAnnotationDelete(annotationId) {
         const visual = this.annotationRegistry.get(annotationId);
         if (visual) {
             this.remoteAnnotationGroup.remove(visual);
             this._disposeVisual(visual);
             this.annotationRegistry.delete(annotationId);
-            this.annotationDataRegistry.delete(annotationId); // Delete data
             this.logger.debug(`AnnotationSync: Removed remote annotation ${annotationId}`);
+        }
+
+        // Local measurements have no remote visual, but their data must go as well
+        const hadData = this.annotationDataRegistry.delete(annotationId);
+        if (visual || hadData) {
             this.eventBus.emit('annotation:changed'); // Notify UI to update
         }
     }
@@ -181,7 +280,7 @@ export class AnnotationSync {
         const midPoint = new THREE.Vector3()
             .addVectors(points[0], points[1])
             .multiplyScalar(0.5);
-        const label = this._createTextSprite(`${annotation.distance.toFixed(2)}m`, '#00ffff');
+        const label = createTextSprite(() => this.units.formatLength(annotation.distance), '#00ffff');
         
         // ✅ FIX: Apply consistent offset logic for remote visuals
         label.position.copy(midPoint).add(new THREE.Vector3(0, 0.2, 0));
@@ -190,6 +289,43 @@ export class AnnotationSync {
         return group;
     }
 
+    _createPolylineVisual(annotation) {
+        const group = new THREE.Group();
+        const points = annotation.points.map(p => new THREE.Vector3(p.x, p.y, p.z));
+
+        const lineGeometry = new THREE.BufferGeometry().setFromPoints(points);
+        const lineMaterial = new THREE.LineBasicMaterial({
+            color: 0xff8800, // Laranja (cor da polilinha)
+            linewidth: 2,
+            depthTest: false
+        });
+        const line = new THREE.Line(lineGeometry, lineMaterial);
+        line.renderOrder = 998;
+        group.add(line);
+
+        // Each segment with the running total, as the local tool labels them
+        let total = 0;
+        points.slice(1).forEach((end, i) => {
+            const length = annotation.segments?.[i] ?? points[i].distanceTo(end);
+            const runningTotal = (total += length);
+            const segmentLabel = createTextSprite(
+                () => `${this.units.formatLength(length)} · Σ ${this.units.formatLength(runningTotal)}`,
+                '#ff8800'
+            );
+            segmentLabel.position.addVectors(points[i], end).multiplyScalar(0.5).add(new THREE.Vector3(0, 0.2, 0));
+            group.add(segmentLabel);
+        });
+
+        const label = createTextSprite(() => `Total ${this.units.formatLength(annotation.length)}`, '#ff8800');
+        label.position.copy(points[points.length - 1]).add(new THREE.Vector3(0, 0.5, 0));
+
+        const detail = createTextSprite(() => `Horiz. ${this.units.formatLength(annotation.horizontalLength)}`, '#ffffff');
+        detail.position.copy(label.position).add(new THREE.Vector3(0, -0.3, 0));
+
+        group.add(label, detail);
+        return group;
+    }
+
     _createAreaVisual(annotation) {
         const group = new THREE.Group();
         const points = annotation.points.map(p => new THREE.Vector3(p.x, p.y, p.z));
@@ -213,7 +349,7 @@ export class AnnotationSync {
             new THREE.Vector3().subVectors(points[2], points[0])
         ).normalize();
 
-        const label = this._createTextSprite(`${annotation.area.toFixed(2)}m²`, '#00ff00');
+        const label = createTextSprite(() => this.units.formatArea(annotation.area), '#00ff00');
         label.position.copy(center).add(normal.multiplyScalar(0.2));
 
         group.add(line, label);
@@ -243,7 +379,7 @@ export class AnnotationSync {
             new THREE.Vector3().subVectors(points[2], points[0])
         ).normalize();
         
-        const label = this._createTextSprite(`${annotation.surfaceArea.toFixed(2)}m²`, '#00aaff');
+        const label = createTextSprite(() => this.units.formatArea(annotation.surfaceArea), '#00aaff');
         label.position.copy(center).add(normal.multiplyScalar(0.2));
 
         group.add(line, label);
@@ -273,13 +409,85 @@ export class AnnotationSync {
             new THREE.Vector3().subVectors(points[2], points[0])
         ).normalize();
         
-        const label = this._createTextSprite(`${annotation.volume.toFixed(2)}m³`, '#ff00ff'); // Label de Volume
+        const label = createTextSprite(() => this.units.formatVolume(annotation.volume), '#ff00ff'); // Label de Volume
         label.position.copy(center).add(normal.multiplyScalar(0.2));
-
         group.add(line, label);
+
+        // Corte e aterro numa segunda linha
+        if (annotation.cut !== undefined) {
+            const detail = createTextSprite(() => {
+                const options = { withUnit: false };
+                return `C ${this.units.formatVolume(annotation.cut, options)} · A ${this.units.formatVolume(annotation.fill, options)}`;
+            }, '#ffffff');
+            detail.position.copy(label.position).add(new THREE.Vector3(0, -0.3, 0));
+            group.add(detail);
+        }
         return group;
     }
     
+    _createVolumeBoxVisual(annotation) {
+        const group = new THREE.Group();
+        const [p1, p2] = annotation.points.map(p => new THREE.Vector3(p.x, p.y, p.z));
+
+        const size = new THREE.Vector3(
+            Math.abs(p2.x - p1.x),
+            Math.abs(p2.y - p1.y),
+            Math.abs(p2.z - p1.z)
+        );
+        const center = new THREE.Vector3().addVectors(p1, p2).multiplyScalar(0.5);
+
+        const edges = new THREE.EdgesGeometry(new THREE.BoxGeometry(size.x, size.y, size.z));
+        const box = new THREE.LineSegments(edges, new THREE.LineBasicMaterial({
+            color: 0x00ccff, // Ciano (cor da caixa)
+            linewidth: 2,
+            depthTest: false
+        }));
+        box.position.copy(center);
+        box.renderOrder = 998;
+
+        const label = createTextSprite(() => this.units.formatVolume(annotation.volume), '#00ccff');
+        label.position.copy(center);
+
+        group.add(box, label);
+        return group;
+    }
+
+    _createHeightVisual(annotation) {
+        const group = new THREE.Group();
+        const [start, end] = annotation.points.map(p => new THREE.Vector3(p.x, p.y, p.z));
+        const up = new THREE.Vector3().fromArray(annotation.up || [0, 1, 0]);
+
+        // Triângulo retângulo: o canto fica na altura do início, a prumo com o fim
+        const corner = end.clone().addScaledVector(up, -annotation.vertical);
+        const hypotenuse = new THREE.Line(new THREE.BufferGeometry().setFromPoints([start, end]), new THREE.LineBasicMaterial({
+            color: 0x66ffcc,
+            linewidth: 2,
+            depthTest: false
+        }));
+        const legs = new THREE.Line(new THREE.BufferGeometry().setFromPoints([start, corner, end]), new THREE.LineBasicMaterial({
+            color: 0xffffff,
+            transparent: true,
+            opacity: 0.7,
+            depthTest: false
+        }));
+        hypotenuse.renderOrder = 998;
+        legs.renderOrder = 998;
+
+        const offset = new THREE.Vector3(0, 0.2, 0);
+        const slopeText = () => {
+            const percent = annotation.slopePercent === null ? '∞' : `${annotation.slopePercent.toFixed(this.units.settings.decimals)}%`;
+            return `${percent} · ${this.units.formatAngle(annotation.slopeDegrees)}`;
+        };
+
+        const label = createTextSprite(() => `ΔH ${this.units.formatLength(annotation.vertical, { signed: true })}`, '#66ffcc');
+        label.position.copy(corner).add(end).multiplyScalar(0.5).add(offset);
+        const slope = createTextSprite(slopeText, '#66ffcc');
+        slope.position.copy(start).add(end).multiplyScalar(0.5).add(offset);
+
+        group.add(hypotenuse, legs, label, slope);
+        return group;
+    }
+
     // --- NOVO MÉTODO: Para desenhar ângulos remotos ---
     _createAngleVisual(annotation) {
         const group = new THREE.Group();
@@ -298,7 +506,7 @@ export class AnnotationSync {
         line2.renderOrder = 998;
 
         // Adiciona o rótulo no vértice (ponto 0)
-        const label = this._createTextSprite(`${annotation.value.toFixed(2)}°`, '#ffff00');
+        const label = createTextSprite(() => this.units.formatAngle(annotation.value), '#ffff00');
         label.position.copy(points[0]).add(new THREE.Vector3(0, 0.2, 0)); // Offset
 
         group.add(line1, line2, label);
@@ -306,31 +514,6 @@ export class AnnotationSync {
     }
     // --- FIM DO NOVO MÉTODO ---
 
-    _createTextSprite(text, color) {
-        const canvas = document.createElement('canvas');
-        const context = canvas.getContext('2d');
-        canvas.width = 512;
-        canvas.height = 128;
-
-        context.fillStyle = 'rgba(0, 0, 0, 0.7)';
-        context.fillRect(0, 0, canvas.width, canvas.height);
-        context.font = 'Bold 48px Arial';
-        context.fillStyle = color;
-        context.textAlign = 'center';
-        context.textBaseline = 'middle';
-        context.fillText(text, canvas.width / 2, canvas.height / 2);
-
-        const texture = new THREE.CanvasTexture(canvas);
-        const sprite = new THREE.Sprite(new THREE.SpriteMaterial({
-            map: texture,
-            depthTest: false
-        }));
-        sprite.scale.set(1.2, 0.3, 1.0);
-        sprite.renderOrder = 1000;
-
-        return sprite;
-    }
-
     _disposeVisual(visual) {
         visual.traverse(obj => {
             if (obj.geometry) obj.geometry.dispose();
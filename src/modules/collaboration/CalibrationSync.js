@@ -0,0 +1,50 @@
+// src/modules/collaboration/CalibrationSync.js
+
+/**
+ * @class CalibrationSync
+ * @description Keeps every peer on the same scale calibration (reference pairs and distances).
+ * Single Responsibility: Relay calibration changes between peers.
+ * The whole state is sent on every local change; the last edit wins.
+ */
+export class CalibrationSync {
+    constructor(connectionManager, logger, eventBus) {
+        this.connectionManager = connectionManager;
+        this.logger = logger;
+        this.eventBus = eventBus;
+
+        this.currentCalibration = null;
+
+        this._setupEventListeners();
+    }
+
+    _setupEventListeners() {
+        this.eventBus.on('calibration:changed', (payload) => {
+            this.currentCalibration = payload.calibration;
+
+            // Only the user's own edits are broadcast; remote and loaded states are already shared
+            if (payload.source === 'local' || payload.source === 'project') {
+                this.connectionManager.broadcast({
+                    type: 'calibration-update',
+                    calibration: payload.calibration
+                });
+            }
+        });
+
+        // Newcomers receive the current calibration along with the model
+        this.eventBus.on('connection:opened', (payload) => {
+            if (this.currentCalibration?.pairs.length) {
+                this.connectionManager.sendToPeer(payload.peerId, {
+                    type: 'calibration-update',
+                    calibration: this.currentCalibration
+                });
+            }
+        });
+
+        this.eventBus.on('connection:data', (payload) => {
+            if (payload.data.type === 'calibration-update') {
+                this.logger.info(`CalibrationSync: Received calibration from ${payload.peerId}`);
+                this.eventBus.emit('calibration:apply:remote', { calibration: payload.data.calibration });
+            }
+        });
+    }
+}
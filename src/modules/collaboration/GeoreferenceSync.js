@@ -0,0 +1,50 @@
+// src/modules/collaboration/GeoreferenceSync.js
+
+/**
+ * @class GeoreferenceSync
+ * @description Keeps every peer on the same georeference (CRS and control points).
+ * Single Responsibility: Relay georeference changes between peers.
+ * The whole state is sent on every local change; the last edit wins.
+ */
+export class GeoreferenceSync {
+    constructor(connectionManager, logger, eventBus) {
+        this.connectionManager = connectionManager;
+        this.logger = logger;
+        this.eventBus = eventBus;
+
+        this.currentGeoreference = null;
+
+        this._setupEventListeners();
+    }
+
+    _setupEventListeners() {
+        this.eventBus.on('georef:changed', (payload) => {
+            this.currentGeoreference = payload.georeference;
+
+            // Only the user's own edits are broadcast; remote and loaded states are already shared
+            if (payload.source === 'local' || payload.source === 'project') {
+                this.connectionManager.broadcast({
+                    type: 'georef-update',
+                    georeference: payload.georeference
+                });
+            }
+        });
+
+        // Newcomers receive the current georeference along with the model
+        this.eventBus.on('connection:opened', (payload) => {
+            if (this.currentGeoreference?.crs || this.currentGeoreference?.gcps.length) {
+                this.connectionManager.sendToPeer(payload.peerId, {
+                    type: 'georef-update',
+                    georeference: this.currentGeoreference
+                });
+            }
+        });
+
+        this.eventBus.on('connection:data', (payload) => {
+            if (payload.data.type === 'georef-update') {
+                this.logger.info(`GeoreferenceSync: Received georeference from ${payload.peerId}`);
+                this.eventBus.emit('georef:apply:remote', { georeference: payload.data.georeference });
+            }
+        });
+    }
+}
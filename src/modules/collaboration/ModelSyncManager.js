@@ -4,6 +4,8 @@
  * @class ModelSyncManager
  * @description Handles model data storage and synchronization with peers.
  * Single Responsibility: Manage model data for P2P sharing.
+ * Every model of the scene (one per layer) is kept, in layer order; the first one is sent
+ * with mode 'replace' and the others with mode 'add', so peers rebuild the same layers.
  */
 export class ModelSyncManager {
     constructor(connectionManager, fileSender, logger, eventBus) {
@@ -12,16 +14,15 @@ export class ModelSyncManager {
         this.logger = logger;
         this.eventBus = eventBus;
         
-        this.currentModelBlob = null;
-        this.currentModelFileName = null;
+        this.models = []; // { blob, fileName, metadata }
 
         this._setupEventListeners();
     }
 
     _setupEventListeners() {
-        // When a new peer connects, send them the current model if we're host
+        // When a new peer connects, send them the current models if we're host
         this.eventBus.on('connection:opened', (payload) => {
-            if (this.currentModelBlob && this._isHost()) {
+            if (this.models.length > 0 && this._isHost()) {
                 this._sendModelToPeer(payload.peerId);
             }
         });
@@ -31,44 +32,60 @@ export class ModelSyncManager {
      * Store model data for sharing with peers and broadcast if host.
      * @param {Blob} blob - The model file as a Blob
      * @param {string} fileName - The name of the model file
+     * @param {Object} [metadata] - Load options peers must reuse (e.g., upAxis, mode)
      */
-    setModelData(blob, fileName) {
+    setModelData(blob, fileName, metadata = {}) {
         if (!blob || !fileName) {
             this.logger.warn('ModelSyncManager: Invalid model data provided');
             return;
         }
 
-        this.currentModelBlob = blob;
-        this.currentModelFileName = fileName;
-        this.logger.info(`ModelSyncManager: Model data stored - "${fileName}" (${(blob.size / 1024 / 1024).toFixed(2)} MB)`);
+        // A replaced scene starts a new list; an added layer joins the current one
+        const model = { blob, fileName, metadata: { ...metadata, mode: metadata.mode === 'add' ? 'add' : 'replace' } };
+        if (model.metadata.mode === 'replace') this.models = [];
+        this.models.push(model);
+        this.logger.info(`ModelSyncManager: Model data stored - "${fileName}" (${(blob.size / 1024 / 1024).toFixed(2)} MB, ${this.models.length} in scene)`);
 
         // ✅ FIX: If we are the host and have connections, broadcast the new model.
         if (this._isHost() && this.connectionManager.hasConnections()) {
             this.logger.info('ModelSyncManager: Host has set a new model, broadcasting to all peers.');
-            this.broadcastModel();
+            this.broadcastModel(model);
         }
     }
 
     /**
-     * Send the current model to a specific peer
+     * Forgets a model whose layer was removed, so newcomers no longer receive it.
+     * @param {string} fileName
+     */
+    removeModelData(fileName) {
+        const index = this.models.findIndex(model => model.fileName === fileName);
+        if (index === -1) return;
+
+        this.models.splice(index, 1);
+        // The remaining first model now opens the scene on the peer side
+        if (this.models[0]) this.models[0].metadata = { ...this.models[0].metadata, mode: 'replace' };
+        this.logger.info(`ModelSyncManager: Model data removed - "${fileName}"`);
+    }
+
+    /**
+     * Send every model of the scene to a specific peer, one after the other
+     * (the receiver handles one transfer per peer at a time).
      * @param {string} peerId - The peer ID to send to
      */
     async _sendModelToPeer(peerId) {
-        if (!this.currentModelBlob) {
+        if (this.models.length === 0) {
             this.logger.warn(`ModelSyncManager: No model to send to ${peerId}`);
             return;
         }
 
-        this.logger.info(`ModelSyncManager: Sending model to newly connected peer ${peerId}`);
+        this.logger.info(`ModelSyncManager: Sending ${this.models.length} model(s) to newly connected peer ${peerId}`);
         
         // Small delay to ensure connection is fully established
         setTimeout(async () => {
             try {
-                await this.fileSender.sendFile(
-                    peerId, 
-                    this.currentModelBlob, 
-                    this.currentModelFileName
-                );
+                for (const model of [...this.models]) {
+                    await this.fileSender.sendFile(peerId, model.blob, model.fileName, model.metadata);
+                }
             } catch (error) {
                 this.logger.error(`ModelSyncManager: Failed to send model to ${peerId}`, error);
             }
@@ -76,16 +93,17 @@ export class ModelSyncManager {
     }
 
     /**
-     * Broadcast current model to all connected peers
+     * Broadcast a model (by default, the last one loaded) to all connected peers
+     * @param {{blob: Blob, fileName: string, metadata: Object}} [model]
      */
-    async broadcastModel() {
-        if (!this.currentModelBlob) {
+    async broadcastModel(model = this.models[this.models.length - 1]) {
+        if (!model) {
             this.logger.warn('ModelSyncManager: No model to broadcast');
             return;
         }
 
         try {
-            await this.fileSender.broadcastFile(this.currentModelBlob, this.currentModelFileName);
+            await this.fileSender.broadcastFile(model.blob, model.fileName, model.metadata);
             this.logger.info('ModelSyncManager: Model broadcasted to all peers');
         } catch (error) {
             this.logger.error('ModelSyncManager: Failed to broadcast model', error);
@@ -108,17 +126,19 @@ export class ModelSyncManager {
     }
 
     /**
-     * Get current model info
+     * Get current model info (the reference model, first in the scene)
      */
     getModelInfo() {
-        if (!this.currentModelBlob) {
+        const model = this.models[0];
+        if (!model) {
             return null;
         }
 
         return {
-            fileName: this.currentModelFileName,
-            fileSize: this.currentModelBlob.size,
-            fileSizeMB: (this.currentModelBlob.size / 1024 / 1024).toFixed(2)
+            fileName: model.fileName,
+            fileSize: model.blob.size,
+            fileSizeMB: (model.blob.size / 1024 / 1024).toFixed(2),
+            layerCount: this.models.length
         };
     }
 
@@ -126,8 +146,7 @@ export class ModelSyncManager {
      * Clear stored model data
      */
     clearModelData() {
-        this.currentModelBlob = null;
-        this.currentModelFileName = null;
+        this.models = [];
         this.logger.info('ModelSyncManager: Model data cleared');
     }
 }
\ No newline at end of file
@@ -36,6 +36,7 @@ export class FileTransferReceiver {
         const receiveState = {
             fileName: data.fileName,
             fileSize: data.fileSize,
+            metadata: data.metadata || {},
             chunks: [],
             receivedSize: 0,
             startTime: Date.now(),
@@ -80,6 +81,7 @@ export class FileTransferReceiver {
             peerId,
             fileName: receiveState.fileName,
             fileSize: receiveState.fileSize,
+            metadata: receiveState.metadata,
             blob: completeBlob
         });
     }
@@ -17,7 +17,7 @@ export class FileTransferSender {
         this.activeTransfers = new Map();
     }
 
-    async sendFile(peerId, blob, fileName) {
+    async sendFile(peerId, blob, fileName, metadata = {}) {
         if (!blob || !fileName) {
             throw new Error('Blob and fileName are required');
         }
@@ -31,7 +31,8 @@ export class FileTransferSender {
         const headerSent = this.connectionManager.sendToPeer(peerId, {
             type: 'file-header',
             fileName: fileName,
-            fileSize: blob.size
+            fileSize: blob.size,
+            metadata // Travels with the file (e.g., the model's load options)
         });
 
         if (!headerSent) {
@@ -65,7 +66,7 @@ export class FileTransferSender {
         });
     }
 
-    async broadcastFile(blob, fileName) {
+    async broadcastFile(blob, fileName, metadata = {}) {
         const peerIds = this.connectionManager.getConnectedPeerIds();
         
         if (peerIds.length === 0) {
@@ -76,7 +77,7 @@ export class FileTransferSender {
         this.logger.info(`FileTransferSender: Broadcasting "${fileName}" to ${peerIds.length} peer(s)`);
 
         const sendPromises = peerIds.map(peerId => 
-            this.sendFile(peerId, blob, fileName).catch(error => {
+            this.sendFile(peerId, blob, fileName, metadata).catch(error => {
                 this.logger.error(`FileTransferSender: Failed to send to ${peerId}`, error);
             })
         );
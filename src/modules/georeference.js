@@ -0,0 +1,368 @@
+// src/modules/georeference.js (Coordinator File)
+
+import * as THREE from 'three';
+import { CrsRegistry } from './georeference/CrsRegistry.js';
+import { SimilarityTransform } from './georeference/SimilarityTransform.js';
+import { createTextSprite } from '../utils/DrawingUtils.js';
+
+const IDENTITY = new THREE.Matrix4().toArray();
+
+/**
+ * @class Georeference
+ * @description
+ * Ties the loaded model to a coordinate reference system (CRS), in one of two ways:
+ *  - 'assigned': the model file coordinates already are CRS coordinates (e.g., a LAS in UTM);
+ *  - 'gcp': a similarity transform solved from three or more ground control points picked
+ *    on the model (through the regular 'measurement:point:selected' flow, tool 'gcp') and
+ *    typed in with their surveyed coordinates.
+ * Control points are stored in the model file frame ('original' in CoordinateSystem), so the
+ * solution survives a different up-axis or scene placement. The result is handed to
+ * CoordinateSystem, which exposes it to readouts and exports as the 'geo' and 'geographic' frames.
+ */
+export class Georeference {
+    constructor(scene, logger, eventBus, coordinateSystem) {
+        this.scene = scene;
+        this.logger = logger;
+        this.eventBus = eventBus;
+        this.coordinateSystem = coordinateSystem;
+
+        this.registry = new CrsRegistry(logger);
+
+        this.markerGroup = new THREE.Group();
+        this.markerGroup.name = 'georeference-gcps';
+        this.scene.add(this.markerGroup);
+        this.markerMaterial = new THREE.MeshBasicMaterial({ color: 0x00bcd4, depthTest: false, depthWrite: false });
+
+        // The georeference belongs to one model file
+        this.modelName = null;
+        this.crs = null;      // { code, name, definition }
+        this.method = null;   // null | 'assigned' | 'gcp'
+        this.gcps = [];       // { id, label, source: [x, y, z] (file frame), target: [E, N, H] | null, residual }
+        this.solution = null; // { matrix, scale, rmse }
+
+        this._setupEventListeners();
+
+        this.eventBus.emit('georef:crs:available', { systems: this.registry.list() });
+        this.logger.info('Georeference Module: Initialized');
+    }
+
+    /**
+     * @private
+     */
+    _setupEventListeners() {
+        this.eventBus.on('layers:changed', (payload) => {
+            const reference = payload.layers.find(layer => layer.id === payload.referenceId);
+            if (reference) this._onReferenceModel(reference.name);
+        });
+
+        this.eventBus.on('measurement:point:selected', (payload) => {
+            if (payload.tool === 'gcp') this.addControlPoint(payload.point);
+        });
+
+        // UI requests
+        this.eventBus.on('georef:crs:set', (payload) => this.setCrs(payload.code, payload.definition));
+        this.eventBus.on('georef:assign', () => this.assignCrs());
+        this.eventBus.on('georef:gcp:update', (payload) => this.updateControlPoint(payload.id, payload.target));
+        this.eventBus.on('georef:gcp:delete', (payload) => this.deleteControlPoint(payload.id));
+        this.eventBus.on('georef:solve', () => this.solve());
+        this.eventBus.on('georef:clear', () => this.clear());
+
+        // Peers share one georeference (see GeoreferenceSync)
+        this.eventBus.on('georef:apply:remote', (payload) => this._restore(payload.georeference, 'remote'));
+
+        // Project persistence
+        this.eventBus.on('project:state:collect', (state) => {
+            state.settings.georeference = this.getGeoreference();
+        });
+        this.eventBus.on('project:state:restore', (state) => {
+            if (state.settings?.georeference) this._restore(state.settings.georeference, 'project');
+        });
+    }
+
+    /**
+     * The georeference belongs to the reference layer's model (the first one in the scene).
+     * A different model invalidates it; reloading the same file keeps it (this is also how a
+     * peer keeps a georeference that arrives before the model does). Layers added on top of
+     * it share the same georeference.
+     * @private
+     */
+    _onReferenceModel(fileName) {
+        if (fileName !== this.modelName) {
+            this.modelName = fileName;
+            this.crs = null;
+            this.method = null;
+            this.gcps = [];
+            this.solution = null;
+            this._apply();
+            this._notify('model');
+        } else {
+            // Same points, possibly a new scene placement or layer adjustment
+            this._updateMarkers();
+        }
+    }
+
+    // --- PUBLIC API ---
+
+    /**
+     * Returns the current georeference as plain data (for projects, peers and exports).
+     * @returns {{modelName: string, crs: Object|null, method: string|null, gcps: Array, solution: Object|null}}
+     */
+    getGeoreference() {
+        return {
+            modelName: this.modelName,
+            crs: this.crs ? { ...this.crs } : null,
+            method: this.method,
+            gcps: this.gcps.map(gcp => ({ ...gcp, source: [...gcp.source], target: gcp.target ? [...gcp.target] : null })),
+            solution: this.solution ? { ...this.solution, matrix: [...this.solution.matrix] } : null
+        };
+    }
+
+    /**
+     * Selects the CRS. Unknown codes need their proj4 definition.
+     * @param {string} code - e.g., 'EPSG:31983' or '31983'.
+     * @param {string} [definition] - proj4 string, for codes outside the built-in list.
+     * @returns {boolean} Whether the CRS was accepted.
+     */
+    setCrs(code, definition) {
+        let system;
+        try {
+            system = definition ? this.registry.register(code, definition) : this.registry.get(code);
+        } catch (error) {
+            this._notifyError(error.message);
+            return false;
+        }
+        if (!system) {
+            this._notifyError(`Sistema ${CrsRegistry.normalizeCode(code)} desconhecido: informe a definição proj4`);
+            return false;
+        }
+
+        this.crs = { ...system };
+        this.logger.info(`Georeference: CRS set to ${system.code} (${system.name}).`);
+        this._apply();
+        this._notify('local');
+        return true;
+    }
+
+    /**
+     * Declares that the model file coordinates already are in the selected CRS.
+     */
+    assignCrs() {
+        if (!this._canEdit()) return;
+        if (!this.crs) {
+            this._notifyError('Selecione o sistema de coordenadas (EPSG)');
+            return;
+        }
+
+        this.method = 'assigned';
+        this.solution = { matrix: [...IDENTITY], scale: 1, rmse: null };
+        this.gcps.forEach(gcp => { gcp.residual = null; });
+        this._apply();
+        this._notify('local');
+        this.eventBus.emit('ui:notification:show', { message: `Modelo georreferenciado em ${this.crs.code}`, type: 'success' });
+    }
+
+    /**
+     * Adds a control point picked on the model. Its CRS coordinates are typed in later.
+     * @param {THREE.Vector3} point - Scene point.
+     */
+    addControlPoint(point) {
+        if (!this._canEdit()) return;
+
+        const number = this.gcps.reduce((max, gcp) => Math.max(max, parseInt(gcp.label.slice(1), 10) || 0), 0) + 1;
+        const gcp = {
+            id: `gcp_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            label: `P${number}`,
+            source: this.coordinateSystem.toFrame(point, 'original').toArray(),
+            target: null,
+            residual: null
+        };
+        this.gcps.push(gcp);
+
+        this.logger.info(`Georeference: Control point ${gcp.label} added.`);
+        this._notify('local');
+    }
+
+    /**
+     * Sets the surveyed CRS coordinates of a control point.
+     * @param {string} id
+     * @param {number[]|null} target - [E, N, H], or null to clear.
+     */
+    updateControlPoint(id, target) {
+        const gcp = this.gcps.find(g => g.id === id);
+        if (!gcp) return;
+
+        const valid = Array.isArray(target) && target.length === 3 && target.every(Number.isFinite);
+        gcp.target = valid ? [...target] : null;
+        this._resolveAfterEdit();
+    }
+
+    /**
+     * @param {string} id
+     */
+    deleteControlPoint(id) {
+        const index = this.gcps.findIndex(g => g.id === id);
+        if (index === -1) return;
+
+        this.gcps.splice(index, 1);
+        this._resolveAfterEdit();
+    }
+
+    /**
+     * Solves the similarity transform from every control point with CRS coordinates.
+     * @returns {boolean} Whether a solution was found.
+     */
+    solve() {
+        if (!this._canEdit()) return false;
+        if (!this.crs) {
+            this._notifyError('Selecione o sistema de coordenadas (EPSG)');
+            return false;
+        }
+
+        const complete = this.gcps.filter(gcp => gcp.target);
+        let result;
+        try {
+            result = SimilarityTransform.solve(complete.map(gcp => gcp.source), complete.map(gcp => gcp.target));
+        } catch (error) {
+            this._notifyError(error.message);
+            return false;
+        }
+
+        this.gcps.forEach(gcp => { gcp.residual = null; });
+        complete.forEach((gcp, i) => { gcp.residual = result.residuals[i]; });
+        this.method = 'gcp';
+        this.solution = { matrix: result.matrix, scale: result.scale, rmse: result.rmse };
+
+        this.logger.info(`Georeference: Solved from ${complete.length} control points (scale ${result.scale.toFixed(6)}, RMSE ${result.rmse.toFixed(3)}).`);
+        this._apply();
+        this._notify('local');
+        return true;
+    }
+
+    /**
+     * Removes the georeference and every control point.
+     */
+    clear() {
+        this.crs = null;
+        this.method = null;
+        this.gcps = [];
+        this.solution = null;
+        this._apply();
+        this._notify('local');
+    }
+
+    // --- PRIVATE HELPERS ---
+
+    /**
+     * @private
+     */
+    _canEdit() {
+        if (!this.modelName) {
+            this._notifyError('Carregue um modelo antes de georreferenciar');
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Once solved from control points, edits re-solve right away so residuals stay current.
+     * @private
+     */
+    _resolveAfterEdit() {
+        if (this.method === 'gcp' && !this.solve()) {
+            this.method = null;
+            this.solution = null;
+            this.gcps.forEach(gcp => { gcp.residual = null; });
+            this._apply();
+        }
+        this._notify('local');
+    }
+
+    /**
+     * Hands the current solution to CoordinateSystem.
+     * @private
+     */
+    _apply() {
+        if (this.method && this.crs && this.solution) {
+            this.coordinateSystem.setGeoreference({
+                code: this.crs.code,
+                matrix: this.solution.matrix,
+                converter: this.registry.createGeographicConverter(this.crs.code)
+            });
+        } else if (this.coordinateSystem.isGeoreferenced()) {
+            this.coordinateSystem.setGeoreference(null);
+        }
+    }
+
+    /**
+     * Loads a georeference saved in a project or received from a peer.
+     * @private
+     */
+    _restore(data, source) {
+        if (!data) return;
+
+        let crs = null;
+        if (data.crs) {
+            try {
+                crs = { ...this.registry.register(data.crs.code, data.crs.definition, data.crs.name) };
+            } catch (error) {
+                this.logger.error(`Georeference: Could not restore CRS ${data.crs.code}`, error);
+            }
+        }
+
+        this.modelName = data.modelName || this.modelName;
+        this.crs = crs;
+        this.method = crs ? data.method || null : null;
+        this.gcps = (data.gcps || []).map(gcp => ({ ...gcp, residual: gcp.residual ?? null }));
+        this.solution = this.method && data.solution ? { ...data.solution } : null;
+
+        this.logger.info(`Georeference: Restored from ${source} (${this.crs?.code || 'no CRS'}, ${this.gcps.length} control points).`);
+        this._apply();
+        this._notify(source);
+    }
+
+    /**
+     * @param {string} source - 'local' for user edits (shared with peers), otherwise where it came from.
+     * @private
+     */
+    _notify(source) {
+        this._updateMarkers();
+        this.eventBus.emit('georef:changed', { georeference: this.getGeoreference(), source });
+    }
+
+    /**
+     * @private
+     */
+    _notifyError(message) {
+        this.logger.warn(`Georeference: ${message}`);
+        this.eventBus.emit('ui:notification:show', { message, type: 'error' });
+    }
+
+    /**
+     * Redraws a marker and a label for every control point.
+     * @private
+     */
+    _updateMarkers() {
+        [...this.markerGroup.children].forEach(child => {
+            this.markerGroup.remove(child);
+            child.geometry?.dispose();
+            if (child.isSprite) {
+                child.material.map?.dispose();
+                child.material.dispose();
+            }
+        });
+
+        this.gcps.forEach(gcp => {
+            const [x, y, z] = gcp.source;
+            const position = this.coordinateSystem.fromFrame({ x, y, z }, 'original');
+
+            const marker = new THREE.Mesh(new THREE.SphereGeometry(0.08, 16, 12), this.markerMaterial);
+            marker.position.copy(position);
+            marker.renderOrder = 999;
+            this.markerGroup.add(marker);
+
+            const label = createTextSprite(gcp.label, '#00bcd4');
+            label.position.copy(position).add(new THREE.Vector3(0, 0.2, 0));
+            this.markerGroup.add(label);
+        });
+    }
+}
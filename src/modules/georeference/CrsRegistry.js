@@ -0,0 +1,138 @@
+// src/modules/georeference/CrsRegistry.js
+
+import proj4 from 'proj4';
+
+// Geographic CRS used for longitude/latitude readouts and exports (KML, GeoJSON)
+export const GEOGRAPHIC_CRS = 'EPSG:4326';
+
+const SIRGAS_2000 = '+ellps=GRS80 +towgs84=0,0,0,0,0,0,0 +units=m +no_defs';
+const WGS_84 = '+datum=WGS84 +units=m +no_defs';
+
+/**
+ * Projected systems offered out of the box. Georeferencing works in metric projected
+ * coordinates, so geographic (degree-based) systems are deliberately not listed.
+ * @returns {Array<{code: string, name: string, definition: string}>}
+ */
+function createBuiltInSystems() {
+    const systems = [];
+
+    // SIRGAS 2000 / UTM: EPSG:31965-31976 are zones 11N-22N, 31977-31985 are zones 17S-25S
+    for (let zone = 11; zone <= 22; zone++) {
+        systems.push({
+            code: `EPSG:${31954 + zone}`,
+            name: `SIRGAS 2000 / UTM zone ${zone}N`,
+            definition: `+proj=utm +zone=${zone} ${SIRGAS_2000}`
+        });
+    }
+    for (let zone = 17; zone <= 25; zone++) {
+        systems.push({
+            code: `EPSG:${31960 + zone}`,
+            name: `SIRGAS 2000 / UTM zone ${zone}S`,
+            definition: `+proj=utm +zone=${zone} +south ${SIRGAS_2000}`
+        });
+    }
+    systems.push({
+        code: 'EPSG:5880',
+        name: 'SIRGAS 2000 / Brazil Polyconic',
+        definition: `+proj=poly +lat_0=0 +lon_0=-54 +x_0=5000000 +y_0=10000000 ${SIRGAS_2000}`
+    });
+
+    // WGS 84 / UTM: EPSG:326zz (north) and EPSG:327zz (south)
+    for (let zone = 1; zone <= 60; zone++) {
+        const padded = String(zone).padStart(2, '0');
+        systems.push({ code: `EPSG:326${padded}`, name: `WGS 84 / UTM zone ${zone}N`, definition: `+proj=utm +zone=${zone} ${WGS_84}` });
+        systems.push({ code: `EPSG:327${padded}`, name: `WGS 84 / UTM zone ${zone}S`, definition: `+proj=utm +zone=${zone} +south ${WGS_84}` });
+    }
+
+    return systems;
+}
+
+/**
+ * @class CrsRegistry
+ * @description Knows the coordinate reference systems a model can be georeferenced to and
+ * converts projected coordinates to longitude/latitude through proj4.
+ * Codes outside the built-in list can be registered with their proj4 definition
+ * (as published on epsg.io).
+ */
+export class CrsRegistry {
+    constructor(logger) {
+        this.logger = logger;
+        this.systems = new Map();
+
+        createBuiltInSystems().forEach(system => this.register(system.code, system.definition, system.name));
+    }
+
+    /**
+     * Normalizes user input such as "31983", "epsg:31983" or " EPSG:31983 ".
+     * @param {string|number} code
+     * @returns {string}
+     */
+    static normalizeCode(code) {
+        const text = String(code || '').trim().toUpperCase();
+        return /^\d+$/.test(text) ? `EPSG:${text}` : text;
+    }
+
+    /**
+     * Registers (or replaces) a system.
+     * @param {string} code - e.g., 'EPSG:31983'.
+     * @param {string} definition - proj4 definition string.
+     * @param {string} [name]
+     * @returns {{code: string, name: string, definition: string}}
+     */
+    register(code, definition, name) {
+        const normalized = CrsRegistry.normalizeCode(code);
+        if (!normalized) {
+            throw new Error('Código do sistema de coordenadas vazio');
+        }
+
+        // Validated before touching proj4's global table, so a bad input never replaces a good definition
+        let projection;
+        try {
+            projection = new proj4.Proj(definition);
+        } catch (error) {
+            throw new Error(`Definição proj4 inválida para ${normalized}`);
+        }
+        if (projection.projName === 'longlat') {
+            throw new Error(`${normalized} é geográfico (graus); use um sistema projetado em metros`);
+        }
+
+        proj4.defs(normalized, definition);
+        const system = { code: normalized, name: name || normalized, definition };
+        this.systems.set(normalized, system);
+        return system;
+    }
+
+    /**
+     * @param {string} code
+     * @returns {{code: string, name: string, definition: string}|null}
+     */
+    get(code) {
+        return this.systems.get(CrsRegistry.normalizeCode(code)) || null;
+    }
+
+    /**
+     * @returns {Array<{code: string, name: string}>}
+     */
+    list() {
+        return [...this.systems.values()].map(({ code, name }) => ({ code, name }));
+    }
+
+    /**
+     * Creates a converter between a registered system and longitude/latitude (WGS 84).
+     * Heights are passed through unchanged: no geoid or vertical datum is applied.
+     * @param {string} code
+     * @returns {{toGeographic: function(number[]): number[], fromGeographic: function(number[]): number[]}}
+     */
+    createGeographicConverter(code) {
+        const system = this.get(code);
+        if (!system) {
+            throw new Error(`Sistema de coordenadas desconhecido: ${code}`);
+        }
+
+        const converter = proj4(system.code, GEOGRAPHIC_CRS);
+        return {
+            toGeographic: ([x, y, z]) => [...converter.forward([x, y]), z],
+            fromGeographic: ([lon, lat, h]) => [...converter.inverse([lon, lat]), h]
+        };
+    }
+}
@@ -0,0 +1,173 @@
+// src/modules/georeference/SimilarityTransform.js
+
+/**
+ * @class SimilarityTransform
+ * @description Solves the 7-parameter similarity (scale, rotation, translation) that best maps
+ * a set of source points onto target points, in the least-squares sense.
+ * Uses Horn's closed-form quaternion method (J. Opt. Soc. Am. A, 1987). Both point sets are
+ * centered on their centroids before solving, so projected coordinates in the millions
+ * (UTM northings) do not cost precision.
+ */
+export class SimilarityTransform {
+    /**
+     * @param {Array<number[]>} source - [x, y, z] points (e.g., the model file coordinates).
+     * @param {Array<number[]>} target - [x, y, z] points (e.g., surveyed CRS coordinates).
+     * @returns {{matrix: number[], scale: number, residuals: number[], rmse: number}}
+     *   matrix is column-major (THREE.Matrix4.fromArray) and maps source to target.
+     */
+    static solve(source, target) {
+        const count = source.length;
+        if (count < 3 || target.length !== count) {
+            throw new Error('São necessários pelo menos 3 pontos de controle com coordenadas');
+        }
+
+        const sourceCentroid = SimilarityTransform._centroid(source);
+        const targetCentroid = SimilarityTransform._centroid(target);
+        const a = source.map(p => p.map((v, i) => v - sourceCentroid[i]));
+        const b = target.map(p => p.map((v, i) => v - targetCentroid[i]));
+
+        // Cross-covariance S[i][j] = sum(a_i * b_j)
+        const S = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+        let sourceSpread = 0;
+        for (let k = 0; k < count; k++) {
+            for (let i = 0; i < 3; i++) {
+                sourceSpread += a[k][i] * a[k][i];
+                for (let j = 0; j < 3; j++) {
+                    S[i][j] += a[k][i] * b[k][j];
+                }
+            }
+        }
+
+        if (SimilarityTransform._isDegenerate(a, sourceSpread) || SimilarityTransform._isDegenerate(b)) {
+            throw new Error('Os pontos de controle não podem ser coincidentes ou colineares');
+        }
+
+        const [[Sxx, Sxy, Sxz], [Syx, Syy, Syz], [Szx, Szy, Szz]] = S;
+        const N = [
+            [Sxx + Syy + Szz, Syz - Szy, Szx - Sxz, Sxy - Syx],
+            [Syz - Szy, Sxx - Syy - Szz, Sxy + Syx, Szx + Sxz],
+            [Szx - Sxz, Sxy + Syx, -Sxx + Syy - Szz, Syz + Szy],
+            [Sxy - Syx, Szx + Sxz, Syz + Szy, -Sxx - Syy + Szz]
+        ];
+
+        // The optimal rotation is the eigenvector of the largest eigenvalue of N
+        const [w, x, y, z] = SimilarityTransform._dominantEigenvector(N);
+        const R = [
+            [1 - 2 * (y * y + z * z), 2 * (x * y - w * z), 2 * (x * z + w * y)],
+            [2 * (x * y + w * z), 1 - 2 * (x * x + z * z), 2 * (y * z - w * x)],
+            [2 * (x * z - w * y), 2 * (y * z + w * x), 1 - 2 * (x * x + y * y)]
+        ];
+        const rotate = (p) => [0, 1, 2].map(i => R[i][0] * p[0] + R[i][1] * p[1] + R[i][2] * p[2]);
+
+        // Scale that minimizes the target-space residuals for this rotation
+        let projected = 0;
+        for (let k = 0; k < count; k++) {
+            const ra = rotate(a[k]);
+            projected += ra[0] * b[k][0] + ra[1] * b[k][1] + ra[2] * b[k][2];
+        }
+        const scale = projected / sourceSpread;
+
+        const rotatedCentroid = rotate(sourceCentroid);
+        const translation = [0, 1, 2].map(i => targetCentroid[i] - scale * rotatedCentroid[i]);
+
+        const residuals = a.map((p, k) => {
+            const ra = rotate(p);
+            return Math.hypot(...[0, 1, 2].map(i => scale * ra[i] - b[k][i]));
+        });
+        const rmse = Math.sqrt(residuals.reduce((sum, r) => sum + r * r, 0) / count);
+
+        const matrix = [
+            scale * R[0][0], scale * R[1][0], scale * R[2][0], 0,
+            scale * R[0][1], scale * R[1][1], scale * R[2][1], 0,
+            scale * R[0][2], scale * R[1][2], scale * R[2][2], 0,
+            translation[0], translation[1], translation[2], 1
+        ];
+
+        return { matrix, scale, residuals, rmse };
+    }
+
+    /**
+     * @private
+     */
+    static _centroid(points) {
+        const sum = [0, 0, 0];
+        points.forEach(p => { sum[0] += p[0]; sum[1] += p[1]; sum[2] += p[2]; });
+        return sum.map(v => v / points.length);
+    }
+
+    /**
+     * Centered points that are all coincident or lie on one line cannot fix a rotation.
+     * @private
+     */
+    static _isDegenerate(centered, spread = centered.reduce((s, p) => s + p[0] * p[0] + p[1] * p[1] + p[2] * p[2], 0)) {
+        if (spread < 1e-12) return true;
+
+        // Largest cross product between any point and the farthest one, relative to the spread
+        const far = centered.reduce((best, p) => (Math.hypot(...p) > Math.hypot(...best) ? p : best), centered[0]);
+        const farLength = Math.hypot(...far);
+        const offLine = centered.reduce((max, p) => {
+            const cross = [
+                p[1] * far[2] - p[2] * far[1],
+                p[2] * far[0] - p[0] * far[2],
+                p[0] * far[1] - p[1] * far[0]
+            ];
+            return Math.max(max, Math.hypot(...cross) / farLength);
+        }, 0);
+        return offLine < 1e-6 * Math.sqrt(spread);
+    }
+
+    /**
+     * Jacobi eigenvalue iteration for a symmetric 4x4 matrix.
+     * @private
+     */
+    static _dominantEigenvector(matrix) {
+        const A = matrix.map(row => row.slice());
+        const V = [[1, 0, 0, 0], [0, 1, 0, 0], [0, 0, 1, 0], [0, 0, 0, 1]];
+
+        for (let sweep = 0; sweep < 50; sweep++) {
+            let offDiagonal = 0;
+            for (let p = 0; p < 3; p++) {
+                for (let q = p + 1; q < 4; q++) offDiagonal += A[p][q] * A[p][q];
+            }
+            if (offDiagonal < 1e-30) break;
+
+            for (let p = 0; p < 3; p++) {
+                for (let q = p + 1; q < 4; q++) {
+                    if (Math.abs(A[p][q]) < 1e-300) continue;
+
+                    const theta = (A[q][q] - A[p][p]) / (2 * A[p][q]);
+                    const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                    const c = 1 / Math.sqrt(t * t + 1);
+                    const s = t * c;
+
+                    for (let k = 0; k < 4; k++) {
+                        const akp = A[k][p];
+                        const akq = A[k][q];
+                        A[k][p] = c * akp - s * akq;
+                        A[k][q] = s * akp + c * akq;
+                    }
+                    for (let k = 0; k < 4; k++) {
+                        const apk = A[p][k];
+                        const aqk = A[q][k];
+                        A[p][k] = c * apk - s * aqk;
+                        A[q][k] = s * apk + c * aqk;
+                    }
+                    for (let k = 0; k < 4; k++) {
+                        const vkp = V[k][p];
+                        const vkq = V[k][q];
+                        V[k][p] = c * vkp - s * vkq;
+                        V[k][q] = s * vkp + c * vkq;
+                    }
+                }
+            }
+        }
+
+        let best = 0;
+        for (let i = 1; i < 4; i++) {
+            if (A[i][i] > A[best][best]) best = i;
+        }
+        const vector = V.map(row => row[best]);
+        const length = Math.hypot(...vector);
+        return vector.map(v => v / length);
+    }
+}
@@ -3,13 +3,20 @@
 import * as THREE from 'three';
 import { MeasurementMaterials } from './measurements/utils/MeasurementMaterials.js';
 import { DistanceMeasurement } from './measurements/DistanceMeasurement.js';
+import { PolylineMeasurement } from './measurements/PolylineMeasurement.js';
 import { AreaMeasurement } from './measurements/AreaMeasurement.js';
 import { SurfaceAreaMeasurement } from './measurements/SurfaceAreaMeasurement.js';
 import { AngleMeasurement } from './measurements/AngleMeasurement.js';
+import { HeightMeasurement } from './measurements/HeightMeasurement.js';
 import { VolumeMeasurement } from './measurements/VolumeMeasurement.js'; // <-- 1. IMPORTAR
 import { VolumeBoxMeasurement } from './measurements/VolumeBoxMeasurement.js'; // <-- NOVO
 import { MeasurementDisposer } from './measurements/utils/MeasurementDisposer.js';
 import { MeasurementUI } from './measurements/MeasurementUI.js';
+import { MeasurementHistory } from './measurements/MeasurementHistory.js';
+import { MeasurementExporter } from './measurements/MeasurementExporter.js';
+import { MeshPatchExporter } from './measurements/MeshPatchExporter.js';
+import { refreshTextSprite } from '../utils/DrawingUtils.js';
+import { normalizeMetadata } from '../utils/MeasurementMetadata.js';
 
 /**
  * @class Measurements
@@ -19,15 +26,18 @@ import { MeasurementUI } from './measurements/MeasurementUI.js';
  * specialized "worker" modules.
  */
 export class Measurements {
-    constructor(scene, logger, eventBus, collaboration) {
+    constructor(scene, logger, eventBus, collaboration, coordinateSystem, units) {
         this.logger = logger;
         this.eventBus = eventBus;
         this.scene = scene;
         this.collaboration = collaboration; // For accessing annotation data
+        this.coordinateSystem = coordinateSystem; // For showing points in the active frame (e.g., a CRS)
+        this.units = units; // Units and precision of the labels and the panel
 
         // A group to hold all measurement visuals in the scene
         this.measurementGroup = new THREE.Group();
         this.measurementGroup.name = 'measurements';
+        this.measurementGroup.userData.isOverlay = true; // Captures can leave it out (see Renderer.captureCanvas)
         this.scene.add(this.measurementGroup);
         
         // --- NEW: Para Rastrear Destaque ---
@@ -35,22 +45,37 @@ export class Measurements {
         this.highlightedMeasurementId = null;
         // --- END NEW ---
 
+        this.editing = null; // Point being dragged: { module, measurement, index, original }
+
         // --- 1. Instantiate All Worker Modules ---
         this.materials = new MeasurementMaterials();
         const sharedMaterials = this.materials.getMaterials();
 
         this.disposer = new MeasurementDisposer(this.measurementGroup, sharedMaterials, logger);
 
-        this.distanceMeasurement = new DistanceMeasurement(this.measurementGroup, sharedMaterials, logger, eventBus);
-        this.areaMeasurement = new AreaMeasurement(this.measurementGroup, sharedMaterials, logger, eventBus);
-        this.surfaceAreaMeasurement = new SurfaceAreaMeasurement(this.measurementGroup, sharedMaterials, logger, eventBus);
-        this.angleMeasurement = new AngleMeasurement(this.measurementGroup, sharedMaterials, logger, eventBus);
-        this.volumeMeasurement = new VolumeMeasurement(this.measurementGroup, sharedMaterials, logger, eventBus); // <-- 2. INSTANCIAR
-        this.volumeBoxMeasurement = new VolumeBoxMeasurement(this.measurementGroup, sharedMaterials, logger, eventBus); // <-- NOVO
+        this.distanceMeasurement = new DistanceMeasurement(this.measurementGroup, sharedMaterials, logger, eventBus, units);
+        this.polylineMeasurement = new PolylineMeasurement(this.measurementGroup, sharedMaterials, logger, eventBus, units);
+        this.areaMeasurement = new AreaMeasurement(this.measurementGroup, sharedMaterials, logger, eventBus, units);
+        this.surfaceAreaMeasurement = new SurfaceAreaMeasurement(this.measurementGroup, sharedMaterials, logger, eventBus, units);
+        this.angleMeasurement = new AngleMeasurement(this.measurementGroup, sharedMaterials, logger, eventBus, units);
+        this.heightMeasurement = new HeightMeasurement(this.measurementGroup, sharedMaterials, logger, eventBus, coordinateSystem, units);
+        this.volumeMeasurement = new VolumeMeasurement(this.measurementGroup, sharedMaterials, logger, eventBus, coordinateSystem, units); // <-- 2. INSTANCIAR
+        this.volumeBoxMeasurement = new VolumeBoxMeasurement(this.measurementGroup, sharedMaterials, logger, eventBus, units); // <-- NOVO
+
+        // Every tool module, used wherever all of them must be visited
+        this.toolModules = [this.distanceMeasurement, this.polylineMeasurement, this.areaMeasurement, this.surfaceAreaMeasurement, this.angleMeasurement, this.heightMeasurement, this.volumeMeasurement, this.volumeBoxMeasurement];
 
         // This new worker handles all UI-related logic for measurements
         this.measurementUI = new MeasurementUI(eventBus, this);
 
+        // Downloads of the measurement list (tables and vectors) and of the mesh under a measurement
+        this.exporter = new MeasurementExporter(logger, eventBus, this);
+        this.meshExporter = new MeshPatchExporter(logger, eventBus, this);
+
+        // Undo/redo of the operations on local measurements
+        this.history = new MeasurementHistory(logger, eventBus);
+        this._restoringIds = new Set(); // Measurements being restored: their completion is not a new operation
+
         // --- 2. Wire Up Inter-Module Communication ---
         this._setupEventListeners();
 
@@ -64,36 +89,63 @@ export class Measurements {
     _setupEventListeners() {
         // When any measurement is completed, or annotations change, update the UI.
         this.eventBus.on('measurement:distance:completed', () => this.measurementUI.update());
+        this.eventBus.on('measurement:polyline:completed', () => this.measurementUI.update());
         this.eventBus.on('measurement:area:completed', () => this.measurementUI.update());
         this.eventBus.on('measurement:surfaceArea:completed', () => this.measurementUI.update());
         this.eventBus.on('measurement:angle:completed', () => this.measurementUI.update());
+        this.eventBus.on('measurement:height:completed', () => this.measurementUI.update());
         this.eventBus.on('measurement:volume:completed', () => this.measurementUI.update()); // <-- 3. ADICIONAR LISTENER
         this.eventBus.on('measurement:volumeBox:completed', () => this.measurementUI.update()); // <-- NOVO
         this.eventBus.on('annotation:changed', () => this.measurementUI.update());
+        this.eventBus.on('coordinates:frames:changed', () => this.measurementUI.update()); // Frame or georeference changed
+        this.eventBus.on('units:changed', () => {
+            // The labels format their value when drawn (see createTextSprite)
+            this.measurementGroup.traverse(refreshTextSprite);
+            this.measurementUI.update();
+        });
+        this.eventBus.on('measurement:updated', (payload) => {
+            if (payload.final) this.measurementUI.update();
+        });
+
+        // History: placed points and completed measurements (the other operations record themselves)
+        this.eventBus.on('measurement:point:selected', (payload) => this._recordPoint(payload));
+        this.toolModules.forEach(module => {
+            this.eventBus.on(`measurement:${module.annotationType}:completed`, (payload) => this._recordCompleted(module, payload.measurement));
+        });
         
         // --- NEW: Ouvinte para destacar medição vindo da UI ---
         this.eventBus.on('measurement:highlight', (payload) => this._highlightMeasurement(payload.id));
 
         // When a tool changes, cancel any in-progress measurements.
         this.eventBus.on('tool:changed', () => {
-            this.distanceMeasurement.cancelActiveMeasurement();
-            this.areaMeasurement.cancelActiveMeasurement();
-            this.surfaceAreaMeasurement.cancelActiveMeasurement();
-            this.angleMeasurement.cancelActiveMeasurement();
-            this.volumeMeasurement.cancelActiveMeasurement(); // <-- 4. ADICIONAR LIMPEZA
-            this.volumeBoxMeasurement.cancelActiveMeasurement(); // <-- NOVO
+            this.toolModules.forEach(module => module.cancelActiveMeasurement());
+            this.history.discard(command => command.kind === 'point'); // Their measurements are gone
             this._unhighlightCurrent(); // Limpa destaque ao trocar ferramenta
         });
 
+        // Editing: dragging points of finished measurements (see EditMeasurementState)
+        this.eventBus.on('measurement:edit:pick', (pick) => this._pickEditablePoint(pick));
+        this.eventBus.on('measurement:edit:move', (payload) => this._moveEditedPoint(payload.point));
+        this.eventBus.on('measurement:edit:end', () => this._endEdit(false));
+        this.eventBus.on('measurement:edit:cancel', () => this._endEdit(true));
+
+        // Snapping: points of every measurement (local and remote) and of the ones being drawn
+        this.eventBus.on('snap:targets:collect', (targets) => this._collectSnapPoints(targets.points));
+
         // Handle commands to clear or delete measurements.
-        this.eventBus.on('measurement:clear:all', () => this.clearAllMeasurements());
+        this.eventBus.on('measurement:clear:all', () => {
+            this._recordClearAll();
+            this.clearAllMeasurements();
+        });
         this.eventBus.on('measurement:delete', (payload) => {
             // Se o item deletado for o destacado, limpa o destaque
             if (payload.id === this.highlightedMeasurementId) {
                 this._unhighlightCurrent();
             }
+            this._recordDelete(payload.id);
             this.clearMeasurement(payload.id);
         });
+        this.eventBus.on('measurement:metadata:set', (payload) => this.setMeasurementMetadata(payload.id, payload.changes));
     }
 
     // --- NEW: Métodos de Destaque ---
@@ -149,8 +201,7 @@ export class Measurements {
         let visualGroup = null;
 
         // 1. Procura nas medições locais
-        const modules = [this.distanceMeasurement, this.areaMeasurement, this.surfaceAreaMeasurement, this.angleMeasurement, this.volumeMeasurement, this.volumeBoxMeasurement];
-        for (const module of modules) {
+        for (const module of this.toolModules) {
             measurement = module.getMeasurementById(id);
             if (measurement) break;
         }
@@ -192,23 +243,263 @@ export class Measurements {
     
     // --- FIM DOS NOVOS MÉTODOS ---
 
+    /**
+     * Finds the point of a local finished measurement nearest to the cursor, on screen,
+     * and starts dragging it. Remote annotations belong to their authors and are not editable.
+     * @param {{camera: THREE.Camera, mouse: THREE.Vector2, rect: DOMRect, tolerance: number, target: Object|null}} pick
+     *   Filled in place: 'target' becomes {id, index} when a point is grabbed.
+     * @private
+     */
+    _pickEditablePoint(pick) {
+        if (!this.measurementGroup.visible) return;
+
+        const screen = new THREE.Vector3();
+        let best = null;
+        let bestDistance = pick.tolerance;
+
+        this.toolModules.forEach(module => module.measurements.forEach(measurement => {
+            if (!measurement.finished) return;
+            measurement.points.forEach((point, index) => {
+                screen.copy(point).project(pick.camera);
+                if (screen.z > 1) return; // Behind the camera
+
+                const distance = Math.hypot((screen.x - pick.mouse.x) * pick.rect.width / 2, (screen.y - pick.mouse.y) * pick.rect.height / 2);
+                if (distance <= bestDistance) {
+                    best = { module, measurement, index };
+                    bestDistance = distance;
+                }
+            });
+        }));
+        if (!best) return;
+
+        this._unhighlightCurrent(); // Rebuilt visuals would lose the highlight anyway
+        this.editing = { ...best, original: best.measurement.points[best.index].clone() };
+        pick.target = { id: best.measurement.id, index: best.index };
+        this.logger.info(`Measurements Coordinator: Editing point ${best.index} of ${best.measurement.id}`);
+    }
+
+    /**
+     * @private
+     */
+    _moveEditedPoint(point) {
+        if (!this.editing) return;
+        const { module, measurement, index } = this.editing;
+        module.movePoint(measurement, index, point);
+    }
+
+    /**
+     * Ends the drag: the last recompute is the one shared with peers. A cancelled drag
+     * puts the point back; a grab without movement changes nothing.
+     * @param {boolean} cancelled
+     * @private
+     */
+    _endEdit(cancelled) {
+        if (!this.editing) return;
+        const { module, measurement, index, original } = this.editing;
+        this.editing = null;
+
+        if (!module.measurements.includes(measurement) || measurement.points[index].equals(original)) return;
+        module.movePoint(measurement, index, cancelled ? original : measurement.points[index], true);
+
+        if (!cancelled) {
+            const { id } = measurement;
+            const moved = measurement.points[index].clone();
+            this.history.push({
+                label: 'mover ponto',
+                undo: () => this._setPoint(id, index, original),
+                redo: () => this._setPoint(id, index, moved)
+            });
+        }
+    }
+
+    /**
+     * Moves a point of a local measurement, found by id (undo/redo may have recreated it).
+     * @private
+     */
+    _setPoint(id, index, point) {
+        const found = this._findLocalMeasurement(id);
+        if (found) found.module.movePoint(found.measurement, index, point, true);
+    }
+
+    // --- History (see MeasurementHistory) ---
+
+    /**
+     * Local measurement and its tool module.
+     * @param {string} id
+     * @returns {{module: BaseMeasurement, measurement: Object}|null}
+     * @private
+     */
+    _findLocalMeasurement(id) {
+        for (const module of this.toolModules) {
+            const measurement = module.getMeasurementById(id);
+            if (measurement) return { module, measurement };
+        }
+        return null;
+    }
+
+    /**
+     * The record a measurement is restored from, the same kind a project stores.
+     * @private
+     */
+    _toRecord(module, measurement) {
+        return {
+            id: measurement.id,
+            type: module.annotationType,
+            points: measurement.points.map(p => ({ x: p.x, y: p.y, z: p.z })),
+            author: measurement.authorName || null,
+            ...normalizeMetadata(measurement),
+            base: measurement.base
+        };
+    }
+
+    /**
+     * A point placed in a measurement being drawn. Once it completes, the points are
+     * replaced by the measurement itself (see _recordCompleted).
+     * @private
+     */
+    _recordPoint(payload) {
+        const module = this.toolModules.find(m => m.toolName === payload.tool);
+        const measurement = module?.activeMeasurement;
+        const points = measurement?.points;
+        // Tools may ignore a point (e.g., the repeated click of a double-click)
+        if (!measurement || measurement.finished || points[points.length - 1] !== payload.point) return;
+
+        const point = payload.point.clone();
+        this.history.push({
+            kind: 'point',
+            module,
+            label: 'adicionar ponto',
+            undo: () => module.removeLastPoint(),
+            redo: () => module.addPoint(point)
+        });
+    }
+
+    /**
+     * @private
+     */
+    _recordCompleted(module, measurement) {
+        if (this._restoringIds.has(measurement.id)) return;
+
+        this.history.discard(command => command.kind === 'point' && command.module === module);
+        const record = this._toRecord(module, measurement);
+        this.history.push({
+            label: 'nova medição',
+            undo: () => this.eventBus.emit('measurement:delete', { id: record.id }),
+            redo: () => this._restoreRecords([record])
+        });
+    }
+
+    /**
+     * @private
+     */
+    _recordDelete(id) {
+        const found = this._findLocalMeasurement(id);
+        if (!found) return;
+
+        if (!found.measurement.finished) {
+            // A cancelled drawing: its points can no longer be undone
+            this.history.discard(command => command.kind === 'point' && command.module === found.module);
+            return;
+        }
+
+        const record = this._toRecord(found.module, found.measurement);
+        this.history.push({
+            label: 'excluir medição',
+            undo: () => this._restoreRecords([record]),
+            redo: () => this.eventBus.emit('measurement:delete', { id })
+        });
+    }
+
+    /**
+     * @private
+     */
+    _recordClearAll() {
+        const records = this.toolModules.flatMap(module => module.measurements
+            .filter(m => m.finished)
+            .map(m => this._toRecord(module, m)));
+        if (records.length === 0) return;
+
+        this.history.push({
+            label: 'limpar medições',
+            undo: () => this._restoreRecords(records),
+            redo: () => {
+                // The same as the ribbon button
+                this.eventBus.emit('measurement:clear:all');
+                this.eventBus.emit('collaboration:clear-all-annotations');
+            }
+        });
+    }
+
+    /**
+     * Sets the name, note, tags and color of a local measurement and restyles it;
+     * peers get them as an annotation update.
+     * @private
+     */
+    _applyMetadata(id, metadata) {
+        const found = this._findLocalMeasurement(id);
+        if (!found) return;
+
+        // The highlight holds the line materials being replaced
+        if (id === this.highlightedMeasurementId) this._unhighlightCurrent();
+
+        Object.assign(found.measurement, metadata);
+        found.module.applyMetadataStyle(found.measurement);
+        this.eventBus.emit('measurement:updated', { type: found.module.annotationType, measurement: found.measurement, final: true });
+    }
+
+    /**
+     * Fills the snap targets with the points of all measurements: finished ones come from
+     * the annotations (which include remote peers), unfinished ones from the tool modules.
+     * @param {THREE.Vector3[]} points - Filled in place.
+     * @private
+     */
+    _collectSnapPoints(points) {
+        // The measurement being edited offers its other points, never the dragged one
+        const edited = this.editing?.measurement;
+        if (edited) {
+            edited.points.forEach((p, i) => {
+                if (i !== this.editing.index) points.push(p.clone());
+            });
+        }
+
+        const annotations = this.collaboration ? this.collaboration.getAnnotations() : [];
+        annotations.forEach(annotation => {
+            if (!Array.isArray(annotation.points) || annotation.id === edited?.id) return;
+            annotation.points.forEach(p => points.push(new THREE.Vector3(p.x, p.y, p.z)));
+        });
+        this.toolModules.forEach(module => {
+            if (module.activeMeasurement === edited) return;
+            module.activeMeasurement?.points.forEach(p => points.push(p.clone()));
+        });
+    }
+
 
     // --- PUBLIC API ---
 
     /**
      * Reúne todas as medições finalizadas (locais e remotas) e seus autores.
-     * @returns {{distances: Array, areas: Array, surfaceAreas: Array, angles: Array, volumes: Array, volumeBoxes: Array}}
+     * Each item carries its points converted to the active coordinate frame ('coordinates').
+     * Values stay in meters; 'units' carries the unit settings the panel formats them with.
+     * @returns {{distances: Array, polylines: Array, areas: Array, surfaceAreas: Array, angles: Array, heights: Array, volumes: Array, volumeBoxes: Array, frame: Object|null, units: Object|null}}
      */
     getMeasurementStats() {
         const stats = {
             distances: [],
+            polylines: [],
             areas: [],
             surfaceAreas: [],
             angles: [],
+            heights: [],
             volumes: [], // <-- 5. ADICIONAR AO STATS
-            volumeBoxes: [] // <-- NOVO
+            volumeBoxes: [], // <-- NOVO
+            frame: this.coordinateSystem?.getFrameInfo() || null,
+            units: this.units?.getSettings() || null
         };
 
+        const toFrame = (points) => (this.coordinateSystem && points)
+            ? points.map(p => this.coordinateSystem.toFrame(p).toArray())
+            : [];
+
         const isConnected = this.collaboration?.isConnected() || false;
         
         // --- NEW: Helper para buscar nomes ---
@@ -228,20 +519,26 @@ export class Measurements {
         if (this.collaboration) {
             const allAnnotations = this.collaboration.getAnnotations() || [];
             allAnnotations.forEach(ann => {
-                const peerName = getPeerName(ann.peerId); // Pega o nome do autor
+                const peerName = ann.authorName || getPeerName(ann.peerId); // Pega o nome do autor
+                const coordinates = toFrame(ann.points);
+                const item = { id: ann.id, peerName, coordinates, timestamp: ann.timestamp, ...normalizeMetadata(ann), local: !!this._findLocalMeasurement(ann.id) };
 
                 if (ann.type === 'distance') {
-                    stats.distances.push({ id: ann.id, value: ann.distance, peerName });
+                    stats.distances.push({ ...item, value: ann.distance });
+                } else if (ann.type === 'polyline') {
+                    stats.polylines.push({ ...item, value: ann.length, horizontalLength: ann.horizontalLength, segments: ann.segments });
                 } else if (ann.type === 'area') {
-                    stats.areas.push({ id: ann.id, value: ann.area, peerName });
+                    stats.areas.push({ ...item, value: ann.area });
                 } else if (ann.type === 'surfaceArea') {
-                    stats.surfaceAreas.push({ id: ann.id, value: ann.surfaceArea, peerName });
+                    stats.surfaceAreas.push({ ...item, value: ann.surfaceArea });
                 } else if (ann.type === 'angle' && ann.value !== undefined) { // <-- Lógica para Ângulo
-                    stats.angles.push({ id: ann.id, value: ann.value, peerName });
+                    stats.angles.push({ ...item, value: ann.value });
+                } else if (ann.type === 'height') {
+                    stats.heights.push({ ...item, value: ann.vertical, horizontal: ann.horizontal, slopePercent: ann.slopePercent, slopeDegrees: ann.slopeDegrees });
                 } else if (ann.type === 'volume') { // <-- 7. ADICIONAR AO STATS DE COLABORAÇÃO
-                    stats.volumes.push({ id: ann.id, value: ann.volume, peerName });
+                    stats.volumes.push({ ...item, value: ann.volume, cut: ann.cut, fill: ann.fill, base: ann.base });
                 } else if (ann.type === 'volumeBox' && ann.volume !== undefined) { // <-- Lógica para VolumeBox
-                    stats.volumeBoxes.push({ id: ann.id, value: ann.volume, peerName });
+                    stats.volumeBoxes.push({ ...item, value: ann.volume });
                 }
             });
         } 
@@ -249,9 +546,11 @@ export class Measurements {
         else if (!isConnected) {
             // Se NÃO conectado, os módulos locais são a fonte da verdade.
             stats.distances.push(...this.distanceMeasurement.getFinishedMeasurements().map(m => ({ ...m, peerName: myName })));
+            stats.polylines.push(...this.polylineMeasurement.getFinishedMeasurements().map(m => ({ ...m, peerName: myName })));
             stats.areas.push(...this.areaMeasurement.getFinishedMeasurements().map(m => ({ ...m, peerName: myName })));
             stats.surfaceAreas.push(...this.surfaceAreaMeasurement.getFinishedMeasurements().map(m => ({ ...m, peerName: myName })));
             stats.angles.push(...this.angleMeasurement.getFinishedMeasurements().map(m => ({ ...m, peerName: myName })));
+            stats.heights.push(...this.heightMeasurement.getFinishedMeasurements().map(m => ({ ...m, peerName: myName })));
             stats.volumes.push(...this.volumeMeasurement.getFinishedMeasurements().map(m => ({ ...m, peerName: myName }))); // <-- 6. ADICIONAR AO STATS
             stats.volumeBoxes.push(...this.volumeBoxMeasurement.getFinishedMeasurements().map(m => ({ ...m, peerName: myName }))); // <-- NOVO
         }
@@ -259,6 +558,67 @@ export class Measurements {
         return stats;
     }
 
+    /**
+     * Highlights a measurement (local or remote) as a click on the panel does, without the
+     * toggle; null removes the highlight.
+     * @param {string|null} id
+     */
+    setHighlight(id) {
+        this._unhighlightCurrent();
+        if (id) this._highlightMeasurement(id);
+    }
+
+    /**
+     * Points of a finished measurement (local or remote), in the scene.
+     * @param {string} id
+     * @returns {THREE.Vector3[]} Empty when the measurement is unknown.
+     */
+    getMeasurementPoints(id) {
+        const found = this._findLocalMeasurement(id);
+        if (found) return found.measurement.points.map(p => p.clone());
+
+        const annotation = this.collaboration?.getAnnotations().find(a => a.id === id);
+        return (annotation?.points || []).map(p => new THREE.Vector3(p.x, p.y, p.z));
+    }
+
+    /**
+     * The model triangles a local surface-area or volume measurement highlights (the
+     * highlightedGeometryData of its worker), in the scene.
+     * @param {string} id
+     * @returns {Float32Array|null} 9 values per triangle; null for other measurements or before the worker answers.
+     */
+    getMeasurementPatch(id) {
+        const found = this._findLocalMeasurement(id);
+        if (!found || !['surfaceArea', 'volume'].includes(found.measurement.type)) return null;
+
+        const fill = found.measurement.visuals.fill;
+        if (!fill) return null;
+        fill.updateWorldMatrix(true, false);
+        return fill.geometry.attributes.position.clone().applyMatrix4(fill.matrixWorld).array;
+    }
+
+    /**
+     * Changes the name, note, tags or color of a local measurement (see utils/MeasurementMetadata.js);
+     * empty values remove them.
+     * @param {string} id
+     * @param {{name?: string, note?: string, tags?: string[]|string, color?: string|null}} changes
+     */
+    setMeasurementMetadata(id, changes = {}) {
+        const found = this._findLocalMeasurement(id);
+        if (!found) return;
+
+        const previous = normalizeMetadata(found.measurement);
+        const next = normalizeMetadata({ ...previous, ...changes });
+        if (JSON.stringify(previous) === JSON.stringify(next)) return;
+
+        this._applyMetadata(id, next);
+        this.history.push({
+            label: 'editar medição',
+            undo: () => this._applyMetadata(id, previous),
+            redo: () => this._applyMetadata(id, next)
+        });
+    }
+
     /**
      * Clears a single measurement by its ID.
      * @param {string} id - The ID of the measurement to remove.
@@ -269,8 +629,11 @@ export class Measurements {
             this._unhighlightCurrent();
         }
         
-        const modules = [this.distanceMeasurement, this.areaMeasurement, this.surfaceAreaMeasurement, this.angleMeasurement, this.volumeMeasurement, this.volumeBoxMeasurement]; // <-- 8. ADICIONAR AO LOOP
-        for (const module of modules) {
+        if (this.editing?.measurement.id === id) {
+            this.editing = null;
+        }
+
+        for (const module of this.toolModules) {
             const measurement = module.getMeasurementById(id);
             if (measurement) {
                 this.disposer.disposeMeasurement(measurement);
@@ -291,24 +654,60 @@ export class Measurements {
     clearAllMeasurements() {
         this._unhighlightCurrent(); // Limpa qualquer destaque
         this.logger.info('Measurements Coordinator: Clearing all local measurements.');
-        const allMeasurements = [
-            ...this.distanceMeasurement.measurements,
-            ...this.areaMeasurement.measurements,
-            ...this.surfaceAreaMeasurement.measurements,
-            ...this.angleMeasurement.measurements,
-            ...this.volumeMeasurement.measurements, // <-- 9. ADICIONAR À LIMPEZA
-            ...this.volumeBoxMeasurement.measurements // <-- NOVO
-        ];
+        this.editing = null;
+        const allMeasurements = this.toolModules.flatMap(module => module.measurements);
 
         this.disposer.disposeMeasurements(allMeasurements);
 
-        this.distanceMeasurement.measurements = [];
-        this.areaMeasurement.measurements = [];
-        this.surfaceAreaMeasurement.measurements = [];
-        this.angleMeasurement.measurements = [];
-        this.volumeMeasurement.measurements = []; // <-- 10. LIMPAR ARRAY
-        this.volumeBoxMeasurement.measurements = []; // <-- NOVO
+        this.toolModules.forEach(module => {
+            module.measurements = [];
+        });
+
+        this.measurementUI.update();
+    }
+
+    /**
+     * Rebuilds stored measurements (e.g., from a project file), one at a time,
+     * so worker-backed tools never process two polygons at once.
+     * @param {Array<Object>} records - Annotation-like records with id, type, points and author.
+     * @returns {Promise<number>} The number of measurements restored.
+     */
+    async restoreMeasurements(records = []) {
+        this.history.clear(); // An opened project starts a new history
+        const restoredCount = await this._restoreRecords(records);
+
+        this.logger.info(`Measurements Coordinator: Restored ${restoredCount}/${records.length} measurements.`);
+        return restoredCount;
+    }
+
+    /**
+     * Restores records one at a time (see restoreMeasurements); their completion is not recorded in the history.
+     * @param {Array<Object>} records
+     * @returns {Promise<number>}
+     * @private
+     */
+    async _restoreRecords(records) {
+        let restoredCount = 0;
+
+        for (const record of records) {
+            const module = this.toolModules.find(m => m.annotationType === record.type);
+            if (!module) {
+                this.logger.warn(`Measurements Coordinator: No tool for measurement type "${record.type}", skipping.`);
+                continue;
+            }
+
+            this._restoringIds.add(record.id);
+            try {
+                await module.restoreMeasurement(record);
+                restoredCount++;
+            } catch (error) {
+                this.logger.error(`Measurements Coordinator: Failed to restore measurement ${record.id}`, error);
+            } finally {
+                this._restoringIds.delete(record.id);
+            }
+        }
 
         this.measurementUI.update();
+        return restoredCount;
     }
 }
\ No newline at end of file
@@ -3,9 +3,9 @@ import * as THREE from 'three';
 import { BaseMeasurement } from './common/BaseMeasurement.js';
 
 export class AngleMeasurement extends BaseMeasurement {
-    constructor(scene, materials, logger, eventBus) {
+    constructor(scene, materials, logger, eventBus, units) {
         // The tool name 'angle' is passed to the base class
-        super(scene, materials, logger, eventBus, 'angle');
+        super(scene, materials, logger, eventBus, 'angle', units);
     }
 
     /**
@@ -73,12 +73,12 @@ export class AngleMeasurement extends BaseMeasurement {
         
         // Add a label at the vertex of the angle
         const labelPosition = vertex.clone().add(new THREE.Vector3(0, 0.2, 0)); // Slight offset
-        this._addLabel(`${angleDeg.toFixed(2)}°`, labelPosition, '#ffff00'); // Yellow for angles
+        this._addLabel(() => this.units.formatAngle(angleDeg), labelPosition, '#ffff00'); // Yellow for angles
 
         this.logger.info(`AngleMeasurement: Completed - ${angleDeg.toFixed(2)}°`);
         
         // Notify the application that the measurement is complete
-        this.eventBus.emit('measurement:angle:completed', { measurement: this.activeMeasurement });
+        this._emitCompleted(this.activeMeasurement);
         this.activeMeasurement = null;
     }
 }
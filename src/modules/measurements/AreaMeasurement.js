@@ -4,7 +4,7 @@ import * as THREE from 'three';
 import { BasePolygonMeasurement } from './common/BasePolygonMeasurement.js';
 
 export class AreaMeasurement extends BasePolygonMeasurement {
-    constructor(scene, materials, logger, eventBus) {
+    constructor(scene, materials, logger, eventBus, units) {
         // Passa os materiais específicos para a classe base
         super(
             scene, 
@@ -13,7 +13,8 @@ export class AreaMeasurement extends BasePolygonMeasurement {
             eventBus, 
             'area',                   // toolName
             materials.areaPoint,      // pointMaterial
-            materials.areaLine        // lineMaterial
+            materials.areaLine,       // lineMaterial
+            units
         );
     }
 
@@ -30,7 +31,7 @@ export class AreaMeasurement extends BasePolygonMeasurement {
         this._addAreaLabel(points, area);
 
         this.logger.info(`AreaMeasurement: Completed - Projected Area = ${area.toFixed(2)}m²`);
-        this.eventBus.emit('measurement:area:completed', { measurement: this.activeMeasurement });
+        this._emitCompleted(this.activeMeasurement);
         this.activeMeasurement = null;
     }
 
@@ -76,7 +77,7 @@ export class AreaMeasurement extends BasePolygonMeasurement {
         const center = new THREE.Vector3();
         points.forEach(p => center.add(p));
         center.divideScalar(points.length);
-        this._addLabel(`${area.toFixed(2)}m²`, center.add(new THREE.Vector3(0, 0.2, 0)), '#00ff00');
+        this._addLabel(() => this.units.formatArea(area), center.add(new THREE.Vector3(0, 0.2, 0)), '#00ff00');
     }
 
     /**
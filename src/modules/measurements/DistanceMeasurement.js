@@ -2,8 +2,9 @@ import * as THREE from 'three';
 import { BaseMeasurement } from './common/BaseMeasurement.js';
 
 export class DistanceMeasurement extends BaseMeasurement {
-    constructor(scene, materials, logger, eventBus) {
-        super(scene, materials, logger, eventBus, 'measure'); // Pass the tool name
+    constructor(scene, materials, logger, eventBus, units) {
+        super(scene, materials, logger, eventBus, 'measure', units); // Pass the tool name
+        this.annotationType = 'distance';
     }
 
     _handlePointSelected(point) {
@@ -24,10 +25,10 @@ export class DistanceMeasurement extends BaseMeasurement {
         this._addLineVisual(startPoint, endPoint);
 
         const midPoint = new THREE.Vector3().addVectors(startPoint, endPoint).multiplyScalar(0.5);
-        this._addLabel(`${distance.toFixed(2)}m`, midPoint.add(new THREE.Vector3(0, 0.2, 0)), '#ff0000');
+        this._addLabel(() => this.units.formatLength(distance), midPoint.add(new THREE.Vector3(0, 0.2, 0)), '#ff0000');
 
         this.logger.info(`DistanceMeasurement: Completed - ${distance.toFixed(2)}m`);
-        this.eventBus.emit('measurement:distance:completed', { measurement: this.activeMeasurement });
+        this._emitCompleted(this.activeMeasurement);
         this.activeMeasurement = null;
     }
 }
\ No newline at end of file
@@ -0,0 +1,119 @@
+// src/modules/measurements/HeightMeasurement.js
+
+import * as THREE from 'three';
+import { BaseMeasurement } from './common/BaseMeasurement.js';
+
+/**
+ * @class HeightMeasurement
+ * @description Vertical difference and slope between two points (retaining walls, ramps, drainage).
+ * The pick pair is decomposed into horizontal distance, vertical difference, slope in percent
+ * and slope in degrees, and drawn as a right triangle. "Up" is the model's configured up-axis
+ * (CoordinateSystem.getUpVector), so Z-up and "as is" models are measured along their own vertical.
+ */
+export class HeightMeasurement extends BaseMeasurement {
+    constructor(scene, materials, logger, eventBus, coordinateSystem, units) {
+        super(scene, materials, logger, eventBus, 'height', units);
+        this.coordinateSystem = coordinateSystem; // For the model's up direction
+    }
+
+    _addPointVisual(point) {
+        const geometry = new THREE.SphereGeometry(0.08, 16, 12);
+        const sphere = new THREE.Mesh(geometry, this.materials.heightPoint);
+        sphere.position.copy(point);
+        sphere.renderOrder = 999;
+        this.scene.add(sphere);
+        this.activeMeasurement.visuals.points.push(sphere);
+    }
+
+    _addLineVisual(startPoint, endPoint, material = this.materials.heightLine) {
+        const geometry = new THREE.BufferGeometry().setFromPoints([startPoint, endPoint]);
+        const line = new THREE.Line(geometry, material);
+        line.renderOrder = 998;
+        this.scene.add(line);
+        this.activeMeasurement.visuals.lines.push(line);
+    }
+
+    _handlePointSelected(point) {
+        super._handlePointSelected(point);
+
+        if (this.activeMeasurement.points.length === 2) {
+            this._completeMeasurement();
+        }
+    }
+
+    _completeMeasurement() {
+        const [start, end] = this.activeMeasurement.points;
+        const up = this.coordinateSystem?.getUpVector().normalize() || new THREE.Vector3(0, 1, 0);
+        const result = HeightMeasurement.decompose(start, end, up);
+
+        Object.assign(this.activeMeasurement, {
+            value: result.vertical,
+            horizontal: result.horizontal,
+            slopePercent: result.slopePercent,
+            slopeDegrees: result.slopeDegrees,
+            up: up.toArray(),
+            finished: true
+        });
+
+        // Right triangle: start -> corner is horizontal, corner -> end is vertical
+        this._addLineVisual(start, end);
+        this._addLineVisual(start, result.corner, this.materials.heightLegLine);
+        this._addLineVisual(result.corner, end, this.materials.heightLegLine);
+
+        const offset = new THREE.Vector3(0, 0.2, 0);
+        const midpoint = (a, b) => new THREE.Vector3().addVectors(a, b).multiplyScalar(0.5);
+        this._addLabel(() => `ΔH ${this.units.formatLength(result.vertical, { signed: true })}`, midpoint(result.corner, end).add(offset), '#66ffcc');
+        this._addLabel(() => `Horiz. ${this.units.formatLength(result.horizontal)}`, midpoint(start, result.corner).add(offset), '#ffffff');
+        this._addLabel(() => HeightMeasurement.formatSlope(result, this.units), midpoint(start, end).add(offset), '#66ffcc');
+
+        this.logger.info(`HeightMeasurement: Completed - ΔH ${result.vertical.toFixed(2)}m, horizontal ${result.horizontal.toFixed(2)}m`);
+        this._emitCompleted(this.activeMeasurement);
+        this.activeMeasurement = null;
+    }
+
+    getFinishedMeasurements() {
+        return this.measurements
+            .filter(m => m.finished)
+            .map(m => ({
+                id: m.id,
+                value: m.value,
+                horizontal: m.horizontal,
+                slopePercent: m.slopePercent,
+                slopeDegrees: m.slopeDegrees
+            }));
+    }
+
+    /**
+     * Splits the segment start -> end into its vertical and horizontal parts.
+     * @param {THREE.Vector3} start
+     * @param {THREE.Vector3} end
+     * @param {THREE.Vector3} up - Unit vector.
+     * @returns {{vertical: number, horizontal: number, slopePercent: number|null, slopeDegrees: number, corner: THREE.Vector3}}
+     *   vertical is positive when end is higher; slopePercent is null for a vertical segment.
+     *   corner is the right-angle vertex, level with start and plumb with end.
+     */
+    static decompose(start, end, up) {
+        const delta = new THREE.Vector3().subVectors(end, start);
+        const vertical = delta.dot(up);
+        const corner = end.clone().addScaledVector(up, -vertical);
+        const horizontal = start.distanceTo(corner);
+
+        return {
+            vertical,
+            horizontal,
+            slopePercent: horizontal > 1e-9 ? (Math.abs(vertical) / horizontal) * 100 : null,
+            slopeDegrees: THREE.MathUtils.radToDeg(Math.atan2(Math.abs(vertical), horizontal)),
+            corner
+        };
+    }
+
+    /**
+     * @param {{slopePercent: number|null, slopeDegrees: number}} result
+     * @param {UnitSystem} units - Decimals and angle format.
+     * @returns {string} e.g., '12.50% · 7.13°'
+     */
+    static formatSlope({ slopePercent, slopeDegrees }, units) {
+        const percent = slopePercent === null ? '∞' : `${slopePercent.toFixed(units.settings.decimals)}%`;
+        return `${percent} · ${units.formatAngle(slopeDegrees)}`;
+    }
+}
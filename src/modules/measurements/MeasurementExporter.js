@@ -0,0 +1,308 @@
+// src/modules/measurements/MeasurementExporter.js
+
+import * as THREE from 'three';
+import { createCsvBlob } from '../../utils/exporters/CsvExporter.js';
+import { createXlsxBlob } from '../../utils/exporters/XlsxExporter.js';
+import { createDxfBlob } from '../../utils/exporters/DxfExporter.js';
+import { createGeoJsonBlob } from '../../utils/exporters/GeoJsonExporter.js';
+import { createKmlBlob } from '../../utils/exporters/KmlExporter.js';
+import { downloadBlob } from '../../utils/Utils.js';
+import { DEFAULT_UNIT_SETTINGS, toDisplayUnit, unitLabel } from '../../utils/Units.js';
+import { MEASUREMENT_GROUPS } from './utils/MeasurementGroups.js';
+
+/** Secondary values of some tools, written to the JSON export (see MeasurementsPanel._getDetail). */
+const DETAILS = {
+    horizontalLength: 'length',
+    horizontal: 'length',
+    slopePercent: null, // As is
+    slopeDegrees: 'angle',
+    cut: 'volume',
+    fill: 'volume'
+};
+
+/** AutoCAD Color Index of each DXF layer, close to the tool colors. */
+const DXF_COLORS = {
+    distance: 4,
+    polyline: 30,
+    area: 3,
+    surfaceArea: 150,
+    angle: 2,
+    height: 131,
+    volume: 6,
+    volumeBox: 140
+};
+
+/**
+ * @class MeasurementExporter
+ * @description Downloads every measurement (local and from peers).
+ * Listens to 'measurement:export' ({format}).
+ * Tables ('csv' | 'xlsx' | 'json'): each measurement is written with its id, type, name, value
+ * in the active units (UnitSystem), author, time and points in the active coordinate frame
+ * (CoordinateSystem), all taken from Measurements.getMeasurementStats(), so the file matches
+ * what the panel shows.
+ * Vectors for CAD and GIS ('dxf' | 'geojson' | 'kml'): the geometry comes from the annotation
+ * records (see AnnotationSync._broadcastMeasurement) in map coordinates, with the same fields
+ * as attributes: distances, polylines and heights as lines, angles as a line through the
+ * vertex, areas and volumes as polygons and volume boxes as their footprint.
+ */
+export class MeasurementExporter {
+    constructor(logger, eventBus, manager) {
+        this.logger = logger;
+        this.eventBus = eventBus;
+        this.manager = manager; // The main Measurements coordinator
+
+        this.eventBus.on('measurement:export', (payload) => this.export(payload.format));
+    }
+
+    /**
+     * @param {'csv'|'xlsx'|'json'|'dxf'|'geojson'|'kml'} format
+     */
+    export(format) {
+        const stats = this.manager.getMeasurementStats();
+        const measurements = this._collect(stats);
+        if (measurements.length === 0) {
+            this.eventBus.emit('ui:notification:show', { message: 'Nenhuma medição para exportar', type: 'error' });
+            return;
+        }
+
+        const frame = stats.frame || { id: 'local', label: 'Cena', axes: ['X', 'Y', 'Z'], decimals: 2 };
+        let blob;
+        if (format === 'json') {
+            blob = this._createJson(measurements, frame, stats.units);
+        } else if (format === 'xlsx') {
+            blob = createXlsxBlob([
+                { name: 'Medições', rows: this._measurementRows(measurements, frame) },
+                { name: 'Pontos', rows: this._pointRows(measurements, frame) }
+            ]);
+        } else if (format === 'csv') {
+            blob = createCsvBlob(this._measurementRows(measurements, frame), { comments: [`Medições - referencial: ${frame.label}`] });
+        } else if (format === 'dxf' || format === 'geojson' || format === 'kml') {
+            blob = this._createVector(format, measurements);
+            if (!blob) return;
+        } else {
+            this.logger.warn(`MeasurementExporter: Unknown format "${format}"`);
+            return;
+        }
+
+        downloadBlob(blob, `medicoes.${format}`);
+        this.logger.info(`MeasurementExporter: Exported ${measurements.length} measurement(s) as ${format.toUpperCase()}.`);
+        this.eventBus.emit('ui:notification:show', { message: `${format.toUpperCase()} exportado com sucesso!`, type: 'success' });
+    }
+
+    /**
+     * Flattens the stats groups, with each value converted to the active units.
+     * @returns {Array<Object>}
+     * @private
+     */
+    _collect(stats) {
+        const units = stats.units || DEFAULT_UNIT_SETTINGS;
+        return MEASUREMENT_GROUPS.flatMap(group => (stats[group.key] || []).map(item => ({
+            ...item,
+            type: group.type,
+            typeLabel: group.label,
+            value: toDisplayUnit(item.value, group.quantity, units),
+            unit: unitLabel(group.quantity, units),
+            details: Object.fromEntries(Object.entries(DETAILS)
+                .filter(([field]) => Number.isFinite(item[field]))
+                .map(([field, quantity]) => [field, quantity ? toDisplayUnit(item[field], quantity, units) : item[field]])),
+            decimals: units.decimals
+        })));
+    }
+
+    /**
+     * One row per measurement; the points go in one cell ('x y z; x y z; ...').
+     * @private
+     */
+    _measurementRows(measurements, frame) {
+        const decimals = Math.max(3, frame.decimals);
+        const header = ['id', 'tipo', 'nome', 'valor', 'unidade', 'autor', 'data', 'tags', 'nota', `pontos (${frame.axes.join(' ')})`];
+        const rows = measurements.map(m => [
+            m.id,
+            m.typeLabel,
+            m.name || '',
+            Number(m.value.toFixed(m.decimals)),
+            m.unit,
+            m.peerName || '',
+            m.timestamp ? new Date(m.timestamp).toISOString() : '',
+            (m.tags || []).join(', '),
+            m.note || '',
+            (m.coordinates || []).map(point => point.map(value => value.toFixed(decimals)).join(' ')).join('; ')
+        ]);
+        return [header, ...rows];
+    }
+
+    /**
+     * One row per point, with numeric coordinates (XLSX only).
+     * @private
+     */
+    _pointRows(measurements, frame) {
+        const decimals = Math.max(3, frame.decimals);
+        const header = ['id', 'tipo', 'nome', 'ponto', ...frame.axes];
+        const rows = measurements.flatMap(m => (m.coordinates || []).map((point, i) => [
+            m.id,
+            m.typeLabel,
+            m.name || '',
+            i + 1,
+            ...point.map(value => Number(value.toFixed(decimals)))
+        ]));
+        return [header, ...rows];
+    }
+
+    /**
+     * @param {'dxf'|'geojson'|'kml'} format
+     * @returns {Blob|null} Null when the format needs what the model does not have.
+     * @private
+     */
+    _createVector(format, measurements) {
+        const coordinateSystem = this.manager.coordinateSystem;
+        const georeferenced = coordinateSystem.isGeoreferenced();
+        if (format === 'kml' && !georeferenced) {
+            this.eventBus.emit('ui:notification:show', { message: 'Georreferencie o modelo para exportar KML', type: 'error' });
+            return null;
+        }
+
+        // DXF in the active frame (projected instead of longitude/latitude, as CAD expects); GeoJSON
+        // in the projected CRS when georeferenced, tagged with it; KML always in longitude/latitude
+        let frameId = coordinateSystem.frame === 'geographic' ? 'geo' : coordinateSystem.frame;
+        if (format === 'geojson' && georeferenced) frameId = 'geo';
+        if (format === 'kml') frameId = 'geographic';
+        const frame = coordinateSystem.getFrameInfo(frameId);
+        const decimals = Math.max(3, frame.decimals);
+
+        const byId = new Map(measurements.map(m => [m.id, m]));
+        const shapes = (this.manager.collaboration?.getAnnotations() || [])
+            .filter(annotation => byId.has(annotation.id) && annotation.points?.length)
+            .map(annotation => {
+                const { closed, points } = this._shape(annotation);
+                const axis = coordinateSystem.getVerticalAxis(frameId, points[0]);
+                return { measurement: byId.get(annotation.id), closed, points: points.map(p => coordinateSystem.toMapCoordinates(p, frameId, axis)) };
+            });
+        if (shapes.length === 0) {
+            this.eventBus.emit('ui:notification:show', { message: 'Nenhuma medição com geometria para exportar', type: 'error' });
+            return null;
+        }
+
+        const groups = MEASUREMENT_GROUPS.filter(group => shapes.some(shape => shape.measurement.type === group.type));
+        const attributes = (m) => ({
+            id: m.id,
+            tipo: m.typeLabel,
+            nome: m.name || null,
+            valor: Number(m.value.toFixed(m.decimals)),
+            unidade: m.unit,
+            autor: m.peerName || null,
+            data: m.timestamp ? new Date(m.timestamp).toISOString() : null,
+            tags: (m.tags || []).join(', ') || null,
+            nota: m.note || null
+        });
+        const ring = (shape) => (shape.closed ? [...shape.points, shape.points[0]] : shape.points);
+
+        if (format === 'dxf') {
+            const layerName = (group) => `MEDICOES_${group.title.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toUpperCase().replace(/\W+/g, '_')}`;
+            const layerOf = (m) => layerName(groups.find(group => group.type === m.type));
+
+            // Texts scaled to the extent of all measurements
+            const extent = new THREE.Box3().setFromPoints(shapes.flatMap(shape => shape.points.map(p => new THREE.Vector3(...p))));
+            const textHeight = Math.max(extent.getSize(new THREE.Vector3()).length() / 150, 0.05);
+
+            return createDxfBlob({
+                layers: groups.map(group => ({ name: layerName(group), color: DXF_COLORS[group.type] })),
+                polylines: shapes.map(shape => ({ layer: layerOf(shape.measurement), points: shape.points, closed: shape.closed })),
+                texts: shapes.map(({ measurement: m, points }) => ({
+                    layer: layerOf(m),
+                    position: points.reduce((sum, p) => sum.map((value, i) => value + p[i] / points.length), [0, 0, 0]),
+                    text: [m.name, `${attributes(m).valor} ${m.unit}`].filter(Boolean).join(' - '),
+                    height: textHeight
+                })),
+                decimals
+            });
+        }
+
+        if (format === 'geojson') {
+            const features = shapes.map(shape => ({
+                geometry: shape.closed
+                    ? { type: 'Polygon', coordinates: [ring(shape)] }
+                    : { type: 'LineString', coordinates: shape.points },
+                properties: attributes(shape.measurement)
+            }));
+            return createGeoJsonBlob(features, {
+                name: georeferenced ? 'medicoes' : `medicoes (referencial ${frame.label})`,
+                crs: georeferenced ? coordinateSystem.georeference.code : null,
+                decimals
+            });
+        }
+
+        // KML: one folder and style per type; a custom measurement color gets its own style
+        const styles = Object.fromEntries(groups.map(group => [group.type, { color: group.color }]));
+        const placemarks = shapes.map(({ measurement: m, closed, points }) => {
+            const group = groups.find(g => g.type === m.type);
+            const style = m.color ? `cor_${m.color.slice(1)}` : group.type;
+            if (m.color) styles[style] = { color: m.color };
+            return {
+                name: m.name || `${m.typeLabel} ${attributes(m).valor} ${m.unit}`,
+                description: [`${m.typeLabel}: ${attributes(m).valor} ${m.unit}`, m.peerName, m.note].filter(Boolean).join('\n'),
+                folder: group.title,
+                style,
+                data: attributes(m),
+                geometry: closed
+                    ? { type: 'Polygon', coordinates: [ring({ closed, points })] }
+                    : { type: 'LineString', coordinates: points }
+            };
+        });
+        return createKmlBlob(placemarks, { name: 'Medições', styles, decimals: frame.decimals });
+    }
+
+    /**
+     * The vector shape of an annotation record, in scene points.
+     * @returns {{closed: boolean, points: THREE.Vector3[]}}
+     * @private
+     */
+    _shape(annotation) {
+        const points = annotation.points.map(p => new THREE.Vector3(p.x, p.y, p.z));
+        switch (annotation.type) {
+            case 'area':
+            case 'surfaceArea':
+            case 'volume':
+                return { closed: true, points };
+            case 'angle': // The first point is the vertex
+                return { closed: false, points: points.length === 3 ? [points[1], points[0], points[2]] : points };
+            case 'volumeBox': {
+                // The box is aligned to the scene axes (Y up); its footprint is the bottom face
+                const [a, b] = points;
+                const y = Math.min(a.y, b.y);
+                return {
+                    closed: true,
+                    points: [[a.x, a.z], [b.x, a.z], [b.x, b.z], [a.x, b.z]].map(([x, z]) => new THREE.Vector3(x, y, z))
+                };
+            }
+            default:
+                return { closed: false, points };
+        }
+    }
+
+    /**
+     * @private
+     */
+    _createJson(measurements, frame, units) {
+        const data = {
+            format: 'visio360-measurements',
+            exportedAt: new Date().toISOString(),
+            frame: { id: frame.id, label: frame.label, axes: frame.axes },
+            units: units || DEFAULT_UNIT_SETTINGS,
+            measurements: measurements.map(m => ({
+                id: m.id,
+                type: m.type,
+                name: m.name || null,
+                note: m.note || null,
+                tags: m.tags || [],
+                color: m.color || null,
+                value: m.value,
+                unit: m.unit,
+                details: m.details,
+                author: m.peerName || null,
+                timestamp: m.timestamp ? new Date(m.timestamp).toISOString() : null,
+                points: m.coordinates || []
+            }))
+        };
+        return new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    }
+}
@@ -0,0 +1,98 @@
+// src/modules/measurements/MeasurementHistory.js
+
+/**
+ * @class MeasurementHistory
+ * @description Undo/redo stacks of measurement operations.
+ * A command is `{ label, undo(), redo() }`; the Measurements coordinator builds them, since it
+ * knows how each operation is reverted (see Measurements._record*). While a command runs,
+ * 'applying' is true, so the operations it performs are not recorded again.
+ * Listens to 'history:undo' / 'history:redo' and reports 'history:changed'
+ * ({canUndo, canRedo, undoLabel, redoLabel}).
+ */
+export class MeasurementHistory {
+    constructor(logger, eventBus, limit = 100) {
+        this.logger = logger;
+        this.eventBus = eventBus;
+        this.limit = limit;
+
+        this.undoStack = [];
+        this.redoStack = [];
+        this.applying = false;
+
+        this.eventBus.on('history:undo', () => this.undo());
+        this.eventBus.on('history:redo', () => this.redo());
+    }
+
+    /**
+     * Records an operation that was just performed. Anything that was undone is dropped.
+     * @param {{label: string, undo: Function, redo: Function, kind?: string}} command
+     */
+    push(command) {
+        if (this.applying) return;
+
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.limit) this.undoStack.shift();
+        this.redoStack = [];
+        this._emitChanged();
+    }
+
+    undo() {
+        this._apply(this.undoStack, this.redoStack, 'undo');
+    }
+
+    redo() {
+        this._apply(this.redoStack, this.undoStack, 'redo');
+    }
+
+    /**
+     * Drops the commands that no longer apply (e.g., the points of a measurement that was cancelled).
+     * @param {function(Object): boolean} predicate
+     */
+    discard(predicate) {
+        const undoCount = this.undoStack.length;
+        const redoCount = this.redoStack.length;
+        this.undoStack = this.undoStack.filter(command => !predicate(command));
+        this.redoStack = this.redoStack.filter(command => !predicate(command));
+        if (undoCount !== this.undoStack.length || redoCount !== this.redoStack.length) {
+            this._emitChanged();
+        }
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this._emitChanged();
+    }
+
+    /**
+     * @private
+     */
+    _apply(from, to, action) {
+        const command = from.pop();
+        if (!command) return;
+
+        this.applying = true;
+        try {
+            command[action]();
+            to.push(command);
+            this.logger.info(`MeasurementHistory: ${action === 'undo' ? 'Undid' : 'Redid'} "${command.label}".`);
+        } catch (error) {
+            this.logger.error(`MeasurementHistory: Could not ${action} "${command.label}"`, error);
+        } finally {
+            this.applying = false;
+        }
+        this._emitChanged();
+    }
+
+    /**
+     * @private
+     */
+    _emitChanged() {
+        this.eventBus.emit('history:changed', {
+            canUndo: this.undoStack.length > 0,
+            canRedo: this.redoStack.length > 0,
+            undoLabel: this.undoStack[this.undoStack.length - 1]?.label || null,
+            redoLabel: this.redoStack[this.redoStack.length - 1]?.label || null
+        });
+    }
+}
\ No newline at end of file
@@ -24,11 +24,18 @@ export class MeasurementUI {
         const instructions = {
             'none': 'Selecione uma ferramenta para começar.',
             'measure': 'Clique em dois pontos para medir a distância.',
+            'polyline': 'Clique nos vértices da polilinha. Dê um duplo-clique ou pressione ESC para finalizar.',
+            'profile': 'Clique ao longo da linha do perfil. Dê um duplo-clique ou pressione ESC para traçar o perfil.',
+            'contours': 'Clique para desenhar o polígono das curvas de nível. Dê um duplo-clique ou pressione ESC para gerar as curvas.',
             'area': 'Clique para criar um polígono. Dê um duplo-clique ou pressione ESC para calcular a área.',
             'surfaceArea': 'Clique para criar um polígono. Dê um duplo-clique ou pressione ESC para calcular a área de superfície.',
             'angle': 'Clique em três pontos para medir o ângulo (o primeiro ponto é o vértice).',
+            'height': 'Clique em dois pontos para medir o desnível, a distância horizontal e a inclinação.',
             'volume': 'Clique para criar um polígono. Dê um duplo-clique ou pressione ESC para calcular o volume (corte/aterro).', // <-- ADICIONADO
-            'volumeBox': 'Clique em dois pontos (cantos opostos) para criar uma caixa de volume.' // <-- NOVO
+            'volumeBox': 'Clique em dois pontos (cantos opostos) para criar uma caixa de volume.', // <-- NOVO
+            'edit': 'Arraste os pontos de uma medição para corrigi-la. ESC durante o arraste desfaz o movimento.',
+            'gcp': 'Clique no modelo para marcar pontos de controle e informe suas coordenadas no painel Georreferenciamento.',
+            'calibrate': 'Clique nas duas pontas de uma distância conhecida e informe o valor real no painel Calibração de escala.'
         };
         this.eventBus.emit('ui:instructions:update', { text: instructions[activeTool] || '' });
     }
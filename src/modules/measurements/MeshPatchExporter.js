@@ -0,0 +1,183 @@
+// src/modules/measurements/MeshPatchExporter.js
+
+import * as THREE from 'three';
+import { MEASUREMENT_GROUPS } from './utils/MeasurementGroups.js';
+import { extractMeshesData, toWorkerData } from '../../utils/MeshDataExtractor.js';
+import { createPlyBlob } from '../../utils/exporters/PlyExporter.js';
+import { createStlBlob } from '../../utils/exporters/StlExporter.js';
+import { createObjBlob } from '../../utils/exporters/ObjExporter.js';
+import { downloadBlob } from '../../utils/Utils.js';
+
+import CropWorkerUrl from './workers/crop.worker.js?worker&url';
+
+/** Measurements whose region can be cut out of the model. */
+const CROP_TYPES = ['area', 'surfaceArea', 'volume', 'volumeBox'];
+
+/**
+ * @class MeshPatchExporter
+ * @description Downloads the mesh under a measurement as PLY, STL or OBJ, in the active
+ * coordinate frame. Listens to 'measurement:mesh:export' ({id, format}).
+ * A local surface-area or volume measurement gives exactly the triangles its worker highlighted;
+ * any other polygon (flat areas, or measurements from peers) crops the visible models in plan
+ * view, and a volume box crops them by the box, in crop.worker.js. As in the surface-area
+ * calculation, whole triangles are kept when their center falls inside.
+ */
+export class MeshPatchExporter {
+    constructor(logger, eventBus, manager) {
+        this.logger = logger;
+        this.eventBus = eventBus;
+        this.manager = manager; // The main Measurements coordinator
+
+        this.worker = null;
+
+        this.eventBus.on('measurement:mesh:export', (payload) => this.export(payload.id, payload.format));
+    }
+
+    /**
+     * @param {string} id - An area, surface-area, volume or volume-box measurement.
+     * @param {'ply'|'stl'|'obj'} format
+     */
+    export(id, format) {
+        if (this.worker) return;
+
+        const stats = this.manager.getMeasurementStats();
+        const group = MEASUREMENT_GROUPS.find(g => (stats[g.key] || []).some(item => item.id === id));
+        if (!group || !CROP_TYPES.includes(group.type)) {
+            this._notifyError('Só áreas, volumes e caixas de volume podem ser exportados como malha');
+            return;
+        }
+        const item = stats[group.key].find(i => i.id === id);
+        const fileName = `${item.name || group.label}_malha.${format}`;
+
+        const patch = this.manager.getMeasurementPatch(id);
+        if (patch) {
+            this._download(patch, format, fileName, `${group.label} (triângulos destacados)`);
+            return;
+        }
+
+        const points = this.manager.getMeasurementPoints(id);
+        let region = { type: 'polygon', points: points.map(p => p.toArray()) };
+        if (group.type === 'volumeBox') {
+            const box = new THREE.Box3().setFromPoints(points);
+            region = { type: 'box', min: box.min.toArray(), max: box.max.toArray() };
+        }
+        this._crop(region, (positions) => {
+            this._download(positions, format, fileName, `${group.label} (recorte do modelo)`);
+        });
+    }
+
+    // --- Internals ---
+
+    /**
+     * Crops the visible models in the worker.
+     * @param {{type: 'polygon', points: number[][]}|{type: 'box', min: number[], max: number[]}} region
+     * @param {function(Float32Array): void} onDone - Receives the triangles, 9 values each.
+     * @private
+     */
+    _crop(region, onDone) {
+        const objects = this.manager.scene.children.filter(child => child.userData.isLayer && child.visible);
+        const meshesData = extractMeshesData(objects);
+        if (meshesData.length === 0) {
+            this._notifyError('Nenhuma malha visível para recortar');
+            return;
+        }
+
+        const { data, transfer } = toWorkerData(meshesData);
+        this.eventBus.emit('ui:progress:start', { message: 'Recortando malha...' });
+
+        const worker = new Worker(CropWorkerUrl, { type: 'module' });
+        this.worker = worker;
+        const finish = () => {
+            worker.terminate();
+            this.worker = null;
+            this.eventBus.emit('ui:progress:end');
+        };
+
+        worker.onmessage = (e) => {
+            finish();
+            if (e.data.status === 'error') {
+                this._notifyError(`Falha ao recortar a malha: ${e.data.error}`);
+                return;
+            }
+            onDone(e.data.positions);
+        };
+        worker.onerror = (err) => {
+            finish();
+            this._notifyError(`Falha ao recortar a malha: ${err.message || 'erro no worker'}`);
+        };
+
+        worker.postMessage({ meshesData: data, region }, transfer);
+    }
+
+    /**
+     * Writes the triangles in the active frame (projected instead of longitude/latitude, as
+     * ChangeDetection does) and downloads them.
+     * @param {Float32Array} triangles - 9 values per triangle, in the scene.
+     * @private
+     */
+    _download(triangles, format, fileName, description) {
+        const coordinateSystem = this.manager.coordinateSystem;
+        const frameId = coordinateSystem.frame === 'geographic' ? 'geo' : coordinateSystem.frame;
+        const frame = coordinateSystem.getFrameInfo(frameId);
+
+        // Shared vertices are written once; the frame conversion runs on them only
+        const { vertices, faces } = indexTriangles(triangles);
+        const positions = new Float64Array(vertices.length);
+        const vertex = new THREE.Vector3();
+        for (let i = 0; i < vertices.length; i += 3) {
+            const p = coordinateSystem.toFrame(vertex.fromArray(vertices, i), frameId);
+            positions.set([p.x, p.y, p.z], i);
+        }
+
+        const comments = [`VISIO360 ${description}`, `frame ${frame.label}`];
+        let blob;
+        if (format === 'stl') {
+            // STL has no shared vertices
+            const corners = new Float64Array(faces.length * 3);
+            faces.forEach((index, i) => corners.set(positions.subarray(index * 3, index * 3 + 3), i * 3));
+            blob = createStlBlob({ positions: corners, header: comments.join(' - ') });
+        } else if (format === 'obj') {
+            blob = createObjBlob({ positions, faces, name: fileName.replace(/\.obj$/, ''), comments, decimals: Math.max(3, frame.decimals) });
+        } else {
+            blob = createPlyBlob({ positions, faces, comments });
+        }
+
+        downloadBlob(blob, fileName);
+        this.logger.info(`MeshPatchExporter: Exported ${faces.length / 3} triangle(s) as ${format.toUpperCase()}.`);
+        this.eventBus.emit('ui:notification:show', { message: `${format.toUpperCase()} exportado com sucesso!`, type: 'success' });
+    }
+
+    /**
+     * @private
+     */
+    _notifyError(message) {
+        this.eventBus.emit('ui:notification:show', { message, type: 'error' });
+    }
+}
+
+/**
+ * Welds the identical corners of loose triangles.
+ * @param {Float32Array} triangles - 9 values per triangle.
+ * @returns {{vertices: Float32Array, faces: Uint32Array}}
+ */
+function indexTriangles(triangles) {
+    const count = triangles.length / 3;
+    const faces = new Uint32Array(count);
+    const vertices = new Float32Array(triangles.length);
+    const indexByKey = new Map();
+    let unique = 0;
+
+    for (let i = 0; i < count; i++) {
+        const x = triangles[i * 3], y = triangles[i * 3 + 1], z = triangles[i * 3 + 2];
+        const key = `${x},${y},${z}`;
+        let index = indexByKey.get(key);
+        if (index === undefined) {
+            index = unique++;
+            indexByKey.set(key, index);
+            vertices.set([x, y, z], index * 3);
+        }
+        faces[i] = index;
+    }
+
+    return { vertices: vertices.slice(0, unique * 3), faces };
+}
@@ -0,0 +1,111 @@
+// src/modules/measurements/PolylineMeasurement.js
+
+import * as THREE from 'three';
+import { BasePolygonMeasurement } from './common/BasePolygonMeasurement.js';
+
+/**
+ * @class PolylineMeasurement
+ * @description Multi-segment distance (fence lines, road edges, pipe runs).
+ * Uses the polygon interaction (double-click or Esc finishes) but the shape stays open:
+ * no closing preview and no closing segment. Every segment is labeled with its length and
+ * the running total; the finished polyline reports both the 3D length and the horizontal
+ * (plan, XZ) length.
+ */
+export class PolylineMeasurement extends BasePolygonMeasurement {
+    constructor(scene, materials, logger, eventBus, units) {
+        super(
+            scene,
+            materials,
+            logger,
+            eventBus,
+            'polyline',               // toolName
+            materials.polylinePoint,  // pointMaterial
+            materials.polylineLine,   // lineMaterial
+            units
+        );
+    }
+
+    /**
+     * @override
+     * Labels each new segment as it is drawn.
+     */
+    _handlePointSelected(point) {
+        // The clicks of the finishing double-click repeat the last point
+        const last = this.activeMeasurement?.points[this.activeMeasurement.points.length - 1];
+        if (last && last.distanceToSquared(point) < 1e-12) return;
+
+        super._handlePointSelected(point);
+
+        const points = this.activeMeasurement.points;
+        if (points.length < 2) return;
+
+        const start = points[points.length - 2];
+        const end = points[points.length - 1];
+        const length = start.distanceTo(end);
+        const total = this._measureLengths(points).length;
+
+        const midPoint = new THREE.Vector3().addVectors(start, end).multiplyScalar(0.5);
+        this._addLabel(() => `${this.units.formatLength(length)} · Σ ${this.units.formatLength(total)}`, midPoint.add(new THREE.Vector3(0, 0.2, 0)), '#ff8800');
+    }
+
+    /**
+     * @override
+     * An open polyline has no closing preview line.
+     */
+    _updatePreviewLine() {}
+
+    /**
+     * @override
+     * Does not call super: the polyline needs only 2 points and is not closed.
+     */
+    _finishMeasurement() {
+        if (!this.activeMeasurement) return;
+        if (this.activeMeasurement.points.length < 2) {
+            this.logger.warn('PolylineMeasurement: Cannot finish, requires at least 2 points.');
+            this._settleRestore(this.activeMeasurement, new Error('Polyline requires at least 2 points'));
+            this.cancelActiveMeasurement();
+            return;
+        }
+
+        const points = this.activeMeasurement.points;
+        const { length, horizontalLength, segments } = this._measureLengths(points);
+        this.activeMeasurement.value = length;
+        this.activeMeasurement.horizontalLength = horizontalLength;
+        this.activeMeasurement.segments = segments;
+        this.activeMeasurement.finished = true;
+
+        const end = points[points.length - 1].clone().add(new THREE.Vector3(0, 0.5, 0));
+        this._addLabel(() => `Total ${this.units.formatLength(length)}`, end, '#ff8800');
+        this._addLabel(() => `Horiz. ${this.units.formatLength(horizontalLength)}`, end.clone().add(new THREE.Vector3(0, -0.3, 0)), '#ffffff');
+
+        this.logger.info(`PolylineMeasurement: Completed - ${segments.length} segments, ${length.toFixed(2)}m (horizontal ${horizontalLength.toFixed(2)}m)`);
+        this._emitCompleted(this.activeMeasurement);
+        this.activeMeasurement = null;
+    }
+
+    getFinishedMeasurements() {
+        return this.measurements
+            .filter(m => m.finished)
+            .map(m => ({ id: m.id, value: m.value, horizontalLength: m.horizontalLength, segments: m.segments }));
+    }
+
+    /**
+     * 3D and horizontal lengths of the open polyline through the points.
+     * @param {THREE.Vector3[]} points
+     * @returns {{length: number, horizontalLength: number, segments: number[]}} segments holds the 3D length of each segment.
+     * @private
+     */
+    _measureLengths(points) {
+        let length = 0;
+        let horizontalLength = 0;
+        const segments = [];
+        for (let i = 1; i < points.length; i++) {
+            const a = points[i - 1], b = points[i];
+            const segment = a.distanceTo(b);
+            segments.push(segment);
+            length += segment;
+            horizontalLength += Math.hypot(b.x - a.x, b.z - a.z); // Scene is Y-up: the plan is XZ
+        }
+        return { length, horizontalLength, segments };
+    }
+}
@@ -1,13 +1,14 @@
 import * as THREE from 'three';
 import { BasePolygonMeasurement } from './common/BasePolygonMeasurement.js';
 import { createTextSprite } from '../../utils/DrawingUtils.js';
+import { extractMeshesData, toWorkerData } from '../../utils/MeshDataExtractor.js';
 
 // 1. Importamos a URL do worker, e não o worker em si.
 import SurfaceAreaWorkerUrl from './workers/surfaceArea.worker.js?url';
 
 export class SurfaceAreaMeasurement extends BasePolygonMeasurement {
     
-    constructor(measurementGroup, materials, logger, eventBus) {
+    constructor(measurementGroup, materials, logger, eventBus, units) {
         super(
             measurementGroup, 
             materials, 
@@ -15,12 +16,16 @@ export class SurfaceAreaMeasurement extends BasePolygonMeasurement {
             eventBus, 
             'surfaceArea',
             materials.surfaceAreaPoint,
-            materials.surfaceAreaLine
+            materials.surfaceAreaLine,
+            units
         );
         
         // 2. Usamos o construtor "new Worker()" e passamos a URL importada.
         //    O { type: 'module' } é crucial para que o worker possa usar "import".
         this.worker = new Worker(SurfaceAreaWorkerUrl, { type: 'module' });
+
+        // Edited measurements are recomputed by the worker only once the dragged point rests
+        this.recomputeDelay = 400;
     }
 
     /**
@@ -35,18 +40,15 @@ export class SurfaceAreaMeasurement extends BasePolygonMeasurement {
         }
 
         const points = this.activeMeasurement.points;
-        const activeModel = this._findActiveModel();
+        const activeModels = this._findActiveModels();
         
-        if (!activeModel) {
+        if (activeModels.length === 0) {
             this.logger.error("SurfaceAreaMeasurement: No model loaded to calculate surface area on.");
             const flatArea = 0; 
             this._addAreaLabel(points, flatArea, true);
             this.activeMeasurement.value = flatArea;
             this.activeMeasurement.finished = true;
-            this.eventBus.emit('measurement:surfaceArea:completed', { 
-                measurement: this.activeMeasurement,
-                isFlatArea: true 
-            });
+            this._emitCompleted(this.activeMeasurement, { isFlatArea: true });
             this.activeMeasurement = null;
             return;
         }
@@ -62,18 +64,7 @@ export class SurfaceAreaMeasurement extends BasePolygonMeasurement {
         this.scene.add(tempLabel);
         this.activeMeasurement.visuals.labels.push(tempLabel);
 
-        const meshesData = [];
-        activeModel.traverse((child) => {
-            if (child.isMesh && child.geometry?.attributes.position) {
-                const positions = child.geometry.attributes.position.array.slice();
-                const indices = child.geometry.index ? child.geometry.index.array.slice() : null;
-                meshesData.push({
-                    positions: positions,
-                    indices: indices,
-                    matrix: child.matrixWorld.toArray()
-                });
-            }
-        });
+        const { data: meshesData, transfer: transferable } = toWorkerData(extractMeshesData(activeModels));
         const polygonData = points.map(p => p.toArray());
         
         const currentMeasurement = this.activeMeasurement; 
@@ -87,6 +78,7 @@ export class SurfaceAreaMeasurement extends BasePolygonMeasurement {
                 tempLabel.material.dispose();
                 this.scene.remove(tempLabel);
                 this._addAreaLabel(points, 0, true); 
+                this._settleRestore(currentMeasurement, new Error(e.data.error));
                 return;
             }
 
@@ -117,10 +109,7 @@ export class SurfaceAreaMeasurement extends BasePolygonMeasurement {
 
             this.logger.info(`SurfaceAreaMeasurement: Completed - ${surfaceArea.toFixed(2)}m² (method: ${method}, ${triangleCount} triângulos)`);
             
-            this.eventBus.emit('measurement:surfaceArea:completed', { 
-                measurement: currentMeasurement,
-                method: method
-            });
+            this._emitCompleted(currentMeasurement, { method });
 
             if (this.activeMeasurement === currentMeasurement) {
                 this.activeMeasurement = null;
@@ -135,16 +124,9 @@ export class SurfaceAreaMeasurement extends BasePolygonMeasurement {
                 tempLabel.material.dispose();
                 this.scene.remove(tempLabel);
              }
+             this._settleRestore(currentMeasurement, new Error(err.message));
         };
 
-        const transferable = [];
-        meshesData.forEach(data => {
-            transferable.push(data.positions.buffer);
-            if (data.indices) {
-                transferable.push(data.indices.buffer);
-            }
-        });
-
         this.worker.postMessage({ meshesData, polygonData }, transferable);
     }
 
@@ -155,8 +137,8 @@ export class SurfaceAreaMeasurement extends BasePolygonMeasurement {
         center.add(new THREE.Vector3(0, 0.2, 0));
         
         const labelText = isFlatArea 
-            ? `${area.toFixed(2)}m² (Erro)` 
-            : `${area.toFixed(2)}m²`;
+            ? () => `${this.units.formatArea(area)} (Erro)` 
+            : () => this.units.formatArea(area);
         
         const color = isFlatArea ? '#ff0000' : '#00aaff';
             
@@ -4,9 +4,9 @@ import { BaseMeasurement } from './common/BaseMeasurement.js';
 import { createTextSprite } from '../../utils/DrawingUtils.js';
 
 export class VolumeBoxMeasurement extends BaseMeasurement {
-    constructor(measurementGroup, materials, logger, eventBus) {
+    constructor(measurementGroup, materials, logger, eventBus, units) {
         // O nome da nova ferramenta é 'volumeBox'
-        super(measurementGroup, materials, logger, eventBus, 'volumeBox');
+        super(measurementGroup, materials, logger, eventBus, 'volumeBox', units);
         this.measurementGroup = measurementGroup;
     }
 
@@ -57,12 +57,12 @@ export class VolumeBoxMeasurement extends BaseMeasurement {
 
         // Adiciona o rótulo no centro da caixa
         const midPoint = new THREE.Vector3().addVectors(p1, p2).multiplyScalar(0.5);
-        this._addLabel(`${volume.toFixed(2)}m³`, midPoint, '#00ccff'); // Cor Ciano
+        this._addLabel(() => this.units.formatVolume(volume), midPoint, '#00ccff'); // Cor Ciano
 
         this.logger.info(`VolumeBoxMeasurement: Concluído - ${volume.toFixed(2)}m³`);
         
         // Notifica a aplicação
-        this.eventBus.emit('measurement:volumeBox:completed', { measurement: this.activeMeasurement });
+        this._emitCompleted(this.activeMeasurement);
         this.activeMeasurement = null;
     }
 
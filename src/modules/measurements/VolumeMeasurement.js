@@ -1,25 +1,103 @@
 import * as THREE from 'three';
 import { BasePolygonMeasurement } from './common/BasePolygonMeasurement.js';
 import { createTextSprite } from '../../utils/DrawingUtils.js';
+import { extractMeshesData, toWorkerData } from '../../utils/MeshDataExtractor.js';
 
-// 1. Importamos a URL do worker, e não o worker em si.
-import VolumeWorkerUrl from './workers/volume.worker.js?url';
+// 1. Importamos a URL do worker, e não o worker em si ('worker&url' empacota os imports dele no build).
+import VolumeWorkerUrl from './workers/volume.worker.js?worker&url';
 
+/**
+ * Volume inside a polygon, down to a base:
+ *  - 'plane': the best-fit plane through the polygon;
+ *  - 'lowest' / 'highest': a level plane through the lowest / highest polygon vertex;
+ *  - 'elevation': a level plane at a typed elevation, in the active coordinate frame;
+ *  - 'triangulated': the surface triangulated through the polygon vertices (stockpiles on slopes);
+ *  - 'surface': another layer (e.g., the previous survey or a design surface).
+ * Every result reports cut (the measured surface is below the base), fill (above) and
+ * net volume (fill - cut), and records the base it used.
+ * The base for new measurements is set with 'measurement:volume:base:set'.
+ */
 export class VolumeMeasurement extends BasePolygonMeasurement {
-    
-    constructor(measurementGroup, materials, logger, eventBus) {
+
+    constructor(measurementGroup, materials, logger, eventBus, coordinateSystem, units) {
         super(
-            measurementGroup, 
-            materials, 
-            logger, 
-            eventBus, 
+            measurementGroup,
+            materials,
+            logger,
+            eventBus,
             'volume',
             materials.volumePoint,
-            materials.volumeLine
+            materials.volumeLine,
+            units
         );
-        
+
+        this.coordinateSystem = coordinateSystem; // For typed elevations in the active frame
+
+        this.baseOptions = { type: 'plane', layerId: null, elevation: null };
+        this._restoreBase = null; // Base stored with a measurement being restored
+
+        this.eventBus.on('measurement:volume:base:set', (payload) => {
+            this.baseOptions = {
+                type: payload.type || 'plane',
+                layerId: payload.layerId || null,
+                elevation: Number.isFinite(payload.elevation) ? payload.elevation : null
+            };
+            this.logger.info(`VolumeMeasurement: Base set to ${this.baseOptions.type}.`);
+        });
+
         // 2. Usamos o construtor "new Worker()" e passamos a URL importada.
         this.worker = new Worker(VolumeWorkerUrl, { type: 'module' });
+
+        // Edited measurements are recomputed by the worker only once the dragged point rests
+        this.recomputeDelay = 400;
+    }
+
+    /**
+     * @override
+     * Restored measurements are recomputed against the base they were measured with
+     * (older records, without one, used the best-fit plane).
+     */
+    restoreMeasurement(record) {
+        this._restoreBase = record?.base || { type: 'plane' };
+        const promise = super.restoreMeasurement(record); // Points are replayed synchronously
+        this._restoreBase = null;
+        return promise;
+    }
+
+    /**
+     * @override
+     * Edited measurements keep the base they were measured with.
+     */
+    _rebuildMeasurement(measurement, final) {
+        this._restoreBase = measurement.base || { type: 'plane' };
+        const promise = super._rebuildMeasurement(measurement, final); // Points are replayed synchronously
+        this._restoreBase = null;
+        return promise;
+    }
+
+    /**
+     * @override
+     * A new polygon is only started once its base can be used (e.g., the elevation is typed).
+     */
+    _handlePointSelected(point) {
+        if (!this.activeMeasurement) {
+            try {
+                this._validateBase(this.baseOptions);
+            } catch (error) {
+                this.eventBus.emit('ui:notification:show', { message: `Volume: ${error.message}`, type: 'warning' });
+                return;
+            }
+        }
+        super._handlePointSelected(point);
+    }
+
+    /**
+     * @override
+     */
+    getFinishedMeasurements() {
+        return this.measurements
+            .filter(m => m.finished)
+            .map(m => ({ id: m.id, value: m.value, cut: m.cut, fill: m.fill, net: m.net, base: m.base }));
     }
 
     _finishMeasurement() {
@@ -31,15 +109,27 @@ export class VolumeMeasurement extends BasePolygonMeasurement {
         }
 
         const points = this.activeMeasurement.points;
-        const activeModel = this._findActiveModel();
-        
-        if (!activeModel) {
+        const currentMeasurement = this.activeMeasurement;
+
+        // --- BASE ---
+        let base;
+        try {
+            base = this._resolveBase(this._restoreBase || this.baseOptions, points);
+        } catch (error) {
+            this._failMeasurement(currentMeasurement, error.message);
+            return;
+        }
+        currentMeasurement.base = base.record;
+        const baseLayer = base.layer;
+
+        // The base layer is never part of the measured surface
+        const activeModels = this._findActiveModels().filter(model => model !== baseLayer);
+
+        if (activeModels.length === 0) {
             this.logger.error("VolumeMeasurement: Nenhum modelo carregado para calcular o volume.");
-            this.activeMeasurement.value = 0;
-            this.activeMeasurement.finished = true;
-            this.eventBus.emit('measurement:volume:completed', { 
-                measurement: this.activeMeasurement,
-            });
+            currentMeasurement.value = 0;
+            currentMeasurement.finished = true;
+            this._emitCompleted(currentMeasurement);
             this.activeMeasurement = null;
             return;
         }
@@ -53,68 +143,70 @@ export class VolumeMeasurement extends BasePolygonMeasurement {
         const tempLabel = createTextSprite('Calculando...', '#ff00ff');
         tempLabel.position.copy(center);
         this.scene.add(tempLabel);
-        this.activeMeasurement.visuals.labels.push(tempLabel);
-
-        const meshesData = [];
-        activeModel.traverse((child) => {
-            if (child.isMesh && child.geometry?.attributes.position) {
-                const positions = child.geometry.attributes.position.array.slice();
-                const indices = child.geometry.index ? child.geometry.index.array.slice() : null;
-                meshesData.push({
-                    positions: positions,
-                    indices: indices,
-                    matrix: child.matrixWorld.toArray()
-                });
-            }
-        });
+        currentMeasurement.visuals.labels.push(tempLabel);
+
+        const { data: meshesData, transfer: transferable } = toWorkerData(extractMeshesData(activeModels));
         const polygonData = points.map(p => p.toArray());
-        
-        const currentMeasurement = this.activeMeasurement; 
-        
+        transferable.push(...base.transfer);
+
+        const removeTempLabel = () => {
+            tempLabel.material.map.dispose();
+            tempLabel.material.dispose();
+            this.scene.remove(tempLabel);
+            const labelIndex = currentMeasurement.visuals.labels.indexOf(tempLabel);
+            if (labelIndex > -1) {
+                currentMeasurement.visuals.labels.splice(labelIndex, 1);
+            }
+        };
+
         this.worker.onmessage = (e) => {
             if (!currentMeasurement) return; // Medição foi cancelada
 
             if (e.data.status === 'error') {
                 this.logger.error('VolumeWorker falhou', e.data.error);
-                tempLabel.material.map.dispose();
-                tempLabel.material.dispose();
-                this.scene.remove(tempLabel);
-                this._addAreaLabel(points, 0, true); 
+                removeTempLabel();
+                this._failMeasurement(currentMeasurement, e.data.error);
                 return;
             }
 
-            const { volume, highlightedGeometryData, method, triangleCount } = e.data;
+            const { volume, cut, fill, net, highlightedGeometryData, highlightedColorData, method, triangleCount } = e.data;
 
             currentMeasurement.value = volume;
+            currentMeasurement.cut = cut;
+            currentMeasurement.fill = fill;
+            currentMeasurement.net = net;
             currentMeasurement.finished = true;
 
-            if (highlightedGeometryData) { 
+            if (highlightedGeometryData) {
                 const geometry = new THREE.BufferGeometry();
                 geometry.setAttribute('position', new THREE.BufferAttribute(highlightedGeometryData, 3));
                 geometry.computeVertexNormals();
-                
-                const mesh = new THREE.Mesh(geometry, this.materials.volumeHighlight);
+
+                // Cut/fill: colored per vertex (red = cut, blue = fill)
+                let material = this.materials.volumeHighlight;
+                if (highlightedColorData) {
+                    geometry.setAttribute('color', new THREE.BufferAttribute(highlightedColorData, 3));
+                    material = new THREE.MeshBasicMaterial({
+                        vertexColors: true,
+                        transparent: true,
+                        opacity: 0.7,
+                        side: THREE.DoubleSide
+                    });
+                }
+
+                const mesh = new THREE.Mesh(geometry, material);
                 mesh.renderOrder = 996;
                 this.scene.add(mesh);
                 currentMeasurement.visuals.fill = mesh;
             }
 
-            tempLabel.material.map.dispose();
-            tempLabel.material.dispose();
-            this.scene.remove(tempLabel);
-            const labelIndex = currentMeasurement.visuals.labels.indexOf(tempLabel);
-            if (labelIndex > -1) {
-                currentMeasurement.visuals.labels.splice(labelIndex, 1);
-            }
-            this._addAreaLabel(points, volume);
+            removeTempLabel();
+            this._addVolumeLabels(currentMeasurement);
 
             this.logger.info(`VolumeMeasurement: Concluído - ${volume.toFixed(2)}m³ (método: ${method}, ${triangleCount} triângulos)`);
-            
-            this.eventBus.emit('measurement:volume:completed', {
-                measurement: currentMeasurement,
-                method: method
-            });
-            
+
+            this._emitCompleted(currentMeasurement, { method });
+
             if (this.activeMeasurement === currentMeasurement) {
                 this.activeMeasurement = null;
             }
@@ -124,21 +216,31 @@ export class VolumeMeasurement extends BasePolygonMeasurement {
              this.logger.error('Erro fatal no VolumeWorker', err.message);
              // Limpa o label de "calculando" em caso de erro
              if (tempLabel) {
-                tempLabel.material.map.dispose();
-                tempLabel.material.dispose();
-                this.scene.remove(tempLabel);
+                removeTempLabel();
              }
+             this._failMeasurement(currentMeasurement, err.message || 'erro no worker');
         };
 
-        const transferable = [];
-        meshesData.forEach(data => {
-            transferable.push(data.positions.buffer);
-            if (data.indices) {
-                transferable.push(data.indices.buffer);
-            }
-        });
+        this.worker.postMessage({ meshesData, polygonData, base: base.worker }, transferable);
+    }
 
-        this.worker.postMessage({ meshesData, polygonData }, transferable);
+    /**
+     * Net volume label, with a cut/fill line below it.
+     * @private
+     */
+    _addVolumeLabels(measurement) {
+        const center = new THREE.Vector3();
+        measurement.points.forEach(p => center.add(p));
+        center.divideScalar(measurement.points.length);
+        center.add(new THREE.Vector3(0, 0.2, 0));
+
+        this._pushLabel(measurement, createTextSprite(() => this.units.formatVolume(measurement.value), '#ff00ff'), center);
+
+        const detail = createTextSprite(
+            () => `C ${this.units.formatVolume(measurement.cut, { withUnit: false })} · A ${this.units.formatVolume(measurement.fill, { withUnit: false })}`,
+            '#ffffff'
+        );
+        this._pushLabel(measurement, detail, center.clone().add(new THREE.Vector3(0, -0.3, 0)));
     }
 
     _addAreaLabel(points, volume, isError = false) {
@@ -146,14 +248,155 @@ export class VolumeMeasurement extends BasePolygonMeasurement {
         points.forEach(p => center.add(p));
         center.divideScalar(points.length);
         center.add(new THREE.Vector3(0, 0.2, 0));
-            
-        const labelText = isError ? 'Erro' : `${volume.toFixed(2)}m³`;
+
+        const labelText = isError ? 'Erro' : () => this.units.formatVolume(volume);
         const color = isError ? '#ff0000' : '#ff00ff';
-            
+
         const label = createTextSprite(labelText, color);
         label.position.copy(center);
         this.scene.add(label);
         // Adiciona uma verificação para garantir que activeMeasurement não é nulo
         this.activeMeasurement?.visuals.labels.push(label);
     }
-}
\ No newline at end of file
+
+    /**
+     * @private
+     */
+    _pushLabel(measurement, label, position) {
+        label.position.copy(position);
+        this.scene.add(label);
+        measurement.visuals.labels.push(label);
+    }
+
+    /**
+     * Tells the user why the volume failed. A new (or restored) measurement is dropped, as
+     * an unfinished polygon is; an edited one stays, marked with the error.
+     * @private
+     */
+    _failMeasurement(measurement, message) {
+        this.logger.error(`VolumeMeasurement: ${message}`);
+        this.eventBus.emit('ui:notification:show', { message: `Volume: ${message}`, type: 'error' });
+        this._settleRestore(measurement, new Error(message));
+
+        if (measurement.editing) {
+            this._addAreaLabel(measurement.points, 0, true);
+        } else if (this.activeMeasurement === measurement) {
+            this.cancelActiveMeasurement();
+        } else {
+            this.eventBus.emit('measurement:delete', { id: measurement.id });
+        }
+    }
+
+    /**
+     * Checks what a base needs before a polygon is drawn on it.
+     * @param {{type: string, layerId?: string, layerName?: string, elevation?: number}} options
+     * @throws {Error} When the base cannot be used (pt-BR message for the user).
+     * @private
+     */
+    _validateBase(options) {
+        if (options.type === 'elevation' && !Number.isFinite(options.elevation)) {
+            throw new Error('Informe a cota da base');
+        }
+        if (options.type === 'surface' && !this._findLayer(options)) {
+            throw new Error('Superfície base não encontrada entre as camadas');
+        }
+    }
+
+    /**
+     * Turns the base options into what the worker needs and what the measurement records.
+     * @param {{type: string, layerId?: string, layerName?: string, elevation?: number, frame?: string}} options
+     * @param {THREE.Vector3[]} points - Polygon vertices.
+     * @returns {{record: Object, worker: Object, transfer: ArrayBuffer[], layer: THREE.Object3D|null}}
+     * @throws {Error} When the base cannot be built (pt-BR message for the user).
+     * @private
+     */
+    _resolveBase(options, points) {
+        const heights = points.map(p => p.y);
+
+        switch (options.type) {
+            case 'lowest':
+            case 'highest': {
+                const level = options.type === 'lowest' ? Math.min(...heights) : Math.max(...heights);
+                return { record: { type: options.type, level }, worker: { type: 'level', level }, transfer: [], layer: null };
+            }
+            case 'elevation': {
+                this._validateBase(options);
+                const frame = options.frame || this.coordinateSystem?.frame || 'local';
+                const level = this._elevationToSceneY(options.elevation, frame, points);
+                return {
+                    record: { type: 'elevation', elevation: options.elevation, frame, level },
+                    worker: { type: 'level', level },
+                    transfer: [],
+                    layer: null
+                };
+            }
+            case 'triangulated': {
+                const { data, transfer } = toWorkerData([this._triangulatePolygon(points)]);
+                return { record: { type: 'triangulated' }, worker: { type: 'surface', meshesData: data }, transfer, layer: null };
+            }
+            case 'surface': {
+                this._validateBase(options);
+                const layer = this._findLayer(options);
+                const { data, transfer } = toWorkerData(extractMeshesData(layer));
+                return {
+                    record: { type: 'surface', layerName: layer.name.replace(/^layer:/, '') },
+                    worker: { type: 'surface', meshesData: data },
+                    transfer,
+                    layer
+                };
+            }
+            default:
+                return { record: { type: 'plane' }, worker: { type: 'plane' }, transfer: [], layer: null };
+        }
+    }
+
+    /**
+     * Scene height (Y) of an elevation given in a coordinate frame, under the polygon.
+     * The frame's vertical axis is the one the scene's up direction maps onto.
+     * @private
+     */
+    _elevationToSceneY(elevation, frame, points) {
+        if (!this.coordinateSystem || frame === 'local') return elevation;
+
+        const center = new THREE.Vector3();
+        points.forEach(p => center.add(p));
+        center.divideScalar(points.length);
+
+        const origin = this.coordinateSystem.toFrame(center, frame);
+        const up = this.coordinateSystem.toFrame(center.clone().add(new THREE.Vector3(0, 1, 0)), frame).sub(origin);
+        const axis = ['x', 'y', 'z'].reduce((best, a) => (Math.abs(up[a]) > Math.abs(up[best]) ? a : best), 'x');
+
+        origin[axis] = elevation;
+        return this.coordinateSystem.fromFrame(origin, frame).y;
+    }
+
+    /**
+     * Triangulates the polygon vertices in plan view (X, Z), keeping their heights.
+     * @returns {{positions: Float32Array, indices: Uint32Array, matrix: number[], isPoints: boolean}}
+     * @private
+     */
+    _triangulatePolygon(points) {
+        const contour = points.map(p => new THREE.Vector2(p.x, p.z));
+        const faces = THREE.ShapeUtils.triangulateShape(contour, []);
+        return {
+            positions: new Float32Array(points.flatMap(p => [p.x, p.y, p.z])),
+            indices: new Uint32Array(faces.flat()),
+            matrix: new THREE.Matrix4().toArray(),
+            isPoints: false
+        };
+    }
+
+    /**
+     * Finds a layer group by id, or by model name for bases stored in projects and annotations.
+     * @private
+     */
+    _findLayer({ layerId, layerName }) {
+        const scene = this.scene.parent;
+        if (!scene) return null;
+
+        const layers = scene.children.filter(child => child.userData.isLayer);
+        return layers.find(layer => layerId && layer.userData.layerId === layerId)
+            || layers.find(layer => layerName && layer.name === `layer:${layerName}`)
+            || null;
+    }
+}
@@ -1,5 +1,7 @@
 import * as THREE from 'three';
-import { createTextSprite } from '../../../utils/DrawingUtils.js'; // Assuming DrawingUtils.js exists
+import { createTextSprite, setTextSpriteColor } from '../../../utils/DrawingUtils.js'; // Assuming DrawingUtils.js exists
+import { normalizeMetadata, metadataLabelText } from '../../../utils/MeasurementMetadata.js';
+import { MeasurementDisposer } from '../utils/MeasurementDisposer.js';
 
 /**
  * @class BaseMeasurement
@@ -7,15 +9,25 @@ import { createTextSprite } from '../../../utils/DrawingUtils.js'; // Assuming D
  * Handles common logic for point selection, visual creation, and lifecycle management.
  */
 export class BaseMeasurement {
-    constructor(scene, materials, logger, eventBus, toolName) {
+    constructor(scene, materials, logger, eventBus, toolName, units) {
         this.scene = scene;
         this.materials = materials;
         this.logger = logger;
         this.eventBus = eventBus;
+        this.units = units; // UnitSystem: labels are functions formatted on every redraw
         this.toolName = toolName; // e.g., 'measure', 'area'
+        this.annotationType = toolName; // Type used in annotations and completion events (e.g., 'distance')
 
         this.measurements = [];
         this.activeMeasurement = null;
+        this._pendingRestores = new Map(); // measurement -> { resolve, reject }
+
+        // Editing (see movePoint)
+        this.disposer = new MeasurementDisposer(scene, materials, logger);
+        this.recomputeDelay = 0; // ms; worker-backed tools wait for the dragged point to rest
+        this._recomputeTimers = new Map(); // measurement -> timeout id
+        this._queuedRebuilds = new Map(); // measurement -> whether the rebuild ends an edit
+        this._rebuildQueue = Promise.resolve();
 
         this._setupEventListeners();
     }
@@ -75,8 +87,254 @@ export class BaseMeasurement {
         this.activeMeasurement.visuals.labels.push(label);
     }
 
+    /**
+     * Shows the measurement's metadata (see utils/MeasurementMetadata.js) on its visuals:
+     * a tag label with the name and tags above it, and the custom color on its labels and
+     * lines. Without a color, the tool's own colors come back.
+     * @param {Object} measurement - A finished measurement.
+     */
+    applyMetadataStyle(measurement) {
+        const { labels, lines } = measurement.visuals;
+
+        const previousTag = labels.find(label => label.userData.isMetadataTag);
+        if (previousTag) {
+            labels.splice(labels.indexOf(previousTag), 1);
+            this.scene.remove(previousTag);
+            previousTag.material.map?.dispose();
+            previousTag.material.dispose();
+        }
+
+        labels.forEach(label => {
+            label.userData.toolColor ??= label.userData.color;
+            setTextSpriteColor(label, measurement.color || label.userData.toolColor);
+        });
+
+        lines.forEach(line => {
+            line.userData.toolMaterial ??= line.material;
+            if (line.material !== line.userData.toolMaterial) line.material.dispose(); // The previous colored copy
+            line.material = line.userData.toolMaterial;
+            if (measurement.color) {
+                line.material = line.material.clone();
+                line.material.color.set(measurement.color);
+            }
+        });
+
+        const text = metadataLabelText(measurement);
+        if (!text) return;
+
+        const anchor = labels[0]?.position.clone() || measurement.points
+            .reduce((sum, p) => sum.add(p), new THREE.Vector3())
+            .divideScalar(measurement.points.length);
+        const tag = createTextSprite(text, measurement.color || '#ffffff');
+        tag.userData.isMetadataTag = true;
+        tag.position.copy(anchor).add(new THREE.Vector3(0, 0.35, 0));
+        this.scene.add(tag);
+        labels.push(tag);
+    }
+
     // --- Lifecycle Methods ---
 
+    /**
+     * Notifies the application that a measurement is finished.
+     * @param {Object} measurement - The finished measurement.
+     * @param {Object} [details={}] - Extra payload fields (e.g., the worker method).
+     * @protected
+     */
+    _emitCompleted(measurement, details = {}) {
+        this.applyMetadataStyle(measurement);
+
+        if (measurement.editing) {
+            // A rebuilt measurement already exists: it is updated, not created again
+            const final = measurement.editing === 'final';
+            delete measurement.editing;
+            this.eventBus.emit('measurement:updated', { type: this.annotationType, measurement, final, ...details });
+        } else {
+            this.eventBus.emit(`measurement:${this.annotationType}:completed`, { measurement, ...details });
+        }
+        this._settleRestore(measurement);
+    }
+
+    /**
+     * Adds a point to the measurement being drawn, as a click would (used to redo a point).
+     * @param {THREE.Vector3} point
+     */
+    addPoint(point) {
+        this._handlePointSelected(point.clone());
+    }
+
+    /**
+     * Removes the last point of the measurement being drawn, redrawing it from the others.
+     * The measurement goes away with its last point; it was never shared, so nothing is emitted.
+     * @returns {THREE.Vector3|null} The removed point.
+     */
+    removeLastPoint() {
+        const measurement = this.activeMeasurement;
+        if (!measurement || measurement.finished || measurement.points.length === 0) return null;
+
+        const points = measurement.points.slice(0, -1);
+        const removed = measurement.points[measurement.points.length - 1];
+        this.disposer.disposeMeasurement(measurement);
+        measurement.visuals = { points: [], lines: [], fill: null, previewLine: null, labels: [] };
+        measurement.points = [];
+
+        if (points.length === 0) {
+            this.measurements.splice(this.measurements.indexOf(measurement), 1);
+            this.activeMeasurement = null;
+        } else {
+            points.forEach(point => this._handlePointSelected(point));
+        }
+        return removed;
+    }
+
+    /**
+     * Moves one point of a finished measurement and recomputes it.
+     * Tools with a 'recomputeDelay' (the worker-backed ones) only redraw the outline while
+     * the point moves, and recompute once it has rested that long.
+     * Recomputes run one at a time and end in 'measurement:updated' ({type, measurement, final});
+     * 'final' marks the one that closes the edit.
+     * @param {Object} measurement - A finished measurement of this tool.
+     * @param {number} index - Index of the point in measurement.points.
+     * @param {THREE.Vector3} point - New position.
+     * @param {boolean} [final=false] - Whether this move ends the edit.
+     */
+    movePoint(measurement, index, point, final = false) {
+        // Two coinciding points would collapse the shape (polylines even drop one)
+        const collapses = measurement.points.some((p, i) => i !== index && p.distanceToSquared(point) < 1e-12);
+        if (!collapses) {
+            measurement.points[index] = point.clone();
+        }
+        if (collapses && !final) return;
+
+        clearTimeout(this._recomputeTimers.get(measurement));
+        this._recomputeTimers.delete(measurement);
+
+        if (this.recomputeDelay > 0) {
+            this._redrawOutline(measurement);
+            this._recomputeTimers.set(measurement, setTimeout(() => {
+                this._recomputeTimers.delete(measurement);
+                this._queueRebuild(measurement, final);
+            }, this.recomputeDelay));
+        } else {
+            this._queueRebuild(measurement, final);
+        }
+    }
+
+    /**
+     * Quick feedback while a point moves and the recompute waits: the point spheres follow
+     * their points. Polygon tools redraw the whole outline.
+     * @protected
+     */
+    _redrawOutline(measurement) {
+        measurement.visuals.points.forEach((sphere, i) => {
+            if (measurement.points[i]) sphere.position.copy(measurement.points[i]);
+        });
+    }
+
+    /**
+     * Queues a rebuild behind the running ones. A measurement already waiting is not
+     * queued twice; it only inherits the 'final' flag.
+     * @private
+     */
+    _queueRebuild(measurement, final) {
+        if (this._queuedRebuilds.has(measurement)) {
+            this._queuedRebuilds.set(measurement, this._queuedRebuilds.get(measurement) || final);
+            return;
+        }
+        this._queuedRebuilds.set(measurement, final);
+
+        this._rebuildQueue = this._rebuildQueue
+            .then(() => {
+                const isFinal = this._queuedRebuilds.get(measurement);
+                this._queuedRebuilds.delete(measurement);
+                return this._rebuildMeasurement(measurement, isFinal);
+            })
+            .catch(error => {
+                this.logger.warn(`${this.constructor.name}: Could not recompute measurement ${measurement.id}: ${error.message}`);
+            })
+            .finally(() => {
+                delete measurement.editing;
+                if (this.activeMeasurement === measurement) this.activeMeasurement = null;
+            });
+    }
+
+    /**
+     * Redraws a finished measurement from its current points. As in restoreMeasurement(),
+     * the points are replayed through the selection flow, so the value, labels and
+     * highlighted geometry are computed by the tool's own code.
+     * @param {Object} measurement
+     * @param {boolean} final - Whether this rebuild ends the edit.
+     * @returns {Promise<Object>} Resolves once the tool completes the measurement again.
+     * @protected
+     */
+    _rebuildMeasurement(measurement, final) {
+        if (!this.measurements.includes(measurement)) {
+            return Promise.resolve(measurement); // Deleted meanwhile
+        }
+
+        return new Promise((resolve, reject) => {
+            const points = measurement.points;
+            this.disposer.disposeMeasurement(measurement);
+            measurement.visuals = { points: [], lines: [], fill: null, previewLine: null, labels: [] };
+            measurement.points = [];
+            measurement.editing = final ? 'final' : 'live';
+
+            this.activeMeasurement = measurement;
+            this._pendingRestores.set(measurement, { resolve, reject });
+            this._replayPoints(points);
+        });
+    }
+
+    /**
+     * Recreates a finished measurement from a stored record (e.g., a project file).
+     * The points are replayed through the normal selection flow, so the value and
+     * every visual are rebuilt exactly as if the user had clicked them.
+     * @param {{id: string, points: Array<{x: number, y: number, z: number}>, author?: string, name?: string, note?: string, tags?: string[], color?: string}} record
+     * @returns {Promise<Object>} Resolves with the measurement once it is completed.
+     */
+    restoreMeasurement(record) {
+        if (!record || !Array.isArray(record.points) || record.points.length === 0) {
+            return Promise.reject(new Error(`${this.constructor.name}: Invalid measurement record`));
+        }
+
+        this.cancelActiveMeasurement();
+
+        return new Promise((resolve, reject) => {
+            this._startMeasurement();
+            const measurement = this.activeMeasurement;
+            if (record.id) measurement.id = record.id;
+            measurement.authorName = record.author || null;
+            Object.assign(measurement, normalizeMetadata(record));
+
+            this._pendingRestores.set(measurement, { resolve, reject });
+            this._replayPoints(record.points.map(p => new THREE.Vector3(p.x, p.y, p.z)));
+        });
+    }
+
+    /**
+     * Feeds stored points to the tool. Polygon tools also finish the shape.
+     * @param {THREE.Vector3[]} points
+     * @protected
+     */
+    _replayPoints(points) {
+        points.forEach(point => this._handlePointSelected(point));
+    }
+
+    /**
+     * Resolves (or rejects, when an error is given) a pending restore for a measurement.
+     * @protected
+     */
+    _settleRestore(measurement, error = null) {
+        const pending = this._pendingRestores.get(measurement);
+        if (!pending) return;
+
+        this._pendingRestores.delete(measurement);
+        if (error) {
+            pending.reject(error);
+        } else {
+            pending.resolve(measurement);
+        }
+    }
+
     cancelActiveMeasurement() {
         if (this.activeMeasurement && !this.activeMeasurement.finished) {
             // The disposer will handle removing visuals from the scene
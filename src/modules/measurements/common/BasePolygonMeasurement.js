@@ -18,9 +18,10 @@ export class BasePolygonMeasurement extends BaseMeasurement {
      * @param {string} toolName - O nome da ferramenta (ex: 'area', 'volume').
      * @param {THREE.Material} pointMaterial - O material para os pontos (MeshBasicMaterial).
      * @param {THREE.Material} lineMaterial - O material para as linhas (LineBasicMaterial).
+     * @param {UnitSystem} units - Unidades usadas nos rótulos.
      */
-    constructor(scene, materials, logger, eventBus, toolName, pointMaterial, lineMaterial) {
-        super(scene, materials, logger, eventBus, toolName);
+    constructor(scene, materials, logger, eventBus, toolName, pointMaterial, lineMaterial, units) {
+        super(scene, materials, logger, eventBus, toolName, units);
 
         // Materiais específicos da ferramenta filha
         this.pointMaterial = pointMaterial;
@@ -98,6 +99,35 @@ export class BasePolygonMeasurement extends BaseMeasurement {
         }
     }
 
+    /**
+     * @override
+     * Repete os pontos armazenados e fecha o polígono.
+     */
+    _replayPoints(points) {
+        super._replayPoints(points);
+        this._finishMeasurement();
+    }
+
+    /**
+     * @override
+     * Redesenha só o contorno (vértices e arestas, já fechado) enquanto um ponto é arrastado;
+     * o preenchimento e os rótulos voltam com o recálculo.
+     */
+    _redrawOutline(measurement) {
+        this.disposer.disposeMeasurement(measurement);
+        measurement.visuals = { points: [], lines: [], fill: null, previewLine: null, labels: [] };
+
+        // Os métodos de desenho escrevem na medição ativa
+        const active = this.activeMeasurement;
+        this.activeMeasurement = measurement;
+        const points = measurement.points;
+        points.forEach((point, i) => {
+            this._addPointVisual(point);
+            this._addLineVisual(point, points[(i + 1) % points.length]);
+        });
+        this.activeMeasurement = active;
+    }
+
     /**
      * Atualiza a linha tracejada de fechamento.
      * @private
@@ -127,6 +157,7 @@ export class BasePolygonMeasurement extends BaseMeasurement {
         if (!this.activeMeasurement || this.activeMeasurement.points.length < 3) {
             this.logger.warn(`${this.constructor.name}: Cannot finish, requires at least 3 points.`);
             if (this.activeMeasurement) {
+                this._settleRestore(this.activeMeasurement, new Error('Polygon requires at least 3 points'));
                 this.cancelActiveMeasurement();
             }
             return;
@@ -148,56 +179,19 @@ export class BasePolygonMeasurement extends BaseMeasurement {
 
     /**
      * @protected
-     * @description Robustly searches the scene for the main 3D model object.
+     * @description Returns the model layers the polygon tools should measure on:
+     * every visible layer that is pickable (see LayerManager).
      * (Movido de SurfaceArea/Volume para cá, pois é uma lógica de polígono compartilhada).
+     * @returns {THREE.Object3D[]}
      */
-    _findActiveModel() {
-        const EXCLUDE_NAMES = ['measurements', 'remote-annotations', 'GridHelper'];
-        const EXCLUDE_TYPES = ['AmbientLight', 'DirectionalLight', 'PerspectiveCamera', 'Line', 'LineSegments', 'Points', 'Sprite'];
-        
-        let activeModel = null;
-        let largestMesh = null;
-        let maxVertices = 0;
-
+    _findActiveModels() {
         // Get the actual Three.js scene (parent of measurementGroup/this.scene)
         const scene = this.scene.parent;
         if (!scene) {
             this.logger.error(`${this.constructor.name}: Could not access scene parent`);
-            return null;
-        }
-
-        scene.traverse((child) => {
-            // Skip excluded types and names
-            if (EXCLUDE_TYPES.includes(child.type) || EXCLUDE_NAMES.includes(child.name)) return;
-            
-            // Look for mesh objects that could be the model
-            if (child.isMesh && child.geometry && child.geometry.attributes.position) {
-                const vertexCount = child.geometry.attributes.position.count;
-                
-                // Track the largest mesh (likely the main model)
-                if (vertexCount > maxVertices) {
-                    maxVertices = vertexCount;
-                    largestMesh = child;
-                }
-                
-                // If this is a substantial mesh at the scene root level, it's likely the model
-                if (vertexCount > 100 && child.parent === scene) {
-                    activeModel = child;
-                }
-            }
-            
-            // Also check for groups that contain meshes (common for GLTF models)
-            if (child.isGroup && child.children.some(c => c.isMesh) && child.parent === scene) {
-                activeModel = child;
-            }
-        });
-
-        // Fallback to the largest mesh if no root-level model found
-        if (!activeModel && largestMesh) {
-            activeModel = largestMesh;
-            this.logger.info(`${this.constructor.name}: Using largest mesh as active model`);
+            return [];
         }
 
-        return activeModel;
+        return scene.children.filter(child => child.userData.isLayer && child.visible && child.userData.pickable);
     }
 }
\ No newline at end of file
@@ -0,0 +1,17 @@
+// src/modules/measurements/utils/MeasurementGroups.js
+
+/**
+ * The measurement groups of Measurements.getMeasurementStats(), in panel order: the stats key,
+ * the annotation type, singular and plural names, the quantity of the value (see utils/Units.js)
+ * and the color of its lines and labels. Shared by the exports and the report.
+ */
+export const MEASUREMENT_GROUPS = [
+    { key: 'distances', type: 'distance', label: 'Distância', title: 'Distâncias', quantity: 'length', color: '#00ffff' },
+    { key: 'polylines', type: 'polyline', label: 'Polilinha', title: 'Polilinhas', quantity: 'length', color: '#ff8800' },
+    { key: 'areas', type: 'area', label: 'Área plana', title: 'Áreas Planas', quantity: 'area', color: '#00ff00' },
+    { key: 'surfaceAreas', type: 'surfaceArea', label: 'Área de superfície', title: 'Áreas de Superfície', quantity: 'area', color: '#00aaff' },
+    { key: 'angles', type: 'angle', label: 'Ângulo', title: 'Ângulos', quantity: 'angle', color: '#ffff00' },
+    { key: 'heights', type: 'height', label: 'Desnível', title: 'Desníveis', quantity: 'length', color: '#66ffcc' },
+    { key: 'volumes', type: 'volume', label: 'Volume', title: 'Volumes', quantity: 'volume', color: '#ff00ff' },
+    { key: 'volumeBoxes', type: 'volumeBox', label: 'Caixa de volume', title: 'Caixas de Volume', quantity: 'volume', color: '#00ccff' }
+];
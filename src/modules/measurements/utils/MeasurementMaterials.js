@@ -29,6 +29,19 @@ export class MeasurementMaterials {
                 depthWrite: false 
             }),
 
+            // Polyline measurement materials
+            polylinePoint: new THREE.MeshBasicMaterial({ 
+                color: 0xff8800, // Laranja
+                depthTest: false, 
+                depthWrite: false 
+            }),
+            polylineLine: new THREE.LineBasicMaterial({ 
+                color: 0xff8800, 
+                linewidth: 3, 
+                depthTest: false, 
+                depthWrite: false 
+            }),
+
             // Area measurement materials
             areaPoint: new THREE.MeshBasicMaterial({ 
                 color: 0x00ff00, 
@@ -62,6 +75,27 @@ export class MeasurementMaterials {
                 depthWrite: false 
             }),
 
+            // Height / slope measurement materials
+            heightPoint: new THREE.MeshBasicMaterial({ 
+                color: 0x66ffcc, 
+                depthTest: false, 
+                depthWrite: false 
+            }),
+            heightLine: new THREE.LineBasicMaterial({ 
+                color: 0x66ffcc, 
+                linewidth: 3, 
+                depthTest: false, 
+                depthWrite: false 
+            }),
+            heightLegLine: new THREE.LineBasicMaterial({ // Catetos do triângulo retângulo
+                color: 0xffffff, 
+                linewidth: 1, 
+                transparent: true, 
+                opacity: 0.7, 
+                depthTest: false, 
+                depthWrite: false 
+            }),
+
             // Surface area measurement materials
             surfaceAreaPoint: new THREE.MeshBasicMaterial({ 
                 color: 0x00aaff, 
@@ -1,9 +1,12 @@
 import * as THREE from 'three';
 
+const MAX_GRID_CELLS = 512; // Por eixo, na grade de busca da superfície base
+
 /**
  * @class VolumeCalculator
  * @description Calcula o volume (corte/aterro) encontrando todos os triângulos da malha
- * dentro de um polígono e somando o volume de seus "prismas" até um plano base.
+ * dentro de um polígono e somando o volume de seus "prismas" até um plano base,
+ * ou até outra superfície (ex.: o levantamento anterior ou um projeto).
  */
 export class VolumeCalculator {
     constructor(logger) {
@@ -12,33 +15,49 @@ export class VolumeCalculator {
 
     /**
      * Método principal de cálculo
+     * Aterro: a superfície está acima do plano base; corte: abaixo.
      * @param {THREE.Object3D} model - O modelo 3D para medir.
      * @param {Array<THREE.Vector3>} polygonPoints - Os pontos 3D da seleção do usuário.
-     * @returns {{volume: number, highlightedGeometry: THREE.BufferGeometry|null, method: string}}
+     * @param {number|null} [level=null] - Cota (Y da cena) de um plano base horizontal;
+     *   null usa o plano médio do polígono.
+     * @returns {{volume: number, cut: number, fill: number, net: number, highlightedGeometry: THREE.BufferGeometry|null, method: string}}
      */
-    calculateVolume(model, polygonPoints) {
+    calculateVolume(model, polygonPoints, level = null) {
         if (polygonPoints.length < 3) {
             this.logger.warn("VolumeCalculator: São necessários pelo menos 3 pontos para um polígono.");
-            return { volume: 0, highlightedGeometry: null, method: 'invalid' };
+            return { volume: 0, cut: 0, fill: 0, net: 0, highlightedGeometry: null, method: 'invalid' };
         }
 
         // Etapa 1: Criar bounding box do polígono
         const boundingBox = this._getBoundingBox(polygonPoints);
         const margin = this._calculateMargin(boundingBox);
         boundingBox.expandByScalar(margin);
+        if (level !== null) {
+            // Plano horizontal: só filtra em planta, pois a superfície pode ficar bem acima
+            // ou abaixo dos pontos clicados (ex.: uma pilha medida a partir de uma cota)
+            boundingBox.min.y = -Infinity;
+            boundingBox.max.y = Infinity;
+        }
         
-        // Etapa 2: Criar um plano base para projeção e cálculo de altura
-        const plane = this._getBestFitPlane(polygonPoints);
+        // Etapa 2: Criar um plano base para projeção e cálculo de altura,
+        // com a normal para cima (o sinal da altura separa aterro de corte)
+        const plane = level !== null
+            ? new THREE.Plane(new THREE.Vector3(0, 1, 0), -level)
+            : this._getBestFitPlane(polygonPoints);
+        if (plane.normal.y < 0) plane.negate();
         
         // Etapa 3: Projetar pontos do polígono para verificação 2D
         const projectedPolygon = polygonPoints.map(p => this._projectPointToPlane(p, plane));
 
         // Etapa 4: Encontrar triângulos dentro do polígono
         let totalVolume = 0;
+        let cut = 0;
+        let fill = 0;
         let triangleCount = 0;
         let verticesChecked = 0;
         let verticesSkipped = 0;
         const highlightedTriangles = [];
+        const heights = [];
 
         model.traverse((child) => {
             if (!child.isMesh || !child.geometry) return;
@@ -68,8 +87,11 @@ export class VolumeCalculator {
                     const result = this._processTriangle(v1, v2, v3, projectedPolygon, plane);
                     if (result.inside) {
                         totalVolume += result.volume;
+                        fill += result.above;
+                        cut += result.below;
                         triangleCount++;
                         highlightedTriangles.push(v1, v2, v3);
+                        heights.push(...result.heights);
                     }
                 }
             } else {
@@ -88,8 +110,11 @@ export class VolumeCalculator {
                     const result = this._processTriangle(v1, v2, v3, projectedPolygon, plane);
                     if (result.inside) {
                         totalVolume += result.volume;
+                        fill += result.above;
+                        cut += result.below;
                         triangleCount++;
                         highlightedTriangles.push(v1, v2, v3);
+                        heights.push(...result.heights);
                     }
                 }
             }
@@ -109,13 +134,17 @@ export class VolumeCalculator {
                 positions[i * 3 + 2] = vertex.z;
             });
             highlightedGeometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+            highlightedGeometry.setAttribute('color', new THREE.BufferAttribute(this._getCutFillColors(heights), 3));
             highlightedGeometry.computeVertexNormals();
         }
 
         return { 
             volume: Math.abs(totalVolume), // Retorna o valor absoluto
+            cut,
+            fill,
+            net: totalVolume, // Aterro - corte
             highlightedGeometry: highlightedGeometry,
-            method: 'prism_volume_sum',
+            method: level !== null ? 'prism_volume_sum_level' : 'prism_volume_sum',
             triangleCount: triangleCount
         };
     }
@@ -153,7 +182,7 @@ export class VolumeCalculator {
         const inside = this._isPointInPolygon(projectedCenter, projectedPolygon);
         
         if (!inside) {
-            return { inside: false, volume: 0 };
+            return { inside: false, volume: 0, above: 0, below: 0 };
         }
 
         // --- Cálculo do Volume (Método Prismoidal) ---
@@ -178,7 +207,10 @@ export class VolumeCalculator {
         // 5. Volume = Área da Base * Altura Média
         const volume = projectedArea * averageHeight;
 
-        return { inside: true, volume: volume };
+        // 6. Partes acima (aterro) e abaixo (corte) do plano
+        const { above, below } = this._splitPrism(projectedArea, [h1, h2, h3]);
+
+        return { inside: true, volume: volume, above, below, heights: [h1, h2, h3] };
     }
 
     _getVertex(positionAttribute, index, matrix) {
@@ -244,4 +276,268 @@ export class VolumeCalculator {
 
         return inside;
     }
+
+    /**
+     * Volume entre duas superfícies dentro de um polígono (comparação entre épocas).
+     * Cada triângulo da superfície medida cujo centro cai no polígono (em planta) forma um
+     * prisma vertical até a superfície base, com a diferença de cota tomada em cada vértice.
+     * Aterro: a superfície medida está acima da base; corte: abaixo.
+     * @param {THREE.Object3D} model - A superfície medida (ex.: o levantamento atual).
+     * @param {THREE.Object3D} baseModel - A superfície base (ex.: o levantamento anterior).
+     * @param {Array<THREE.Vector3>} polygonPoints - Os pontos 3D da seleção do usuário.
+     * @returns {{volume: number, cut: number, fill: number, net: number, highlightedGeometry: THREE.BufferGeometry|null, method: string, triangleCount: number, uncoveredCount: number}}
+     */
+    calculateVolumeBetweenSurfaces(model, baseModel, polygonPoints) {
+        if (polygonPoints.length < 3) {
+            this.logger.warn("VolumeCalculator: São necessários pelo menos 3 pontos para um polígono.");
+            return { volume: 0, cut: 0, fill: 0, net: 0, highlightedGeometry: null, method: 'invalid', triangleCount: 0, uncoveredCount: 0 };
+        }
+
+        // O eixo vertical da cena é o Y: o polígono é avaliado em planta (X, Z)
+        const polygon2D = polygonPoints.map(p => ({ x: p.x, y: p.z }));
+        const bounds = this._getBounds2D(polygon2D);
+
+        const baseGrid = this._buildBaseGrid(baseModel, bounds);
+        if (baseGrid.triangleCount === 0) {
+            throw new Error('A superfície base não cobre o polígono');
+        }
+
+        let cut = 0;
+        let fill = 0;
+        let triangleCount = 0;
+        let uncoveredCount = 0;
+        const highlightedTriangles = [];
+        const differences = [];
+
+        model.traverse((child) => {
+            if (!child.isMesh || !child.geometry?.attributes.position) return;
+
+            this._forEachTriangle(child, (v1, v2, v3) => {
+                const cx = (v1.x + v2.x + v3.x) / 3;
+                const cz = (v1.z + v2.z + v3.z) / 3;
+                if (cx < bounds.minX || cx > bounds.maxX || cz < bounds.minY || cz > bounds.maxY) return;
+                if (!this._isPointInPolygon2D(cx, cz, polygon2D)) return;
+
+                const b1 = this._getBaseHeight(baseGrid, v1);
+                const b2 = this._getBaseHeight(baseGrid, v2);
+                const b3 = this._getBaseHeight(baseGrid, v3);
+                if (b1 === null || b2 === null || b3 === null) {
+                    uncoveredCount++;
+                    return;
+                }
+
+                const d = [v1.y - b1, v2.y - b2, v3.y - b3];
+                const area = Math.abs((v2.x - v1.x) * (v3.z - v1.z) - (v3.x - v1.x) * (v2.z - v1.z)) / 2;
+                const prism = this._splitPrism(area, d);
+                fill += prism.above;
+                cut += prism.below;
+                triangleCount++;
+                highlightedTriangles.push(v1, v2, v3);
+                differences.push(...d);
+            });
+        });
+
+        if (uncoveredCount > 0) {
+            this.logger.warn(`VolumeCalculator: ${uncoveredCount} triângulos sem superfície base abaixo foram ignorados.`);
+        }
+        this.logger.info(`VolumeCalculator: ${triangleCount} triângulos, corte ${cut.toFixed(2)}m³, aterro ${fill.toFixed(2)}m³`);
+
+        let highlightedGeometry = null;
+        if (highlightedTriangles.length > 0) {
+            highlightedGeometry = new THREE.BufferGeometry().setFromPoints(highlightedTriangles);
+            highlightedGeometry.setAttribute('color', new THREE.BufferAttribute(this._getCutFillColors(differences), 3));
+        }
+
+        const net = fill - cut;
+        return {
+            volume: net,
+            cut,
+            fill,
+            net,
+            highlightedGeometry,
+            method: 'surface_difference',
+            triangleCount,
+            uncoveredCount
+        };
+    }
+
+    /**
+     * Chama o callback com os vértices (no mundo) de cada triângulo de uma malha.
+     * @private
+     */
+    _forEachTriangle(mesh, callback) {
+        const positionAttribute = mesh.geometry.attributes.position;
+        const indices = mesh.geometry.index ? mesh.geometry.index.array : null;
+        const count = indices ? indices.length : positionAttribute.count;
+        const matrix = mesh.matrixWorld;
+
+        for (let i = 0; i + 2 < count; i += 3) {
+            callback(
+                this._getVertex(positionAttribute, indices ? indices[i] : i, matrix),
+                this._getVertex(positionAttribute, indices ? indices[i + 1] : i + 1, matrix),
+                this._getVertex(positionAttribute, indices ? indices[i + 2] : i + 2, matrix)
+            );
+        }
+    }
+
+    /**
+     * Volumes acima e abaixo da base de um prisma triangular com diferenças de cota d
+     * nos vértices. A diferença varia linearmente no triângulo, então quando os sinais
+     * se misturam o prisma é dividido exatamente na linha de diferença zero.
+     * @param {number} area - Área do triângulo em planta.
+     * @param {number[]} d - Diferenças de cota (superfície - base) nos três vértices.
+     * @returns {{above: number, below: number}} Ambos positivos.
+     * @private
+     */
+    _splitPrism(area, d) {
+        const total = area * (d[0] + d[1] + d[2]) / 3;
+        const positives = d.filter(value => value > 0).length;
+
+        let above;
+        if (positives === 0) {
+            above = 0;
+        } else if (positives === 3) {
+            above = total;
+        } else if (positives === 1) {
+            // Só a ponta do vértice positivo fica acima da base
+            const [a, b, c] = [...d].sort((x, y) => y - x);
+            above = area * a * a * a / (3 * (a - b) * (a - c));
+        } else {
+            // Só a ponta do vértice negativo fica abaixo da base
+            const [a, b, c] = [...d].sort((x, y) => x - y);
+            above = total + area * a * a * a / (-3 * (b - a) * (c - a));
+        }
+
+        return { above, below: above - total };
+    }
+
+    /**
+     * Cor por vértice: vermelho para corte, azul para aterro, branco perto de zero.
+     * @private
+     */
+    _getCutFillColors(differences) {
+        const maxDifference = differences.reduce((max, d) => Math.max(max, Math.abs(d)), 0) || 1;
+        const colors = new Float32Array(differences.length * 3);
+        const white = new THREE.Color(0xffffff);
+        const cutColor = new THREE.Color(0xff2020);
+        const fillColor = new THREE.Color(0x2060ff);
+        const color = new THREE.Color();
+
+        differences.forEach((d, i) => {
+            color.copy(white).lerp(d < 0 ? cutColor : fillColor, Math.min(1, Math.abs(d) / maxDifference));
+            color.toArray(colors, i * 3);
+        });
+        return colors;
+    }
+
+    /**
+     * Indexa, numa grade em planta, os triângulos da superfície base próximos do polígono.
+     * @private
+     */
+    _buildBaseGrid(baseModel, bounds) {
+        const sizeX = bounds.maxX - bounds.minX;
+        const sizeY = bounds.maxY - bounds.minY;
+        const margin = Math.max(sizeX, sizeY) * 0.1;
+        const minX = bounds.minX - margin, maxX = bounds.maxX + margin;
+        const minY = bounds.minY - margin, maxY = bounds.maxY + margin;
+
+        const triangles = [];
+        baseModel.traverse((child) => {
+            if (!child.isMesh || !child.geometry?.attributes.position) return;
+            this._forEachTriangle(child, (v1, v2, v3) => {
+                if (Math.max(v1.x, v2.x, v3.x) < minX || Math.min(v1.x, v2.x, v3.x) > maxX) return;
+                if (Math.max(v1.z, v2.z, v3.z) < minY || Math.min(v1.z, v2.z, v3.z) > maxY) return;
+                triangles.push(v1.x, v1.y, v1.z, v2.x, v2.y, v2.z, v3.x, v3.y, v3.z);
+            });
+        });
+
+        const triangleCount = triangles.length / 9;
+        // Em média, poucos triângulos por célula
+        const cellSize = Math.max(
+            Math.sqrt(((maxX - minX) * (maxY - minY)) / Math.max(1, triangleCount)) * 2,
+            (maxX - minX) / MAX_GRID_CELLS,
+            (maxY - minY) / MAX_GRID_CELLS
+        ) || 1;
+        const columns = Math.max(1, Math.ceil((maxX - minX) / cellSize));
+        const rows = Math.max(1, Math.ceil((maxY - minY) / cellSize));
+        const cells = new Map();
+
+        const cellIndex = (x, y) => [
+            Math.min(columns - 1, Math.max(0, Math.floor((x - minX) / cellSize))),
+            Math.min(rows - 1, Math.max(0, Math.floor((y - minY) / cellSize)))
+        ];
+
+        for (let t = 0; t < triangleCount; t++) {
+            const i = t * 9;
+            const [c0, r0] = cellIndex(Math.min(triangles[i], triangles[i + 3], triangles[i + 6]), Math.min(triangles[i + 2], triangles[i + 5], triangles[i + 8]));
+            const [c1, r1] = cellIndex(Math.max(triangles[i], triangles[i + 3], triangles[i + 6]), Math.max(triangles[i + 2], triangles[i + 5], triangles[i + 8]));
+            for (let c = c0; c <= c1; c++) {
+                for (let r = r0; r <= r1; r++) {
+                    const key = r * columns + c;
+                    if (!cells.has(key)) cells.set(key, []);
+                    cells.get(key).push(t);
+                }
+            }
+        }
+
+        return { triangles, triangleCount, cells, cellSize, columns, rows, minX, minY, maxX, maxY };
+    }
+
+    /**
+     * Cota da superfície base na vertical de um ponto. Onde a base tem mais de uma camada
+     * (ex.: saliências), usa a mais próxima do ponto.
+     * @returns {number|null} null se a base não passa por baixo (nem por cima) do ponto.
+     * @private
+     */
+    _getBaseHeight(grid, point) {
+        const { x, z } = point;
+        if (x < grid.minX || x > grid.maxX || z < grid.minY || z > grid.maxY) return null;
+
+        const column = Math.min(grid.columns - 1, Math.floor((x - grid.minX) / grid.cellSize));
+        const row = Math.min(grid.rows - 1, Math.floor((z - grid.minY) / grid.cellSize));
+        const candidates = grid.cells.get(row * grid.columns + column);
+        if (!candidates) return null;
+
+        const t = grid.triangles;
+        let best = null;
+        candidates.forEach(triangle => {
+            const i = triangle * 9;
+            const ax = t[i], az = t[i + 2], bx = t[i + 3], bz = t[i + 5], cx = t[i + 6], cz = t[i + 8];
+            const denominator = (bz - cz) * (ax - cx) + (cx - bx) * (az - cz);
+            if (Math.abs(denominator) < 1e-12) return; // Triângulo vertical em planta
+
+            const wa = ((bz - cz) * (x - cx) + (cx - bx) * (z - cz)) / denominator;
+            const wb = ((cz - az) * (x - cx) + (ax - cx) * (z - cz)) / denominator;
+            const wc = 1 - wa - wb;
+            const epsilon = -1e-9;
+            if (wa < epsilon || wb < epsilon || wc < epsilon) return;
+
+            const height = wa * t[i + 1] + wb * t[i + 4] + wc * t[i + 7];
+            if (best === null || Math.abs(height - point.y) < Math.abs(best - point.y)) best = height;
+        });
+        return best;
+    }
+
+    _getBounds2D(polygon) {
+        return {
+            minX: Math.min(...polygon.map(p => p.x)),
+            maxX: Math.max(...polygon.map(p => p.x)),
+            minY: Math.min(...polygon.map(p => p.y)),
+            maxY: Math.max(...polygon.map(p => p.y))
+        };
+    }
+
+    _isPointInPolygon2D(x, y, polygon) {
+        let inside = false;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const xi = polygon[i].x, yi = polygon[i].y;
+            const xj = polygon[j].x, yj = polygon[j].y;
+
+            const intersect = ((yi > y) !== (yj > y)) &&
+                (x < (xj - xi) * (y - yi) / (yj - yi) + xi);
+
+            if (intersect) inside = !inside;
+        }
+        return inside;
+    }
 }
\ No newline at end of file
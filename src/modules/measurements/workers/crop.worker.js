@@ -0,0 +1,97 @@
+import { WorkerLogger } from '../../../utils/WorkerLogger.js';
+
+/**
+ * Aplica uma matriz 4x4 (column-major) ao vértice i de um array de posições.
+ */
+function transformVertex(positions, i, m, out, offset = 0) {
+    const x = positions[i * 3], y = positions[i * 3 + 1], z = positions[i * 3 + 2];
+    out[offset] = m[0] * x + m[4] * y + m[8] * z + m[12];
+    out[offset + 1] = m[1] * x + m[5] * y + m[9] * z + m[13];
+    out[offset + 2] = m[2] * x + m[6] * y + m[10] * z + m[14];
+}
+
+/**
+ * Teste de ponto no polígono em planta (X, Z) por ray casting.
+ * @param {number[][]} polygon - Vértices [x, y, z].
+ */
+function isInsidePolygon(x, z, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const [xi, , zi] = polygon[i];
+        const [xj, , zj] = polygon[j];
+        if ((zi > z) !== (zj > z) && x < ((xj - xi) * (z - zi)) / (zj - zi) + xi) inside = !inside;
+    }
+    return inside;
+}
+
+/**
+ * Recorta os triângulos cujo centro cai dentro da região. Os triângulos são mantidos
+ * inteiros (sem cortar nas bordas), como na área de superfície e nas curvas de nível.
+ * @param {Array} meshesData - Ver MeshDataExtractor.
+ * @param {{type: 'polygon', points: number[][]}|{type: 'box', min: number[], max: number[]}} region
+ *   Polígono em planta (prisma vertical) ou caixa alinhada aos eixos da cena.
+ * @returns {Float32Array} Triângulos soltos (9 valores cada), em coordenadas da cena.
+ */
+function cropTriangles(meshesData, region) {
+    const isInside = region.type === 'box'
+        ? (x, y, z) => x >= region.min[0] && x <= region.max[0]
+            && y >= region.min[1] && y <= region.max[1]
+            && z >= region.min[2] && z <= region.max[2]
+        : (x, y, z) => isInsidePolygon(x, z, region.points);
+
+    const chunks = [];
+    let total = 0;
+    const v = new Float32Array(9);
+
+    meshesData.forEach(data => {
+        const vertexCount = data.positions.length / 3;
+        const count = Math.floor((data.indices ? data.indices.length : vertexCount) / 3);
+        const kept = new Float32Array(count * 9);
+        let size = 0;
+        for (let f = 0; f < count; f++) {
+            for (let k = 0; k < 3; k++) {
+                const index = data.indices ? data.indices[f * 3 + k] : f * 3 + k;
+                transformVertex(data.positions, index, data.matrix, v, k * 3);
+            }
+            if (!isInside((v[0] + v[3] + v[6]) / 3, (v[1] + v[4] + v[7]) / 3, (v[2] + v[5] + v[8]) / 3)) continue;
+            kept.set(v, size);
+            size += 9;
+        }
+        chunks.push(kept.subarray(0, size));
+        total += size;
+    });
+
+    const positions = new Float32Array(total);
+    let offset = 0;
+    chunks.forEach(chunk => {
+        positions.set(chunk, offset);
+        offset += chunk.length;
+    });
+    return positions;
+}
+
+
+// --- PONTO DE ENTRADA DO WORKER ---
+self.onmessage = (e) => {
+    const { meshesData, region } = e.data;
+    const logger = new WorkerLogger();
+
+    try {
+        const meshes = meshesData.filter(data => !data.isPoints);
+        if (meshes.length === 0) {
+            throw new Error('Nenhuma malha visível para recortar');
+        }
+
+        const started = performance.now();
+        const positions = cropTriangles(meshes, region);
+        if (positions.length === 0) {
+            throw new Error('Nenhum triângulo dentro da região');
+        }
+        logger.info(`CropWorker: ${positions.length / 9} triangles in ${(performance.now() - started).toFixed(0)} ms`);
+
+        self.postMessage({ status: 'success', positions }, [positions.buffer]);
+    } catch (error) {
+        logger.error('Erro no Crop Worker', error);
+        self.postMessage({ status: 'error', error: error.message });
+    }
+};
@@ -0,0 +1,65 @@
+import * as THREE from 'three';
+import { VolumeCalculator } from '../utils/VolumeCalculator.js';
+import { WorkerLogger } from '../../../utils/WorkerLogger.js';
+
+/**
+ * Recria um "modelo falso" (Object3D) que o calculator pode atravessar.
+ */
+function buildFakeModel(meshesData) {
+    const fakeModel = new THREE.Object3D();
+    meshesData.forEach(data => {
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(data.positions, 3));
+        if (data.indices) {
+            geometry.setIndex(new THREE.BufferAttribute(data.indices, 1));
+        }
+        const mesh = new THREE.Mesh(geometry);
+        mesh.matrixWorld.fromArray(data.matrix);
+        mesh.matrixAutoUpdate = false;
+        fakeModel.add(mesh);
+    });
+    return fakeModel;
+}
+
+
+// --- PONTO DE ENTRADA DO WORKER ---
+self.onmessage = (e) => {
+    const { meshesData, polygonData, base = { type: 'plane' } } = e.data;
+    const logger = new WorkerLogger();
+
+    try {
+        const calculator = new VolumeCalculator(logger);
+        const polygonPoints = polygonData.map(p => new THREE.Vector3().fromArray(p));
+        const fakeModel = buildFakeModel(meshesData);
+        const fakeBase = base.type === 'surface' ? buildFakeModel(base.meshesData) : null;
+
+        // Executa o cálculo (pesado)
+        const result = fakeBase
+            ? calculator.calculateVolumeBetweenSurfaces(fakeModel, fakeBase, polygonPoints)
+            : calculator.calculateVolume(fakeModel, polygonPoints, base.type === 'level' ? base.level : null);
+
+        const positionArray = result.highlightedGeometry?.attributes.position.array || null;
+        const colorArray = result.highlightedGeometry?.attributes.color?.array || null;
+
+        // Limpa a geometria reidratada para liberar memória
+        fakeModel.traverse(child => child.geometry?.dispose());
+        fakeBase?.traverse(child => child.geometry?.dispose());
+
+        const transfer = [positionArray, colorArray].filter(Boolean).map(array => array.buffer);
+        self.postMessage({
+            status: 'success',
+            volume: result.volume,
+            cut: result.cut,
+            fill: result.fill,
+            net: result.net,
+            highlightedGeometryData: positionArray,
+            highlightedColorData: colorArray,
+            method: result.method,
+            triangleCount: result.triangleCount
+        }, transfer);
+
+    } catch (error) {
+        logger.error('Erro no Volume Worker', error);
+        self.postMessage({ status: 'error', error: error.message });
+    }
+};
@@ -0,0 +1,306 @@
+// src/modules/project.js (Coordinator File)
+
+import {
+    ProjectArchive,
+    PROJECT_FILE_EXTENSION,
+    PROJECT_FORMAT,
+    PROJECT_FORMAT_VERSION
+} from './project/ProjectArchive.js';
+import { downloadBlob } from '../utils/Utils.js';
+
+/**
+ * @class Project
+ * @description
+ * Saves the current session to a .visio360 file and reopens it later.
+ * A project holds the models of every layer (embedded or by URL), every measurement
+ * with its author, the camera pose and the tool settings. Other modules take part through
+ * the 'project:state:collect' / 'project:state:restore' events, so this coordinator
+ * never needs to know their internals.
+ */
+export class Project {
+    constructor(logger, eventBus, measurements, collaboration) {
+        this.logger = logger;
+        this.eventBus = eventBus;
+        this.measurements = measurements;
+        this.collaboration = collaboration;
+
+        this.archive = new ProjectArchive(logger);
+
+        // The models currently in the scene, with the source needed to save them
+        this.models = [];
+        this.isBusy = false;
+
+        this._setupEventListeners();
+
+        this.logger.info('Project Module: Initialized');
+    }
+
+    /**
+     * @private
+     */
+    _setupEventListeners() {
+        this.eventBus.on('model:loaded', (payload) => this._trackModel(payload));
+        this.eventBus.on('layer:removed', (payload) => {
+            this.models = this.models.filter(model => model.layerId !== payload.id);
+        });
+        this.eventBus.on('project:save:request', (payload) => this.save(payload));
+        this.eventBus.on('project:open:request', (payload) => this.open(payload.file));
+    }
+
+    /**
+     * Remembers where the loaded model came from, one entry per layer in layer order.
+     * @private
+     */
+    _trackModel(payload) {
+        const sourceUrl = payload.model?.userData?.url;
+        const isRemote = sourceUrl && !sourceUrl.startsWith('local-');
+
+        // A replaced scene starts over; an added layer goes after the others
+        if (payload.mode !== 'add') this.models = [];
+        this.models.push({
+            layerId: payload.model?.userData?.layerId || null,
+            fileName: payload.fileName,
+            url: isRemote ? sourceUrl : null,
+            blob: payload.modelBlob || null,
+            companions: payload.files || [], // e.g., .mtl and textures of an .obj
+            upAxis: payload.model?.userData?.transform?.upAxis || null,
+            fileSize: payload.fileSize || payload.modelBlob?.size || 0
+        });
+    }
+
+    // --- PUBLIC API ---
+
+    /**
+     * Returns whether the current model can be saved as a reference (URL) instead of embedded.
+     * @returns {boolean}
+     */
+    canReferenceModel() {
+        return this.models.length > 0 && this.models.every(model => !!model.url);
+    }
+
+    /**
+     * Saves the current session and downloads it as a .visio360 file.
+     * @param {{name?: string, embedModels?: boolean}} options
+     */
+    async save({ name, embedModels = true } = {}) {
+        if (this.isBusy) return;
+        if (this.models.length === 0) {
+            this.eventBus.emit('ui:notification:show', { message: 'Carregue um modelo antes de salvar o projeto', type: 'error' });
+            return;
+        }
+
+        const projectName = (name || '').trim() || this._getDefaultName();
+        this.isBusy = true;
+        this.eventBus.emit('ui:progress:start', { message: 'Salvando projeto...' });
+
+        try {
+            // 1. Let every module write its own state
+            const state = { camera: null, settings: {} };
+            this.eventBus.emit('project:state:collect', state);
+
+            // 2. Models: embedded files or references
+            const files = [];
+            const models = this.models.map((model, index) => {
+                const embed = embedModels || !model.url;
+                const entry = {
+                    fileName: model.fileName,
+                    url: model.url,
+                    embedded: embed && !!model.blob,
+                    upAxis: model.upAxis,
+                    files: [],
+                    fileSize: model.fileSize
+                };
+                if (entry.embedded) {
+                    // The main file always comes first, followed by its companions
+                    [{ name: model.fileName, blob: model.blob }, ...model.companions.map(file => ({ name: file.name, blob: file }))]
+                        .forEach(({ name, blob }) => {
+                            const path = this.archive.getModelFilePath(index, name);
+                            files.push({ path, blob });
+                            entry.files.push(path);
+                        });
+                }
+                return entry;
+            });
+
+            // 3. Measurements, with the name of whoever created them
+            const measurementRecords = this._collectMeasurements();
+            const authors = [...new Set(measurementRecords.map(record => record.author).filter(Boolean))];
+
+            const manifest = {
+                format: PROJECT_FORMAT,
+                version: PROJECT_FORMAT_VERSION,
+                name: projectName,
+                savedAt: new Date().toISOString(),
+                models,
+                camera: state.camera,
+                settings: state.settings,
+                authors,
+                measurements: measurementRecords
+            };
+
+            const blob = await this.archive.pack(manifest, files);
+            downloadBlob(blob, `${projectName}.${PROJECT_FILE_EXTENSION}`);
+
+            this.logger.info(`Project: Saved "${projectName}" with ${measurementRecords.length} measurement(s).`);
+            this.eventBus.emit('project:saved', { name: projectName });
+            this.eventBus.emit('ui:notification:show', { message: 'Projeto salvo com sucesso!', type: 'success' });
+        } catch (error) {
+            this.logger.error('Project: Failed to save project', error);
+            this.eventBus.emit('ui:notification:show', { message: `Erro ao salvar projeto: ${error.message}`, type: 'error' });
+        } finally {
+            this.eventBus.emit('ui:progress:end');
+            this.isBusy = false;
+        }
+    }
+
+    /**
+     * Opens a .visio360 file, replacing the current model and measurements.
+     * @param {File|Blob} file - The project file.
+     */
+    async open(file) {
+        if (this.isBusy || !file) return;
+        this.isBusy = true;
+        this.eventBus.emit('ui:progress:start', { message: 'Abrindo projeto...' });
+
+        try {
+            const { manifest, files } = await this.archive.unpack(file);
+
+            // 1. Remove what belongs to the previous session
+            this._clearMeasurements();
+
+            // 2. Load the models (the loader rebuilds the scene objects): the first one
+            //    replaces the current scene and the others are added as layers on top of it
+            const models = manifest.models || [];
+            for (let index = 0; index < models.length; index++) {
+                await this._loadModel(models[index], files, index === 0 ? 'replace' : 'add');
+
+                // An embedded copy must not make the project forget the original URL
+                const tracked = this.models[this.models.length - 1];
+                if (tracked && !tracked.url) tracked.url = models[index].url || null;
+            }
+
+            // 3. Camera and tool settings
+            this.eventBus.emit('project:state:restore', {
+                camera: manifest.camera || null,
+                settings: manifest.settings || {}
+            });
+
+            // 4. Measurements are replayed through their tools, rebuilding values and visuals
+            const records = manifest.measurements || [];
+            const restoredCount = await this.measurements.restoreMeasurements(records);
+
+            this.logger.info(`Project: Opened "${manifest.name}" (${restoredCount}/${records.length} measurements).`);
+            this.eventBus.emit('project:opened', { name: manifest.name, canReferenceModel: this.canReferenceModel() });
+
+            if (restoredCount < records.length) {
+                this.eventBus.emit('ui:notification:show', {
+                    message: `Projeto aberto, mas ${records.length - restoredCount} medição(ões) não puderam ser restauradas`,
+                    type: 'warning'
+                });
+            } else {
+                this.eventBus.emit('ui:notification:show', { message: 'Projeto aberto com sucesso!', type: 'success' });
+            }
+        } catch (error) {
+            this.logger.error('Project: Failed to open project', error);
+            this.eventBus.emit('ui:notification:show', { message: `Erro ao abrir projeto: ${error.message}`, type: 'error' });
+        } finally {
+            this.eventBus.emit('ui:progress:end');
+            this.isBusy = false;
+        }
+    }
+
+    // --- Internals ---
+
+    /**
+     * Builds the stored records of every finished measurement (local and remote).
+     * @private
+     */
+    _collectMeasurements() {
+        const annotations = this.collaboration?.getAnnotations() || [];
+
+        // The stats already resolve each author's display name
+        const authorById = new Map();
+        Object.values(this.measurements.getMeasurementStats())
+            .filter(Array.isArray) // Skips non-list entries such as the frame description
+            .forEach(group => {
+                group.forEach(item => authorById.set(item.id, item.peerName));
+            });
+
+        return annotations.map(annotation => {
+            const { peerId, authorName, ...record } = annotation;
+            return {
+                ...record,
+                author: authorName || authorById.get(annotation.id) || null
+            };
+        });
+    }
+
+    /**
+     * Deletes every measurement of the current session.
+     * @private
+     */
+    _clearMeasurements() {
+        const annotations = this.collaboration?.getAnnotations() || [];
+        annotations.forEach(annotation => {
+            this.eventBus.emit('measurement:delete', { id: annotation.id });
+        });
+        this.eventBus.emit('measurement:clear:all');
+    }
+
+    /**
+     * Requests a model load and waits for the loader to answer.
+     * @param {Object} model - Manifest entry.
+     * @param {Map<string, Blob>} files - Files unpacked from the archive.
+     * @param {string} mode - 'replace' | 'add' (see ModelLoader).
+     * @private
+     */
+    _loadModel(model, files, mode) {
+        const embeddedBlob = model.embedded ? files.get(model.files?.[0]) : null;
+        const companions = model.embedded
+            ? (model.files || []).slice(1)
+                .filter(path => files.has(path))
+                .map(path => new File([files.get(path)], path.split('/').pop()))
+            : [];
+
+        if (!embeddedBlob && !model.url) {
+            return Promise.reject(new Error(`Arquivo do modelo "${model.fileName}" não encontrado no projeto`));
+        }
+
+        return new Promise((resolve, reject) => {
+            const onLoaded = (payload) => {
+                if (payload.fileName !== model.fileName) return;
+                cleanup();
+                resolve(payload.model);
+            };
+            const onError = (payload) => {
+                if (payload.fileName !== model.fileName) return;
+                cleanup();
+                reject(new Error(`Falha ao carregar o modelo "${model.fileName}": ${payload.error}`));
+            };
+            const cleanup = () => {
+                this.eventBus.off('model:loaded', onLoaded);
+                this.eventBus.off('model:load:error', onError);
+            };
+
+            this.eventBus.on('model:loaded', onLoaded);
+            this.eventBus.on('model:load:error', onError);
+
+            // Measurements are stored in scene coordinates, so the model must be oriented as when saved
+            const upAxis = model.upAxis || null;
+
+            if (embeddedBlob) {
+                this.eventBus.emit('model:load', { fileData: embeddedBlob, fileName: model.fileName, files: companions, upAxis, mode });
+            } else {
+                this.eventBus.emit('model:load', { url: model.url, fileName: model.fileName, upAxis, mode });
+            }
+        });
+    }
+
+    /**
+     * @private
+     */
+    _getDefaultName() {
+        const modelName = this.models[0]?.fileName || 'projeto';
+        return modelName.replace(/\.[^.]+$/, '');
+    }
+}
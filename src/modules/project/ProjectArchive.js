@@ -0,0 +1,102 @@
+// ============================================================================
+// FILE: src/modules/project/ProjectArchive.js
+// ============================================================================
+
+import { zipSync, unzipSync, strToU8, strFromU8 } from 'fflate';
+
+export const PROJECT_FILE_EXTENSION = 'visio360';
+export const PROJECT_FORMAT = 'visio360-project';
+export const PROJECT_FORMAT_VERSION = 1;
+
+const MANIFEST_PATH = 'project.json';
+
+/**
+ * @class ProjectArchive
+ * @description Reads and writes the .visio360 bundle.
+ * Single Responsibility: The on-disk format (a ZIP with a JSON manifest and the model files).
+ *
+ * Layout:
+ *   project.json          - manifest (models, camera, settings, measurements)
+ *   models/<n>/<file>     - embedded model files, when the project packs them
+ */
+export class ProjectArchive {
+    constructor(logger) {
+        this.logger = logger;
+    }
+
+    /**
+     * Packs a manifest and its model files into a .visio360 Blob.
+     * @param {Object} manifest - The project manifest (JSON-safe).
+     * @param {Array<{path: string, blob: Blob}>} files - Files to embed.
+     * @returns {Promise<Blob>}
+     */
+    async pack(manifest, files = []) {
+        const entries = {
+            [MANIFEST_PATH]: strToU8(JSON.stringify(manifest, null, 2))
+        };
+
+        for (const file of files) {
+            const buffer = await file.blob.arrayBuffer();
+            // Model formats are usually compressed already; storing them is much faster
+            entries[file.path] = [new Uint8Array(buffer), { level: 0 }];
+        }
+
+        const zipped = zipSync(entries, { level: 6 });
+        this.logger.info(`ProjectArchive: Packed project with ${files.length} file(s) (${(zipped.byteLength / 1024 / 1024).toFixed(2)}MB)`);
+
+        return new Blob([zipped], { type: 'application/zip' });
+    }
+
+    /**
+     * Unpacks a .visio360 Blob.
+     * @param {Blob} blob - The project file.
+     * @returns {Promise<{manifest: Object, files: Map<string, Blob>}>}
+     */
+    async unpack(blob) {
+        let entries;
+        try {
+            entries = unzipSync(new Uint8Array(await blob.arrayBuffer()));
+        } catch (error) {
+            throw new Error('O arquivo não é um projeto VISIO360 válido');
+        }
+
+        if (!entries[MANIFEST_PATH]) {
+            throw new Error('Projeto sem manifesto (project.json)');
+        }
+
+        const manifest = JSON.parse(strFromU8(entries[MANIFEST_PATH]));
+        this._validateManifest(manifest);
+
+        const files = new Map();
+        Object.entries(entries).forEach(([path, data]) => {
+            if (path !== MANIFEST_PATH && !path.endsWith('/')) {
+                files.set(path, new Blob([data]));
+            }
+        });
+
+        this.logger.info(`ProjectArchive: Unpacked project "${manifest.name}" (version ${manifest.version}, ${files.size} file(s))`);
+        return { manifest, files };
+    }
+
+    /**
+     * Builds the archive path of an embedded model file.
+     * @param {number} modelIndex - Position of the model in the manifest.
+     * @param {string} fileName - Original file name.
+     * @returns {string}
+     */
+    getModelFilePath(modelIndex, fileName) {
+        return `models/${modelIndex}/${fileName}`;
+    }
+
+    /**
+     * @private
+     */
+    _validateManifest(manifest) {
+        if (!manifest || manifest.format !== PROJECT_FORMAT) {
+            throw new Error('O arquivo não é um projeto VISIO360 válido');
+        }
+        if (manifest.version > PROJECT_FORMAT_VERSION) {
+            throw new Error(`Versão de projeto não suportada (${manifest.version}). Atualize o aplicativo.`);
+        }
+    }
+}
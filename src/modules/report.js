@@ -0,0 +1,288 @@
+// src/modules/report.js (Coordinator File)
+
+import * as THREE from 'three';
+import { MEASUREMENT_GROUPS } from './measurements/utils/MeasurementGroups.js';
+import { downloadBlob } from '../utils/Utils.js';
+import {
+    DEFAULT_UNIT_SETTINGS,
+    formatLength,
+    formatArea,
+    formatVolume,
+    formatAngle,
+    unitLabel
+} from '../utils/Units.js';
+
+const FORMATTERS = { length: formatLength, area: formatArea, volume: formatVolume, angle: formatAngle };
+
+// Snapshots are rendered at this size (px) and placed in the PDF with the same aspect
+const SNAPSHOT_WIDTH = 1200;
+const SNAPSHOT_HEIGHT = 750;
+
+/**
+ * @class Report
+ * @description
+ * Builds a printable PDF inspection report, fully in the browser: a cover page with the project
+ * name, date and a view of the model, the model layers and their reference (frame, CRS, scale
+ * calibration, units), a summary by author, the measurements grouped by type and a snapshot of
+ * each measurement. Snapshots are framed around the measurement from the current view direction
+ * and rendered with it highlighted, like a click on the measurements panel does.
+ * Listens to 'report:generate:request' ({name, includeSnapshots}). The PDF writer (jsPDF) is
+ * only loaded the first time a report is generated.
+ */
+export class Report {
+    constructor(logger, eventBus, renderer, measurements, coordinateSystem, units) {
+        this.logger = logger;
+        this.eventBus = eventBus;
+        this.renderer = renderer;
+        this.measurements = measurements;
+        this.coordinateSystem = coordinateSystem;
+        this.units = units;
+
+        this.layers = [];
+        this.isBusy = false;
+
+        this._setupEventListeners();
+
+        this.logger.info('Report Module: Initialized');
+    }
+
+    /**
+     * @private
+     */
+    _setupEventListeners() {
+        this.eventBus.on('layers:changed', (payload) => {
+            this.layers = payload.layers;
+        });
+        this.eventBus.on('report:generate:request', (payload) => this.generate(payload));
+    }
+
+    // --- PUBLIC API ---
+
+    /**
+     * Generates the report and downloads it.
+     * @param {{name?: string, includeSnapshots?: boolean}} [options]
+     */
+    async generate({ name, includeSnapshots = true } = {}) {
+        if (this.isBusy) return;
+        if (this.layers.length === 0) {
+            this.eventBus.emit('ui:notification:show', { message: 'Carregue um modelo antes de gerar o relatório', type: 'error' });
+            return;
+        }
+
+        const projectName = (name || '').trim() || this.layers[0].name.replace(/\.[^.]+$/, '');
+        this.isBusy = true;
+        this.eventBus.emit('ui:progress:start', { message: 'Gerando relatório...' });
+
+        try {
+            const stats = this.measurements.getMeasurementStats();
+            const units = stats.units || DEFAULT_UNIT_SETTINGS;
+            const items = this._collectItems(stats);
+
+            let coverImage = null;
+            let figures = [];
+            if (includeSnapshots) {
+                coverImage = this.renderer.capture({ width: SNAPSHOT_WIDTH, height: SNAPSHOT_HEIGHT, type: 'image/jpeg', quality: 0.9 });
+                figures = await this._captureSnapshots(items, units);
+            }
+
+            const { createReportPdfBlob } = await import('../utils/exporters/PdfReportExporter.js');
+            const blob = createReportPdfBlob({
+                title: 'Relatório de Inspeção',
+                projectName,
+                date: new Date(),
+                coverImage,
+                imageAspect: SNAPSHOT_WIDTH / SNAPSHOT_HEIGHT,
+                summary: [
+                    ['Modelos', this.layers.map(layer => layer.name).join(', ')],
+                    ['Medições', String(items.length)],
+                    ['Autores', [...new Set(items.map(item => item.author))].join(', ') || '-'],
+                    ['Referencial das coordenadas', stats.frame?.label || 'Cena']
+                ],
+                layers: this._describeLayers(units),
+                modelInfo: this._describeReference(stats, units),
+                authors: this._summarizeAuthors(items),
+                groups: this._tabulateGroups(items, units),
+                figures
+            });
+
+            downloadBlob(blob, `${projectName}_relatorio.pdf`);
+            this.logger.info(`Report: Generated "${projectName}" with ${items.length} measurement(s) and ${figures.length} snapshot(s).`);
+            this.eventBus.emit('ui:notification:show', { message: 'Relatório gerado com sucesso!', type: 'success' });
+        } catch (error) {
+            this.logger.error('Report: Failed to generate the report', error);
+            this.eventBus.emit('ui:notification:show', { message: `Erro ao gerar relatório: ${error.message}`, type: 'error' });
+        } finally {
+            this.isBusy = false;
+            this.eventBus.emit('ui:progress:end');
+        }
+    }
+
+    // --- Internals ---
+
+    /**
+     * Every measurement of the stats in panel order, numbered M1, M2...
+     * @private
+     */
+    _collectItems(stats) {
+        return MEASUREMENT_GROUPS
+            .flatMap(group => (stats[group.key] || []).map(item => ({ ...item, group, author: item.peerName || '-' })))
+            .map((item, i) => ({ ...item, number: `M${i + 1}` }));
+    }
+
+    /**
+     * Renders one snapshot per measurement, highlighted and framed from the current view
+     * direction. The highlight of the panel is put back afterwards.
+     * @private
+     */
+    async _captureSnapshots(items, units) {
+        const previousHighlight = this.measurements.highlightedMeasurementId;
+        const figures = [];
+
+        try {
+            for (let i = 0; i < items.length; i++) {
+                const item = items[i];
+                const camera = this._frameCamera(this.measurements.getMeasurementPoints(item.id));
+                if (!camera) continue;
+
+                this.measurements.setHighlight(item.id);
+                figures.push({
+                    image: this.renderer.capture({ width: SNAPSHOT_WIDTH, height: SNAPSHOT_HEIGHT, camera, type: 'image/jpeg', quality: 0.85 }),
+                    caption: [item.number, item.group.label, item.name, FORMATTERS[item.group.quantity](item.value, units), item.author]
+                        .filter(Boolean).join(' · ')
+                });
+
+                this.eventBus.emit('ui:progress:update', { progress: ((i + 1) / items.length) * 100 });
+                await new Promise(resolve => setTimeout(resolve)); // Lets the progress bar repaint
+            }
+        } finally {
+            this.measurements.setHighlight(previousHighlight);
+        }
+        return figures;
+    }
+
+    /**
+     * A copy of the view camera, looking at the points from the same direction and far enough
+     * to fit them (and their labels).
+     * @param {THREE.Vector3[]} points
+     * @returns {THREE.PerspectiveCamera|null}
+     * @private
+     */
+    _frameCamera(points) {
+        if (points.length === 0) return null;
+
+        const view = this.renderer.camera;
+        const sphere = new THREE.Box3().setFromPoints(points).getBoundingSphere(new THREE.Sphere());
+        const radius = Math.max(sphere.radius, 1); // Labels are about 1.2 units wide
+        const halfFov = THREE.MathUtils.degToRad(view.fov) / 2;
+        const distance = (radius / Math.sin(halfFov)) * 1.2;
+
+        const camera = view.clone();
+        const direction = view.getWorldDirection(new THREE.Vector3());
+        camera.position.copy(sphere.center).addScaledVector(direction, -distance);
+        camera.lookAt(sphere.center);
+        camera.updateMatrixWorld();
+        return camera;
+    }
+
+    /**
+     * @private
+     */
+    _describeLayers(units) {
+        const count = (value) => (value ? value.toLocaleString('pt-BR') : '-');
+        const rows = this.layers.map(layer => {
+            let vertices = 0;
+            let triangles = 0;
+            let points = 0;
+            layer.model.traverse(object => {
+                const position = object.geometry?.attributes?.position;
+                if (!position) return;
+                if (object.isPoints) {
+                    points += position.count;
+                } else if (object.isMesh) {
+                    vertices += position.count;
+                    triangles += (object.geometry.index?.count ?? position.count) / 3;
+                }
+            });
+
+            const size = new THREE.Box3().setFromObject(layer.object).getSize(new THREE.Vector3());
+            return [
+                layer.name,
+                layer.visible ? 'Sim' : 'Não',
+                count(vertices),
+                count(Math.round(triangles)),
+                count(points),
+                size.toArray().map(value => formatLength(value, units, { withUnit: false })).join(' × ') + ` ${unitLabel('length', units)}`
+            ];
+        });
+
+        return { head: ['Camada', 'Visível', 'Vértices', 'Triângulos', 'Pontos', 'Dimensões (X × Y × Z)'], rows };
+    }
+
+    /**
+     * @private
+     */
+    _describeReference(stats, units) {
+        const georeference = this.coordinateSystem?.georeference;
+        const scale = units.scale ?? 1;
+        return [
+            ['Referencial das coordenadas', stats.frame?.label || 'Cena'],
+            ['Georreferenciamento', georeference ? georeference.code : 'Não georreferenciado'],
+            ['Calibração de escala', scale !== 1 ? `1 unidade da cena = ${scale.toFixed(6)} m` : 'Sem calibração'],
+            ['Unidades', `${unitLabel('length', units)}, ${unitLabel('area', units)}, ${unitLabel('volume', units)}, ângulos em ${unitLabel('angle', units)} (${units.decimals} casas decimais)`]
+        ];
+    }
+
+    /**
+     * How many measurements of each type every author made.
+     * @private
+     */
+    _summarizeAuthors(items) {
+        const groups = MEASUREMENT_GROUPS.filter(group => items.some(item => item.group === group));
+        const authors = [...new Set(items.map(item => item.author))];
+
+        const rows = authors.map(author => {
+            const own = items.filter(item => item.author === author);
+            return [author, String(own.length), ...groups.map(group => String(own.filter(item => item.group === group).length))];
+        });
+        return { head: ['Autor', 'Total', ...groups.map(group => group.title)], rows };
+    }
+
+    /**
+     * @private
+     */
+    _tabulateGroups(items, units) {
+        return MEASUREMENT_GROUPS
+            .map(group => ({ group, items: items.filter(item => item.group === group) }))
+            .filter(({ items: own }) => own.length > 0)
+            .map(({ group, items: own }) => ({
+                title: group.title,
+                head: ['Nº', 'Nome', 'Valor', 'Detalhes', 'Autor', 'Tags e nota'],
+                rows: own.map(item => [
+                    item.number,
+                    item.name || '',
+                    FORMATTERS[group.quantity](item.value, units),
+                    this._describeDetail(item, units),
+                    item.author,
+                    [(item.tags || []).map(tag => `#${tag}`).join(' '), item.note].filter(Boolean).join('\n')
+                ])
+            }));
+    }
+
+    /**
+     * The secondary values shown in the measurements panel (see MeasurementsPanel._getDetail).
+     * @private
+     */
+    _describeDetail(item, units) {
+        if (item.horizontalLength !== undefined) {
+            return `Horizontal ${formatLength(item.horizontalLength, units)}`;
+        }
+        if (item.slopeDegrees !== undefined) {
+            const percent = item.slopePercent === null ? 'vertical' : `${item.slopePercent.toFixed(units.decimals)}%`;
+            return `Horiz. ${formatLength(item.horizontal, units)} · ${percent} · ${formatAngle(item.slopeDegrees, units)}`;
+        }
+        if (item.cut !== undefined && item.fill !== undefined) {
+            return `Corte ${formatVolume(item.cut, units)} · Aterro ${formatVolume(item.fill, units)}`;
+        }
+        return '';
+    }
+}
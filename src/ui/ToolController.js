@@ -2,6 +2,7 @@
 import { IdleState } from '../core/interaction-states/IdleState.js';
 import { PointMeasurementState } from '../core/interaction-states/PointMeasurementState.js';
 import { PolygonMeasurementState } from '../core/interaction-states/PolygonMeasurementState.js';
+import { EditMeasurementState } from '../core/interaction-states/EditMeasurementState.js';
 
 /**
  * @class ToolController
@@ -47,14 +48,24 @@ export class ToolController {
         switch (toolName) {
             case 'measure':
             case 'angle':
+            case 'height':
+            case 'gcp': // Pontos de controle do georreferenciamento
+            case 'calibrate': // Pares de referência da calibração de escala
                 this.activeState = new PointMeasurementState(toolName, this.eventBus);
                 break;
             
+            case 'polyline':
+            case 'profile': // Perfil do terreno (módulo de Análise)
+            case 'contours': // Polígono das curvas de nível (módulo de Análise)
             case 'area':
             case 'surfaceArea':
             case 'volume':
                 this.activeState = new PolygonMeasurementState(toolName, this.eventBus);
                 break;
+
+            case 'edit': // Arrastar pontos de medições finalizadas
+                this.activeState = new EditMeasurementState(this.eventBus);
+                break;
             
             case 'none':
             default:
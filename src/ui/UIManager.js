@@ -5,6 +5,15 @@ import { CollaborationUI } from './modules/CollaborationUI.js';
 import { ModelUI } from './modules/ModelUI.js';
 import { MeasurementsPanel } from './modules/MeasurementsPanel.js';
 import { AppChromeUI } from './modules/AppChromeUI.js'; // <<< ADD THIS
+import { ProjectUI } from './modules/ProjectUI.js';
+import { ReportUI } from './modules/ReportUI.js';
+import { CaptureUI } from './modules/CaptureUI.js';
+import { GeoreferenceUI } from './modules/GeoreferenceUI.js';
+import { LayerTreeUI } from './modules/LayerTreeUI.js';
+import { AnalysisUI } from './modules/AnalysisUI.js';
+import { VolumeOptionsUI } from './modules/VolumeOptionsUI.js';
+import { UnitsUI } from './modules/UnitsUI.js';
+import { CalibrationUI } from './modules/CalibrationUI.js';
 
 export class UIManager {
     constructor(logger, eventBus) {
@@ -51,18 +60,146 @@ export class UIManager {
             loadModelUrlBtn: this.ui.loadModelUrlBtn,
             modelUrlInput: this.ui.modelUrlInput,
             fileInput: this.ui.fileInput,
+            modelUpAxisSelect: this.ui.modelUpAxisSelect,
+            modelAddLayerGroup: this.ui.modelAddLayerGroup,
+            modelAddLayerCheckbox: this.ui.modelAddLayerCheckbox,
+            addLayerBtn: this.ui.addLayerBtn,
+            modelDropArea: this.ui.modelDropArea,
             modelInputArea: this.ui.modelInputArea,
             modelInfoArea: this.ui.modelInfoArea,
             modelNameDisplay: this.ui.modelNameDisplay,
             currentModelName: this.ui.currentModelName,
             changeModelBtn: this.ui.changeModelBtn,
             modelFormatDisplay: this.ui.modelFormatDisplay,
-            modelVerticesDisplay: this.ui.modelVerticesDisplay
+            modelVerticesDisplay: this.ui.modelVerticesDisplay,
+            modelStatsBtn: this.ui.modelStatsBtn,
+            modelStatsResult: this.ui.modelStatsResult,
+            pointCloudControls: this.ui.pointCloudControls,
+            pointSizeInput: this.ui.pointSizeInput,
+            pointSizeDisplay: this.ui.pointSizeDisplay,
+            pointColorModeSelect: this.ui.pointColorModeSelect
         });
         
+        this.modules.layers = new LayerTreeUI(this.logger, this.eventBus, {
+            layerTree: this.ui.layerTree
+        });
+
+        this.modules.project = new ProjectUI(this.logger, this.eventBus, {
+            saveProjectBtn: this.ui.saveProjectBtn,
+            openProjectBtn: this.ui.openProjectBtn,
+            projectInput: this.ui.projectInput,
+            projectSaveSection: this.ui.projectSaveSection,
+            closeProjectModal: this.ui.closeProjectModal,
+            projectNameInput: this.ui.projectNameInput,
+            projectEmbedModel: this.ui.projectEmbedModel,
+            projectSaveConfirmBtn: this.ui.projectSaveConfirmBtn
+        });
+
+        this.modules.report = new ReportUI(this.logger, this.eventBus, {
+            reportBtn: this.ui.reportBtn,
+            reportSection: this.ui.reportSection,
+            closeReportModal: this.ui.closeReportModal,
+            reportNameInput: this.ui.reportNameInput,
+            reportIncludeSnapshots: this.ui.reportIncludeSnapshots,
+            reportGenerateBtn: this.ui.reportGenerateBtn
+        });
+
+        this.modules.capture = new CaptureUI(this.logger, this.eventBus, {
+            captureBtn: this.ui.captureBtn,
+            captureSection: this.ui.captureSection,
+            closeCaptureModal: this.ui.closeCaptureModal,
+            captureView: this.ui.captureView,
+            captureWidth: this.ui.captureWidth,
+            captureHeight: this.ui.captureHeight,
+            captureOverlays: this.ui.captureOverlays,
+            captureGrid: this.ui.captureGrid,
+            captureBackground: this.ui.captureBackground,
+            captureScaleBar: this.ui.captureScaleBar,
+            captureGenerateBtn: this.ui.captureGenerateBtn
+        });
+
+        this.modules.georeference = new GeoreferenceUI(this.logger, this.eventBus, {
+            georefStatus: this.ui.georefStatus,
+            georefCrsInput: this.ui.georefCrsInput,
+            georefCrsList: this.ui.georefCrsList,
+            georefProj4Input: this.ui.georefProj4Input,
+            georefAssignBtn: this.ui.georefAssignBtn,
+            georefGcpCount: this.ui.georefGcpCount,
+            georefPickBtn: this.ui.georefPickBtn,
+            georefGcpList: this.ui.georefGcpList,
+            georefSolveBtn: this.ui.georefSolveBtn,
+            georefSolution: this.ui.georefSolution,
+            georefClearBtn: this.ui.georefClearBtn
+        });
+
+        this.modules.calibration = new CalibrationUI(this.logger, this.eventBus, {
+            calibrationStatus: this.ui.calibrationStatus,
+            calibrationPickBtn: this.ui.calibrationPickBtn,
+            calibrationPairList: this.ui.calibrationPairList,
+            calibrationSolution: this.ui.calibrationSolution,
+            calibrationClearBtn: this.ui.calibrationClearBtn
+        });
+
+        this.modules.units = new UnitsUI(this.logger, this.eventBus, {
+            unitsSystemSelect: this.ui.unitsSystemSelect,
+            unitsLengthSelect: this.ui.unitsLengthSelect,
+            unitsAreaSelect: this.ui.unitsAreaSelect,
+            unitsVolumeSelect: this.ui.unitsVolumeSelect,
+            unitsAngleSelect: this.ui.unitsAngleSelect,
+            unitsDecimalsInput: this.ui.unitsDecimalsInput,
+            unitsCustomGroup: this.ui.unitsCustomGroup,
+            unitsCustomLabelInput: this.ui.unitsCustomLabelInput,
+            unitsCustomFactorInput: this.ui.unitsCustomFactorInput
+        });
+
+        this.modules.volumeOptions = new VolumeOptionsUI(this.logger, this.eventBus, {
+            volumeBaseTypeSelect: this.ui.volumeBaseTypeSelect,
+            volumeBaseLayerGroup: this.ui.volumeBaseLayerGroup,
+            volumeBaseLayerSelect: this.ui.volumeBaseLayerSelect,
+            volumeBaseElevationGroup: this.ui.volumeBaseElevationGroup,
+            volumeBaseElevationInput: this.ui.volumeBaseElevationInput
+        });
+
+        this.modules.analysis = new AnalysisUI(this.logger, this.eventBus, {
+            changeSourceSelect: this.ui.changeSourceSelect,
+            changeTargetSelect: this.ui.changeTargetSelect,
+            changeMaxDistanceInput: this.ui.changeMaxDistanceInput,
+            changeRunBtn: this.ui.changeRunBtn,
+            changeResult: this.ui.changeResult,
+            changeStats: this.ui.changeStats,
+            changeLegend: this.ui.changeLegend,
+            changeHistogram: this.ui.changeHistogram,
+            changeLimitInput: this.ui.changeLimitInput,
+            changeVisibleCheckbox: this.ui.changeVisibleCheckbox,
+            changeExportBtn: this.ui.changeExportBtn,
+            changeClearBtn: this.ui.changeClearBtn,
+            profileSpacingInput: this.ui.profileSpacingInput,
+            profileDrawBtn: this.ui.profileDrawBtn,
+            profileResult: this.ui.profileResult,
+            profileStats: this.ui.profileStats,
+            profileChart: this.ui.profileChart,
+            profileReadout: this.ui.profileReadout,
+            profileExportCsvBtn: this.ui.profileExportCsvBtn,
+            profileExportSvgBtn: this.ui.profileExportSvgBtn,
+            profileExportPngBtn: this.ui.profileExportPngBtn,
+            profileClearBtn: this.ui.profileClearBtn,
+            contourIntervalInput: this.ui.contourIntervalInput,
+            contourIndexEveryInput: this.ui.contourIndexEveryInput,
+            contourRunBtn: this.ui.contourRunBtn,
+            contourPolygonBtn: this.ui.contourPolygonBtn,
+            contourResult: this.ui.contourResult,
+            contourStats: this.ui.contourStats,
+            contourVisibleCheckbox: this.ui.contourVisibleCheckbox,
+            contourExportDxfBtn: this.ui.contourExportDxfBtn,
+            contourExportGeoJsonBtn: this.ui.contourExportGeoJsonBtn,
+            contourClearBtn: this.ui.contourClearBtn
+        });
+
         this.modules.measurements = new MeasurementsPanel(this.logger, this.eventBus, {
             // ... (elements passed in) ...
             measurementsPanel: this.ui.measurementsPanel,
+            measurementsFilter: this.ui.measurementsFilter,
+            measurementsExport: this.ui.measurementsExport,
             measurementsContainer: this.ui.measurementsContainer
         });
 
@@ -71,13 +208,24 @@ export class UIManager {
             leftPanel: this.ui.leftPanel,
             rightPanel: this.ui.rightPanel,
             measureToolBtn: this.ui.measureToolBtn,
+            polylineToolBtn: this.ui.polylineToolBtn,
             areaToolBtn: this.ui.areaToolBtn,
             angleToolBtn: this.ui.angleToolBtn,
+            heightToolBtn: this.ui.heightToolBtn,
+            profileToolBtn: this.ui.profileToolBtn,
             surfaceAreaToolBtn: this.ui.surfaceAreaToolBtn,
             volumeToolBtn: this.ui.volumeToolBtn, 
             volumeBoxToolBtn: this.ui.volumeBoxToolBtn, // <-- NOVO
+            editToolBtn: this.ui.editToolBtn,
+            undoBtn: this.ui.undoBtn,
+            redoBtn: this.ui.redoBtn,
+            snapMeasurementBtn: this.ui.snapMeasurementBtn,
+            snapVertexBtn: this.ui.snapVertexBtn,
+            snapMidpointBtn: this.ui.snapMidpointBtn,
+            snapEdgeBtn: this.ui.snapEdgeBtn,
             toolInstructions: this.ui.toolInstructions,
             coordinates: this.ui.coordinates,
+            coordinateFrameSelect: this.ui.coordinateFrameSelect,
             fpsCounter: this.ui.fpsCounter,
             progressBarContainer: this.ui.progressBarContainer,
             progressBarFill: this.ui.progressBarFill,
@@ -125,6 +273,11 @@ export class UIManager {
             loadModelUrlBtn: document.getElementById('load-model-url-btn'),
             modelUrlInput: document.getElementById('model-url-input'),
             fileInput: document.getElementById('model-input'),
+            modelUpAxisSelect: document.getElementById('model-up-axis'),
+            modelAddLayerGroup: document.getElementById('model-add-layer-group'),
+            modelAddLayerCheckbox: document.getElementById('model-add-layer'),
+            addLayerBtn: document.getElementById('add-layer-btn'),
+            modelDropArea: document.querySelector('label[for="model-input"]'),
             modelInputArea: document.getElementById('model-input-area'),
             modelInfoArea: document.getElementById('model-info-area'),
             modelNameDisplay: document.getElementById('model-name-display'),
@@ -132,23 +285,150 @@ export class UIManager {
             changeModelBtn: document.getElementById('change-model-btn'),
             modelFormatDisplay: document.getElementById('model-format-display'),
             modelVerticesDisplay: document.getElementById('model-vertices-display'),
+            modelStatsBtn: document.getElementById('model-stats-btn'),
+            modelStatsResult: document.getElementById('model-stats-result'),
+            pointCloudControls: document.getElementById('point-cloud-controls'),
+            pointSizeInput: document.getElementById('point-size-input'),
+            pointSizeDisplay: document.getElementById('point-size-display'),
+            pointColorModeSelect: document.getElementById('point-color-mode'),
+
+            // Layer tree
+            layerTree: document.getElementById('layer-tree'),
+
+            // Project elements
+            saveProjectBtn: document.getElementById('save-project-btn'),
+            openProjectBtn: document.getElementById('open-project-btn'),
+            projectInput: document.getElementById('project-input'),
+            projectSaveSection: document.getElementById('project-save-section'),
+            closeProjectModal: document.getElementById('close-project-modal'),
+            projectNameInput: document.getElementById('project-name-input'),
+            projectEmbedModel: document.getElementById('project-embed-model'),
+            projectSaveConfirmBtn: document.getElementById('project-save-confirm-btn'),
+            reportBtn: document.getElementById('report-btn'),
+            reportSection: document.getElementById('report-section'),
+            closeReportModal: document.getElementById('close-report-modal'),
+            reportNameInput: document.getElementById('report-name-input'),
+            reportIncludeSnapshots: document.getElementById('report-include-snapshots'),
+            reportGenerateBtn: document.getElementById('report-generate-btn'),
+            captureBtn: document.getElementById('capture-btn'),
+            captureSection: document.getElementById('capture-section'),
+            closeCaptureModal: document.getElementById('close-capture-modal'),
+            captureView: document.getElementById('capture-view'),
+            captureWidth: document.getElementById('capture-width'),
+            captureHeight: document.getElementById('capture-height'),
+            captureOverlays: document.getElementById('capture-overlays'),
+            captureGrid: document.getElementById('capture-grid'),
+            captureBackground: document.getElementById('capture-background'),
+            captureScaleBar: document.getElementById('capture-scale-bar'),
+            captureGenerateBtn: document.getElementById('capture-generate-btn'),
+
+            // Georeferencing elements
+            georefStatus: document.getElementById('georef-status'),
+            georefCrsInput: document.getElementById('georef-crs-input'),
+            georefCrsList: document.getElementById('georef-crs-list'),
+            georefProj4Input: document.getElementById('georef-proj4-input'),
+            georefAssignBtn: document.getElementById('georef-assign-btn'),
+            georefGcpCount: document.getElementById('georef-gcp-count'),
+            georefPickBtn: document.getElementById('georef-pick-btn'),
+            georefGcpList: document.getElementById('georef-gcp-list'),
+            georefSolveBtn: document.getElementById('georef-solve-btn'),
+            georefSolution: document.getElementById('georef-solution'),
+            georefClearBtn: document.getElementById('georef-clear-btn'),
+
+            // Scale calibration
+            calibrationStatus: document.getElementById('calibration-status'),
+            calibrationPickBtn: document.getElementById('calibration-pick-btn'),
+            calibrationPairList: document.getElementById('calibration-pair-list'),
+            calibrationSolution: document.getElementById('calibration-solution'),
+            calibrationClearBtn: document.getElementById('calibration-clear-btn'),
+
+            // Unit settings
+            unitsSystemSelect: document.getElementById('units-system'),
+            unitsLengthSelect: document.getElementById('units-length'),
+            unitsAreaSelect: document.getElementById('units-area'),
+            unitsVolumeSelect: document.getElementById('units-volume'),
+            unitsAngleSelect: document.getElementById('units-angle'),
+            unitsDecimalsInput: document.getElementById('units-decimals'),
+            unitsCustomGroup: document.getElementById('units-custom-group'),
+            unitsCustomLabelInput: document.getElementById('units-custom-label'),
+            unitsCustomFactorInput: document.getElementById('units-custom-factor'),
+
+            // Volume options
+            volumeBaseTypeSelect: document.getElementById('volume-base-type'),
+            volumeBaseLayerGroup: document.getElementById('volume-base-layer-group'),
+            volumeBaseLayerSelect: document.getElementById('volume-base-layer'),
+            volumeBaseElevationGroup: document.getElementById('volume-base-elevation-group'),
+            volumeBaseElevationInput: document.getElementById('volume-base-elevation'),
+
+            // Analysis elements (change detection)
+            changeSourceSelect: document.getElementById('change-source-select'),
+            changeTargetSelect: document.getElementById('change-target-select'),
+            changeMaxDistanceInput: document.getElementById('change-max-distance'),
+            changeRunBtn: document.getElementById('change-run-btn'),
+            changeResult: document.getElementById('change-result'),
+            changeStats: document.getElementById('change-stats'),
+            changeLegend: document.getElementById('change-legend'),
+            changeHistogram: document.getElementById('change-histogram'),
+            changeLimitInput: document.getElementById('change-limit-input'),
+            changeVisibleCheckbox: document.getElementById('change-visible'),
+            changeExportBtn: document.getElementById('change-export-btn'),
+            changeClearBtn: document.getElementById('change-clear-btn'),
+
+            // Analysis elements (terrain profile)
+            profileSpacingInput: document.getElementById('profile-spacing'),
+            profileDrawBtn: document.getElementById('profile-draw-btn'),
+            profileResult: document.getElementById('profile-result'),
+            profileStats: document.getElementById('profile-stats'),
+            profileChart: document.getElementById('profile-chart'),
+            profileReadout: document.getElementById('profile-readout'),
+            profileExportCsvBtn: document.getElementById('profile-export-csv-btn'),
+            profileExportSvgBtn: document.getElementById('profile-export-svg-btn'),
+            profileExportPngBtn: document.getElementById('profile-export-png-btn'),
+            profileClearBtn: document.getElementById('profile-clear-btn'),
+
+            // Analysis elements (contour lines)
+            contourIntervalInput: document.getElementById('contour-interval'),
+            contourIndexEveryInput: document.getElementById('contour-index-every'),
+            contourRunBtn: document.getElementById('contour-run-btn'),
+            contourPolygonBtn: document.getElementById('contour-polygon-btn'),
+            contourResult: document.getElementById('contour-result'),
+            contourStats: document.getElementById('contour-stats'),
+            contourVisibleCheckbox: document.getElementById('contour-visible'),
+            contourExportDxfBtn: document.getElementById('contour-export-dxf-btn'),
+            contourExportGeoJsonBtn: document.getElementById('contour-export-geojson-btn'),
+            contourClearBtn: document.getElementById('contour-clear-btn'),
 
             // Measurement tool elements
             measureToolBtn: document.getElementById('measure-tool-btn'),
+            polylineToolBtn: document.getElementById('polyline-tool-btn'),
             areaToolBtn: document.getElementById('area-tool-btn'),
             angleToolBtn: document.getElementById('angle-tool-btn'),
+            heightToolBtn: document.getElementById('height-tool-btn'),
+            profileToolBtn: document.getElementById('profile-tool-btn'),
             surfaceAreaToolBtn: document.getElementById('surface-area-tool-btn'),
             volumeToolBtn: document.getElementById('volume-tool-btn'), 
             volumeBoxToolBtn: document.getElementById('volume-box-tool-btn'), // <-- NOVO
+            editToolBtn: document.getElementById('edit-tool-btn'),
+            undoBtn: document.getElementById('undo-btn'),
+            redoBtn: document.getElementById('redo-btn'),
             clearAllBtn: document.getElementById('clear-all-btn'),
 
+            // Snap mode toggles
+            snapMeasurementBtn: document.getElementById('snap-measurement-btn'),
+            snapVertexBtn: document.getElementById('snap-vertex-btn'),
+            snapMidpointBtn: document.getElementById('snap-midpoint-btn'),
+            snapEdgeBtn: document.getElementById('snap-edge-btn'),
+
             // Measurements panel
             measurementsPanel: document.getElementById('measurements-panel'),
+            measurementsFilter: document.getElementById('measurements-filter'),
+            measurementsExport: document.getElementById('measurements-export'),
             measurementsContainer: document.getElementById('measurements-container'),
 
             // Instructions and status
             toolInstructions: document.getElementById('tool-instructions'),
             coordinates: document.getElementById('coordinates'),
+            coordinateFrameSelect: document.getElementById('coordinate-frame-select'),
             fpsCounter: document.getElementById('fps-counter'),
 
             // Progress/Loading
@@ -178,16 +458,43 @@ export class UIManager {
         // Tool buttons (Global root DOM events)
         this._safeAddEventListener(this.ui.measureToolBtn, 'click', () => 
             this.eventBus.emit('tool:activate', { tool: 'measure' }));
+        this._safeAddEventListener(this.ui.polylineToolBtn, 'click', () => 
+            this.eventBus.emit('tool:activate', { tool: 'polyline' }));
         this._safeAddEventListener(this.ui.areaToolBtn, 'click', () => 
             this.eventBus.emit('tool:activate', { tool: 'area' }));
         this._safeAddEventListener(this.ui.angleToolBtn, 'click', () => 
             this.eventBus.emit('tool:activate', { tool: 'angle' }));
+        this._safeAddEventListener(this.ui.heightToolBtn, 'click', () => 
+            this.eventBus.emit('tool:activate', { tool: 'height' }));
+        this._safeAddEventListener(this.ui.profileToolBtn, 'click', () => 
+            this.eventBus.emit('tool:activate', { tool: 'profile' }));
         this._safeAddEventListener(this.ui.surfaceAreaToolBtn, 'click', () => 
             this.eventBus.emit('tool:activate', { tool: 'surfaceArea' }));
         this._safeAddEventListener(this.ui.volumeToolBtn, 'click', () => // <-- ADICIONADO
             this.eventBus.emit('tool:activate', { tool: 'volume' }));
         this._safeAddEventListener(this.ui.volumeBoxToolBtn, 'click', () => // <-- NOVO
             this.eventBus.emit('tool:activate', { tool: 'volumeBox' }));
+        this._safeAddEventListener(this.ui.editToolBtn, 'click', () =>
+            this.eventBus.emit('tool:activate', { tool: 'edit' }));
+        [['measurement', this.ui.snapMeasurementBtn], ['vertex', this.ui.snapVertexBtn], ['midpoint', this.ui.snapMidpointBtn], ['edge', this.ui.snapEdgeBtn]]
+            .forEach(([mode, button]) => this._safeAddEventListener(button, 'click', () =>
+                this.eventBus.emit('snap:mode:toggle', { mode })));
+        this._safeAddEventListener(this.ui.undoBtn, 'click', () => this.eventBus.emit('history:undo'));
+        this._safeAddEventListener(this.ui.redoBtn, 'click', () => this.eventBus.emit('history:redo'));
+        // Ctrl+Z desfaz; Ctrl+Y ou Ctrl+Shift+Z refaz (fora de campos de texto, que têm o próprio desfazer)
+        document.addEventListener('keydown', (event) => {
+            if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+            if (event.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+
+            const key = event.key.toLowerCase();
+            if (key === 'z' && !event.shiftKey) {
+                event.preventDefault();
+                this.eventBus.emit('history:undo');
+            } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+                event.preventDefault();
+                this.eventBus.emit('history:redo');
+            }
+        });
         this._safeAddEventListener(this.ui.clearAllBtn, 'click', () => {
             this.eventBus.emit('measurement:clear:all');
             this.eventBus.emit('collaboration:clear-all-annotations');
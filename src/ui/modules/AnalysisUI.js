@@ -0,0 +1,385 @@
+// src/ui/modules/AnalysisUI.js
+
+import { ProfileChart } from './ProfileChart.js';
+import { downloadBlob } from '../../utils/Utils.js';
+import { DEFAULT_UNIT_SETTINGS, formatLength } from '../../utils/Units.js';
+
+// Size of the exported profile charts (SVG and PNG)
+const PROFILE_EXPORT_SIZE = { width: 1200, height: 500 };
+
+/**
+ * Manages the "Análise" section of the left panel.
+ * Change detection: picks the compared (A) and reference (B) layers, starts the distance
+ * computation and renders the result (statistics, color legend and histogram).
+ * Terrain profile: activates the 'profile' tool, renders the elevation chart (hovering it
+ * moves a marker in the 3D view) and exports it as CSV, SVG or PNG.
+ * Contour lines: sends the interval settings, starts the computation over the whole model
+ * or activates the 'contours' tool to draw a polygon, and toggles/exports the result.
+ * All state lives in the Analysis module; this class only renders 'analysis:*:result'.
+ * Distances are shown in the display units, with the scale calibration; elevations are
+ * coordinates of the active frame, so only local frames are scaled.
+ */
+export class AnalysisUI {
+    constructor(logger, eventBus, uiElements) {
+        this.logger = logger;
+        this.eventBus = eventBus;
+        this.ui = uiElements; // Receives only the elements it needs
+
+        this.running = false;
+        this.profileChart = null; // ProfileChart of the current profile
+        // The last results are kept, so a unit change or a scale calibration can show them again
+        this.units = { ...DEFAULT_UNIT_SETTINGS, scale: 1 };
+        this.changeResult = null;
+        this.profile = null;
+        this.contours = null;
+
+        this._setupEventListeners();
+    }
+
+    /**
+     * Sets up DOM and EventBus listeners relevant to the analyses.
+     * @private
+     */
+    _setupEventListeners() {
+        // --- DOM Event Listeners ---
+        this._safeAddEventListener(this.ui.changeRunBtn, 'click', () => this._run());
+        this._safeAddEventListener(this.ui.changeLimitInput, 'change', (e) => {
+            const limit = parseFloat(e.target.value);
+            if (limit > 0) this.eventBus.emit('analysis:change:limit', { limit });
+        });
+        this._safeAddEventListener(this.ui.changeVisibleCheckbox, 'change', (e) => {
+            this.eventBus.emit('analysis:change:visibility', { visible: e.target.checked });
+        });
+        this._safeAddEventListener(this.ui.changeExportBtn, 'click', () => this.eventBus.emit('analysis:change:export'));
+        this._safeAddEventListener(this.ui.changeClearBtn, 'click', () => this.eventBus.emit('analysis:change:clear'));
+
+        this._safeAddEventListener(this.ui.profileDrawBtn, 'click', () => this.eventBus.emit('tool:activate', { tool: 'profile' }));
+        this._safeAddEventListener(this.ui.profileSpacingInput, 'change', (e) => {
+            const spacing = parseFloat(e.target.value);
+            this.eventBus.emit('analysis:profile:spacing', { spacing: spacing > 0 ? spacing : null });
+        });
+        this._safeAddEventListener(this.ui.profileChart, 'mousemove', (e) => this._hoverProfile(e.clientX));
+        this._safeAddEventListener(this.ui.profileChart, 'mouseleave', () => this._hoverProfile(null));
+        this._safeAddEventListener(this.ui.profileExportCsvBtn, 'click', () => this.eventBus.emit('analysis:profile:export'));
+        this._safeAddEventListener(this.ui.profileExportSvgBtn, 'click', () => this._exportProfileChart('svg'));
+        this._safeAddEventListener(this.ui.profileExportPngBtn, 'click', () => this._exportProfileChart('png'));
+        this._safeAddEventListener(this.ui.profileClearBtn, 'click', () => this.eventBus.emit('analysis:profile:clear'));
+
+        this._safeAddEventListener(this.ui.contourIntervalInput, 'change', () => this._emitContourSettings());
+        this._safeAddEventListener(this.ui.contourIndexEveryInput, 'change', () => this._emitContourSettings());
+        this._safeAddEventListener(this.ui.contourRunBtn, 'click', () => {
+            this._emitContourSettings();
+            this.eventBus.emit('analysis:contours:run');
+        });
+        this._safeAddEventListener(this.ui.contourPolygonBtn, 'click', () => {
+            this._emitContourSettings();
+            this.eventBus.emit('tool:activate', { tool: 'contours' });
+        });
+        this._safeAddEventListener(this.ui.contourVisibleCheckbox, 'change', (e) => {
+            this.eventBus.emit('analysis:contours:visibility', { visible: e.target.checked });
+        });
+        this._safeAddEventListener(this.ui.contourExportDxfBtn, 'click', () => this.eventBus.emit('analysis:contours:export', { format: 'dxf' }));
+        this._safeAddEventListener(this.ui.contourExportGeoJsonBtn, 'click', () => this.eventBus.emit('analysis:contours:export', { format: 'geojson' }));
+        this._safeAddEventListener(this.ui.contourClearBtn, 'click', () => this.eventBus.emit('analysis:contours:clear'));
+
+        // --- Event Bus Listeners ---
+        this.eventBus.on('layers:changed', (payload) => this._fillLayerSelects(payload.layers));
+        this.eventBus.on('analysis:change:started', () => this._setRunning(true));
+        this.eventBus.on('analysis:change:result', (payload) => {
+            this._setRunning(false);
+            this._renderResult(payload.result);
+        });
+        this.eventBus.on('analysis:profile:result', (payload) => this._renderProfile(payload.result));
+        this.eventBus.on('analysis:contours:started', () => this._setContoursRunning(true));
+        this.eventBus.on('analysis:contours:result', (payload) => {
+            this._setContoursRunning(false);
+            this._renderContours(payload.result);
+        });
+        this.eventBus.on('units:changed', (payload) => {
+            this.units = payload.settings;
+            this._renderResult(this.changeResult);
+            this._renderProfile(this.profile);
+            this._renderContours(this.contours);
+        });
+    }
+
+    _run() {
+        const sourceId = this.ui.changeSourceSelect?.value;
+        const targetId = this.ui.changeTargetSelect?.value;
+        const maxDistance = parseFloat(this.ui.changeMaxDistanceInput?.value);
+        this.eventBus.emit('analysis:change:run', {
+            sourceId,
+            targetId,
+            maxDistance: maxDistance > 0 ? maxDistance : null
+        });
+    }
+
+    _setRunning(running) {
+        this.running = running;
+        this._safeUpdateElement(this.ui.changeRunBtn, el => {
+            el.disabled = running;
+            el.textContent = running ? 'Calculando...' : 'Calcular distâncias';
+        });
+    }
+
+    /**
+     * Keeps the A/B selections when possible; by default A is the newest layer and B the
+     * reference (first) layer.
+     * @private
+     */
+    _fillLayerSelects(layers) {
+        const selects = [this.ui.changeSourceSelect, this.ui.changeTargetSelect];
+        selects.forEach((select, i) => this._safeUpdateElement(select, el => {
+            const previous = el.value;
+            el.innerHTML = '';
+            layers.forEach(layer => {
+                const option = document.createElement('option');
+                option.value = layer.id;
+                option.textContent = layer.name;
+                el.appendChild(option);
+            });
+            if (layers.some(layer => layer.id === previous)) {
+                el.value = previous;
+            } else if (layers.length) {
+                el.value = i === 0 ? layers[layers.length - 1].id : layers[0].id;
+            }
+        }));
+
+        this._safeUpdateElement(this.ui.changeRunBtn, el => {
+            el.disabled = this.running || layers.length < 2;
+            el.title = layers.length < 2 ? 'Carregue ao menos dois modelos como camadas' : '';
+        });
+    }
+
+    /**
+     * @param {Object|null} result - See ChangeDetection._emitResult().
+     * @private
+     */
+    _renderResult(result) {
+        this.changeResult = result;
+        this._safeUpdateElement(this.ui.changeResult, el => {
+            el.style.display = result ? 'block' : 'none';
+        });
+        if (!result) return;
+
+        const { stats, signed } = result;
+        const length = (value) => formatLength(value, this.units);
+        this._safeUpdateElement(this.ui.changeStats, el => {
+            const lines = [
+                `${result.sourceName} → ${result.targetName}${signed ? '' : ' (sem sinal)'}`,
+                `Mín ${length(stats.min)} · Máx ${length(stats.max)}`,
+                `Média ${length(stats.mean)} · Desvio ${length(stats.stdDev)}`,
+                `RMS ${length(stats.rms)} · ${stats.count.toLocaleString()} vértices`
+            ];
+            if (stats.outOfRange) lines.push(`${stats.outOfRange.toLocaleString()} além da distância máxima (cinza)`);
+            el.textContent = lines.join('\n');
+        });
+        this._safeUpdateElement(this.ui.changeLimitInput, el => {
+            if (document.activeElement !== el) el.value = result.limit;
+        });
+        this._safeUpdateElement(this.ui.changeVisibleCheckbox, el => {
+            el.checked = result.visible;
+        });
+
+        this._drawLegend(result.legend);
+        this._drawHistogram(result.histogram, result.legend);
+    }
+
+    _drawLegend(legend) {
+        this._safeUpdateElement(this.ui.changeLegend, canvas => {
+            const ctx = canvas.getContext('2d');
+            const { width, height } = canvas;
+            ctx.clearRect(0, 0, width, height);
+
+            const gradient = ctx.createLinearGradient(0, 0, width, 0);
+            legend.forEach((stop, i) => gradient.addColorStop(i / (legend.length - 1), stop.color));
+            ctx.fillStyle = gradient;
+            ctx.fillRect(0, 0, width, height / 2);
+
+            ctx.fillStyle = '#ccc';
+            ctx.font = '10px sans-serif';
+            ctx.textBaseline = 'top';
+            legend.forEach((stop, i) => {
+                const x = (i / (legend.length - 1)) * width;
+                ctx.textAlign = i === 0 ? 'left' : (i === legend.length - 1 ? 'right' : 'center');
+                // The unit only on the last value, so the five labels fit
+                ctx.fillText(formatLength(stop.value, this.units, { signed: true, withUnit: i === legend.length - 1 }), x, height / 2 + 2);
+            });
+        });
+    }
+
+    _drawHistogram(histogram, legend) {
+        this._safeUpdateElement(this.ui.changeHistogram, canvas => {
+            const ctx = canvas.getContext('2d');
+            const { width, height } = canvas;
+            ctx.clearRect(0, 0, width, height);
+
+            const { bins, below, above } = histogram;
+            const peak = Math.max(1, ...bins);
+            const barWidth = width / bins.length;
+
+            const gradient = ctx.createLinearGradient(0, 0, width, 0);
+            legend.forEach((stop, i) => gradient.addColorStop(i / (legend.length - 1), stop.color));
+            ctx.fillStyle = gradient;
+            bins.forEach((count, i) => {
+                const barHeight = (count / peak) * (height - 12);
+                ctx.fillRect(i * barWidth, height - barHeight, Math.max(1, barWidth - 1), barHeight);
+            });
+
+            // Values beyond the color scale
+            ctx.fillStyle = '#ccc';
+            ctx.font = '10px sans-serif';
+            ctx.textBaseline = 'top';
+            ctx.textAlign = 'left';
+            if (below) ctx.fillText(`◀ ${below.toLocaleString()}`, 0, 0);
+            ctx.textAlign = 'right';
+            if (above) ctx.fillText(`${above.toLocaleString()} ▶`, width, 0);
+        });
+    }
+
+    /**
+     * @param {Object|null} profile - See TerrainProfile._emitResult().
+     * @private
+     */
+    _renderProfile(profile) {
+        this.profile = profile;
+        this.profileChart = profile ? new ProfileChart(profile, this.units, this._elevationUnits(profile.frame)) : null;
+        this._safeUpdateElement(this.ui.profileResult, el => {
+            el.style.display = profile ? 'block' : 'none';
+        });
+        if (!profile) return;
+
+        const { stats, frame } = profile;
+        const length = (value) => formatLength(value, this.units);
+        const elevation = (value) => formatLength(value, this._elevationUnits(frame));
+        this._safeUpdateElement(this.ui.profileStats, el => {
+            const lines = [
+                `Comprimento ${length(stats.length)} (sobre o terreno ${length(stats.surfaceLength)})`,
+                `Cota (${frame.elevationAxis}, ${frame.label}) mín ${elevation(stats.min)} · máx ${elevation(stats.max)}`,
+                `Subida ${elevation(stats.ascent)} · Descida ${elevation(stats.descent)}`
+            ];
+            if (stats.missing) lines.push(`${stats.missing.toLocaleString()} amostras fora do modelo`);
+            el.textContent = lines.join('\n');
+        });
+        this._safeUpdateElement(this.ui.profileReadout, el => el.innerHTML = '&nbsp;');
+        this._safeUpdateElement(this.ui.profileChart, canvas => this.profileChart.draw(canvas));
+    }
+
+    /**
+     * Follows the mouse on the chart: cursor, readout and the marker in the 3D view.
+     * @param {number|null} clientX - null when the mouse leaves the chart.
+     * @private
+     */
+    _hoverProfile(clientX) {
+        if (!this.profileChart) return;
+
+        const canvas = this.ui.profileChart;
+        const index = clientX === null ? null : this.profileChart.indexAt(canvas, clientX);
+        this.profileChart.draw(canvas, index);
+        this.eventBus.emit('analysis:profile:hover', { index });
+
+        this._safeUpdateElement(this.ui.profileReadout, el => {
+            const { distances, elevations, frame } = this.profileChart.profile;
+            const elevation = elevations[index];
+            el.textContent = index === null
+                ? '\u00a0'
+                : `${formatLength(distances[index], this.units)} → ${Number.isFinite(elevation) ? `cota ${formatLength(elevation, this._elevationUnits(frame))}` : 'fora do modelo'}`;
+        });
+    }
+
+    /**
+     * @param {'svg'|'png'} format
+     * @private
+     */
+    async _exportProfileChart(format) {
+        if (!this.profileChart) return;
+
+        const { width, height } = PROFILE_EXPORT_SIZE;
+        try {
+            const blob = format === 'svg'
+                ? new Blob([this.profileChart.toSvg(width, height)], { type: 'image/svg+xml' })
+                : await this.profileChart.toPngBlob(width, height);
+            downloadBlob(blob, `perfil.${format}`);
+            this.eventBus.emit('ui:notification:show', { message: `${format.toUpperCase()} exportado com sucesso!`, type: 'success' });
+        } catch (error) {
+            this.logger.error('AnalysisUI: Failed to export the profile chart', error);
+            this.eventBus.emit('ui:notification:show', { message: 'Falha ao exportar o gráfico', type: 'error' });
+        }
+    }
+
+    /**
+     * @private
+     */
+    _emitContourSettings() {
+        this.eventBus.emit('analysis:contours:settings', {
+            interval: parseFloat(this.ui.contourIntervalInput?.value),
+            indexEvery: parseInt(this.ui.contourIndexEveryInput?.value, 10)
+        });
+    }
+
+    /**
+     * @private
+     */
+    _setContoursRunning(running) {
+        [this.ui.contourRunBtn, this.ui.contourPolygonBtn].forEach(button => this._safeUpdateElement(button, el => {
+            el.disabled = running;
+        }));
+    }
+
+    /**
+     * @param {Object|null} contours - See ContourLines._emitResult().
+     * @private
+     */
+    _renderContours(contours) {
+        this.contours = contours;
+        this._safeUpdateElement(this.ui.contourResult, el => {
+            el.style.display = contours ? 'block' : 'none';
+        });
+        if (!contours) return;
+
+        const { frame } = contours;
+        const elevation = (value) => formatLength(value, this._elevationUnits(frame));
+        this._safeUpdateElement(this.ui.contourStats, el => {
+            const lines = [
+                `${contours.levelCount} curvas (${contours.indexCount} mestras) · ${contours.lineCount.toLocaleString()} linhas`,
+                `Equidistância ${elevation(contours.interval)} · mestra a cada ${contours.indexEvery}${contours.polygon ? ' · em polígono' : ''}`
+            ];
+            if (contours.levelCount) {
+                lines.push(`Cotas (${frame.elevationAxis}, ${frame.label}) de ${elevation(contours.min)} a ${elevation(contours.max)}`);
+            } else {
+                lines.push('Nenhuma cota múltipla da equidistância no modelo');
+            }
+            el.textContent = lines.join('\n');
+        });
+        this._safeUpdateElement(this.ui.contourVisibleCheckbox, el => {
+            el.checked = contours.visible;
+        });
+    }
+
+    /**
+     * Units for elevations in a frame: georeferenced frames already are in meters, so the
+     * scale calibration only applies to the local and original ones.
+     * @param {{id: string}} frame
+     * @private
+     */
+    _elevationUnits(frame) {
+        return frame.id === 'geo' || frame.id === 'geographic' ? { ...this.units, scale: 1 } : this.units;
+    }
+
+    // --- Helper functions ---
+    _safeAddEventListener(element, event, handler) {
+        if (element) {
+            element.addEventListener(event, handler);
+        }
+    }
+
+    _safeUpdateElement(element, updateFn) {
+        if (element) {
+            try {
+                updateFn(element);
+            } catch (error) {
+                this.logger.error('AnalysisUI: Error updating UI element', error);
+            }
+        }
+    }
+}
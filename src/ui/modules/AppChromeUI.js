@@ -30,11 +30,21 @@ export class AppChromeUI {
         // Listen for requests from other modules
         this.eventBus.on('ui:notification:show', p => this._showNotification(p.message, p.type));
         this.eventBus.on('ui:progress:start', p => this._showProgressBar(p.message));
+        this.eventBus.on('ui:progress:update', p => this._updateProgressBar(p.progress));
         this.eventBus.on('ui:progress:end', () => this._hideProgressBar());
 
         // Listen for global app state changes
         this.eventBus.on('tool:changed', p => this._updateToolButtons(p.activeTool));
+        this.eventBus.on('snap:modes:changed', p => this._updateSnapButtons(p.modes));
+        this.eventBus.on('history:changed', p => this._updateHistoryButtons(p));
         this.eventBus.on('ui:instructions:update', p => this._updateInstructions(p.text));
+
+        // Coordinate readout and reference frame selector
+        this.eventBus.on('ui:coordinates:update', p => this.updateCoordinates(p.x, p.y, p.z, p.axes, p.decimals));
+        this.eventBus.on('coordinates:frames:changed', p => this._updateFrameSelector(p.frames, p.active));
+        this._safeAddEventListener(this.ui.coordinateFrameSelect, 'change', (e) => {
+            this.eventBus.emit('coordinates:frame:set', { frame: e.target.value });
+        });
         
         // Listen for progress bar events
         this.eventBus.on('model:loading:progress', p => this._updateProgressBar(p.progress));
@@ -82,7 +92,7 @@ export class AppChromeUI {
 
     _updateToolButtons(tool) {
         // Remove active class from all tool buttons
-        const toolButtons = [this.ui.measureToolBtn, this.ui.areaToolBtn, this.ui.angleToolBtn, this.ui.surfaceAreaToolBtn, this.ui.volumeToolBtn, this.ui.volumeBoxToolBtn]; // <-- MODIFICADO
+        const toolButtons = [this.ui.measureToolBtn, this.ui.polylineToolBtn, this.ui.areaToolBtn, this.ui.angleToolBtn, this.ui.heightToolBtn, this.ui.profileToolBtn, this.ui.surfaceAreaToolBtn, this.ui.volumeToolBtn, this.ui.volumeBoxToolBtn, this.ui.editToolBtn]; // <-- MODIFICADO
         toolButtons.forEach(btn => {
             if (btn) btn.classList.remove('active');
         });
@@ -90,11 +100,15 @@ export class AppChromeUI {
         // Add active class to current tool
         const toolMap = {
             'measure': this.ui.measureToolBtn,
+            'polyline': this.ui.polylineToolBtn,
             'area': this.ui.areaToolBtn,
             'angle': this.ui.angleToolBtn,
+            'height': this.ui.heightToolBtn,
+            'profile': this.ui.profileToolBtn,
             'surfaceArea': this.ui.surfaceAreaToolBtn,
             'volume': this.ui.volumeToolBtn, // <-- ADICIONADO
-            'volumeBox': this.ui.volumeBoxToolBtn // <-- NOVO
+            'volumeBox': this.ui.volumeBoxToolBtn, // <-- NOVO
+            'edit': this.ui.editToolBtn
         };
 
         const activeBtn = toolMap[tool];
@@ -103,6 +117,39 @@ export class AppChromeUI {
         }
     }
 
+    /**
+     * Undo/redo buttons are enabled only with something to undo/redo, and say what it is.
+     * @param {{canUndo: boolean, canRedo: boolean, undoLabel: string|null, redoLabel: string|null}} state - From 'history:changed'.
+     * @private
+     */
+    _updateHistoryButtons({ canUndo, canRedo, undoLabel, redoLabel }) {
+        if (this.ui.undoBtn) {
+            this.ui.undoBtn.disabled = !canUndo;
+            this.ui.undoBtn.title = canUndo ? `Desfazer ${undoLabel} (Ctrl+Z)` : 'Desfazer (Ctrl+Z)';
+        }
+        if (this.ui.redoBtn) {
+            this.ui.redoBtn.disabled = !canRedo;
+            this.ui.redoBtn.title = canRedo ? `Refazer ${redoLabel} (Ctrl+Y)` : 'Refazer (Ctrl+Y)';
+        }
+    }
+
+    /**
+     * Snap toggles stay highlighted while their mode is on.
+     * @param {Object<string, boolean>} modes - From 'snap:modes:changed'.
+     * @private
+     */
+    _updateSnapButtons(modes) {
+        const snapButtons = {
+            'measurement': this.ui.snapMeasurementBtn,
+            'vertex': this.ui.snapVertexBtn,
+            'midpoint': this.ui.snapMidpointBtn,
+            'edge': this.ui.snapEdgeBtn
+        };
+        Object.entries(snapButtons).forEach(([mode, button]) => {
+            if (button) button.classList.toggle('active', !!modes[mode]);
+        });
+    }
+
     _updateInstructions(text) {
         this._safeUpdateElement(this.ui.toolInstructions, el => {
             el.textContent = text || 'Pronto';
@@ -167,9 +214,22 @@ export class AppChromeUI {
 
     // --- Public Methods for Status Bar ---
 
-    updateCoordinates(x, y, z) {
+    updateCoordinates(x, y, z, axes = ['X', 'Y', 'Z'], decimals = 2) {
         this._safeUpdateElement(this.ui.coordinates, el => {
-            el.textContent = `X: ${x.toFixed(2)} | Y: ${y.toFixed(2)} | Z: ${z.toFixed(2)}`;
+            el.textContent = [x, y, z].map((value, i) => `${axes[i]}: ${value.toFixed(decimals)}`).join(' | ');
+        });
+    }
+
+    _updateFrameSelector(frames, active) {
+        this._safeUpdateElement(this.ui.coordinateFrameSelect, el => {
+            el.innerHTML = '';
+            frames.forEach(frame => {
+                const option = document.createElement('option');
+                option.value = frame.id;
+                option.textContent = frame.label;
+                el.appendChild(option);
+            });
+            el.value = active;
         });
     }
 
@@ -0,0 +1,169 @@
+// src/ui/modules/CalibrationUI.js
+import { DEFAULT_UNIT_SETTINGS, formatLength, unitLabel, lengthUnitFactor } from '../../utils/Units.js';
+
+/**
+ * Manages the "Calibração de escala" section of the left panel: picking reference pairs,
+ * typing their real distances (in the active length unit) and the fitted scale with the
+ * residual of each pair. All state lives in the Calibration module; this class only renders
+ * 'calibration:changed'.
+ */
+export class CalibrationUI {
+    constructor(logger, eventBus, uiElements) {
+        this.logger = logger;
+        this.eventBus = eventBus;
+        this.ui = uiElements; // Receives only the elements it needs
+
+        // Rows of the pair list by id, kept between renders so typing is never interrupted
+        this.pairRows = new Map();
+        this.units = { ...DEFAULT_UNIT_SETTINGS, scale: 1 };
+        this.calibration = null;
+
+        this._setupEventListeners();
+    }
+
+    /**
+     * Sets up DOM and EventBus listeners relevant to the scale calibration.
+     * @private
+     */
+    _setupEventListeners() {
+        // --- DOM Event Listeners ---
+        this._safeAddEventListener(this.ui.calibrationPickBtn, 'click', () => this.eventBus.emit('tool:activate', { tool: 'calibrate' }));
+        this._safeAddEventListener(this.ui.calibrationClearBtn, 'click', () => this.eventBus.emit('calibration:clear'));
+
+        // --- Event Bus Listeners ---
+        this.eventBus.on('calibration:changed', (payload) => {
+            this.calibration = payload.calibration;
+            this._render(payload.source !== 'local');
+        });
+        this.eventBus.on('units:changed', (payload) => {
+            this.units = payload.settings;
+            if (this.calibration) this._render(true); // Distances are shown in the new unit
+        });
+        this.eventBus.on('tool:changed', (payload) => {
+            this._safeUpdateElement(this.ui.calibrationPickBtn, el => {
+                el.classList.toggle('active', payload.activeTool === 'calibrate');
+            });
+        });
+    }
+
+    /**
+     * @param {boolean} overwriteInputs - Replace what is typed (the state came from elsewhere).
+     * @private
+     */
+    _render(overwriteInputs) {
+        const { pairs, solution } = this.calibration;
+        const real = { ...this.units, scale: 1 }; // Typed distances and residuals already are in meters
+
+        this._safeUpdateElement(this.ui.calibrationStatus, el => {
+            el.textContent = solution
+                ? `1 unidade = ${solution.scale.toPrecision(6)} m`
+                : 'Sem calibração';
+        });
+
+        this._renderPairRows(pairs, real, overwriteInputs);
+
+        this._safeUpdateElement(this.ui.calibrationSolution, el => {
+            const used = pairs.filter(pair => pair.residual != null).length;
+            if (solution) {
+                el.textContent = `${used} par(es) · RMS ${formatLength(solution.rmse, real)}`;
+                el.style.display = 'block';
+            } else {
+                el.style.display = 'none';
+            }
+        });
+    }
+
+    /**
+     * Updates the pair rows in place; rows are only created or removed when pairs come and go.
+     * @private
+     */
+    _renderPairRows(pairs, real, overwriteInputs) {
+        const container = this.ui.calibrationPairList;
+        if (!container) return;
+
+        const ids = new Set(pairs.map(pair => pair.id));
+        this.pairRows.forEach((row, id) => {
+            if (!ids.has(id)) {
+                row.element.remove();
+                this.pairRows.delete(id);
+            }
+        });
+
+        const factor = lengthUnitFactor(this.units);
+        pairs.forEach(pair => {
+            let row = this.pairRows.get(pair.id);
+            if (!row) {
+                row = this._createPairRow(pair);
+                this.pairRows.set(pair.id, row);
+                container.appendChild(row.element);
+            }
+
+            row.input.disabled = !pair.b;
+            row.input.placeholder = pair.b ? `Distância real (${unitLabel('length', this.units)})` : 'Marque o 2º ponto';
+            if (document.activeElement !== row.input) {
+                if (pair.distance) {
+                    row.input.value = Number((pair.distance / factor).toFixed(6));
+                } else if (overwriteInputs) {
+                    row.input.value = '';
+                }
+            }
+
+            const parts = [];
+            if (pair.measured != null) parts.push(`Medido: ${formatLength(pair.measured, this.units)}`);
+            if (pair.residual != null) parts.push(`Resíduo: ${formatLength(pair.residual, real, { signed: true })}`);
+            row.info.textContent = parts.join(' · ');
+        });
+    }
+
+    _createPairRow(pair) {
+        const element = document.createElement('div');
+        element.className = 'calibration-pair-row';
+
+        const label = document.createElement('b');
+        label.textContent = pair.label;
+        element.appendChild(label);
+
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = '0';
+        input.step = 'any';
+        input.className = 'input-field';
+        input.title = `Distância real de ${pair.label}`;
+        input.addEventListener('change', () => {
+            const value = parseFloat(input.value);
+            const distance = Number.isFinite(value) && value > 0 ? value * lengthUnitFactor(this.units) : null;
+            this.eventBus.emit('calibration:pair:update', { id: pair.id, distance });
+        });
+        element.appendChild(input);
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'delete-btn';
+        deleteBtn.title = 'Remover par';
+        deleteBtn.textContent = '×';
+        deleteBtn.addEventListener('click', () => this.eventBus.emit('calibration:pair:delete', { id: pair.id }));
+        element.appendChild(deleteBtn);
+
+        const info = document.createElement('span');
+        info.className = 'calibration-pair-info';
+        element.appendChild(info);
+
+        return { element, input, info };
+    }
+
+    // --- Helper functions ---
+    _safeAddEventListener(element, event, handler) {
+        if (element) {
+            element.addEventListener(event, handler);
+        }
+    }
+
+    _safeUpdateElement(element, updateFn) {
+        if (element) {
+            try {
+                updateFn(element);
+            } catch (error) {
+                this.logger.error('CalibrationUI: Error updating UI element', error);
+            }
+        }
+    }
+}
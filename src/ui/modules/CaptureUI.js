@@ -0,0 +1,92 @@
+// src/ui/modules/CaptureUI.js
+
+/**
+ * Manages the UI elements of the image export: the ribbon button and its modal.
+ */
+export class CaptureUI {
+    constructor(logger, eventBus, uiElements) {
+        this.logger = logger;
+        this.eventBus = eventBus;
+        this.ui = uiElements; // Receives only the elements it needs
+
+        this._setupEventListeners();
+    }
+
+    /**
+     * Sets up DOM listeners relevant to the image export.
+     * @private
+     */
+    _setupEventListeners() {
+        this._safeAddEventListener(this.ui.captureBtn, 'click', () => this._showModal());
+        this._safeAddEventListener(this.ui.closeCaptureModal, 'click', () => this._hideModal());
+        this._safeAddEventListener(this.ui.captureGenerateBtn, 'click', () => this._capture());
+        this._safeAddEventListener(this.ui.captureView, 'change', () => this._updateViewOptions());
+
+        // Close modal on backdrop click
+        this._safeAddEventListener(this.ui.captureSection, 'click', (e) => {
+            if (e.target === this.ui.captureSection) {
+                this._hideModal();
+            }
+        });
+    }
+
+    _showModal() {
+        this._updateViewOptions();
+        this._safeUpdateElement(this.ui.captureSection, el => {
+            el.style.display = 'flex';
+        });
+    }
+
+    _hideModal() {
+        this._safeUpdateElement(this.ui.captureSection, el => {
+            el.style.display = 'none';
+        });
+    }
+
+    /**
+     * Orthographic views take their height from the model and may have a scale bar.
+     * @private
+     */
+    _updateViewOptions() {
+        const ortho = this.ui.captureView?.value !== 'current';
+        this._safeUpdateElement(this.ui.captureHeight, el => {
+            el.disabled = ortho;
+        });
+        this._safeUpdateElement(this.ui.captureScaleBar, el => {
+            el.disabled = !ortho;
+        });
+    }
+
+    _capture() {
+        const view = this.ui.captureView?.value || 'current';
+        const checked = (el, fallback) => (el ? el.checked : fallback);
+
+        this.eventBus.emit('capture:request', {
+            view,
+            width: parseInt(this.ui.captureWidth?.value, 10) || undefined,
+            height: view === 'current' ? parseInt(this.ui.captureHeight?.value, 10) || undefined : undefined,
+            overlays: checked(this.ui.captureOverlays, true),
+            grid: checked(this.ui.captureGrid, false),
+            background: checked(this.ui.captureBackground, true),
+            scaleBar: checked(this.ui.captureScaleBar, true)
+        });
+        this._hideModal();
+    }
+
+    // --- Helper functions ---
+    _safeAddEventListener(element, event, handler) {
+        if (element) {
+            element.addEventListener(event, handler);
+        }
+    }
+
+    _safeUpdateElement(element, updateFn) {
+        if (element) {
+            try {
+                updateFn(element);
+            } catch (error) {
+                this.logger.error('CaptureUI: Error updating UI element', error);
+            }
+        }
+    }
+}
@@ -0,0 +1,194 @@
+// src/ui/modules/GeoreferenceUI.js
+
+const METHOD_LABELS = {
+    assigned: 'coordenadas do arquivo',
+    gcp: 'pontos de controle'
+};
+
+/**
+ * Manages the "Georreferenciamento" section of the left panel:
+ * CRS selection, ground control point (GCP) picking and entry, and the solution summary.
+ * All state lives in the Georeference module; this class only renders 'georef:changed'.
+ */
+export class GeoreferenceUI {
+    constructor(logger, eventBus, uiElements) {
+        this.logger = logger;
+        this.eventBus = eventBus;
+        this.ui = uiElements; // Receives only the elements it needs
+
+        // Rows of the GCP list by id, kept between renders so typing is never interrupted
+        this.gcpRows = new Map();
+
+        this._setupEventListeners();
+    }
+
+    /**
+     * Sets up DOM and EventBus listeners relevant to georeferencing.
+     * @private
+     */
+    _setupEventListeners() {
+        // --- DOM Event Listeners ---
+        this._safeAddEventListener(this.ui.georefCrsInput, 'change', () => this._setCrs());
+        this._safeAddEventListener(this.ui.georefProj4Input, 'change', () => this._setCrs());
+        this._safeAddEventListener(this.ui.georefAssignBtn, 'click', () => this.eventBus.emit('georef:assign'));
+        this._safeAddEventListener(this.ui.georefPickBtn, 'click', () => this.eventBus.emit('tool:activate', { tool: 'gcp' }));
+        this._safeAddEventListener(this.ui.georefSolveBtn, 'click', () => this.eventBus.emit('georef:solve'));
+        this._safeAddEventListener(this.ui.georefClearBtn, 'click', () => this.eventBus.emit('georef:clear'));
+
+        // --- Event Bus Listeners ---
+        this.eventBus.on('georef:crs:available', (payload) => this._fillCrsList(payload.systems));
+        this.eventBus.on('georef:changed', (payload) => this._render(payload.georeference, payload.source));
+        this.eventBus.on('tool:changed', (payload) => {
+            this._safeUpdateElement(this.ui.georefPickBtn, el => {
+                el.classList.toggle('active', payload.activeTool === 'gcp');
+            });
+        });
+    }
+
+    _setCrs() {
+        const code = this.ui.georefCrsInput?.value?.trim();
+        if (!code) return;
+        const definition = this.ui.georefProj4Input?.value?.trim() || undefined;
+        this.eventBus.emit('georef:crs:set', { code, definition });
+    }
+
+    _fillCrsList(systems) {
+        this._safeUpdateElement(this.ui.georefCrsList, el => {
+            el.innerHTML = '';
+            systems.forEach(system => {
+                const option = document.createElement('option');
+                option.value = system.code;
+                option.label = system.name;
+                el.appendChild(option);
+            });
+        });
+    }
+
+    /**
+     * @param {Object} georeference - See Georeference.getGeoreference().
+     * @param {string} source - 'local' | 'remote' | 'project' | 'model'.
+     * @private
+     */
+    _render(georeference, source) {
+        const { crs, method, gcps, solution } = georeference;
+
+        this._safeUpdateElement(this.ui.georefStatus, el => {
+            el.textContent = method && crs ? `${crs.code} (${METHOD_LABELS[method]})` : 'Não georreferenciado';
+            el.title = crs?.name || '';
+        });
+        this._safeUpdateElement(this.ui.georefCrsInput, el => {
+            if (document.activeElement !== el) el.value = crs?.code || '';
+            el.title = crs?.name || '';
+        });
+        this._safeUpdateElement(this.ui.georefGcpCount, el => {
+            const complete = gcps.filter(gcp => gcp.target).length;
+            el.textContent = gcps.length ? `${complete}/${gcps.length} com coordenadas` : '0';
+        });
+
+        this._renderGcpRows(gcps, source !== 'local');
+
+        this._safeUpdateElement(this.ui.georefSolution, el => {
+            if (method === 'gcp' && solution) {
+                el.textContent = `Escala ${solution.scale.toFixed(6)} · RMS ${solution.rmse.toFixed(3)} m`;
+                el.style.display = 'block';
+            } else {
+                el.style.display = 'none';
+            }
+        });
+    }
+
+    /**
+     * Updates the GCP rows in place; rows are only created or removed when points come and go.
+     * @param {Array} gcps
+     * @param {boolean} overwriteInputs - Replace what is typed (the state came from elsewhere).
+     * @private
+     */
+    _renderGcpRows(gcps, overwriteInputs) {
+        const container = this.ui.georefGcpList;
+        if (!container) return;
+
+        const ids = new Set(gcps.map(gcp => gcp.id));
+        this.gcpRows.forEach((row, id) => {
+            if (!ids.has(id)) {
+                row.element.remove();
+                this.gcpRows.delete(id);
+            }
+        });
+
+        gcps.forEach(gcp => {
+            let row = this.gcpRows.get(gcp.id);
+            if (!row) {
+                row = this._createGcpRow(gcp);
+                this.gcpRows.set(gcp.id, row);
+                container.appendChild(row.element);
+            }
+
+            row.inputs.forEach((input, axis) => {
+                if (document.activeElement === input) return;
+                if (gcp.target) {
+                    input.value = gcp.target[axis];
+                } else if (overwriteInputs) {
+                    input.value = '';
+                }
+            });
+            row.residual.textContent = gcp.residual != null ? `Resíduo: ${gcp.residual.toFixed(3)} m` : '';
+        });
+    }
+
+    _createGcpRow(gcp) {
+        const element = document.createElement('div');
+        element.className = 'georef-gcp-row';
+
+        const label = document.createElement('b');
+        label.textContent = gcp.label;
+        element.appendChild(label);
+
+        const inputs = ['E', 'N', 'H'].map(axis => {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.step = 'any';
+            input.className = 'input-field';
+            input.placeholder = axis;
+            input.title = `${axis} de ${gcp.label}`;
+            input.addEventListener('change', () => this._updateGcpTarget(gcp.id, inputs));
+            element.appendChild(input);
+            return input;
+        });
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'delete-btn';
+        deleteBtn.title = 'Remover ponto';
+        deleteBtn.textContent = '×';
+        deleteBtn.addEventListener('click', () => this.eventBus.emit('georef:gcp:delete', { id: gcp.id }));
+        element.appendChild(deleteBtn);
+
+        const residual = document.createElement('span');
+        residual.className = 'georef-gcp-residual';
+        element.appendChild(residual);
+
+        return { element, inputs, residual };
+    }
+
+    _updateGcpTarget(id, inputs) {
+        const values = inputs.map(input => input.value.trim());
+        const target = values.every(value => value !== '') ? values.map(Number) : null;
+        this.eventBus.emit('georef:gcp:update', { id, target });
+    }
+
+    // --- Helper functions ---
+    _safeAddEventListener(element, event, handler) {
+        if (element) {
+            element.addEventListener(event, handler);
+        }
+    }
+
+    _safeUpdateElement(element, updateFn) {
+        if (element) {
+            try {
+                updateFn(element);
+            } catch (error) {
+                this.logger.error('GeoreferenceUI: Error updating UI element', error);
+            }
+        }
+    }
+}
@@ -0,0 +1,252 @@
+// src/ui/modules/LayerTreeUI.js
+
+/**
+ * Manages the "Camadas" section of the left panel: one row per model in the scene, with
+ * visibility, pickability, focus and removal, plus a details area for opacity, color
+ * override and the layer adjustment (offset, rotation about the vertical axis and scale).
+ * All state lives in LayerManager; this class only renders 'layers:changed'.
+ */
+export class LayerTreeUI {
+    constructor(logger, eventBus, uiElements) {
+        this.logger = logger;
+        this.eventBus = eventBus;
+        this.ui = uiElements; // Receives only the elements it needs
+
+        // Rows by layer id, kept between renders so sliders and inputs are never interrupted
+        this.rows = new Map();
+        this.expandedId = null;
+
+        this._setupEventListeners();
+    }
+
+    /**
+     * @private
+     */
+    _setupEventListeners() {
+        this.eventBus.on('layers:changed', (payload) => this._render(payload.layers, payload.referenceId));
+    }
+
+    /**
+     * Updates the rows in place; rows are only created or removed when layers come and go.
+     * @private
+     */
+    _render(layers, referenceId) {
+        const container = this.ui.layerTree;
+        if (!container) return;
+
+        const ids = new Set(layers.map(layer => layer.id));
+        this.rows.forEach((row, id) => {
+            if (!ids.has(id)) {
+                row.element.remove();
+                this.rows.delete(id);
+            }
+        });
+
+        if (layers.length === 0) {
+            container.innerHTML = '<p class="layer-tree-empty">Nenhum modelo carregado</p>';
+            return;
+        }
+        container.querySelector('.layer-tree-empty')?.remove();
+
+        layers.forEach(layer => {
+            let row = this.rows.get(layer.id);
+            if (!row) {
+                row = this._createRow(layer);
+                this.rows.set(layer.id, row);
+            }
+            // Appending an existing node moves it, which keeps the rows in layer order
+            container.appendChild(row.element);
+            this._updateRow(row, layer, layer.id === referenceId);
+        });
+    }
+
+    /**
+     * @private
+     */
+    _updateRow(row, layer, isReference) {
+        const { controls } = row;
+
+        row.element.classList.toggle('hidden-layer', !layer.visible);
+        controls.visible.checked = layer.visible;
+        controls.name.textContent = layer.name;
+        controls.name.title = isReference
+            ? `${layer.name} (referência: define as coordenadas originais e o georreferenciamento)`
+            : layer.name;
+        controls.reference.style.display = isReference ? 'inline' : 'none';
+        controls.pickable.classList.toggle('active', layer.pickable);
+        controls.pickable.title = layer.pickable
+            ? 'Selecionável pelas ferramentas (clique para bloquear)'
+            : 'Ignorada pelas ferramentas (clique para liberar)';
+
+        controls.details.style.display = this.expandedId === layer.id ? 'grid' : 'none';
+        controls.expand.classList.toggle('active', this.expandedId === layer.id);
+
+        const setValue = (input, value) => {
+            if (document.activeElement !== input) input.value = value;
+        };
+        setValue(controls.opacity, layer.opacity);
+        controls.opacityDisplay.textContent = `${Math.round(layer.opacity * 100)}%`;
+        controls.colorEnabled.checked = !!layer.color;
+        if (layer.color) setValue(controls.color, layer.color);
+        controls.offset.forEach((input, axis) => setValue(input, layer.offset.position[axis]));
+        setValue(controls.rotation, layer.offset.rotation);
+        setValue(controls.scale, layer.offset.scale);
+    }
+
+    /**
+     * @private
+     */
+    _createRow(layer) {
+        const id = layer.id;
+        const element = document.createElement('div');
+        element.className = 'layer-item';
+
+        // --- Header: visibility, name, pick, focus, details, remove ---
+        const header = document.createElement('div');
+        header.className = 'layer-header';
+        element.appendChild(header);
+
+        const visible = document.createElement('input');
+        visible.type = 'checkbox';
+        visible.title = 'Mostrar/ocultar';
+        visible.addEventListener('change', () => this.eventBus.emit('layer:update', { id, visible: visible.checked }));
+        header.appendChild(visible);
+
+        const name = document.createElement('span');
+        name.className = 'layer-name';
+        header.appendChild(name);
+
+        const reference = document.createElement('span');
+        reference.className = 'layer-reference';
+        reference.textContent = 'ref.';
+        header.appendChild(reference);
+
+        const pickable = this._createIconButton('🎯', () => {
+            this.eventBus.emit('layer:update', { id, pickable: !pickable.classList.contains('active') });
+        });
+        const focus = this._createIconButton('🔍', () => this.eventBus.emit('layer:focus', { id }));
+        focus.title = 'Enquadrar camada';
+        const expand = this._createIconButton('⚙', () => {
+            this.expandedId = this.expandedId === id ? null : id;
+            this.rows.forEach((row, rowId) => {
+                row.controls.details.style.display = this.expandedId === rowId ? 'grid' : 'none';
+                row.controls.expand.classList.toggle('active', this.expandedId === rowId);
+            });
+        });
+        expand.title = 'Aparência e ajuste de posição';
+        header.append(pickable, focus, expand);
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'delete-btn';
+        removeBtn.title = 'Remover camada';
+        removeBtn.textContent = '×';
+        removeBtn.addEventListener('click', () => this.eventBus.emit('layer:remove', { id }));
+        header.appendChild(removeBtn);
+
+        // --- Details: appearance and adjustment ---
+        const details = document.createElement('div');
+        details.className = 'layer-details';
+        element.appendChild(details);
+
+        const opacityLabel = document.createElement('label');
+        opacityLabel.textContent = 'Opacidade';
+        const opacity = document.createElement('input');
+        opacity.type = 'range';
+        opacity.min = '0';
+        opacity.max = '1';
+        opacity.step = '0.05';
+        opacity.addEventListener('input', () => this.eventBus.emit('layer:update', { id, opacity: parseFloat(opacity.value) }));
+        const opacityDisplay = document.createElement('span');
+        details.append(opacityLabel, opacity, opacityDisplay);
+
+        const colorLabel = document.createElement('label');
+        colorLabel.textContent = 'Cor única';
+        const color = document.createElement('input');
+        color.type = 'color';
+        color.value = '#ff9800';
+        const colorEnabled = document.createElement('input');
+        colorEnabled.type = 'checkbox';
+        colorEnabled.title = 'Substituir as cores do modelo';
+        const emitColor = () => this.eventBus.emit('layer:update', { id, color: colorEnabled.checked ? color.value : null });
+        color.addEventListener('input', () => {
+            colorEnabled.checked = true;
+            emitColor();
+        });
+        colorEnabled.addEventListener('change', emitColor);
+        details.append(colorLabel, color, colorEnabled);
+
+        const offsetLabel = document.createElement('label');
+        offsetLabel.textContent = 'Deslocamento';
+        details.appendChild(offsetLabel);
+        const offsetInputs = document.createElement('div');
+        offsetInputs.className = 'layer-offset';
+        const offset = ['X', 'Y', 'Z'].map(axis => {
+            const input = this._createNumberInput(axis, 'any');
+            input.addEventListener('change', () => this._emitOffset(id, row.controls));
+            offsetInputs.appendChild(input);
+            return input;
+        });
+        details.appendChild(offsetInputs);
+
+        const rotationLabel = document.createElement('label');
+        rotationLabel.textContent = 'Rotação (°)';
+        const rotation = this._createNumberInput('Em torno do eixo vertical', 'any');
+        rotation.addEventListener('change', () => this._emitOffset(id, row.controls));
+        details.append(rotationLabel, rotation, document.createElement('span'));
+
+        const scaleLabel = document.createElement('label');
+        scaleLabel.textContent = 'Escala';
+        const scale = this._createNumberInput('Escala', 'any');
+        scale.min = '0';
+        scale.addEventListener('change', () => this._emitOffset(id, row.controls));
+        details.append(scaleLabel, scale, document.createElement('span'));
+
+        const row = {
+            element,
+            controls: { visible, name, reference, pickable, expand, details, opacity, opacityDisplay, color, colorEnabled, offset, rotation, scale }
+        };
+        return row;
+    }
+
+    /**
+     * @private
+     */
+    _emitOffset(id, controls) {
+        const toNumber = (input, fallback) => {
+            const value = parseFloat(input.value);
+            return Number.isFinite(value) ? value : fallback;
+        };
+        this.eventBus.emit('layer:update', {
+            id,
+            offset: {
+                position: controls.offset.map(input => toNumber(input, 0)),
+                rotation: toNumber(controls.rotation, 0),
+                scale: toNumber(controls.scale, 1)
+            }
+        });
+    }
+
+    /**
+     * @private
+     */
+    _createIconButton(icon, onClick) {
+        const button = document.createElement('button');
+        button.className = 'icon-btn-small';
+        button.textContent = icon;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    /**
+     * @private
+     */
+    _createNumberInput(title, step) {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.step = step;
+        input.className = 'input-field';
+        input.title = title;
+        input.placeholder = title.length === 1 ? title : '';
+        return input;
+    }
+}
@@ -1,4 +1,14 @@
 // src/ui/modules/MeasurementsPanel.js
+import {
+    DEFAULT_UNIT_SETTINGS,
+    formatLength,
+    formatArea,
+    formatVolume,
+    formatAngle
+} from '../../utils/Units.js';
+import { normalizeMetadata, matchesMetadataFilter } from '../../utils/MeasurementMetadata.js';
+
+const FORMATTERS = { length: formatLength, area: formatArea, volume: formatVolume, angle: formatAngle };
 
 /**
  * Manages the UI elements related to displaying the list of measurements
@@ -8,11 +18,20 @@ export class MeasurementsPanel {
     constructor(logger, eventBus, uiElements) {
         this.logger = logger;
         this.eventBus = eventBus;
-        this.ui = uiElements; // Receives elements: measurementsPanel, measurementsContainer
+        this.ui = uiElements; // Receives elements: measurementsPanel, measurementsFilter, measurementsExport, measurementsContainer
 
         // --- MODIFICADO: Armazena a referência da função ---
         this._measurementClickHandler = this._handleClick.bind(this);
 
+        // The selected item also lists its points in the active coordinate frame
+        this.expandedId = null;
+        this.lastStats = null;
+
+        // Metadata editor of one local measurement; the draft survives list updates while it is open
+        this.editingId = null;
+        this.draft = null;
+        this.filter = '';
+
         this._setupEventListeners();
     }
 
@@ -27,7 +46,17 @@ export class MeasurementsPanel {
         // --- MODIFICADO: Adiciona o ouvinte de clique UMA VEZ ---
         if (this.ui.measurementsContainer) {
             this.ui.measurementsContainer.addEventListener('click', this._measurementClickHandler);
+            this.ui.measurementsContainer.addEventListener('input', (event) => this._handleEditorInput(event));
+            this.ui.measurementsContainer.addEventListener('keydown', (event) => this._handleEditorKey(event));
         }
+        this._safeAddEventListener(this.ui.measurementsFilter, 'input', (event) => {
+            this.filter = event.target.value;
+            if (this.lastStats) this._updateMeasurementsUI(this.lastStats);
+        });
+        this._safeAddEventListener(this.ui.measurementsExport, 'click', (event) => {
+            const format = event.target.closest('[data-format]')?.dataset.format;
+            if (format) this.eventBus.emit('measurement:export', { format });
+        });
     }
 
     /**
@@ -48,6 +77,30 @@ export class MeasurementsPanel {
             return;
         }
 
+        const editBtn = event.target.closest('.metadata-edit-btn');
+        if (editBtn) {
+            event.stopPropagation();
+            this._openEditor(editBtn.dataset.id);
+            return;
+        }
+
+        const meshBtn = event.target.closest('[data-mesh-format]');
+        if (meshBtn) {
+            event.stopPropagation();
+            this.eventBus.emit('measurement:mesh:export', { id: meshBtn.dataset.id, format: meshBtn.dataset.meshFormat });
+            return;
+        }
+
+        const editor = event.target.closest('.measurement-editor');
+        if (editor) {
+            // Clicks inside the editor never select the item
+            event.stopPropagation();
+            const action = event.target.closest('[data-action]')?.dataset.action;
+            if (action === 'save') this._saveEditor();
+            if (action === 'cancel') this._closeEditor();
+            return;
+        }
+
         const itemEl = event.target.closest('.measurement-item');
         if (itemEl) {
             // Caso 2: Clicou em qualquer outro lugar do item
@@ -55,6 +108,10 @@ export class MeasurementsPanel {
             if (id) {
                 // Emite um evento solicitando o destaque
                 this.eventBus.emit('measurement:highlight', { id });
+
+                // Mesmo comportamento de alternância do destaque
+                this.expandedId = this.expandedId === id ? null : id;
+                if (this.lastStats) this._updateMeasurementsUI(this.lastStats);
             }
         }
     }
@@ -68,14 +125,21 @@ export class MeasurementsPanel {
     _updateMeasurementsUI(stats) {
         if (!this.ui.measurementsContainer) return;
 
+        this.lastStats = stats;
         this.ui.measurementsContainer.innerHTML = '';
         let hasMeasurements = false;
 
         // Helper function to create a group of measurements (Distance, Area, etc.)
-        const createGroup = (title, items, unit) => {
+        // Values arrive in meters and degrees; they are shown in the units set in UnitSystem
+        const units = stats.units || DEFAULT_UNIT_SETTINGS;
+        // Groups whose region can also be downloaded as a mesh (see MeshPatchExporter)
+        const createGroup = (title, items, quantity, meshExport = false) => {
             if (!items || items.length === 0) return;
 
             hasMeasurements = true;
+            items = items.filter(item => matchesMetadataFilter(item, this.filter, [item.peerName, title]));
+            if (items.length === 0) return;
+
             const groupDiv = document.createElement('div');
             groupDiv.className = 'measurement-group';
 
@@ -91,12 +155,24 @@ export class MeasurementsPanel {
                 itemEl.dataset.id = item.id;
                 itemEl.innerHTML = `
                     <div class="measurement-item-info">
-                        <span class="measurement-value">${item.value.toFixed(2)}${unit}</span>
-                        <span class="measurement-author">${item.peerName || ''}</span>
+                        ${this._getMetadataHeader(item)}
+                        <span class="measurement-value">${FORMATTERS[quantity](item.value, units)}</span>
+                        ${this._getDetail(item, units)}
+                        ${item.note ? `<span class="measurement-note">${this._escape(item.note)}</span>` : ''}
+                        <span class="measurement-author">${this._escape(item.peerName)}</span>
                     </div>
+                    ${item.local ? `<button class="metadata-edit-btn" data-id="${item.id}" title="Editar nome, nota, tags e cor">✎</button>` : ''}
                     <button class="delete-btn" data-id="${item.id}" title="Remover">×</button>
                 `;
                 // --- FIM DA MODIFICAÇÃO ---
+                if (item.id === this.expandedId && item.coordinates?.length) {
+                    itemEl.classList.add('expanded');
+                    itemEl.appendChild(this._createCoordinatesList(item.coordinates, stats.frame));
+                    if (meshExport) itemEl.appendChild(this._createMeshExport(item.id));
+                }
+                if (item.id === this.editingId && item.local) {
+                    itemEl.appendChild(this._createEditor());
+                }
                 groupDiv.appendChild(itemEl);
             });
 
@@ -104,23 +180,246 @@ export class MeasurementsPanel {
         };
 
         // Create groups for each measurement type
-        createGroup('Distâncias', stats.distances, 'm');
-        createGroup('Áreas Planas', stats.areas, 'm²');
-        createGroup('Áreas de Superfície', stats.surfaceAreas, 'm²');
-        createGroup('Ângulos', stats.angles, '°');
-        createGroup('Volumes', stats.volumes, 'm³'); // <-- ADICIONADO
+        createGroup('Distâncias', stats.distances, 'length');
+        createGroup('Polilinhas', stats.polylines, 'length');
+        createGroup('Áreas Planas', stats.areas, 'area', true);
+        createGroup('Áreas de Superfície', stats.surfaceAreas, 'area', true);
+        createGroup('Ângulos', stats.angles, 'angle');
+        createGroup('Desníveis', stats.heights, 'length');
+        createGroup('Volumes', stats.volumes, 'volume', true); // <-- ADICIONADO
+        createGroup('Caixas de Volume', stats.volumeBoxes, 'volume', true);
+
+        // The edited measurement may have been deleted (here, by undo or by a peer)
+        if (this.editingId && !this._findItem(stats, this.editingId)?.local) {
+            this.editingId = null;
+            this.draft = null;
+        }
+
+        if (hasMeasurements && !this.ui.measurementsContainer.hasChildNodes()) {
+            const empty = document.createElement('div');
+            empty.className = 'measurement-filter-empty';
+            empty.textContent = 'Nenhuma medição corresponde ao filtro.';
+            this.ui.measurementsContainer.appendChild(empty);
+        }
 
         // Show/hide the panel container based on whether there are measurements
         this._safeUpdateElement(this.ui.measurementsPanel, el => {
-            // Check if measurementsContainer itself has any child elements
-            el.style.display = this.ui.measurementsContainer.hasChildNodes() ? 'block' : 'none';
+            el.style.display = hasMeasurements ? 'block' : 'none';
         });
 
         // --- MODIFICADO: A lógica de adicionar/remover listener foi movida ---
         // Não é mais necessário fazer nada aqui.
     }
 
+    /**
+     * Name, color and tags of a measurement (see utils/MeasurementMetadata.js).
+     * @param {Object} item
+     * @returns {string} HTML (empty when the measurement has none).
+     * @private
+     */
+    _getMetadataHeader(item) {
+        const { name, tags, color } = normalizeMetadata(item);
+        if (!name && !tags.length && !color) return '';
+
+        const swatch = color ? `<span class="measurement-color" style="background: ${color}"></span>` : '';
+        const chips = tags.map(tag => `<span class="measurement-tag">#${this._escape(tag)}</span>`).join('');
+        return `<span class="measurement-name">${swatch}${this._escape(name || '')}${chips}</span>`;
+    }
+
+    /**
+     * @param {string} id - A local measurement.
+     * @private
+     */
+    _openEditor(id) {
+        const item = this.lastStats ? this._findItem(this.lastStats, id) : null;
+        if (!item?.local) return;
+
+        const { name, note, tags, color } = normalizeMetadata(item);
+        this.editingId = id;
+        this.draft = {
+            name: name || '',
+            note: note || '',
+            tags: tags.join(', '),
+            color: color || '#ffffff',
+            useColor: !!color
+        };
+        this._updateMeasurementsUI(this.lastStats);
+        this.ui.measurementsContainer.querySelector('.measurement-editor [data-field="name"]')?.focus();
+    }
+
+    /**
+     * @private
+     */
+    _closeEditor() {
+        this.editingId = null;
+        this.draft = null;
+        if (this.lastStats) this._updateMeasurementsUI(this.lastStats);
+    }
+
+    /**
+     * @private
+     */
+    _saveEditor() {
+        const { name, note, tags, color, useColor } = this.draft;
+        const id = this.editingId;
+        this.editingId = null;
+        this.draft = null;
+        // Measurements answers with a list update, which closes the editor
+        this.eventBus.emit('measurement:metadata:set', { id, changes: { name, note, tags, color: useColor ? color : null } });
+        if (this.lastStats) this._updateMeasurementsUI(this.lastStats);
+    }
+
+    /**
+     * Keeps what is typed in the editor, so a list update (e.g., from a peer) does not lose it.
+     * @private
+     */
+    _handleEditorInput(event) {
+        const field = event.target.dataset.field;
+        if (!this.draft || !field) return;
+
+        this.draft[field] = event.target.type === 'checkbox' ? event.target.checked : event.target.value;
+        if (field === 'color') {
+            this.draft.useColor = true;
+            const toggle = this.ui.measurementsContainer.querySelector('.measurement-editor [data-field="useColor"]');
+            if (toggle) toggle.checked = true;
+        }
+    }
+
+    /**
+     * Enter saves (except in the note) and Escape cancels.
+     * @private
+     */
+    _handleEditorKey(event) {
+        if (!this.draft || !event.target.closest('.measurement-editor')) return;
+
+        event.stopPropagation(); // Escape would also cancel the active tool
+        if (event.key === 'Escape') this._closeEditor();
+        if (event.key === 'Enter' && event.target.tagName !== 'TEXTAREA') this._saveEditor();
+    }
+
+    /**
+     * @returns {HTMLElement} The metadata editor, filled from the draft.
+     * @private
+     */
+    _createEditor() {
+        const { name, note, tags, color, useColor } = this.draft;
+        const editor = document.createElement('div');
+        editor.className = 'measurement-editor';
+        editor.innerHTML = `
+            <input type="text" class="input-field" data-field="name" placeholder="Nome" value="${this._escape(name)}">
+            <input type="text" class="input-field" data-field="tags" placeholder="Tags (separadas por vírgula)" value="${this._escape(tags)}">
+            <label class="measurement-editor-color">
+                <input type="checkbox" data-field="useColor" ${useColor ? 'checked' : ''}> Cor própria
+                <input type="color" data-field="color" value="${color}">
+            </label>
+            <textarea class="input-field" data-field="note" rows="2" placeholder="Nota">${this._escape(note)}</textarea>
+            <div class="measurement-editor-actions">
+                <button class="btn btn-secondary" data-action="cancel">Cancelar</button>
+                <button class="btn btn-primary" data-action="save">Salvar</button>
+            </div>
+        `;
+        return editor;
+    }
+
+    /**
+     * Extra lines under the value: the horizontal length of a polyline, the horizontal distance
+     * and slope of a height difference, or the cut and fill of a volume and the base it was measured to.
+     * @param {Object} item
+     * @param {Object} units - Unit settings (see utils/Units.js).
+     * @returns {string} HTML (empty when there is nothing to add).
+     * @private
+     */
+    _getDetail(item, units) {
+        if (item.horizontalLength !== undefined) {
+            const segments = item.segments?.length ? ` · ${item.segments.length} segmento(s)` : '';
+            return `<span class="measurement-detail">Horizontal ${formatLength(item.horizontalLength, units)}${segments}</span>`;
+        }
+        if (item.slopeDegrees !== undefined) {
+            const percent = item.slopePercent === null ? '∞' : `${item.slopePercent.toFixed(units.decimals)}%`;
+            return `<span class="measurement-detail">Horiz. ${formatLength(item.horizontal, units)} · ${percent} · ${formatAngle(item.slopeDegrees, units)}</span>`;
+        }
+        if (item.cut === undefined || item.fill === undefined) return '';
+
+        const base = item.base ? `<span class="measurement-detail">Base: ${this._escape(this._describeBase(item.base))}</span>` : '';
+        return `<span class="measurement-detail">Corte ${formatVolume(item.cut, units)} · Aterro ${formatVolume(item.fill, units)}</span>${base}`;
+    }
+
+    /**
+     * @param {{type: string, elevation?: number, layerName?: string}} base - See VolumeMeasurement.
+     * @returns {string}
+     * @private
+     */
+    _describeBase(base) {
+        switch (base.type) {
+            case 'lowest': return 'ponto mais baixo';
+            case 'highest': return 'ponto mais alto';
+            case 'elevation': return `cota ${base.elevation}`;
+            case 'triangulated': return 'triangulada pelos vértices';
+            case 'surface': return `camada ${base.layerName}`;
+            default: return 'plano médio';
+        }
+    }
+
+    /**
+     * @returns {Object|undefined} The stats item with the given id, from any group.
+     * @private
+     */
+    _findItem(stats, id) {
+        return Object.values(stats)
+            .filter(Array.isArray)
+            .flat()
+            .find(item => item.id === id);
+    }
+
+    /**
+     * Lists the points of a measurement, already converted to the active frame.
+     * @param {Array<number[]>} coordinates
+     * @param {{label: string, axes: string[], decimals: number}|null} frame
+     * @returns {HTMLElement}
+     * @private
+     */
+    _createCoordinatesList(coordinates, frame) {
+        const axes = frame?.axes || ['X', 'Y', 'Z'];
+        const decimals = frame?.decimals ?? 2;
+
+        const list = document.createElement('div');
+        list.className = 'measurement-coords';
+        list.title = frame ? `Referencial: ${frame.label}` : '';
+        list.innerHTML = coordinates.map((point, i) => `
+            <div><b>P${i + 1}</b> ${point.map((value, axis) => `${axes[axis]} ${value.toFixed(decimals)}`).join('  ')}</div>
+        `).join('');
+        return list;
+    }
+
+    /**
+     * Buttons that download the mesh inside the measurement.
+     * @param {string} id
+     * @returns {HTMLElement}
+     * @private
+     */
+    _createMeshExport(id) {
+        const row = document.createElement('div');
+        row.className = 'measurement-mesh-export';
+        row.title = 'Triângulos do modelo dentro da medição, no referencial ativo';
+        row.innerHTML = `<span>Malha:</span>${['ply', 'stl', 'obj']
+            .map(format => `<button class="btn btn-secondary" data-id="${id}" data-mesh-format="${format}">${format.toUpperCase()}</button>`)
+            .join('')}`;
+        return row;
+    }
+
     // --- Helper functions also moved ---
+    _escape(text) {
+        const span = document.createElement('span');
+        span.textContent = text ?? '';
+        return span.innerHTML;
+    }
+
+    _safeAddEventListener(element, event, handler) {
+        if (element) {
+            element.addEventListener(event, handler);
+        }
+    }
+
     _safeUpdateElement(element, updateFn) {
         if (element) {
             try {
@@ -1,8 +1,14 @@
 // src/ui/modules/ModelUI.js
+import { DEFAULT_UNIT_SETTINGS, formatArea, formatVolume } from '../../utils/Units.js';
+
+// Formats that can be the main file of a selection; any other selected file
+// (.mtl, textures, ...) is passed along as a companion of the main one.
+const MODEL_EXTENSIONS = ['gltf', 'glb', 'obj', 'ply', 'stl', 'las', 'laz'];
 
 /**
  * Manages the UI elements related to loading models and displaying model properties.
- * Handles the model loading modal and the model info section in the left panel.
+ * Handles the model loading modal and the model info section in the left panel, including
+ * the on-demand closed volume / total area of the current model (computed by the Analysis module).
  */
 export class ModelUI {
     constructor(logger, eventBus, uiElements) {
@@ -10,6 +16,10 @@ export class ModelUI {
         this.eventBus = eventBus;
         this.ui = uiElements; // Receives only the elements it needs
 
+        // The statistics are kept, so a unit change or a scale calibration can show them again
+        this.units = { ...DEFAULT_UNIT_SETTINGS, scale: 1 };
+        this.statsResult = null;
+
         this._setupEventListeners();
     }
 
@@ -23,7 +33,23 @@ export class ModelUI {
         this._safeAddEventListener(this.ui.closeModelModal, 'click', () => this._hideModelModal());
         this._safeAddEventListener(this.ui.loadModelUrlBtn, 'click', () => this._loadModelFromUrl());
         this._safeAddEventListener(this.ui.fileInput, 'change', (e) => this._handleFileSelect(e));
-        this._safeAddEventListener(this.ui.changeModelBtn, 'click', () => this._showModelInputInModal());
+        this._safeAddEventListener(this.ui.changeModelBtn, 'click', () => this._showModelInputInModal(false));
+        this._safeAddEventListener(this.ui.addLayerBtn, 'click', () => this._showModelInputInModal(true));
+        this._safeAddEventListener(this.ui.modelStatsBtn, 'click', () => this.eventBus.emit('analysis:mesh:run'));
+
+        // Drag & drop of model bundles (e.g., OBJ + MTL + textures) onto the upload area
+        this._safeAddEventListener(this.ui.modelDropArea, 'dragover', (e) => {
+            e.preventDefault();
+            this.ui.modelDropArea.classList.add('drag-over');
+        });
+        this._safeAddEventListener(this.ui.modelDropArea, 'dragleave', () => {
+            this.ui.modelDropArea.classList.remove('drag-over');
+        });
+        this._safeAddEventListener(this.ui.modelDropArea, 'drop', (e) => {
+            e.preventDefault();
+            this.ui.modelDropArea.classList.remove('drag-over');
+            this._loadModelFiles(Array.from(e.dataTransfer?.files || []));
+        });
 
         // Close modal on backdrop click
         this._safeAddEventListener(this.ui.modelLoadingSection, 'click', (e) => {
@@ -32,9 +58,30 @@ export class ModelUI {
             }
         });
 
+        // Point cloud display controls
+        this._safeAddEventListener(this.ui.pointSizeInput, 'input', (e) => {
+            const size = parseFloat(e.target.value);
+            this._safeUpdateElement(this.ui.pointSizeDisplay, el => el.textContent = `${size}px`);
+            this.eventBus.emit('pointcloud:pointsize:set', { size });
+        });
+        this._safeAddEventListener(this.ui.pointColorModeSelect, 'change', (e) => {
+            this.eventBus.emit('pointcloud:colormode:set', { mode: e.target.value });
+        });
+
         // --- Event Bus Listeners ---
         // Listen for when a model is successfully loaded to update the UI
         this.eventBus.on('model:loaded', p => this._onModelLoaded(p));
+        this.eventBus.on('pointcloud:changed', p => this._onPointCloudChanged(p));
+        this.eventBus.on('layers:changed', p => this._onLayersChanged(p));
+        this.eventBus.on('analysis:mesh:started', () => this._setStatsRunning(true));
+        this.eventBus.on('analysis:mesh:result', p => {
+            this._setStatsRunning(false);
+            this._renderStats(p.result);
+        });
+        this.eventBus.on('units:changed', p => {
+            this.units = p.settings;
+            this._renderStats(this.statsResult);
+        });
     }
 
     // --- All functions below are MOVED from UIManager.js ---
@@ -51,9 +98,14 @@ export class ModelUI {
         });
     }
 
-    _showModelInputInModal() {
+    /**
+     * @param {boolean} addLayer - Pre-selects loading the next model as a new layer.
+     * @private
+     */
+    _showModelInputInModal(addLayer) {
         this._safeUpdateElement(this.ui.modelInputArea, el => el.style.display = 'block');
         this._safeUpdateElement(this.ui.modelInfoArea, el => el.style.display = 'none');
+        this._safeUpdateElement(this.ui.modelAddLayerCheckbox, el => el.checked = addLayer);
     }
 
     _loadModelFromUrl() {
@@ -72,22 +124,61 @@ export class ModelUI {
         }
         // Emit events for progress and the load request
         this.eventBus.emit('ui:progress:start', { message: 'Carregando modelo...' });
-        this.eventBus.emit('model:load', { url, fileName: url.split('/').pop() || 'model' });
+        this.eventBus.emit('model:load', { url, fileName: url.split('/').pop() || 'model', upAxis: this._getUpAxis(), mode: this._getLoadMode() });
         this._hideModelModal();
     }
 
     _handleFileSelect(event) {
-        const file = event.target.files[0];
-        if (!file) return;
-        this.logger.info(`ModelUI: File selected - ${file.name} (${(file.size / 1024 / 1024).toFixed(2)}MB)`);
+        this._loadModelFiles(Array.from(event.target.files || []));
+        
+        // Reset file input
+        event.target.value = '';
+    }
+
+    /**
+     * Loads a selection of files: one model file plus its companions (MTL, textures).
+     * @param {Array<File>} files
+     * @private
+     */
+    _loadModelFiles(files) {
+        if (files.length === 0) return;
+
+        const getExtension = (file) => file.name.split('.').pop().toLowerCase();
+        const file = MODEL_EXTENSIONS
+            .map(ext => files.find(f => getExtension(f) === ext))
+            .find(Boolean);
+
+        if (!file) {
+            this.eventBus.emit('ui:notification:show', { message: 'Nenhum arquivo de modelo suportado na seleção', type: 'error' });
+            return;
+        }
+
+        const siblingFiles = files.filter(f => f !== file);
+        this.logger.info(`ModelUI: File selected - ${file.name} (${(file.size / 1024 / 1024).toFixed(2)}MB)` +
+            (siblingFiles.length ? ` with ${siblingFiles.length} companion file(s)` : ''));
         
         // Emit events for progress and the load request
         this.eventBus.emit('ui:progress:start', { message: 'Carregando modelo...' });
-        this.eventBus.emit('model:load', { fileData: file, fileName: file.name });
+        this.eventBus.emit('model:load', { fileData: file, fileName: file.name, files: siblingFiles, upAxis: this._getUpAxis(), mode: this._getLoadMode() });
         this._hideModelModal();
-        
-        // Reset file input
-        event.target.value = '';
+    }
+
+    /**
+     * The up-axis chosen in the modal, or null to let the loader use the format default.
+     * @private
+     */
+    _getUpAxis() {
+        const value = this.ui.modelUpAxisSelect?.value;
+        return value && value !== 'auto' ? value : null;
+    }
+
+    /**
+     * 'add' keeps the models already in the scene; 'replace' starts a new scene.
+     * @private
+     */
+    _getLoadMode() {
+        const canAdd = this.ui.modelAddLayerGroup?.style.display !== 'none';
+        return canAdd && this.ui.modelAddLayerCheckbox?.checked ? 'add' : 'replace';
     }
 
     _onModelLoaded(payload) {
@@ -108,11 +199,11 @@ export class ModelUI {
             el.textContent = extension || '-';
         });
 
-        // Count and display vertices
+        // Count and display vertices (or points, for point clouds)
         let vertexCount = 0;
         if (payload.model) {
             payload.model.traverse((child) => {
-                if (child.isMesh && child.geometry && child.geometry.attributes.position) {
+                if ((child.isMesh || child.isPoints) && child.geometry && child.geometry.attributes.position) {
                     vertexCount += child.geometry.attributes.position.count;
                 }
             });
@@ -120,11 +211,85 @@ export class ModelUI {
         this._safeUpdateElement(this.ui.modelVerticesDisplay, el => {
             el.textContent = vertexCount > 0 ? vertexCount.toLocaleString() : '-';
         });
+        this._safeUpdateElement(this.ui.modelStatsBtn, el => el.disabled = false);
 
         this.logger.info(`ModelUI: Updated UI for model - ${payload.model.name}`);
         
         // Emit notification event
-        this.eventBus.emit('ui:notification:show', { message: 'Modelo carregado com sucesso!', type: 'success' });
+        const message = payload.mode === 'add' ? 'Camada adicionada com sucesso!' : 'Modelo carregado com sucesso!';
+        this.eventBus.emit('ui:notification:show', { message, type: 'success' });
+    }
+
+    /**
+     * Adding a layer only makes sense once the scene has a model; an emptied scene
+     * goes back to the initial state.
+     * @private
+     */
+    _onLayersChanged(payload) {
+        const hasLayers = payload.layers.length > 0;
+        this._safeUpdateElement(this.ui.modelAddLayerGroup, el => el.style.display = hasLayers ? 'block' : 'none');
+        if (hasLayers) return;
+
+        this._safeUpdateElement(this.ui.modelStatsBtn, el => el.disabled = true);
+
+        this._safeUpdateElement(this.ui.modelInputArea, el => el.style.display = 'block');
+        this._safeUpdateElement(this.ui.modelInfoArea, el => el.style.display = 'none');
+        this._safeUpdateElement(this.ui.modelNameDisplay, el => el.textContent = 'Nenhum carregado');
+        this._safeUpdateElement(this.ui.modelFormatDisplay, el => el.textContent = '-');
+        this._safeUpdateElement(this.ui.modelVerticesDisplay, el => el.textContent = '-');
+    }
+
+    _setStatsRunning(running) {
+        this._safeUpdateElement(this.ui.modelStatsBtn, el => {
+            el.disabled = running;
+            el.textContent = running ? 'Calculando...' : 'Calcular volume e área';
+        });
+    }
+
+    /**
+     * @param {Object|null} result - See MeshStatistics: { name, stats }.
+     * @private
+     */
+    _renderStats(result) {
+        this.statsResult = result;
+        this._safeUpdateElement(this.ui.modelStatsResult, el => {
+            el.style.display = result ? 'block' : 'none';
+            if (!result) return;
+
+            const { stats } = result;
+            const lines = [
+                `Área total: ${formatArea(stats.area, this.units)}`,
+                `Volume fechado: ${formatVolume(stats.volume, this.units)}`
+            ];
+            if (stats.watertight) {
+                lines.push('Malha estanque ✓');
+            } else {
+                lines.push('Malha aberta: volume não confiável');
+                if (stats.boundaryEdges) lines.push(`${stats.boundaryEdges.toLocaleString()} arestas de borda`);
+                if (stats.nonManifoldEdges) lines.push(`${stats.nonManifoldEdges.toLocaleString()} arestas não-manifold`);
+            }
+            if (stats.flippedEdges) lines.push(`${stats.flippedEdges.toLocaleString()} arestas com orientação inconsistente`);
+            lines.push(`${stats.triangleCount.toLocaleString()} triângulos`);
+            el.textContent = lines.join('\n');
+        });
+    }
+
+    _onPointCloudChanged(payload) {
+        this._safeUpdateElement(this.ui.pointCloudControls, el => {
+            el.style.display = payload.active ? 'block' : 'none';
+        });
+        if (!payload.active) return;
+
+        this._safeUpdateElement(this.ui.pointSizeInput, el => el.value = payload.pointSize);
+        this._safeUpdateElement(this.ui.pointSizeDisplay, el => el.textContent = `${payload.pointSize}px`);
+
+        // Only offer the color modes the cloud has data for
+        this._safeUpdateElement(this.ui.pointColorModeSelect, el => {
+            Array.from(el.options).forEach(option => {
+                option.hidden = !payload.availableModes.includes(option.value);
+            });
+            el.value = payload.colorMode;
+        });
     }
 
     // --- Helper functions also moved ---
@@ -0,0 +1,214 @@
+// src/ui/modules/ProfileChart.js
+import { DEFAULT_UNIT_SETTINGS, formatLength } from '../../utils/Units.js';
+
+const MARGIN = { left: 44, right: 8, top: 8, bottom: 18 };
+const LINE_COLOR = '#ff4488';
+const TEXT_COLOR = '#cccccc';
+const GRID_COLOR = 'rgba(255, 255, 255, 0.15)';
+
+/**
+ * Elevation chart of a terrain profile (see TerrainProfile), drawn on a canvas for the panel
+ * and rendered as SVG or PNG for export. Both outputs share the same layout, so the exported
+ * chart matches what is on screen.
+ */
+export class ProfileChart {
+    /**
+     * @param {{distances: number[], elevations: number[], vertexStations: number[], frame: Object}} profile
+     *   elevations holds NaN where the path leaves the model.
+     * @param {Object} [lengthUnits] - Unit settings (see utils/Units.js) of the distances.
+     * @param {Object} [elevationUnits] - Unit settings of the elevations, in the profile's frame.
+     */
+    constructor(profile, lengthUnits = DEFAULT_UNIT_SETTINGS, elevationUnits = lengthUnits) {
+        this.profile = profile;
+        this.lengthUnits = lengthUnits;
+        this.elevationUnits = elevationUnits;
+    }
+
+    /**
+     * Draws the chart filling the canvas, with an optional hover cursor.
+     * @param {HTMLCanvasElement} canvas
+     * @param {number|null} [hoverIndex]
+     */
+    draw(canvas, hoverIndex = null) {
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+        const layout = this._layout(width, height);
+        ctx.clearRect(0, 0, width, height);
+
+        ctx.font = `${layout.fontSize}px sans-serif`;
+        ctx.lineWidth = 1;
+
+        // Vertices of the path and axis ticks
+        ctx.strokeStyle = GRID_COLOR;
+        ctx.setLineDash([3, 3]);
+        layout.vertexX.forEach(x => this._strokeLine(ctx, x, layout.top, x, layout.bottom));
+        ctx.setLineDash([]);
+        layout.yTicks.forEach(tick => this._strokeLine(ctx, layout.left, tick.y, layout.right, tick.y));
+
+        ctx.fillStyle = TEXT_COLOR;
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        layout.yTicks.forEach(tick => ctx.fillText(tick.label, layout.left - 4, tick.y));
+        ctx.textBaseline = 'top';
+        layout.xTicks.forEach((tick, i) => {
+            ctx.textAlign = i === 0 ? 'left' : 'right';
+            ctx.fillText(tick.label, tick.x, layout.bottom + 3);
+        });
+
+        // Elevation line (broken where the path leaves the model)
+        ctx.strokeStyle = LINE_COLOR;
+        ctx.lineWidth = Math.max(1.5, layout.fontSize / 6);
+        layout.runs.forEach(run => {
+            ctx.beginPath();
+            run.forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+            ctx.stroke();
+        });
+
+        // Hover cursor
+        const elevation = this.profile.elevations[hoverIndex];
+        if (hoverIndex !== null && Number.isFinite(elevation)) {
+            const x = layout.xOf(this.profile.distances[hoverIndex]);
+            const y = layout.yOf(elevation);
+            ctx.strokeStyle = '#ffffff';
+            ctx.lineWidth = 1;
+            this._strokeLine(ctx, x, layout.top, x, layout.bottom);
+            ctx.fillStyle = '#ffffff';
+            ctx.beginPath();
+            ctx.arc(x, y, 3, 0, Math.PI * 2);
+            ctx.fill();
+        }
+    }
+
+    /**
+     * Sample closest to a horizontal position on the canvas.
+     * @param {HTMLCanvasElement} canvas
+     * @param {number} clientX - Mouse position (MouseEvent.clientX).
+     * @returns {number|null}
+     */
+    indexAt(canvas, clientX) {
+        const rect = canvas.getBoundingClientRect();
+        const x = (clientX - rect.left) * (canvas.width / (rect.width || 1));
+        const layout = this._layout(canvas.width, canvas.height);
+        if (x < layout.left || x > layout.right) return null;
+
+        const distance = layout.distanceOf(x);
+        const { distances } = this.profile;
+        let best = 0;
+        for (let i = 1; i < distances.length; i++) {
+            if (Math.abs(distances[i] - distance) < Math.abs(distances[best] - distance)) best = i;
+        }
+        return best;
+    }
+
+    /**
+     * @param {number} width
+     * @param {number} height
+     * @returns {string} A standalone SVG document.
+     */
+    toSvg(width, height) {
+        const layout = this._layout(width, height);
+        const f = (value) => value.toFixed(1);
+        const text = (x, y, anchor, baseline, label) =>
+            `<text x="${f(x)}" y="${f(y)}" text-anchor="${anchor}" dominant-baseline="${baseline}">${label}</text>`;
+
+        const parts = [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+            `<rect width="100%" height="100%" fill="#1e1e1e"/>`,
+            `<g stroke="${GRID_COLOR}" stroke-width="1">`,
+            ...layout.vertexX.map(x => `<line x1="${f(x)}" y1="${f(layout.top)}" x2="${f(x)}" y2="${f(layout.bottom)}" stroke-dasharray="3 3"/>`),
+            ...layout.yTicks.map(tick => `<line x1="${f(layout.left)}" y1="${f(tick.y)}" x2="${f(layout.right)}" y2="${f(tick.y)}"/>`),
+            `</g>`,
+            `<g fill="${TEXT_COLOR}" font-family="sans-serif" font-size="${layout.fontSize}">`,
+            ...layout.yTicks.map(tick => text(layout.left - 4, tick.y, 'end', 'middle', tick.label)),
+            ...layout.xTicks.map((tick, i) => text(tick.x, layout.bottom + 3, i === 0 ? 'start' : 'end', 'hanging', tick.label)),
+            `</g>`,
+            ...layout.runs.map(run =>
+                `<polyline fill="none" stroke="${LINE_COLOR}" stroke-width="${Math.max(1.5, layout.fontSize / 6)}" points="${run.map(([x, y]) => `${f(x)},${f(y)}`).join(' ')}"/>`),
+            `</svg>`
+        ];
+        return parts.join('\n');
+    }
+
+    /**
+     * @param {number} width
+     * @param {number} height
+     * @returns {Promise<Blob>} The chart as a PNG image.
+     */
+    toPngBlob(width, height) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#1e1e1e';
+        ctx.fillRect(0, 0, width, height);
+
+        // Draws over the background (draw() clears only what it paints over)
+        const layer = document.createElement('canvas');
+        layer.width = width;
+        layer.height = height;
+        this.draw(layer);
+        ctx.drawImage(layer, 0, 0);
+
+        return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    }
+
+    // --- Helper functions ---
+
+    /**
+     * Scales and ticks for a chart of the given size. Fonts and margins grow with the size,
+     * so a large export stays readable.
+     * @private
+     */
+    _layout(width, height) {
+        const scale = Math.max(1, width / 480);
+        const fontSize = Math.round(10 * scale);
+        const left = MARGIN.left * scale, right = width - MARGIN.right * scale;
+        const top = MARGIN.top * scale, bottom = height - MARGIN.bottom * scale;
+
+        const { distances, elevations, vertexStations } = this.profile;
+        const length = distances[distances.length - 1] || 1;
+        const valid = elevations.filter(Number.isFinite);
+        let min = valid.length ? valid.reduce((a, b) => Math.min(a, b)) : 0;
+        let max = valid.length ? valid.reduce((a, b) => Math.max(a, b)) : 1;
+        const pad = Math.max((max - min) * 0.05, 0.01);
+        min -= pad;
+        max += pad;
+
+        const xOf = (d) => left + (d / length) * (right - left);
+        const yOf = (h) => bottom - ((h - min) / (max - min)) * (bottom - top);
+        const distanceOf = (x) => ((x - left) / (right - left)) * length;
+
+        const runs = [];
+        let run = null;
+        distances.forEach((d, i) => {
+            if (!Number.isFinite(elevations[i])) {
+                run = null;
+                return;
+            }
+            if (!run) runs.push(run = []);
+            run.push([xOf(d), yOf(elevations[i])]);
+        });
+
+        const yTicks = [0, 0.5, 1].map(t => {
+            const value = min + (max - min) * t;
+            return { y: yOf(value), label: formatLength(value, this.elevationUnits, { withUnit: false }) };
+        });
+        const xTicks = [
+            { x: left, label: formatLength(0, this.lengthUnits) },
+            { x: right, label: formatLength(length, this.lengthUnits) }
+        ];
+        const vertexX = vertexStations.slice(1, -1).map(xOf);
+
+        return { fontSize, left, right, top, bottom, xOf, yOf, distanceOf, runs, yTicks, xTicks, vertexX };
+    }
+
+    /**
+     * @private
+     */
+    _strokeLine(ctx, x1, y1, x2, y2) {
+        ctx.beginPath();
+        ctx.moveTo(x1, y1);
+        ctx.lineTo(x2, y2);
+        ctx.stroke();
+    }
+}
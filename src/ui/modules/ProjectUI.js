@@ -0,0 +1,114 @@
+// src/ui/modules/ProjectUI.js
+
+/**
+ * Manages the UI elements related to saving and opening .visio360 projects.
+ * Handles the ribbon buttons, the hidden project file input and the save modal.
+ */
+export class ProjectUI {
+    constructor(logger, eventBus, uiElements) {
+        this.logger = logger;
+        this.eventBus = eventBus;
+        this.ui = uiElements; // Receives only the elements it needs
+
+        // Whether the loaded model can be referenced by URL instead of embedded
+        this.modelHasUrl = false;
+        this.defaultProjectName = '';
+
+        this._setupEventListeners();
+    }
+
+    /**
+     * Sets up DOM and EventBus listeners relevant to projects.
+     * @private
+     */
+    _setupEventListeners() {
+        // --- DOM Event Listeners ---
+        this._safeAddEventListener(this.ui.saveProjectBtn, 'click', () => this._showSaveModal());
+        this._safeAddEventListener(this.ui.openProjectBtn, 'click', () => this.ui.projectInput?.click());
+        this._safeAddEventListener(this.ui.projectInput, 'change', (e) => this._handleProjectSelect(e));
+        this._safeAddEventListener(this.ui.closeProjectModal, 'click', () => this._hideSaveModal());
+        this._safeAddEventListener(this.ui.projectSaveConfirmBtn, 'click', () => this._saveProject());
+
+        // Close modal on backdrop click
+        this._safeAddEventListener(this.ui.projectSaveSection, 'click', (e) => {
+            if (e.target === this.ui.projectSaveSection) {
+                this._hideSaveModal();
+            }
+        });
+
+        // --- Event Bus Listeners ---
+        this.eventBus.on('model:loaded', (payload) => {
+            const url = payload.model?.userData?.url || '';
+            const hasUrl = !!url && !url.startsWith('local-');
+            // Models can only be saved by reference if every layer has a URL
+            if (payload.mode === 'add') {
+                this.modelHasUrl = this.modelHasUrl && hasUrl;
+            } else {
+                this.modelHasUrl = hasUrl;
+                this.defaultProjectName = (payload.fileName || '').replace(/\.[^.]+$/, '');
+            }
+        });
+        this.eventBus.on('project:opened', (payload) => {
+            this.defaultProjectName = payload.name || this.defaultProjectName;
+            this.modelHasUrl = !!payload.canReferenceModel;
+        });
+    }
+
+    _showSaveModal() {
+        this._safeUpdateElement(this.ui.projectNameInput, el => {
+            if (!el.value) el.value = this.defaultProjectName;
+        });
+
+        // A model loaded from disk has no URL to point to, so it must be embedded
+        this._safeUpdateElement(this.ui.projectEmbedModel, el => {
+            el.disabled = !this.modelHasUrl;
+            if (!this.modelHasUrl) el.checked = true;
+        });
+
+        this._safeUpdateElement(this.ui.projectSaveSection, el => {
+            el.style.display = 'flex';
+        });
+    }
+
+    _hideSaveModal() {
+        this._safeUpdateElement(this.ui.projectSaveSection, el => {
+            el.style.display = 'none';
+        });
+    }
+
+    _saveProject() {
+        const name = this.ui.projectNameInput?.value?.trim() || this.defaultProjectName;
+        const embedModels = this.ui.projectEmbedModel ? this.ui.projectEmbedModel.checked : true;
+
+        this.eventBus.emit('project:save:request', { name, embedModels });
+        this._hideSaveModal();
+    }
+
+    _handleProjectSelect(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+        this.logger.info(`ProjectUI: Project selected - ${file.name} (${(file.size / 1024 / 1024).toFixed(2)}MB)`);
+
+        this.eventBus.emit('project:open:request', { file });
+
+        // Reset file input
+        event.target.value = '';
+    }
+
+    // --- Helper functions ---
+    _safeAddEventListener(element, event, handler) {
+        if (element) {
+            element.addEventListener(event, handler);
+        }
+    }
+
+    _safeUpdateElement(element, updateFn) {
+        if (element) {
+            try {
+                updateFn(element);
+            } catch (error) {
+                this.logger.error('ProjectUI: Error updating UI element', error);
+            }
+        }
+    }
+}
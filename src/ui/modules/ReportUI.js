@@ -0,0 +1,88 @@
+// src/ui/modules/ReportUI.js
+
+/**
+ * Manages the UI elements of the PDF inspection report: the ribbon button and its modal.
+ */
+export class ReportUI {
+    constructor(logger, eventBus, uiElements) {
+        this.logger = logger;
+        this.eventBus = eventBus;
+        this.ui = uiElements; // Receives only the elements it needs
+
+        // The report is named after the project (or the model, before it is saved)
+        this.defaultReportName = '';
+
+        this._setupEventListeners();
+    }
+
+    /**
+     * Sets up DOM and EventBus listeners relevant to the report.
+     * @private
+     */
+    _setupEventListeners() {
+        // --- DOM Event Listeners ---
+        this._safeAddEventListener(this.ui.reportBtn, 'click', () => this._showModal());
+        this._safeAddEventListener(this.ui.closeReportModal, 'click', () => this._hideModal());
+        this._safeAddEventListener(this.ui.reportGenerateBtn, 'click', () => this._generate());
+
+        // Close modal on backdrop click
+        this._safeAddEventListener(this.ui.reportSection, 'click', (e) => {
+            if (e.target === this.ui.reportSection) {
+                this._hideModal();
+            }
+        });
+
+        // --- Event Bus Listeners ---
+        this.eventBus.on('model:loaded', (payload) => {
+            if (payload.mode !== 'add') {
+                this.defaultReportName = (payload.fileName || '').replace(/\.[^.]+$/, '');
+            }
+        });
+        this.eventBus.on('project:opened', (payload) => {
+            this.defaultReportName = payload.name || this.defaultReportName;
+        });
+        this.eventBus.on('project:saved', (payload) => {
+            this.defaultReportName = payload.name || this.defaultReportName;
+        });
+    }
+
+    _showModal() {
+        this._safeUpdateElement(this.ui.reportNameInput, el => {
+            el.value = this.defaultReportName;
+        });
+        this._safeUpdateElement(this.ui.reportSection, el => {
+            el.style.display = 'flex';
+        });
+    }
+
+    _hideModal() {
+        this._safeUpdateElement(this.ui.reportSection, el => {
+            el.style.display = 'none';
+        });
+    }
+
+    _generate() {
+        const name = this.ui.reportNameInput?.value?.trim() || this.defaultReportName;
+        const includeSnapshots = this.ui.reportIncludeSnapshots ? this.ui.reportIncludeSnapshots.checked : true;
+
+        this.eventBus.emit('report:generate:request', { name, includeSnapshots });
+        this._hideModal();
+    }
+
+    // --- Helper functions ---
+    _safeAddEventListener(element, event, handler) {
+        if (element) {
+            element.addEventListener(event, handler);
+        }
+    }
+
+    _safeUpdateElement(element, updateFn) {
+        if (element) {
+            try {
+                updateFn(element);
+            } catch (error) {
+                this.logger.error('ReportUI: Error updating UI element', error);
+            }
+        }
+    }
+}
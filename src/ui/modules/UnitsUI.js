@@ -0,0 +1,118 @@
+// src/ui/modules/UnitsUI.js
+import {
+    LENGTH_UNITS,
+    AREA_UNITS,
+    VOLUME_UNITS,
+    ANGLE_FORMATS,
+    UNIT_PRESETS,
+    DEFAULT_UNIT_SETTINGS
+} from '../../utils/Units.js';
+
+/**
+ * Manages the "Unidades" section of the left panel: the unit system (metric, imperial,
+ * US survey feet or a custom unit), each quantity's unit, the angle format and the number of
+ * decimals. Changes are sent as 'units:settings:set' and the controls follow 'units:changed',
+ * so a restored project updates them as well.
+ */
+export class UnitsUI {
+    constructor(logger, eventBus, uiElements) {
+        this.logger = logger;
+        this.eventBus = eventBus;
+        this.ui = uiElements; // Receives only the elements it needs
+
+        this._fillSelects();
+        this._showSettings(DEFAULT_UNIT_SETTINGS);
+        this._setupEventListeners();
+    }
+
+    /**
+     * Sets up DOM and EventBus listeners relevant to the unit settings.
+     * @private
+     */
+    _setupEventListeners() {
+        // --- DOM Event Listeners ---
+        this._safeAddEventListener(this.ui.unitsSystemSelect, 'change', (e) => {
+            if (e.target.value) this.eventBus.emit('units:settings:set', { preset: e.target.value });
+        });
+        this._safeAddEventListener(this.ui.unitsLengthSelect, 'change', (e) => this._emit({ length: e.target.value }));
+        this._safeAddEventListener(this.ui.unitsAreaSelect, 'change', (e) => this._emit({ area: e.target.value }));
+        this._safeAddEventListener(this.ui.unitsVolumeSelect, 'change', (e) => this._emit({ volume: e.target.value }));
+        this._safeAddEventListener(this.ui.unitsAngleSelect, 'change', (e) => this._emit({ angle: e.target.value }));
+        this._safeAddEventListener(this.ui.unitsDecimalsInput, 'change', (e) => this._emit({ decimals: e.target.value }));
+        this._safeAddEventListener(this.ui.unitsCustomLabelInput, 'change', (e) => this._emit({ custom: { label: e.target.value } }));
+        this._safeAddEventListener(this.ui.unitsCustomFactorInput, 'change', (e) => this._emit({ custom: { factor: e.target.value } }));
+
+        // --- Event Bus Listeners ---
+        this.eventBus.on('units:changed', (payload) => this._showSettings(payload.settings));
+    }
+
+    _emit(changes) {
+        this.eventBus.emit('units:settings:set', changes);
+    }
+
+    /**
+     * @private
+     */
+    _fillSelects() {
+        const fill = (element, entries) => this._safeUpdateElement(element, el => {
+            el.innerHTML = '';
+            entries.forEach(([value, text]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = text;
+                el.appendChild(option);
+            });
+        });
+        const withLabel = (table) => Object.entries(table)
+            .map(([key, unit]) => [key, unit.label ? `${unit.name} (${unit.label})` : unit.name]);
+
+        fill(this.ui.unitsSystemSelect, [
+            ...Object.entries(UNIT_PRESETS).map(([key, preset]) => [key, preset.name]),
+            ['', 'Misto'] // Units chosen one by one
+        ]);
+        fill(this.ui.unitsLengthSelect, withLabel(LENGTH_UNITS));
+        fill(this.ui.unitsAreaSelect, withLabel(AREA_UNITS));
+        fill(this.ui.unitsVolumeSelect, withLabel(VOLUME_UNITS));
+        fill(this.ui.unitsAngleSelect, Object.entries(ANGLE_FORMATS).map(([key, format]) => [key, format.name]));
+    }
+
+    /**
+     * Brings the controls in line with the active settings.
+     * @private
+     */
+    _showSettings(settings) {
+        const preset = Object.entries(UNIT_PRESETS)
+            .find(([, p]) => p.length === settings.length && p.area === settings.area && p.volume === settings.volume);
+
+        this._safeUpdateElement(this.ui.unitsSystemSelect, el => { el.value = preset ? preset[0] : ''; });
+        this._safeUpdateElement(this.ui.unitsLengthSelect, el => { el.value = settings.length; });
+        this._safeUpdateElement(this.ui.unitsAreaSelect, el => { el.value = settings.area; });
+        this._safeUpdateElement(this.ui.unitsVolumeSelect, el => { el.value = settings.volume; });
+        this._safeUpdateElement(this.ui.unitsAngleSelect, el => { el.value = settings.angle; });
+        this._safeUpdateElement(this.ui.unitsDecimalsInput, el => { el.value = settings.decimals; });
+        this._safeUpdateElement(this.ui.unitsCustomLabelInput, el => { el.value = settings.custom.label; });
+        this._safeUpdateElement(this.ui.unitsCustomFactorInput, el => { el.value = settings.custom.factor; });
+
+        const usesCustom = [settings.length, settings.area, settings.volume].includes('custom');
+        this._safeUpdateElement(this.ui.unitsCustomGroup, el => {
+            el.style.display = usesCustom ? 'block' : 'none';
+        });
+    }
+
+    // --- Helper functions ---
+    _safeAddEventListener(element, event, handler) {
+        if (element) {
+            element.addEventListener(event, handler);
+        }
+    }
+
+    _safeUpdateElement(element, updateFn) {
+        if (element) {
+            try {
+                updateFn(element);
+            } catch (error) {
+                this.logger.error('UnitsUI: Error updating UI element', error);
+            }
+        }
+    }
+}
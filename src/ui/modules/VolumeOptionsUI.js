@@ -0,0 +1,87 @@
+// src/ui/modules/VolumeOptionsUI.js
+
+/**
+ * Manages the "Volume" section of the left panel: the base the volume tool measures down to
+ * (best-fit plane, lowest or highest polygon vertex, a typed elevation, the surface
+ * triangulated through the polygon vertices, or another layer for epoch-to-epoch cut/fill).
+ * The choice applies to the next volume measurements.
+ */
+export class VolumeOptionsUI {
+    constructor(logger, eventBus, uiElements) {
+        this.logger = logger;
+        this.eventBus = eventBus;
+        this.ui = uiElements; // Receives only the elements it needs
+
+        this._setupEventListeners();
+    }
+
+    /**
+     * Sets up DOM and EventBus listeners relevant to the volume options.
+     * @private
+     */
+    _setupEventListeners() {
+        // --- DOM Event Listeners ---
+        this._safeAddEventListener(this.ui.volumeBaseTypeSelect, 'change', () => this._emitBase());
+        this._safeAddEventListener(this.ui.volumeBaseLayerSelect, 'change', () => this._emitBase());
+        this._safeAddEventListener(this.ui.volumeBaseElevationInput, 'change', () => this._emitBase());
+
+        // --- Event Bus Listeners ---
+        this.eventBus.on('layers:changed', (payload) => this._fillLayerSelect(payload.layers));
+    }
+
+    _emitBase() {
+        const type = this.ui.volumeBaseTypeSelect?.value || 'plane';
+        this._safeUpdateElement(this.ui.volumeBaseLayerGroup, el => {
+            el.style.display = type === 'surface' ? 'flex' : 'none';
+        });
+        this._safeUpdateElement(this.ui.volumeBaseElevationGroup, el => {
+            el.style.display = type === 'elevation' ? 'flex' : 'none';
+        });
+        const elevation = parseFloat(this.ui.volumeBaseElevationInput?.value);
+        this.eventBus.emit('measurement:volume:base:set', {
+            type,
+            layerId: type === 'surface' ? this.ui.volumeBaseLayerSelect?.value || null : null,
+            elevation: type === 'elevation' && Number.isFinite(elevation) ? elevation : null
+        });
+    }
+
+    /**
+     * Keeps the chosen base layer when it still exists; otherwise the reference (first) layer.
+     * @private
+     */
+    _fillLayerSelect(layers) {
+        this._safeUpdateElement(this.ui.volumeBaseLayerSelect, el => {
+            const previous = el.value;
+            el.innerHTML = '';
+            layers.forEach(layer => {
+                const option = document.createElement('option');
+                option.value = layer.id;
+                option.textContent = layer.name;
+                el.appendChild(option);
+            });
+            if (layers.some(layer => layer.id === previous)) {
+                el.value = previous;
+            } else if (layers.length) {
+                el.value = layers[0].id;
+            }
+            if (el.value !== previous) this._emitBase();
+        });
+    }
+
+    // --- Helper functions ---
+    _safeAddEventListener(element, event, handler) {
+        if (element) {
+            element.addEventListener(event, handler);
+        }
+    }
+
+    _safeUpdateElement(element, updateFn) {
+        if (element) {
+            try {
+                updateFn(element);
+            } catch (error) {
+                this.logger.error('VolumeOptionsUI: Error updating UI element', error);
+            }
+        }
+    }
+}
@@ -4,29 +4,18 @@ import * as THREE from 'three';
 /**
  * Creates a text label as a Three.js Sprite.
  * This centralized utility is used by all measurement tools to ensure a consistent look and feel.
- * @param {string} text - The text to display on the label.
+ * The text may be a function: it is kept in `sprite.userData.text` and evaluated again by
+ * refreshTextSprite, so labels that depend on the unit settings can be relabeled in place.
+ * @param {string|function(): string} text - The text to display on the label.
  * @param {string} color - The CSS color of the text (e.g., '#ff0000').
  * @returns {THREE.Sprite} A Three.js Sprite object ready to be added to the scene.
  */
 export function createTextSprite(text, color) {
     const canvas = document.createElement('canvas');
-    const context = canvas.getContext('2d');
     canvas.width = 512; // High resolution for sharp text
     canvas.height = 128;
 
-    // Background
-    context.fillStyle = 'rgba(0, 0, 0, 0.7)';
-    context.fillRect(0, 0, canvas.width, canvas.height);
-
-    // Text style
-    context.font = 'Bold 48px Arial';
-    context.fillStyle = color;
-    context.textAlign = 'center';
-    context.textBaseline = 'middle';
-    context.fillText(text, canvas.width / 2, canvas.height / 2);
-
     const texture = new THREE.CanvasTexture(canvas);
-    texture.needsUpdate = true;
 
     const spriteMaterial = new THREE.SpriteMaterial({
         map: texture,
@@ -35,10 +24,60 @@ export function createTextSprite(text, color) {
     });
 
     const sprite = new THREE.Sprite(spriteMaterial);
+    sprite.userData.text = text;
+    sprite.userData.color = color;
+    drawLabel(sprite);
 
     // Set a consistent scale for the labels
     sprite.scale.set(1.2, 0.3, 1.0);
     sprite.renderOrder = 1000; // Render on top of other objects
 
     return sprite;
+}
+
+/**
+ * Redraws a label made by createTextSprite whose text is a function (e.g., after the units changed).
+ * Labels with a fixed text are left untouched.
+ * @param {THREE.Object3D} object - Any scene object; only such labels are redrawn.
+ * @returns {boolean} Whether the object was redrawn.
+ */
+export function refreshTextSprite(object) {
+    if (!object.isSprite || typeof object.userData.text !== 'function') return false;
+    drawLabel(object);
+    return true;
+}
+
+/**
+ * Changes the text color of a label made by createTextSprite and redraws it.
+ * @param {THREE.Sprite} sprite
+ * @param {string} color - CSS color.
+ */
+export function setTextSpriteColor(sprite, color) {
+    if (!sprite.isSprite || sprite.userData.text === undefined || sprite.userData.color === color) return;
+    sprite.userData.color = color;
+    drawLabel(sprite);
+}
+
+/**
+ * @private
+ */
+function drawLabel(sprite) {
+    const { text, color } = sprite.userData;
+    const texture = sprite.material.map;
+    const canvas = texture.image;
+    const context = canvas.getContext('2d');
+
+    // Background
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    context.fillStyle = 'rgba(0, 0, 0, 0.7)';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+
+    // Text style
+    context.font = 'Bold 48px Arial';
+    context.fillStyle = color;
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillText(typeof text === 'function' ? text() : text, canvas.width / 2, canvas.height / 2);
+
+    texture.needsUpdate = true;
 }
\ No newline at end of file
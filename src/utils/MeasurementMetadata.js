@@ -0,0 +1,59 @@
+// src/utils/MeasurementMetadata.js
+
+/**
+ * The user's metadata of a measurement: a name, a free-text note, tags and a custom color.
+ * Kept as plain fields on the measurement, its annotation (shared with peers) and its project
+ * record; these helpers keep all of them in the same shape.
+ */
+
+/**
+ * @param {Object} [source] - A measurement, annotation, record or a partial change.
+ *   Tags may be an array or a comma-separated string; a leading '#' is dropped.
+ * @returns {{name: string|null, note: string|null, tags: string[], color: string|null}}
+ */
+export function normalizeMetadata(source = {}) {
+    const text = (value) => (typeof value === 'string' && value.trim()) || null;
+    const rawTags = Array.isArray(source.tags) ? source.tags : String(source.tags ?? '').split(',');
+    const tags = [...new Set(rawTags
+        .map(tag => String(tag).trim().replace(/^#+/, ''))
+        .filter(Boolean))];
+
+    return {
+        name: text(source.name),
+        note: text(source.note),
+        tags,
+        color: /^#[0-9a-f]{6}$/i.test(source.color || '') ? source.color.toLowerCase() : null
+    };
+}
+
+/**
+ * Text of the tag label shown above a measurement in the 3D view.
+ * @param {Object} metadata
+ * @returns {string|null} E.g., 'Muro norte #fase2 #revisar', or null when there is nothing to show.
+ */
+export function metadataLabelText(metadata) {
+    const { name, tags } = normalizeMetadata(metadata);
+    const parts = [name, ...tags.map(tag => `#${tag}`)].filter(Boolean);
+    return parts.length ? parts.join(' ') : null;
+}
+
+/**
+ * Whether a measurement matches a filter typed in the measurements panel. Every word must be
+ * found; words starting with '#' only match tags.
+ * @param {Object} item - Metadata plus any other searchable text (e.g., the author).
+ * @param {string} query
+ * @param {string[]} [extra] - Other texts to search (e.g., the group title).
+ * @returns {boolean}
+ */
+export function matchesMetadataFilter(item, query, extra = []) {
+    const words = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+    if (words.length === 0) return true;
+
+    const { name, note, tags } = normalizeMetadata(item);
+    const lowerTags = tags.map(tag => tag.toLowerCase());
+    const haystack = [name, note, ...tags, ...extra].filter(Boolean).join(' ').toLowerCase();
+
+    return words.every(word => (word.startsWith('#')
+        ? lowerTags.some(tag => tag.startsWith(word.slice(1)))
+        : haystack.includes(word)));
+}
@@ -0,0 +1,50 @@
+// src/utils/MeshDataExtractor.js
+
+/**
+ * Extracts the raw geometry of the meshes (and optionally point clouds) under the given
+ * objects, in the plain format the Web Workers receive: copied typed arrays plus the world
+ * matrix of each object. Copies are used so the buffers can be transferred to a worker
+ * without taking them away from the scene.
+ * @param {THREE.Object3D|THREE.Object3D[]} objects - Models or layer groups to traverse.
+ * @param {Object} [options]
+ * @param {boolean} [options.includePoints=false] - Also extract THREE.Points (indices is null).
+ * @returns {Array<{positions: Float32Array, indices: Uint16Array|Uint32Array|null, matrix: number[], isPoints: boolean, object: THREE.Object3D}>}
+ *   object is the source mesh, for callers that map results back to the scene; it is not
+ *   structured-cloneable, so strip it (see toWorkerData) before posting to a worker.
+ */
+export function extractMeshesData(objects, { includePoints = false } = {}) {
+    const meshesData = [];
+    const list = Array.isArray(objects) ? objects : [objects];
+
+    list.forEach(root => root?.traverse((child) => {
+        const isPoints = !!child.isPoints;
+        if (!(child.isMesh || (includePoints && isPoints)) || !child.geometry?.attributes.position) return;
+
+        child.updateWorldMatrix(true, false);
+        const geometry = child.geometry;
+        meshesData.push({
+            positions: geometry.attributes.position.array.slice(),
+            indices: !isPoints && geometry.index ? geometry.index.array.slice() : null,
+            matrix: child.matrixWorld.toArray(),
+            isPoints,
+            object: child
+        });
+    }));
+
+    return meshesData;
+}
+
+/**
+ * Strips the scene references from extracted data and lists the buffers to transfer.
+ * @param {Array} meshesData - Output of extractMeshesData.
+ * @returns {{data: Array<{positions, indices, matrix, isPoints}>, transfer: ArrayBuffer[]}}
+ */
+export function toWorkerData(meshesData) {
+    const transfer = [];
+    const data = meshesData.map(({ positions, indices, matrix, isPoints }) => {
+        transfer.push(positions.buffer);
+        if (indices) transfer.push(indices.buffer);
+        return { positions, indices, matrix, isPoints };
+    });
+    return { data, transfer };
+}
@@ -0,0 +1,222 @@
+// src/utils/Units.js
+
+const US_SURVEY_FOOT = 1200 / 3937;
+
+/**
+ * Length units: meters per unit. 'ftin' is shown as feet and inches; 'custom' takes its name
+ * and size from the settings (e.g., a model drawn in some local unit).
+ */
+export const LENGTH_UNITS = {
+    m: { label: 'm', name: 'Metros', factor: 1 },
+    cm: { label: 'cm', name: 'Centímetros', factor: 0.01 },
+    mm: { label: 'mm', name: 'Milímetros', factor: 0.001 },
+    ft: { label: 'ft', name: 'Pés', factor: 0.3048 },
+    ftin: { label: 'ft-in', name: 'Pés e polegadas', factor: 0.3048 },
+    usft: { label: 'ftUS', name: 'Pés topográficos (US)', factor: US_SURVEY_FOOT },
+    custom: { label: null, name: 'Personalizada', factor: null }
+};
+
+/** Area units: square meters per unit. */
+export const AREA_UNITS = {
+    m2: { label: 'm²', name: 'Metros quadrados', factor: 1 },
+    cm2: { label: 'cm²', name: 'Centímetros quadrados', factor: 1e-4 },
+    ha: { label: 'ha', name: 'Hectares', factor: 1e4 },
+    km2: { label: 'km²', name: 'Quilômetros quadrados', factor: 1e6 },
+    ft2: { label: 'ft²', name: 'Pés quadrados', factor: 0.3048 ** 2 },
+    usft2: { label: 'ftUS²', name: 'Pés topográficos quadrados (US)', factor: US_SURVEY_FOOT ** 2 },
+    ac: { label: 'ac', name: 'Acres', factor: 4046.8564224 },
+    custom: { label: null, name: 'Personalizada', factor: null }
+};
+
+/** Volume units: cubic meters per unit. */
+export const VOLUME_UNITS = {
+    m3: { label: 'm³', name: 'Metros cúbicos', factor: 1 },
+    l: { label: 'L', name: 'Litros', factor: 0.001 },
+    ft3: { label: 'ft³', name: 'Pés cúbicos', factor: 0.3048 ** 3 },
+    yd3: { label: 'yd³', name: 'Jardas cúbicas', factor: 0.9144 ** 3 },
+    usft3: { label: 'ftUS³', name: 'Pés topográficos cúbicos (US)', factor: US_SURVEY_FOOT ** 3 },
+    custom: { label: null, name: 'Personalizada', factor: null }
+};
+
+export const ANGLE_FORMATS = {
+    deg: { name: 'Graus decimais' },
+    dms: { name: 'Graus, minutos e segundos' },
+    grad: { name: 'Grados (gon)' }
+};
+
+/** Unit systems: choosing one sets the length, area and volume units together. */
+export const UNIT_PRESETS = {
+    metric: { name: 'Métrico', length: 'm', area: 'm2', volume: 'm3' },
+    imperial: { name: 'Imperial', length: 'ft', area: 'ft2', volume: 'yd3' },
+    usSurvey: { name: 'Pés topográficos (US)', length: 'usft', area: 'ac', volume: 'usft3' },
+    custom: { name: 'Personalizado', length: 'custom', area: 'custom', volume: 'custom' }
+};
+
+/**
+ * Settings as given to the formatters also carry 'scale': meters per scene unit, from the
+ * scale calibration of an unscaled model (see UnitSystem.getSettings). Without it, 1.
+ */
+export const DEFAULT_UNIT_SETTINGS = {
+    length: 'm',
+    area: 'm2',
+    volume: 'm3',
+    angle: 'deg',
+    decimals: 2,
+    custom: { label: 'u', factor: 1 } // Meters per custom unit
+};
+
+/**
+ * Checks settings coming from the UI, a project or a peer, filling the gaps with the defaults.
+ * @param {Object} [settings]
+ * @returns {typeof DEFAULT_UNIT_SETTINGS}
+ */
+export function normalizeUnitSettings(settings = {}) {
+    const pick = (value, table, fallback) => (value in table ? value : fallback);
+    const decimals = Number.parseInt(settings.decimals, 10);
+    const factor = Number(settings.custom?.factor);
+    const label = String(settings.custom?.label ?? '').trim();
+
+    return {
+        length: pick(settings.length, LENGTH_UNITS, DEFAULT_UNIT_SETTINGS.length),
+        area: pick(settings.area, AREA_UNITS, DEFAULT_UNIT_SETTINGS.area),
+        volume: pick(settings.volume, VOLUME_UNITS, DEFAULT_UNIT_SETTINGS.volume),
+        angle: pick(settings.angle, ANGLE_FORMATS, DEFAULT_UNIT_SETTINGS.angle),
+        decimals: Number.isFinite(decimals) ? Math.min(Math.max(decimals, 0), 6) : DEFAULT_UNIT_SETTINGS.decimals,
+        custom: {
+            label: label || DEFAULT_UNIT_SETTINGS.custom.label,
+            factor: Number.isFinite(factor) && factor > 0 ? factor : DEFAULT_UNIT_SETTINGS.custom.factor
+        }
+    };
+}
+
+/**
+ * @param {number} length - In scene units.
+ * @param {typeof DEFAULT_UNIT_SETTINGS} settings
+ * @param {{signed?: boolean, withUnit?: boolean}} [options] - 'signed' prefixes positive values with '+'.
+ * @returns {string} E.g., '12.35 m' or `40' 6.25"`.
+ */
+export function formatLength(length, settings, { signed = false, withUnit = true } = {}) {
+    const meters = length * (settings.scale ?? 1);
+    if (settings.length === 'ftin') {
+        return formatFeetInches(meters, settings.decimals, signed);
+    }
+    const { factor, label } = resolveUnit(LENGTH_UNITS, settings.length, settings.custom.factor, settings.custom.label);
+    return joinUnit(formatNumber(meters / factor, settings.decimals, signed), withUnit && label);
+}
+
+/**
+ * @param {number} area - In square scene units.
+ * @param {typeof DEFAULT_UNIT_SETTINGS} settings
+ * @param {{withUnit?: boolean}} [options]
+ * @returns {string}
+ */
+export function formatArea(area, settings, { withUnit = true } = {}) {
+    const squareMeters = area * (settings.scale ?? 1) ** 2;
+    const { factor, label } = resolveUnit(AREA_UNITS, settings.area, settings.custom.factor ** 2, `${settings.custom.label}²`);
+    return joinUnit(formatNumber(squareMeters / factor, settings.decimals), withUnit && label);
+}
+
+/**
+ * @param {number} volume - In cubic scene units.
+ * @param {typeof DEFAULT_UNIT_SETTINGS} settings
+ * @param {{withUnit?: boolean}} [options]
+ * @returns {string}
+ */
+export function formatVolume(volume, settings, { withUnit = true } = {}) {
+    const cubicMeters = volume * (settings.scale ?? 1) ** 3;
+    const { factor, label } = resolveUnit(VOLUME_UNITS, settings.volume, settings.custom.factor ** 3, `${settings.custom.label}³`);
+    return joinUnit(formatNumber(cubicMeters / factor, settings.decimals), withUnit && label);
+}
+
+/**
+ * @param {number} degrees
+ * @param {typeof DEFAULT_UNIT_SETTINGS} settings
+ * @returns {string} E.g., '45.50°', `45° 30' 0.00"` or '50.56 gon'.
+ */
+export function formatAngle(degrees, settings) {
+    if (settings.angle === 'grad') {
+        return `${formatNumber(degrees * 400 / 360, settings.decimals)} gon`;
+    }
+    if (settings.angle !== 'dms') {
+        return `${formatNumber(degrees, settings.decimals)}°`;
+    }
+
+    // Rounded in seconds first, so 59.999" never shows up as 60"
+    const scale = 10 ** settings.decimals;
+    const totalSeconds = Math.round(Math.abs(degrees) * 3600 * scale) / scale;
+    const d = Math.floor(totalSeconds / 3600);
+    const m = Math.floor((totalSeconds - d * 3600) / 60);
+    const s = totalSeconds - d * 3600 - m * 60;
+    return `${degrees < 0 ? '-' : ''}${d}° ${m}' ${s.toFixed(settings.decimals)}"`;
+}
+
+/**
+ * Short label of the active unit of a quantity (e.g., for table headers).
+ * @param {'length'|'area'|'volume'|'angle'} quantity
+ * @param {typeof DEFAULT_UNIT_SETTINGS} settings
+ * @returns {string}
+ */
+export function unitLabel(quantity, settings) {
+    const { label } = settings.custom;
+    switch (quantity) {
+        case 'area': return resolveUnit(AREA_UNITS, settings.area, 1, `${label}²`).label;
+        case 'volume': return resolveUnit(VOLUME_UNITS, settings.volume, 1, `${label}³`).label;
+        case 'angle': return settings.angle === 'grad' ? 'gon' : '°';
+        default: return settings.length === 'ftin' ? 'ft' : resolveUnit(LENGTH_UNITS, settings.length, 1, label).label;
+    }
+}
+
+/**
+ * A value as a plain number in the active unit of its quantity (see unitLabel), for exports:
+ * feet for 'ftin' and decimal degrees for 'dms'.
+ * @param {number} value - Scene units (squared or cubed) or degrees.
+ * @param {'length'|'area'|'volume'|'angle'} quantity
+ * @param {typeof DEFAULT_UNIT_SETTINGS} settings
+ * @returns {number}
+ */
+export function toDisplayUnit(value, quantity, settings) {
+    const scale = settings.scale ?? 1;
+    const { factor } = settings.custom;
+    switch (quantity) {
+        case 'angle': return settings.angle === 'grad' ? value * 400 / 360 : value;
+        case 'area': return value * scale ** 2 / resolveUnit(AREA_UNITS, settings.area, factor ** 2).factor;
+        case 'volume': return value * scale ** 3 / resolveUnit(VOLUME_UNITS, settings.volume, factor ** 3).factor;
+        default: return value * scale / lengthUnitFactor(settings);
+    }
+}
+
+/**
+ * Meters per displayed length unit (feet for 'ftin'), to read lengths typed in the active unit.
+ * @param {typeof DEFAULT_UNIT_SETTINGS} settings
+ * @returns {number}
+ */
+export function lengthUnitFactor(settings) {
+    return settings.length === 'custom' ? settings.custom.factor : (LENGTH_UNITS[settings.length] || LENGTH_UNITS.m).factor;
+}
+
+// --- Internals ---
+
+function resolveUnit(table, key, customFactor, customLabel) {
+    const unit = table[key] || Object.values(table)[0];
+    return key === 'custom'
+        ? { factor: customFactor, label: customLabel }
+        : { factor: unit.factor, label: unit.label };
+}
+
+function formatNumber(value, decimals, signed = false) {
+    const text = value.toFixed(decimals);
+    return signed && value > 0 ? `+${text}` : text;
+}
+
+function joinUnit(number, label) {
+    return label ? `${number} ${label}` : number;
+}
+
+function formatFeetInches(meters, decimals, signed) {
+    const scale = 10 ** decimals;
+    const totalInches = Math.round(Math.abs(meters) / 0.0254 * scale) / scale;
+    const feet = Math.floor(totalInches / 12);
+    const inches = totalInches - feet * 12;
+    const sign = meters < 0 ? '-' : (signed && meters > 0 ? '+' : '');
+    return `${sign}${feet}' ${inches.toFixed(decimals)}"`;
+}
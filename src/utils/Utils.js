@@ -43,3 +43,20 @@ export function diff(oldObj, newObj) {
 
     return result;
 }
+
+/**
+ * Dispara o download de um Blob no navegador.
+ * @param {Blob} blob O conteúdo do arquivo.
+ * @param {string} fileName O nome sugerido para o arquivo.
+ */
+export function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Revoga depois que o navegador tiver iniciado o download
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,24 @@
+/**
+ * @module WorkerLogger
+ * @description
+ * Logger for the Web Workers, with the same methods as Logger (workers cannot receive the
+ * app's instance). Warnings and errors always reach the console; info and debug messages,
+ * such as the workers' timings, only in development builds.
+ */
+export class WorkerLogger {
+    debug(message, data = '') {
+        if (import.meta.env.DEV) console.debug(`[WORKER-DEBUG] ${message}`, data);
+    }
+
+    info(message, data = '') {
+        if (import.meta.env.DEV) console.log(`[WORKER-INFO] ${message}`, data);
+    }
+
+    warn(message, data = '') {
+        console.warn(`[WORKER-WARN] ${message}`, data);
+    }
+
+    error(message, data = '') {
+        console.error(`[WORKER-ERROR] ${message}`, data);
+    }
+}
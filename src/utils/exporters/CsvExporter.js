@@ -0,0 +1,23 @@
+// src/utils/exporters/CsvExporter.js
+
+/**
+ * Writes a CSV table (RFC 4180: comma separated, quoted when needed, CRLF line ends).
+ * It starts with a UTF-8 byte order mark, so spreadsheet apps read the accents right.
+ * @param {Array<Array<string|number|null>>} rows - The first row is usually the header.
+ * @param {Object} [options]
+ * @param {string[]} [options.comments] - Lines written before the table, prefixed with '#'.
+ * @returns {Blob}
+ */
+export function createCsvBlob(rows, { comments = [] } = {}) {
+    const cell = (value) => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const lines = [
+        ...comments.map(comment => `# ${comment.replace(/[\r\n]+/g, ' ')}`),
+        ...rows.map(row => row.map(cell).join(','))
+    ];
+
+    return new Blob(['\uFEFF', lines.join('\r\n'), '\r\n'], { type: 'text/csv;charset=utf-8' });
+}
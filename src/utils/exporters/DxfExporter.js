@@ -0,0 +1,75 @@
+// src/utils/exporters/DxfExporter.js
+
+/**
+ * Writes an ASCII DXF (R12 / AC1009), the flavor every CAD and GIS tool still reads.
+ * Polylines are written as 3D POLYLINE entities so each vertex keeps its own elevation;
+ * texts as TEXT entities. Coordinates are expected in map order (x, y, elevation), see
+ * CoordinateSystem.toMapCoordinates().
+ * @param {Object} data
+ * @param {Array<{name: string, color?: number}>} data.layers - color is an AutoCAD Color Index (1-255).
+ * @param {Array<{layer: string, points: number[][], closed?: boolean}>} [data.polylines]
+ * @param {Array<{layer: string, position: number[], text: string, height?: number, rotation?: number}>} [data.texts]
+ *   rotation in degrees, counterclockwise.
+ * @param {number} [data.decimals=4] - Decimal places of the coordinates.
+ * @returns {Blob}
+ */
+export function createDxfBlob({ layers, polylines = [], texts = [], decimals = 4 }) {
+    const lines = [];
+    const pair = (code, value) => lines.push(String(code), String(value));
+    const point = ([x, y, z = 0], base = 10) => {
+        pair(base, x.toFixed(decimals));
+        pair(base + 10, y.toFixed(decimals));
+        pair(base + 20, z.toFixed(decimals));
+    };
+
+    pair(0, 'SECTION');
+    pair(2, 'HEADER');
+    pair(9, '$ACADVER');
+    pair(1, 'AC1009');
+    pair(0, 'ENDSEC');
+
+    pair(0, 'SECTION');
+    pair(2, 'TABLES');
+    pair(0, 'TABLE');
+    pair(2, 'LAYER');
+    pair(70, layers.length);
+    layers.forEach(({ name, color = 7 }) => {
+        pair(0, 'LAYER');
+        pair(2, name);
+        pair(70, 0);
+        pair(62, color);
+        pair(6, 'CONTINUOUS');
+    });
+    pair(0, 'ENDTAB');
+    pair(0, 'ENDSEC');
+
+    pair(0, 'SECTION');
+    pair(2, 'ENTITIES');
+    polylines.forEach(({ layer, points, closed = false }) => {
+        pair(0, 'POLYLINE');
+        pair(8, layer);
+        pair(66, 1);
+        point([0, 0, 0]);
+        pair(70, 8 | (closed ? 1 : 0)); // 8 = 3D polyline
+        points.forEach(vertex => {
+            pair(0, 'VERTEX');
+            pair(8, layer);
+            point(vertex);
+            pair(70, 32); // 32 = 3D polyline vertex
+        });
+        pair(0, 'SEQEND');
+        pair(8, layer);
+    });
+    texts.forEach(({ layer, position, text, height = 1, rotation = 0 }) => {
+        pair(0, 'TEXT');
+        pair(8, layer);
+        point(position);
+        pair(40, height.toFixed(decimals));
+        pair(1, String(text).replace(/[\r\n]+/g, ' '));
+        if (rotation) pair(50, rotation.toFixed(2));
+    });
+    pair(0, 'ENDSEC');
+    pair(0, 'EOF');
+
+    return new Blob([lines.join('\n') + '\n'], { type: 'application/dxf' });
+}
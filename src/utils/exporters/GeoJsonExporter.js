@@ -0,0 +1,32 @@
+// src/utils/exporters/GeoJsonExporter.js
+
+/**
+ * Writes a GeoJSON FeatureCollection.
+ * RFC 7946 expects WGS 84 longitude/latitude. Projected coordinates can be tagged with the
+ * legacy 'crs' member, which GDAL/QGIS still read; coordinates in a local frame should say
+ * so in the collection's 'name'.
+ * @param {Array<{geometry: {type: string, coordinates: Array}, properties?: Object}>} features
+ * @param {Object} [options]
+ * @param {string} [options.name] - Collection name.
+ * @param {string|null} [options.crs] - CRS name of non-WGS 84 coordinates (e.g., 'EPSG:31983').
+ * @param {number} [options.decimals=8] - Decimal places of the coordinates.
+ * @returns {Blob}
+ */
+export function createGeoJsonBlob(features, { name, crs = null, decimals = 8 } = {}) {
+    const round = (coordinates) => Array.isArray(coordinates[0])
+        ? coordinates.map(round)
+        : coordinates.map(value => Number(value.toFixed(decimals)));
+
+    const collection = {
+        type: 'FeatureCollection',
+        ...(name ? { name } : {}),
+        ...(crs ? { crs: { type: 'name', properties: { name: crs } } } : {}),
+        features: features.map(({ geometry, properties = {} }) => ({
+            type: 'Feature',
+            properties,
+            geometry: { type: geometry.type, coordinates: round(geometry.coordinates) }
+        }))
+    };
+
+    return new Blob([JSON.stringify(collection)], { type: 'application/geo+json' });
+}
@@ -0,0 +1,92 @@
+// src/utils/exporters/KmlExporter.js
+
+/**
+ * Writes a KML 2.2 document (Google Earth and most GIS tools).
+ * KML is always WGS 84: coordinates are [longitude, latitude, altitude], with the altitude
+ * taken as absolute. Placemarks are grouped in folders and share styles by id.
+ * @param {Array<{name: string, description?: string, folder?: string, style?: string,
+ *   data?: Object<string, string|number|null>,
+ *   geometry: {type: 'Point'|'LineString'|'Polygon', coordinates: Array}}>} placemarks
+ *   LineString coordinates are a list of points; Polygon coordinates a list of rings
+ *   (the first is the outer boundary), as in GeoJSON.
+ * @param {Object} [options]
+ * @param {string} [options.name] - Document name.
+ * @param {Object<string, {color: string, width?: number}>} [options.styles] - By id; color as '#rrggbb'.
+ * @param {number} [options.decimals=8] - Decimal places of longitude and latitude.
+ * @returns {Blob}
+ */
+export function createKmlBlob(placemarks, { name = '', styles = {}, decimals = 8 } = {}) {
+    const coordinates = (points) => points
+        .map(([lon, lat, alt = 0]) => `${lon.toFixed(decimals)},${lat.toFixed(decimals)},${alt.toFixed(3)}`)
+        .join(' ');
+
+    const geometry = ({ type, coordinates: coords }) => {
+        if (type === 'Point') {
+            return `<Point><altitudeMode>absolute</altitudeMode><coordinates>${coordinates([coords])}</coordinates></Point>`;
+        }
+        if (type === 'LineString') {
+            return `<LineString><altitudeMode>absolute</altitudeMode><coordinates>${coordinates(coords)}</coordinates></LineString>`;
+        }
+        const [outer, ...inner] = coords;
+        return `<Polygon><altitudeMode>absolute</altitudeMode>`
+            + `<outerBoundaryIs><LinearRing><coordinates>${coordinates(outer)}</coordinates></LinearRing></outerBoundaryIs>`
+            + inner.map(ring => `<innerBoundaryIs><LinearRing><coordinates>${coordinates(ring)}</coordinates></LinearRing></innerBoundaryIs>`).join('')
+            + '</Polygon>';
+    };
+
+    const placemark = (p) => [
+        '<Placemark>',
+        `<name>${escapeXml(p.name)}</name>`,
+        p.description ? `<description>${escapeXml(p.description)}</description>` : '',
+        p.style ? `<styleUrl>#${escapeXml(p.style)}</styleUrl>` : '',
+        p.data ? `<ExtendedData>${Object.entries(p.data)
+            .map(([key, value]) => `<Data name="${escapeXml(key)}"><value>${escapeXml(value ?? '')}</value></Data>`)
+            .join('')}</ExtendedData>` : '',
+        geometry(p.geometry),
+        '</Placemark>'
+    ].join('');
+
+    // Folders keep the order in which they first appear
+    const folders = new Map();
+    placemarks.forEach(p => {
+        const folder = p.folder || '';
+        if (!folders.has(folder)) folders.set(folder, []);
+        folders.get(folder).push(placemark(p));
+    });
+
+    const body = [...folders].map(([folder, items]) => (folder
+        ? `<Folder><name>${escapeXml(folder)}</name>${items.join('')}</Folder>`
+        : items.join('')));
+
+    const kml = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<kml xmlns="http://www.opengis.net/kml/2.2">',
+        '<Document>',
+        name ? `<name>${escapeXml(name)}</name>` : '',
+        ...Object.entries(styles).map(([id, style]) => `<Style id="${escapeXml(id)}">`
+            + `<LineStyle><color>${kmlColor(style.color, 'ff')}</color><width>${style.width ?? 2}</width></LineStyle>`
+            + `<PolyStyle><color>${kmlColor(style.color, '55')}</color></PolyStyle>`
+            + '</Style>'),
+        ...body,
+        '</Document>',
+        '</kml>'
+    ].filter(Boolean).join('\n');
+
+    return new Blob([kml], { type: 'application/vnd.google-earth.kml+xml' });
+}
+
+// --- Internals ---
+
+/** '#rrggbb' -> KML 'aabbggrr'. */
+function kmlColor(hex, alpha) {
+    const [r, g, b] = [1, 3, 5].map(i => hex.slice(i, i + 2));
+    return `${alpha}${b}${g}${r}`;
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
@@ -0,0 +1,26 @@
+// src/utils/exporters/ObjExporter.js
+
+/**
+ * Writes a Wavefront OBJ mesh (vertices and triangular faces, no materials).
+ * Being text, it keeps the full precision of projected coordinates.
+ * @param {Object} data
+ * @param {Float64Array|Float32Array} data.positions - 3 values per vertex.
+ * @param {Uint32Array} data.faces - 3 vertex indices (0-based) per triangle.
+ * @param {string} [data.name] - Object name.
+ * @param {string[]} [data.comments] - Header comment lines.
+ * @param {number} [data.decimals=6] - Decimal places of the coordinates.
+ * @returns {Blob}
+ */
+export function createObjBlob({ positions, faces, name = '', comments = [], decimals = 6 }) {
+    const lines = comments.map(comment => `# ${comment.replace(/[\r\n]+/g, ' ')}`);
+    if (name) lines.push(`o ${name.replace(/\s+/g, '_')}`);
+
+    for (let i = 0; i < positions.length; i += 3) {
+        lines.push(`v ${positions[i].toFixed(decimals)} ${positions[i + 1].toFixed(decimals)} ${positions[i + 2].toFixed(decimals)}`);
+    }
+    for (let f = 0; f < faces.length; f += 3) {
+        lines.push(`f ${faces[f] + 1} ${faces[f + 1] + 1} ${faces[f + 2] + 1}`);
+    }
+
+    return new Blob([lines.join('\n') + '\n'], { type: 'text/plain' });
+}
@@ -0,0 +1,156 @@
+// src/utils/exporters/PdfReportExporter.js
+
+import { jsPDF } from 'jspdf';
+import { autoTable } from 'jspdf-autotable';
+
+const MARGIN = 15; // mm
+const ACCENT = [0, 120, 212];
+const TEXT = [40, 40, 40];
+const MUTED = [120, 120, 120];
+
+/**
+ * A table of the report: header cells and rows of text.
+ * @typedef {{head: string[], rows: Array<string[]>}} ReportTable
+ */
+
+/**
+ * Writes the inspection report as an A4 PDF (jsPDF): a cover page, the model, the summary by
+ * author, one table per measurement group and the measurement snapshots, two per page.
+ * Only the standard PDF fonts are used, so text is limited to Latin-1 (enough for Portuguese);
+ * other characters become '?'.
+ * @param {Object} report
+ * @param {string} report.title - E.g., 'Relatório de Inspeção'.
+ * @param {string} report.projectName
+ * @param {Date} report.date
+ * @param {string|null} [report.coverImage] - JPEG data URL of the model.
+ * @param {number} [report.imageAspect=1.6] - Width / height of the images.
+ * @param {Array<string[]>} [report.summary] - [label, value] pairs of the cover page.
+ * @param {ReportTable} report.layers - One row per model layer.
+ * @param {Array<string[]>} [report.modelInfo] - [label, value] pairs about the model (frame, CRS, scale...).
+ * @param {ReportTable} [report.authors] - Summary by author.
+ * @param {Array<{title: string} & ReportTable>} [report.groups] - Measurements by type.
+ * @param {Array<{image: string, caption: string}>} [report.figures] - Measurement snapshots.
+ * @returns {Blob}
+ */
+export function createReportPdfBlob(report) {
+    const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const pageHeight = doc.internal.pageSize.getHeight();
+    const contentWidth = pageWidth - 2 * MARGIN;
+    const imageAspect = report.imageAspect || 1.6;
+
+    const table = (startY, { head, rows }, options = {}) => {
+        autoTable(doc, {
+            startY,
+            head: head ? [head.map(safe)] : undefined,
+            body: rows.map(row => row.map(safe)),
+            margin: { left: MARGIN, right: MARGIN, top: MARGIN, bottom: MARGIN + 5 },
+            styles: { fontSize: 8, cellPadding: 1.5, textColor: TEXT },
+            headStyles: { fillColor: ACCENT, textColor: 255 },
+            ...options
+        });
+        return doc.lastAutoTable.finalY + 8;
+    };
+    const keyValueTable = (startY, pairs) => table(startY, { rows: pairs }, {
+        theme: 'plain',
+        styles: { fontSize: 9, cellPadding: 1.2, textColor: TEXT },
+        columnStyles: { 0: { fontStyle: 'bold', cellWidth: 55 } }
+    });
+    // A heading is never left alone at the bottom of a page
+    const heading = (y, text, size = 14) => {
+        if (y > pageHeight - MARGIN - 30) {
+            doc.addPage();
+            y = MARGIN;
+        }
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(size);
+        doc.setTextColor(...(size > 12 ? ACCENT : TEXT));
+        doc.text(safe(text), MARGIN, y + 5);
+        return y + 10;
+    };
+
+    // --- Cover ---
+    doc.setFillColor(...ACCENT);
+    doc.rect(0, 0, pageWidth, 55, 'F');
+    doc.setTextColor(255);
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(24);
+    doc.text(safe(report.title), MARGIN, 26);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(15);
+    doc.text(doc.splitTextToSize(safe(report.projectName), contentWidth).slice(0, 2), MARGIN, 38);
+
+    doc.setTextColor(...MUTED);
+    doc.setFontSize(11);
+    doc.text(safe(report.date.toLocaleString('pt-BR', { dateStyle: 'long', timeStyle: 'short' })), MARGIN, 66);
+
+    let y = 74;
+    if (report.coverImage) {
+        const height = contentWidth / imageAspect;
+        doc.addImage(report.coverImage, 'JPEG', MARGIN, y, contentWidth, height);
+        y += height + 8;
+    }
+    if (report.summary?.length) {
+        keyValueTable(y, report.summary);
+    }
+
+    // --- Model ---
+    doc.addPage();
+    y = heading(MARGIN, 'Modelo');
+    y = table(y, report.layers);
+    if (report.modelInfo?.length) {
+        y = keyValueTable(y - 4, report.modelInfo);
+    }
+
+    // --- Authors ---
+    if (report.authors?.rows.length) {
+        y = heading(y, 'Resumo por autor');
+        y = table(y, report.authors);
+    }
+
+    // --- Measurements ---
+    if (report.groups?.length) {
+        y = heading(y, 'Medições');
+        report.groups.forEach(group => {
+            y = heading(y, group.title, 11);
+            y = table(y, group, { columnStyles: { 0: { fontStyle: 'bold', cellWidth: 12 } } });
+        });
+    }
+
+    // --- Snapshots: two per page ---
+    const figures = report.figures || [];
+    const slotHeight = (pageHeight - 2 * MARGIN - 10) / 2;
+    const imageHeight = Math.min(contentWidth / imageAspect, slotHeight - 14);
+    const imageWidth = imageHeight * imageAspect;
+    figures.forEach((figure, i) => {
+        if (i % 2 === 0) {
+            doc.addPage();
+            if (i === 0) heading(MARGIN, 'Imagens das medições');
+        }
+        const top = MARGIN + 10 + (i % 2) * slotHeight;
+        doc.addImage(figure.image, 'JPEG', MARGIN + (contentWidth - imageWidth) / 2, top, imageWidth, imageHeight);
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(9);
+        doc.setTextColor(...TEXT);
+        doc.text(doc.splitTextToSize(safe(figure.caption), contentWidth).slice(0, 2), MARGIN, top + imageHeight + 5);
+    });
+
+    // --- Footer on every page but the cover ---
+    const pages = doc.getNumberOfPages();
+    for (let page = 2; page <= pages; page++) {
+        doc.setPage(page);
+        doc.setFont('helvetica', 'normal');
+        doc.setFontSize(8);
+        doc.setTextColor(...MUTED);
+        doc.text(safe(`VISIO360 - ${report.projectName}`), MARGIN, pageHeight - 8);
+        doc.text(`Página ${page} de ${pages}`, pageWidth - MARGIN, pageHeight - 8, { align: 'right' });
+    }
+
+    return doc.output('blob');
+}
+
+// --- Internals ---
+
+function safe(text) {
+    return String(text ?? '').replace(/[^\u0000-\u00ff]/g, '?');
+}
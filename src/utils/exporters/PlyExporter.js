@@ -0,0 +1,65 @@
+// src/utils/exporters/PlyExporter.js
+
+/**
+ * Writes a binary (little-endian) PLY file.
+ * Coordinates are written as doubles, so projected coordinates (e.g., UTM northings)
+ * keep their precision; colors as uchar RGB; extra per-vertex values as floats, which
+ * tools such as CloudCompare read as scalar fields.
+ * @param {Object} data
+ * @param {Float64Array|Float32Array} data.positions - 3 values per vertex.
+ * @param {Uint8Array} [data.colors] - 3 values (0-255) per vertex.
+ * @param {Object<string, Float32Array>} [data.scalars] - Extra per-vertex properties, by name.
+ * @param {Uint32Array} [data.faces] - 3 vertex indices per triangle.
+ * @param {string[]} [data.comments] - Header comment lines.
+ * @returns {Blob}
+ */
+export function createPlyBlob({ positions, colors = null, scalars = {}, faces = null, comments = [] }) {
+    const vertexCount = positions.length / 3;
+    const faceCount = faces ? faces.length / 3 : 0;
+    const scalarEntries = Object.entries(scalars);
+
+    const header = [
+        'ply',
+        'format binary_little_endian 1.0',
+        ...comments.map(comment => `comment ${comment.replace(/[\r\n]+/g, ' ')}`),
+        `element vertex ${vertexCount}`,
+        'property double x',
+        'property double y',
+        'property double z',
+        ...(colors ? ['property uchar red', 'property uchar green', 'property uchar blue'] : []),
+        ...scalarEntries.map(([name]) => `property float ${name}`),
+        ...(faceCount ? [`element face ${faceCount}`, 'property list uchar int vertex_indices'] : []),
+        'end_header',
+        ''
+    ].join('\n');
+
+    const vertexSize = 24 + (colors ? 3 : 0) + scalarEntries.length * 4;
+    const body = new DataView(new ArrayBuffer(vertexCount * vertexSize + faceCount * 13));
+
+    let offset = 0;
+    for (let i = 0; i < vertexCount; i++) {
+        body.setFloat64(offset, positions[i * 3], true);
+        body.setFloat64(offset + 8, positions[i * 3 + 1], true);
+        body.setFloat64(offset + 16, positions[i * 3 + 2], true);
+        offset += 24;
+        if (colors) {
+            body.setUint8(offset, colors[i * 3]);
+            body.setUint8(offset + 1, colors[i * 3 + 1]);
+            body.setUint8(offset + 2, colors[i * 3 + 2]);
+            offset += 3;
+        }
+        scalarEntries.forEach(([, values]) => {
+            body.setFloat32(offset, values[i], true);
+            offset += 4;
+        });
+    }
+    for (let f = 0; f < faceCount; f++) {
+        body.setUint8(offset, 3);
+        body.setInt32(offset + 1, faces[f * 3], true);
+        body.setInt32(offset + 5, faces[f * 3 + 1], true);
+        body.setInt32(offset + 9, faces[f * 3 + 2], true);
+        offset += 13;
+    }
+
+    return new Blob([header, body.buffer], { type: 'application/octet-stream' });
+}
@@ -0,0 +1,45 @@
+// src/utils/exporters/StlExporter.js
+
+/**
+ * Writes a binary STL file (triangles with their normals).
+ * STL stores single-precision floats: large coordinates (e.g., UTM northings) keep only
+ * centimeter-level precision, so PLY or OBJ are better suited to projected frames.
+ * @param {Object} data
+ * @param {Float64Array|Float32Array} data.positions - 9 values per triangle (non-indexed).
+ * @param {string} [data.header] - Text of the 80-byte header (ASCII; must not start with 'solid').
+ * @returns {Blob}
+ */
+export function createStlBlob({ positions, header = '' }) {
+    const triangleCount = Math.floor(positions.length / 9);
+    const view = new DataView(new ArrayBuffer(84 + triangleCount * 50));
+
+    const text = header.replace(/^solid/i, 'STL').replace(/[^\x20-\x7e]/g, '?').slice(0, 80);
+    for (let i = 0; i < text.length; i++) view.setUint8(i, text.charCodeAt(i));
+    view.setUint32(80, triangleCount, true);
+
+    let offset = 84;
+    for (let t = 0; t < triangleCount; t++) {
+        const p = positions.subarray(t * 9, t * 9 + 9);
+        const normal = triangleNormal(p);
+        [...normal, ...p].forEach(value => {
+            view.setFloat32(offset, value, true);
+            offset += 4;
+        });
+        offset += 2; // Attribute byte count
+    }
+
+    return new Blob([view.buffer], { type: 'model/stl' });
+}
+
+// --- Internals ---
+
+/** Unit normal of the triangle [ax, ay, az, bx, by, bz, cx, cy, cz] (zero if degenerate). */
+function triangleNormal(p) {
+    const ux = p[3] - p[0], uy = p[4] - p[1], uz = p[5] - p[2];
+    const vx = p[6] - p[0], vy = p[7] - p[1], vz = p[8] - p[2];
+    const nx = uy * vz - uz * vy;
+    const ny = uz * vx - ux * vz;
+    const nz = ux * vy - uy * vx;
+    const length = Math.hypot(nx, ny, nz) || 1;
+    return [nx / length, ny / length, nz / length];
+}
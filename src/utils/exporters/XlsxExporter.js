@@ -0,0 +1,99 @@
+// src/utils/exporters/XlsxExporter.js
+
+import { zipSync, strToU8 } from 'fflate';
+
+/**
+ * Writes an Excel workbook (Office Open XML, .xlsx) with one or more sheets.
+ * Only what a table needs: numbers stay numeric cells, everything else is written as inline
+ * text; there are no styles or formulas. The first row of each sheet is frozen as its header.
+ * @param {Array<{name: string, rows: Array<Array<string|number|null>>}>} sheets
+ * @returns {Blob}
+ */
+export function createXlsxBlob(sheets) {
+    const names = uniqueSheetNames(sheets.map(sheet => sheet.name));
+
+    const entries = {
+        '[Content_Types].xml': xml(`<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+${sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('\n')}
+</Types>`),
+        '_rels/.rels': xml(`<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`),
+        'xl/workbook.xml': xml(`<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheets>
+${names.map((name, i) => `<sheet name="${escapeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('\n')}
+</sheets>
+</workbook>`),
+        'xl/_rels/workbook.xml.rels': xml(`<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+${sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('\n')}
+</Relationships>`)
+    };
+    sheets.forEach((sheet, i) => {
+        entries[`xl/worksheets/sheet${i + 1}.xml`] = xml(worksheet(sheet.rows));
+    });
+
+    return new Blob([zipSync(entries, { level: 6 })], {
+        type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    });
+}
+
+// --- Internals ---
+
+function xml(body) {
+    return strToU8(`<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n${body}`);
+}
+
+function worksheet(rows) {
+    const sheetRows = rows.map((row, r) => {
+        const cells = row.map((value, c) => {
+            const ref = `${columnName(c)}${r + 1}`;
+            if (typeof value === 'number' && Number.isFinite(value)) {
+                return `<c r="${ref}"><v>${value}</v></c>`;
+            }
+            if (value === null || value === undefined || value === '') return '';
+            return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(String(value))}</t></is></c>`;
+        });
+        return `<row r="${r + 1}">${cells.join('')}</row>`;
+    });
+
+    const frozenHeader = rows.length > 1
+        ? '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+        : '';
+    return `<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">${frozenHeader}<sheetData>${sheetRows.join('')}</sheetData></worksheet>`;
+}
+
+/** 0 -> 'A', 25 -> 'Z', 26 -> 'AA'. */
+function columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        name = String.fromCharCode(65 + (n - 1) % 26) + name;
+    }
+    return name;
+}
+
+/** Excel sheet names: at most 31 characters, none of []:*?/\ and no repeats. */
+function uniqueSheetNames(names) {
+    const used = new Set();
+    return names.map((name, i) => {
+        const base = String(name || `Planilha${i + 1}`).replace(/[[\]:*?/\\]/g, ' ').slice(0, 31);
+        let unique = base;
+        for (let n = 2; used.has(unique.toLowerCase()); n++) {
+            unique = `${base.slice(0, 28)} (${n})`;
+        }
+        used.add(unique.toLowerCase());
+        return unique;
+    });
+}
+
+function escapeXml(text) {
+    // Control characters other than tab and line breaks are not allowed in XML
+    return text
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}